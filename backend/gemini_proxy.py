@@ -0,0 +1,416 @@
+"""Gemini endpoints used by the frontend instead of calling Gemini directly.
+
+The API key stays on the server. Every request must carry the caller's Firebase
+ID token (`Authorization: Bearer <token>`), and each user gets a daily quota and
+a per-minute rate limit. The prompts and the response schema live here so
+clients can only ask for leaf analyses and follow-up answers, not arbitrary
+Gemini calls.
+"""
+
+import base64
+import binascii
+import json
+import os
+import re
+import time
+from datetime import datetime, timedelta, timezone
+from typing import List, Literal, Optional
+
+import firebase_admin
+import google.generativeai as genai
+from fastapi import APIRouter, Depends, Header, HTTPException
+from fastapi.concurrency import run_in_threadpool
+from fastapi.responses import StreamingResponse
+from firebase_admin import auth as firebase_auth
+from firebase_admin import firestore
+from google.api_core import exceptions as google_exceptions
+from pydantic import BaseModel
+
+GEMINI_MODEL = os.getenv('GEMINI_MODEL', 'gemini-1.5-flash')
+GEMINI_DAILY_QUOTA = int(os.getenv('GEMINI_DAILY_QUOTA', '50'))
+GEMINI_RATE_LIMIT_PER_MINUTE = int(os.getenv('GEMINI_RATE_LIMIT_PER_MINUTE', '10'))
+# Top-level collection, out of reach of clients under firestore.rules
+GEMINI_USAGE_COLLECTION = os.getenv('GEMINI_USAGE_COLLECTION', 'geminiUsage')
+
+# The frontend sends JPEGs of at most 800 KB; leave room for other clients
+MAX_IMAGE_BYTES = 4 * 1024 * 1024
+MAX_CHAT_MESSAGES = 40
+MAX_QUESTION_LENGTH = 2000
+
+# Keep in step with LANGUAGES in src/i18n/index.js
+LANGUAGE_NAMES = {'en': 'English', 'hi': 'Hindi', 'te': 'Telugu'}
+DEFAULT_LANGUAGE = 'en'
+
+router = APIRouter(prefix='/gemini')
+
+gemini_api_key = os.getenv('GEMINI_API_KEY')
+if gemini_api_key:
+    genai.configure(api_key=gemini_api_key)
+else:
+    print("GEMINI_API_KEY is not set; /gemini endpoints will answer 503")
+
+# verify_id_token only needs the project id; the usage counts in Firestore need
+# the service account in GOOGLE_APPLICATION_CREDENTIALS. FIREBASE_AUTH_EMULATOR_HOST
+# and FIRESTORE_EMULATOR_HOST are honoured for local development against the
+# emulator suite.
+if not firebase_admin._apps:
+    firebase_project_id = os.getenv('FIREBASE_PROJECT_ID')
+    firebase_admin.initialize_app(options={'projectId': firebase_project_id} if firebase_project_id else None)
+
+
+# --- Authentication ---
+
+async def current_user_id(authorization: Optional[str] = Header(None)) -> str:
+    if not authorization or not authorization.lower().startswith('bearer '):
+        raise HTTPException(status_code=401, detail="Sign in to use Gemini AI")
+    token = authorization[len('bearer '):].strip()
+    try:
+        decoded = await run_in_threadpool(firebase_auth.verify_id_token, token)
+    except Exception as e:
+        print(f"Rejected Firebase ID token: {e}")
+        raise HTTPException(status_code=401, detail="Your session has expired. Please sign in again.")
+    # The app treats anonymous sessions as signed out; they would also make
+    # the per-user quota trivial to get around
+    if decoded.get('firebase', {}).get('sign_in_provider') == 'anonymous':
+        raise HTTPException(status_code=403, detail="Sign in with an account to use Gemini AI")
+    return decoded['uid']
+
+
+# --- Quotas ---
+
+def quota_exceeded(message: str, quota: str, retry_after: int) -> HTTPException:
+    return HTTPException(
+        status_code=429,
+        detail={'message': message, 'quota': quota, 'retryAfter': retry_after},
+        headers={'Retry-After': str(retry_after)},
+    )
+
+
+class UsageLimiter:
+    """Per-user daily quota (reset at midnight UTC) and sliding one-minute rate limit.
+
+    Over either, requests get a 429 whose detail is { message, quota: 'daily' |
+    'minute', retryAfter: seconds }, as browsers can't read Retry-After across
+    origins. Counts are kept in Firestore, one document per user in GEMINI_USAGE_COLLECTION
+    holding { day, count, recent }, so they survive the free Render instance
+    sleeping and restarting, and are shared between instances.
+    """
+
+    def __init__(self, daily_quota: int, per_minute: int, collection: str):
+        self.daily_quota = daily_quota
+        self.per_minute = per_minute
+        self.collection = collection
+        self._db = None
+
+    def _usage_ref(self, uid: str):
+        if self._db is None:
+            self._db = firestore.client()
+        return self._db.collection(self.collection).document(uid)
+
+    def _consume(self, uid: str):
+        ref = self._usage_ref(uid)
+
+        @firestore.transactional
+        def count_request(transaction):
+            now = time.time()
+            today = datetime.now(timezone.utc).date()
+            snapshot = ref.get(transaction=transaction)
+            usage = (snapshot.to_dict() or {}) if snapshot.exists else {}
+
+            count = usage.get('count', 0) if usage.get('day') == today.isoformat() else 0
+            if count >= self.daily_quota:
+                tomorrow = datetime.combine(today + timedelta(days=1), datetime.min.time(), tzinfo=timezone.utc)
+                raise quota_exceeded(
+                    f"Daily limit of {self.daily_quota} Gemini requests reached. It resets at midnight UTC.",
+                    'daily',
+                    int((tomorrow - datetime.now(timezone.utc)).total_seconds()),
+                )
+
+            recent = [t for t in usage.get('recent', []) if now - t < 60]
+            if len(recent) >= self.per_minute:
+                raise quota_exceeded(
+                    "Too many Gemini requests. Please wait a minute and try again.",
+                    'minute',
+                    int(60 - (now - min(recent))) + 1,
+                )
+
+            transaction.set(ref, {'day': today.isoformat(), 'count': count + 1, 'recent': recent + [now]})
+
+        count_request(self._db.transaction())
+
+    async def consume(self, uid: str):
+        """Counts one request, or raises a 429 when the user is over a limit."""
+        try:
+            await run_in_threadpool(self._consume, uid)
+        except HTTPException:
+            raise
+        except Exception as e:
+            # Without the counts the limits can't hold, so don't call Gemini
+            print(f"Could not update Gemini usage for {uid}: {e}")
+            raise HTTPException(status_code=503, detail="Gemini AI is unavailable right now. Please try again shortly.")
+
+
+limiter = UsageLimiter(GEMINI_DAILY_QUOTA, GEMINI_RATE_LIMIT_PER_MINUTE, GEMINI_USAGE_COLLECTION)
+
+
+async def gemini_caller(uid: str = Depends(current_user_id)) -> str:
+    """Authenticated user id, after checking Gemini is configured and counting the request."""
+    if not gemini_api_key:
+        raise HTTPException(status_code=503, detail="Gemini AI is not configured on the server")
+    await limiter.consume(uid)
+    return uid
+
+
+# --- Requests ---
+
+class ImagePart(BaseModel):
+    data: str  # base64, without a data URL prefix
+    mimeType: str = 'image/jpeg'
+
+
+class AnalyzeRequest(ImagePart):
+    language: str = DEFAULT_LANGUAGE
+
+
+class ChatMessage(BaseModel):
+    role: Literal['user', 'model']
+    text: str
+
+
+class ChatRequest(BaseModel):
+    result: dict
+    image: Optional[ImagePart] = None
+    language: str = DEFAULT_LANGUAGE
+    messages: List[ChatMessage] = []
+    question: str
+
+
+def decode_image(image: ImagePart) -> dict:
+    if not image.mimeType.startswith('image/'):
+        raise HTTPException(status_code=400, detail="File provided is not an image")
+    try:
+        data = base64.b64decode(image.data, validate=True)
+    except (binascii.Error, ValueError):
+        raise HTTPException(status_code=400, detail="Image data is not valid base64")
+    if len(data) > MAX_IMAGE_BYTES:
+        raise HTTPException(status_code=413, detail=f"Images must be smaller than {MAX_IMAGE_BYTES // (1024 * 1024)} MB")
+    return {'mime_type': image.mimeType, 'data': data}
+
+
+def language_name(code: str) -> str:
+    return LANGUAGE_NAMES.get(code, LANGUAGE_NAMES[DEFAULT_LANGUAGE])
+
+
+# --- Leaf analysis ---
+
+ANALYSIS_PROMPT = """Analyze this plant leaf image and provide the following information in a valid JSON format:
+            {
+                "plant_identification": {
+                    "plant_name": "...",
+                    "confidence": 0.0-1.0
+                },
+                "health_status": {
+                    "is_healthy": true/false,
+                    "disease_detected": "...",
+                    "disease_description": "...",
+                    "confidence": 0.0-1.0
+                },
+                "care_recommendations": {
+                    "suggested_cure": "...",
+                    "recommended_products": [
+                        {
+                            "product_name": "...",
+                            "product_type": "..."
+                        }
+                    ]
+                }
+            }"""
+
+# Names stay in English because they are matched against marketplace listings
+# and grouped in My Diagnoses; only the explanatory text is translated.
+def analysis_prompt(language: str) -> str:
+    if language_name(language) == LANGUAGE_NAMES[DEFAULT_LANGUAGE]:
+        return ANALYSIS_PROMPT
+    return ANALYSIS_PROMPT + f"""
+
+Write "disease_description" and "suggested_cure" in {language_name(language)}. Keep every JSON key exactly as shown, and keep "plant_name", "disease_detected", "product_name" and "product_type" in English."""
+
+# The same shape as the prompt, for Gemini's structured JSON response mode;
+# the frontend's validateAnalysisResult (src/services/analysisSchema.js) checks it again
+ANALYSIS_RESPONSE_SCHEMA = {
+    'type': 'OBJECT',
+    'properties': {
+        'plant_identification': {
+            'type': 'OBJECT',
+            'properties': {
+                'plant_name': {'type': 'STRING'},
+                'confidence': {'type': 'NUMBER', 'description': 'Between 0 and 1'},
+            },
+            'required': ['plant_name'],
+        },
+        'health_status': {
+            'type': 'OBJECT',
+            'properties': {
+                'is_healthy': {'type': 'BOOLEAN'},
+                'disease_detected': {'type': 'STRING', 'description': '"None" when the plant is healthy'},
+                'disease_description': {'type': 'STRING'},
+                'confidence': {'type': 'NUMBER', 'description': 'Between 0 and 1'},
+            },
+            'required': ['is_healthy', 'disease_detected'],
+        },
+        'care_recommendations': {
+            'type': 'OBJECT',
+            'properties': {
+                'suggested_cure': {'type': 'STRING'},
+                'recommended_products': {
+                    'type': 'ARRAY',
+                    'items': {
+                        'type': 'OBJECT',
+                        'properties': {
+                            'product_name': {'type': 'STRING'},
+                            'product_type': {'type': 'STRING'},
+                        },
+                        'required': ['product_name'],
+                    },
+                },
+            },
+            'required': ['suggested_cure', 'recommended_products'],
+        },
+    },
+    'required': ['plant_identification', 'health_status', 'care_recommendations'],
+}
+
+# Set once Gemini rejects responseSchema for the configured model
+use_structured_output = True
+
+
+def is_structured_output_unsupported(error: Exception) -> bool:
+    return isinstance(error, google_exceptions.InvalidArgument) and \
+        re.search(r'response_?(schema|mime_?type)', str(error), re.IGNORECASE) is not None
+
+
+async def generate(contents: list) -> str:
+    global use_structured_output
+    if use_structured_output:
+        try:
+            model = genai.GenerativeModel(GEMINI_MODEL, generation_config={
+                'response_mime_type': 'application/json',
+                'response_schema': ANALYSIS_RESPONSE_SCHEMA,
+            })
+            response = await model.generate_content_async(contents)
+            return response.text
+        except Exception as e:
+            if not is_structured_output_unsupported(e):
+                raise
+            print(f"Structured JSON output unavailable, falling back to prompt-only JSON: {e}")
+            use_structured_output = False
+    model = genai.GenerativeModel(GEMINI_MODEL)
+    response = await model.generate_content_async(contents)
+    return response.text
+
+
+def parse_analysis(text: str):
+    """Returns (data, problems): the first JSON object in `text` and what is wrong with it."""
+    match = re.search(r'\{[\s\S]*\}', text or '')
+    if not match:
+        return None, ['no JSON object found in the response']
+    try:
+        data = json.loads(match.group(0))
+    except ValueError as e:
+        return None, [f'invalid JSON ({e})']
+
+    problems = []
+    plant = data.get('plant_identification') if isinstance(data, dict) else None
+    health = data.get('health_status') if isinstance(data, dict) else None
+    if not isinstance(plant, dict) or not str(plant.get('plant_name') or '').strip():
+        problems.append('plant_identification.plant_name is missing')
+    if not isinstance(health, dict) or not isinstance(health.get('is_healthy'), bool):
+        problems.append('health_status.is_healthy must be true or false')
+    return data, problems
+
+
+def upstream_error(e: Exception) -> HTTPException:
+    # The exception text can include request details, so it stays in the server log
+    print(f"Gemini request failed: {e!r}")
+    if isinstance(e, google_exceptions.ResourceExhausted):
+        return HTTPException(status_code=503, detail="Gemini AI is busy right now. Please try again shortly.")
+    return HTTPException(status_code=502, detail="Gemini request failed. Please try again.")
+
+
+@router.post("/analyze")
+async def analyze(request: AnalyzeRequest, uid: str = Depends(gemini_caller)):
+    """Analyses one leaf photo; returns the plant analysis result JSON."""
+    prompt = {'role': 'user', 'parts': [analysis_prompt(request.language), decode_image(request)]}
+    try:
+        text = await generate([prompt])
+        data, problems = parse_analysis(text)
+        if problems:
+            # Ask the model once to repair its own output before giving up
+            print(f"Malformed Gemini response, asking again: {problems}")
+            retry_text = await generate([
+                prompt,
+                {'role': 'model', 'parts': [text]},
+                {'role': 'user', 'parts': [f"That response was not valid: {'; '.join(problems)}. Reply again with only the corrected JSON object in the requested format."]},
+            ])
+            data, problems = parse_analysis(retry_text)
+    except Exception as e:
+        raise upstream_error(e)
+
+    if problems:
+        print(f"Gemini response still malformed after retry: {problems}")
+        raise HTTPException(status_code=502, detail="The response from the AI could not be parsed. Please try again.")
+    return data
+
+
+# --- Follow-up chat ---
+
+CHAT_INSTRUCTIONS = """You are an agronomy assistant helping a farmer who has just had a photo of a plant leaf diagnosed.
+Answer follow-up questions about this diagnosis: treatment, organic alternatives, safety before harvest, how the disease spreads and how to prevent it.
+Keep answers short and practical, in plain language, using short paragraphs or bullet points.
+When recommending a pesticide or fungicide, remind the farmer to follow the label's dose and pre-harvest interval, and to use protective equipment.
+If the photo or diagnosis seems uncertain, say so and suggest confirming with a local agricultural extension officer.
+If a question is unrelated to farming or this plant, politely steer back to the diagnosis."""
+
+
+def chat_history(request: ChatRequest) -> list:
+    """Gemini history for the request; `messages` must alternate user/model turns."""
+    summary = {key: request.result.get(key) for key in ('plant_identification', 'health_status', 'care_recommendations')}
+    context = [f"This is the diagnosis made from the leaf photo{' attached' if request.image else ''}:\n{json.dumps(summary, indent=2, ensure_ascii=False)}"]
+    if request.image:
+        context.append(decode_image(request.image))
+    return [
+        {'role': 'user', 'parts': context},
+        {'role': 'model', 'parts': ['Understood. What would you like to know about this diagnosis?']},
+        *[{'role': message.role, 'parts': [message.text]} for message in request.messages[-MAX_CHAT_MESSAGES:]],
+    ]
+
+
+@router.post("/chat")
+async def chat(request: ChatRequest, uid: str = Depends(gemini_caller)):
+    """Answers a follow-up question about a diagnosis, streamed as plain text."""
+    question = request.question.strip()
+    if not question:
+        raise HTTPException(status_code=400, detail="Question is empty")
+    if len(question) > MAX_QUESTION_LENGTH:
+        raise HTTPException(status_code=400, detail=f"Questions must be at most {MAX_QUESTION_LENGTH} characters")
+
+    model = genai.GenerativeModel(
+        GEMINI_MODEL,
+        system_instruction=f"{CHAT_INSTRUCTIONS}\nAlways reply in {language_name(request.language)}.",
+    )
+    session = model.start_chat(history=chat_history(request))
+    try:
+        response = await session.send_message_async(question, stream=True)
+    except Exception as e:
+        raise upstream_error(e)
+
+    async def chunks():
+        try:
+            async for chunk in response:
+                yield chunk.text
+        except Exception as e:
+            # Headers are already sent; the client sees a cut-off (or empty) answer
+            print(f"Gemini chat stream failed: {e}")
+
+    return StreamingResponse(chunks(), media_type='text/plain; charset=utf-8')
+
@@ -1,4 +1,4 @@
-from fastapi import FastAPI, File, UploadFile, HTTPException
+from fastapi import FastAPI, File, UploadFile, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
 from PIL import Image
 import io
@@ -29,6 +29,11 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# Gemini analysis and chat, proxied so the API key never reaches the browser
+# (imported after load_dotenv so it sees GEMINI_API_KEY)
+from gemini_proxy import router as gemini_router
+app.include_router(gemini_router)
+
 # Load the model and feature extractor
 print("Loading model...")
 feature_extractor = ViTFeatureExtractor.from_pretrained('wambugu71/crop_leaf_diseases_vit')
@@ -38,8 +43,10 @@ model = ViTForImageClassification.from_pretrained(
 )
 print("Model loaded successfully!")
 
+DEFAULT_TOP_K = 5
+
 @app.post("/predict")
-async def predict(file: UploadFile = File(...)):
+async def predict(file: UploadFile = File(...), top_k: int = Query(DEFAULT_TOP_K, ge=1, le=20)):
     # Check if the file is an image
     if not file.content_type.startswith('image/'):
         raise HTTPException(status_code=400, detail="File provided is not an image")
@@ -54,11 +61,20 @@ async def predict(file: UploadFile = File(...)):
         with torch.no_grad():
             outputs = model(**inputs)
         
-        # Get the predicted class
-        predicted_class_idx = outputs.logits.argmax(-1).item()
-        predicted_class = model.config.id2label[predicted_class_idx]
-        
-        return {"prediction": predicted_class}
+        # Rank the classes by softmax probability; "prediction" stays the top label
+        # for clients that only read that
+        probabilities = torch.softmax(outputs.logits, dim=-1)[0]
+        top = torch.topk(probabilities, k=min(top_k, probabilities.shape[0]))
+        predictions = [
+            {"label": model.config.id2label[idx.item()], "probability": round(prob.item(), 4)}
+            for prob, idx in zip(top.values, top.indices)
+        ]
+
+        return {
+            "prediction": predictions[0]["label"],
+            "confidence": predictions[0]["probability"],
+            "predictions": predictions,
+        }
         
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
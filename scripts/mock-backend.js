@@ -0,0 +1,131 @@
+// Stand-in for the FastAPI backend (backend/main.py) that needs no model,
+// Gemini key or network: `npm run mock-backend`, then point
+// REACT_APP_BACKEND_URL at it (it listens on PORT, default 8000).
+//
+// Answers GET /, POST /predict, POST /gemini/analyze and POST /gemini/chat
+// with canned results in the same shapes. The /gemini endpoints require an
+// `Authorization: Bearer <token>` header like the real proxy but accept any
+// token; MOCK_DAILY_QUOTA (default 50) requests per token are allowed before
+// they answer 429, so quota handling can be tried out too.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8000;
+const DAILY_QUOTA = Number(process.env.MOCK_DAILY_QUOTA) || 50;
+
+const PREDICTIONS = [
+    { label: 'Corn___Common_Rust', probability: 0.9132 },
+    { label: 'Corn___Northern_Leaf_Blight', probability: 0.0611 },
+    { label: 'Corn___Healthy', probability: 0.0157 },
+];
+
+const ANALYSIS = {
+    plant_identification: { plant_name: 'Tomato', confidence: 0.9 },
+    health_status: {
+        is_healthy: false,
+        disease_detected: 'Early Blight',
+        disease_description: 'Mock result: concentric brown lesions on older leaves.',
+        confidence: 0.8,
+    },
+    care_recommendations: {
+        suggested_cure: 'Mock result: remove affected leaves and apply a copper-based fungicide.',
+        recommended_products: [{ product_name: 'Copper Fungicide', product_type: 'Fungicide' }],
+    },
+};
+
+const CHAT_REPLY = 'Mock answer: remove the affected leaves, avoid wetting the foliage when watering, '
+    + 'and follow the fungicide label for the dose and the waiting period before harvest.';
+
+const usage = new Map(); // token -> requests so far
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+// Resolves with the parsed JSON body, or answers 401/422/429 like the proxy and resolves with null
+async function geminiRequest(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\b/i, '').trim();
+    if (!token) {
+        sendJson(res, 401, { detail: 'Sign in to use Gemini AI' });
+        return null;
+    }
+    const used = usage.get(token) || 0;
+    if (used >= DAILY_QUOTA) {
+        const midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+        sendJson(res, 429, {
+            detail: {
+                message: `Daily limit of ${DAILY_QUOTA} Gemini requests reached. It resets at midnight UTC.`,
+                quota: 'daily',
+                retryAfter: Math.ceil((midnight - Date.now()) / 1000),
+            },
+        });
+        return null;
+    }
+    try {
+        const body = JSON.parse(await readBody(req));
+        usage.set(token, used + 1);
+        return body;
+    } catch (e) {
+        sendJson(res, 422, { detail: 'Request body is not valid JSON' });
+        return null;
+    }
+}
+
+// Streams the reply a few words at a time, like Gemini does
+function streamReply(res, text) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    const words = text.split(/(?<= )/);
+    const next = () => {
+        if (words.length === 0) {
+            res.end();
+            return;
+        }
+        res.write(words.splice(0, 3).join(''));
+        setTimeout(next, 100);
+    };
+    next();
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+    const route = `${req.method} ${pathname}`;
+
+    if (route === 'GET /') {
+        sendJson(res, 200, { message: 'Mock crop disease detection API is running!' });
+    } else if (route === 'POST /predict') {
+        await readBody(req);
+        const topK = Math.min(20, Math.max(1, Number(searchParams.get('top_k')) || 5));
+        const predictions = PREDICTIONS.slice(0, topK);
+        sendJson(res, 200, { prediction: predictions[0].label, confidence: predictions[0].probability, predictions });
+    } else if (route === 'POST /gemini/analyze') {
+        const body = await geminiRequest(req, res);
+        if (body) setTimeout(() => sendJson(res, 200, ANALYSIS), 300);
+    } else if (route === 'POST /gemini/chat') {
+        const body = await geminiRequest(req, res);
+        if (body) streamReply(res, CHAT_REPLY);
+    } else {
+        sendJson(res, 404, { detail: 'Not Found' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock backend listening on http://localhost:${PORT}`);
+});
@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAnalytics } from 'firebase/analytics';
 import { 
     getAuth, 
+    connectAuthEmulator,
     onAuthStateChanged, 
     createUserWithEmailAndPassword, 
     signInWithEmailAndPassword, 
@@ -10,20 +11,154 @@ import {
     signInAnonymously,
     signInWithCustomToken
 } from 'firebase/auth';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+    Routes,
+    Route,
+    Link,
+    Navigate,
+    useNavigate,
+    useLocation,
+    useParams,
+    useSearchParams
+} from 'react-router-dom';
 
 import { 
     getFirestore,
+    connectFirestoreEmulator,
+    enableMultiTabIndexedDbPersistence,
     collection,
     doc,
     getDoc,
     setDoc,
     addDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
     query,
     where,
+    limit,
     onSnapshot,
     getDocs
 } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import {
+    PROVIDER_IDS,
+    createAnalysisProviders,
+    runAnalysis,
+    summarizeResult,
+    isUncertain,
+    parseClassifierLabel
+} from './services/analysisProviders';
+import { formatConfidence } from './services/analysisSchema';
+import { backendClient, isAbortError, quotaExceeded } from './services/backendClient';
+import { uploadProductImages, deleteAllProductImages } from './services/productImages';
+import { saveDiagnosis, subscribeToDiagnoses, getDiagnosis, diagnosisToResult } from './services/diagnosisHistory';
+import { matchRecommendedProducts, recommendationSearchTerms } from './services/productMatching';
+import {
+    placeOrder,
+    subscribeToBuyerOrders,
+    subscribeToSellerOrders,
+    updateOrderStatus,
+    sellerLineItems,
+    sellerStatusOf,
+    sellerStatusHistory,
+    computeSalesTotals,
+    OrderError,
+    DELIVERY_FEE_MINOR,
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS
+} from './services/orders';
+import { createPaymentProviders, PAYMENT_PROVIDER_IDS } from './services/payments';
+import { isListed, isLowStock, isOutOfStock, requiresReapproval } from './services/inventory';
+import {
+    PRODUCT_CATEGORIES,
+    SHOP_SORTS,
+    backfillListingFields,
+    buildSearchKeywords,
+    parseShopFilters,
+    shopFiltersToParams,
+    fetchShopPage,
+    fetchProductsByIds,
+    fetchProductsWithKeywords
+} from './services/catalog';
+import {
+    DEFAULT_CURRENCY,
+    amountMinor,
+    currencyOf,
+    formatMoney,
+    formatPrice,
+    parsePriceInput,
+    toPriceInput
+} from './services/currency';
+import { CartProvider, useCart } from './contexts/CartContext';
+import { LanguageProvider, useTranslation } from './contexts/LanguageContext';
+import { AnalysisQueueProvider, useAnalysisQueue } from './contexts/AnalysisQueueContext';
+import { QUEUE_STATUS, isConnectivityError } from './services/analysisQueue';
+import {
+    FULL_CROP,
+    ImagePreprocessingError,
+    assessImageQuality,
+    blobToBase64,
+    cropAndScale,
+    exportForAnalysis,
+    isFullCrop,
+    loadImageForAnalysis,
+    moveCrop,
+    resizeCrop
+} from './services/imagePreprocessing';
+import {
+    DEFAULT_BATCH_CONCURRENCY,
+    JOB_STATUS,
+    MAX_BATCH_ATTEMPTS,
+    MAX_BATCH_FILES,
+    QUOTA_RETRY_DELAY_MS,
+    batchToCsv,
+    batchToJson,
+    createBatchJob,
+    isImageFile,
+    runJobQueue,
+    summarizeBatch,
+    waitBeforeRetry,
+    waitUnlessAborted
+} from './services/batchAnalysis';
+import { downloadFile, datedFileName } from './services/download';
+import { buildDiagnosisReport, imageToDataUrl, printReport, reportFileName } from './services/diagnosisReport';
+import { hashImage } from './services/imageHashing';
+import { getCachedAnalysis, cacheAnalysis, findSimilarScan } from './services/analysisCache';
+import {
+    KNOWLEDGE_BASE_VERSION,
+    ENCYCLOPEDIA_CROPS,
+    searchDiseases,
+    getDiseaseBySlug,
+    getDiseaseByLabel,
+    findDiseaseForResult
+} from './services/diseaseKnowledge';
+import {
+    CHAT_ROLES,
+    chatImageFromDataUrl,
+    streamChatReply,
+    createChatMessage,
+    saveChatHistory,
+    chatFromDiagnosis,
+    suggestedQuestionKeys
+} from './services/diagnosisChat';
+import {
+    AREA_UNITS,
+    DEFAULT_AREA_UNIT,
+    validateField,
+    subscribeToFields,
+    createField,
+    updateField,
+    deleteField,
+    subscribeToFieldDiagnoses,
+    assignDiagnosisField,
+    getCurrentLocation,
+    mapsUrl,
+    daysSinceSowing,
+    buildFieldTimeline,
+    summarizeFieldHealth
+} from './services/fields';
+import { LANGUAGES } from './i18n';
 
 // Firebase Configuration
 const firebaseConfig = {
@@ -36,12 +171,6 @@ const firebaseConfig = {
   measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID
 };
 
-// Gemini API Key from environment variables
-const geminiApiKey = process.env.REACT_APP_GEMINI_API_KEY;
-
-// Backend URL from environment variables
-const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://localhost:8000';
-
 // Create a context for the Gemini AI client
 const GeminiAIContext = React.createContext(null);
 
@@ -50,6 +179,7 @@ let app;
 let analytics;
 let auth;
 let db;
+let storage;
 
 // Initialize Firebase services
 try {
@@ -57,6 +187,22 @@ try {
     analytics = getAnalytics(app);
     auth = getAuth(app);
     db = getFirestore(app);
+    storage = getStorage(app);
+
+    // Point at the local emulator suite (`firebase emulators:start`, see firebase.json)
+    if (process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true') {
+        connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+        connectFirestoreEmulator(db, 'localhost', 8080);
+        connectStorageEmulator(storage, 'localhost', 9199);
+        console.log('Using Firebase emulators');
+    }
+
+    // Keep recently read documents (shop listings, orders, diagnoses) in
+    // IndexedDB so they can still be browsed offline
+    enableMultiTabIndexedDbPersistence(db).catch((error) => {
+        // failed-precondition/unimplemented: private mode or an unsupported browser
+        console.warn('Firestore offline persistence unavailable:', error.code);
+    });
     console.log('Firebase initialized successfully');
 } catch (error) {
     console.error('Error initializing Firebase:', error);
@@ -64,36 +210,17 @@ try {
 
 // --- Main App Component ---
 // Gemini AI Provider Component
-function GeminiAIProvider({ children }) {
-    const [genAI, setGenAI] = useState(null);
-    const [isInitialized, setIsInitialized] = useState(false);
-    const [error, setError] = useState(null);
-
-    useEffect(() => {
-        const initializeGemini = async () => {
-            if (!geminiApiKey) {
-                setError('Gemini API key is missing. Please set REACT_APP_GEMINI_API_KEY in your .env file');
-                return;
-            }
-
-            try {
-                const client = new GoogleGenerativeAI(geminiApiKey);
-                // Test the client with a simple model
-                await client.getGenerativeModel({ model: "gemini-pro" });
-                setGenAI(client);
-                setIsInitialized(true);
-                console.log('Gemini AI initialized successfully');
-            } catch (err) {
-                console.error('Error initializing Gemini AI:', err);
-                setError(`Failed to initialize Gemini AI: ${err.message}`);
-            }
-        };
-
-        initializeGemini();
-    }, []);
+// Gemini is called through the backend, which needs the signed-in user's ID
+// token; it is unavailable until auth has settled and while signed out.
+function GeminiAIProvider({ user, isAuthReady, children }) {
+    const value = useMemo(() => ({
+        getIdToken: async () => (auth?.currentUser ? auth.currentUser.getIdToken() : null),
+        isInitialized: isAuthReady && Boolean(user),
+        error: isAuthReady && !user ? 'Please sign in to analyze with Gemini AI.' : null,
+    }), [user, isAuthReady]);
 
     return (
-        <GeminiAIContext.Provider value={{ genAI, isInitialized, error }}>
+        <GeminiAIContext.Provider value={value}>
             {children}
         </GeminiAIContext.Provider>
     );
@@ -108,16 +235,180 @@ const useGeminiAI = () => {
     return context;
 };
 
+// Custom hook returning every analysis provider (Gemini, backend ViT, mock)
+const useAnalysisProviders = () => {
+    const { getIdToken, isInitialized, error } = useGeminiAI();
+    return useMemo(
+        () => createAnalysisProviders({ gemini: { getIdToken, isInitialized, error }, client: backendClient }),
+        [getIdToken, isInitialized, error]
+    );
+};
+
+// Runs queued offline analyses with the same providers as PlantAnalyzerPage,
+// once sign-in has settled and Gemini is known to be usable or not
+function QueuedAnalysisProvider({ db, storage, user, children }) {
+    const providers = useAnalysisProviders();
+    const { isInitialized, error } = useGeminiAI();
+    return (
+        <AnalysisQueueProvider db={db} storage={storage} user={user} providers={providers} ready={isInitialized || Boolean(error)}>
+            {children}
+        </AnalysisQueueProvider>
+    );
+}
+
+// Custom hook subscribing to the signed-in user's fields, newest first
+const useFields = (db, user) => {
+    const [fields, setFields] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!db || !user) {
+            setFields([]);
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        return subscribeToFields(db, user.uid, (data) => {
+            setFields(data);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching fields: ", error);
+            setLoading(false);
+        });
+    }, [db, user]);
+
+    return { fields, loading };
+};
+
+const NO_RECOMMENDATIONS = [];
+
+// Custom hook matching AI recommendations against the listed products that share
+// a search keyword with them, rather than the whole catalog
+const useRecommendedProducts = (db, recommendations) => {
+    const [candidates, setCandidates] = useState([]);
+    // A string, so the effect only refetches when the terms themselves change
+    const termsKey = recommendationSearchTerms(recommendations).join(' ');
+
+    useEffect(() => {
+        if (!db || !termsKey) {
+            setCandidates([]);
+            return;
+        }
+        let cancelled = false;
+        fetchProductsWithKeywords(db, termsKey.split(' '))
+            .then((products) => {
+                if (!cancelled) setCandidates(products);
+            })
+            .catch(error => console.error("Error fetching recommended products: ", error));
+        return () => { cancelled = true; };
+    }, [db, termsKey]);
+
+    return useMemo(() => matchRecommendedProducts(recommendations, candidates), [recommendations, candidates]);
+};
+
+// Custom hook paging through the shop catalog with Firestore cursors; starts
+// over from the first page whenever the filters change
+const useShopProducts = (db, filters) => {
+    const [products, setProducts] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [error, setError] = useState('');
+    // Incremented per filter change so late responses for old filters are dropped
+    const requestRef = useRef(0);
+    const filtersKey = JSON.stringify(filters);
+
+    useEffect(() => {
+        if (!db) return;
+        const requestId = ++requestRef.current;
+        setLoading(true);
+        setLoadingMore(false);
+        setError('');
+
+        fetchShopPage(db, JSON.parse(filtersKey))
+            .then(page => {
+                if (requestId !== requestRef.current) return;
+                setProducts(page.products);
+                setCursor(page.cursor);
+                setHasMore(page.hasMore);
+            })
+            .catch(error => {
+                if (requestId !== requestRef.current) return;
+                console.error("Error fetching products: ", error);
+                setProducts([]);
+                setHasMore(false);
+                setError('shop.loadFailed');
+            })
+            .finally(() => {
+                if (requestId === requestRef.current) setLoading(false);
+            });
+    }, [db, filtersKey]);
+
+    const loadMore = useCallback(async () => {
+        if (!hasMore || loadingMore) return;
+        const requestId = requestRef.current;
+        setLoadingMore(true);
+        try {
+            const page = await fetchShopPage(db, JSON.parse(filtersKey), cursor);
+            if (requestId !== requestRef.current) return;
+            setProducts(prev => [...prev, ...page.products]);
+            setCursor(page.cursor);
+            setHasMore(page.hasMore);
+        } catch (error) {
+            if (requestId !== requestRef.current) return;
+            console.error("Error fetching more products: ", error);
+            setError('shop.loadMoreFailed');
+        } finally {
+            if (requestId === requestRef.current) setLoadingMore(false);
+        }
+    }, [db, filtersKey, cursor, hasMore, loadingMore]);
+
+    return { products, loading, loadingMore, hasMore, error, loadMore };
+};
+
+// Custom hook handing out AbortSignals: each call aborts the previous request,
+// and any request still in flight is aborted when the component unmounts
+const useAbortSignal = () => {
+    const controllerRef = useRef(null);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return useCallback(() => {
+        controllerRef.current?.abort();
+        controllerRef.current = new AbortController();
+        return controllerRef.current.signal;
+    }, []);
+};
+
+// Custom hook polling the backend root route; isReachable is null until the first check
+const useBackendHealth = (intervalMs = 30000) => {
+    const [isReachable, setIsReachable] = useState(null);
+    const nextSignal = useAbortSignal();
+
+    const recheck = useCallback(async () => {
+        try {
+            setIsReachable(await backendClient.checkHealth({ signal: nextSignal() }));
+        } catch (err) {
+            if (!isAbortError(err)) console.error('Error checking backend health:', err);
+        }
+    }, [nextSignal]);
+
+    useEffect(() => {
+        recheck();
+        const intervalId = setInterval(recheck, intervalMs);
+        return () => clearInterval(intervalId);
+    }, [recheck, intervalMs]);
+
+    return { isReachable, recheck };
+};
+
 export default function App() {
     console.log('App component rendering...');
     // --- State Management ---
-    const [page, setPage] = useState('home'); // Controls navigation
     const [user, setUser] = useState(null); // Current authenticated user
     const [userData, setUserData] = useState(null); // User data from Firestore
     const [isAuthReady, setIsAuthReady] = useState(false); // Tracks if auth state has been checked
-    
-    console.log('Current page:', page);
-    console.log('Auth state:', { user, isAuthReady });
 
     // --- Firebase Initialization and Auth State ---
     useEffect(() => {
@@ -134,8 +425,8 @@ export default function App() {
                 console.log('Analytics initialized:', analytics);
                 
                 // Initialize Auth with settings
+                // LanguageProvider keeps authInstance.languageCode in step with the UI language
                 const authInstance = getAuth(app);
-                authInstance.languageCode = 'en'; // Set default language
                 console.log('Auth initialized');
                 
                 // Initialize Firestore
@@ -190,45 +481,59 @@ export default function App() {
         };
     }, []);
 
-    // --- Navigation Renderer ---
-    const renderPage = () => {
-        console.log('Rendering page:', page);
+    // --- Routes ---
+    const renderRoutes = () => {
         if (!isAuthReady) {
             console.log('Auth not ready, showing loader');
             return <div className="flex items-center justify-center h-screen">
                 <div className="loader "></div>
             </div>;
         }
-        
-        switch (page) {
-            case 'shop':
-                return <ShopPage db={db} setPage={setPage} />;
-            case 'analyze':
-                return <PlantAnalyzerPage />;
-            case 'sell':
-                return <BecomeSellerPage db={db} user={user} userData={userData} setPage={setPage}/>;
-            case 'profile':
-                 return <ProfilePage user={user} userData={userData} auth={auth} setPage={setPage} />;
-            case 'login':
-                return <LoginPage auth={auth} setPage={setPage} />;
-            case 'dashboard':
-                 return <SellerDashboardPage db={db} user={user} />;
-            default:
-                return <HomePage setPage={setPage} />;
-        }
+
+        return (
+            <Routes>
+                <Route path="/" element={<HomePage />} />
+                <Route path="/shop" element={<ShopPage db={db} />} />
+                <Route path="/shop/:productId" element={<ProductDetailPage db={db} user={user} userData={userData} />} />
+                <Route path="/analyze" element={<PlantAnalyzerPage db={db} storage={storage} user={user} />} />
+                <Route path="/diseases" element={<DiseaseEncyclopediaPage />} />
+                <Route path="/diseases/:slug" element={<DiseaseDetailPage db={db} />} />
+                <Route path="/analyze/batch" element={<BatchAnalyzerPage db={db} storage={storage} user={user} />} />
+                <Route path="/cart" element={<CartPage />} />
+                <Route path="/checkout" element={<RequireAuth user={user}><CheckoutPage db={db} user={user} /></RequireAuth>} />
+                <Route path="/orders" element={<RequireAuth user={user}><OrdersPage db={db} user={user} /></RequireAuth>} />
+                <Route path="/login" element={<LoginPage auth={auth} />} />
+                <Route path="/profile" element={<RequireAuth user={user}><ProfilePage user={user} userData={userData} auth={auth} /></RequireAuth>} />
+                <Route path="/sell" element={<RequireAuth user={user}><BecomeSellerPage db={db} user={user} userData={userData} /></RequireAuth>} />
+                <Route path="/fields" element={<RequireAuth user={user}><FieldsPage db={db} user={user} /></RequireAuth>} />
+                <Route path="/fields/:fieldId" element={<RequireAuth user={user}><FieldDetailPage db={db} user={user} /></RequireAuth>} />
+                <Route path="/diagnoses" element={<RequireAuth user={user}><MyDiagnosesPage db={db} user={user} /></RequireAuth>} />
+                <Route path="/diagnoses/:diagnosisId" element={<RequireAuth user={user}><SavedDiagnosisPage db={db} storage={storage} user={user} /></RequireAuth>} />
+                <Route path="/dashboard" element={<RequireAuth user={user}><RequireRole userData={userData} role="seller"><SellerDashboardPage db={db} storage={storage} user={user} /></RequireRole></RequireAuth>} />
+                <Route path="/admin" element={<RequireAuth user={user}><RequireRole userData={userData} role="admin"><AdminPage db={db} user={user} userData={userData} /></RequireRole></RequireAuth>} />
+                <Route path="*" element={<NotFoundPage />} />
+            </Routes>
+        );
     };
 
     return (
-        <GeminiAIProvider>
-            <div className="min-h-screen font-sans bg-gray-100">
-                <Navbar setPage={setPage} user={user} userData={userData} />
-                <main className="p-4 md:p-8">
-                    {renderPage()}
-                </main>
-                <Footer />
-                {process.env.NODE_ENV === 'development' && <EnvDebug />}
-            </div>
-        </GeminiAIProvider>
+        <LanguageProvider db={db} auth={auth} user={user} userData={userData}>
+            <GeminiAIProvider user={user} isAuthReady={isAuthReady}>
+                <QueuedAnalysisProvider db={db} storage={storage} user={user}>
+                    <CartProvider db={db} user={user}>
+                        <div className="min-h-screen font-sans bg-gray-100">
+                            <Navbar user={user} userData={userData} />
+                            <OfflineBanner />
+                            <main className="p-4 md:p-8">
+                                {renderRoutes()}
+                            </main>
+                            <Footer />
+                            {process.env.NODE_ENV === 'development' && <EnvDebug />}
+                        </div>
+                    </CartProvider>
+                </QueuedAnalysisProvider>
+            </GeminiAIProvider>
+        </LanguageProvider>
     );
 }
 
@@ -247,45 +552,101 @@ function EnvDebug() {
             zIndex: 1000
         }}>
             <div>ENV Vars:</div>
-            <div>Gemini Key: {process.env.REACT_APP_GEMINI_API_KEY ? '✅ Set' : '❌ Missing'}</div>
+            <div>Backend URL: {backendClient.baseUrl}</div>
             <div>Firebase App ID: {process.env.REACT_APP_FIREBASE_APP_ID ? '✅ Set' : '❌ Missing'}</div>
         </div>
     );
 }
 
+// --- Route Guards ---
+
+// Sends signed-out visitors to /login, remembering where they were headed
+function RequireAuth({ user, children }) {
+    const location = useLocation();
+    if (!user) {
+        return <Navigate to="/login" state={{ from: location }} replace />;
+    }
+    return children;
+}
+
+function RequireRole({ userData, role, children }) {
+    const { t } = useTranslation();
+    if (userData?.role !== role) {
+        return (
+            <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('guard.accessDenied')}</h2>
+                <p className="mb-6 text-gray-600">{t(`guard.onlyFor.${role}`)}</p>
+                <Link to="/" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goHome')}</Link>
+            </div>
+        );
+    }
+    return children;
+}
+
 // --- UI Components ---
 
-function Navbar({ setPage, user, userData }) {
+function Navbar({ user, userData }) {
+    const { itemCount } = useCart();
+    const { pendingCount } = useAnalysisQueue();
+    const { language, setLanguage, t } = useTranslation();
     return (
         <nav className="sticky top-0 z-50 bg-white shadow-md">
             <div className="px-4 mx-auto max-w-7xl sm:px-6 lg:px-8">
                 <div className="flex items-center justify-between h-16">
                     <div className="flex items-center">
                         <div className="flex-shrink-0">
-                            <span onClick={() => setPage('home')} className="flex items-center cursor-pointer">
+                            <Link to="/" className="flex items-center cursor-pointer">
                                 <svg className="w-8 h-8 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor">
                                   <path strokeLinecap="round" strokeLinejoin="round" d="M21.75 9.75v1.5a2.25 2.25 0 0 1-2.25 2.25h-5.379a1.5 1.5 0 0 1-1.06-.44L11.25 11.25l-2.625 2.625a1.5 1.5 0 0 0-1.06 2.56l5.379 5.379a2.25 2.25 0 0 1 0 3.182l-1.5 1.5a2.25 2.25 0 0 1-3.182 0l-5.379-5.379a1.5 1.5 0 0 1-.44-1.06v-5.379a2.25 2.25 0 0 1 2.25-2.25H9.75" />
                                   <path strokeLinecap="round" strokeLinejoin="round" d="m15 15 6-6m0 0-6-6m6 6H9" />
                                 </svg>
                                 <span className="ml-2 text-xl font-bold text-gray-800">AgroScan</span>
-                            </span>
+                            </Link>
                         </div>
                         <div className="hidden md:block">
                             <div className="flex items-baseline ml-10 space-x-4">
-                                <button onClick={() => setPage('home')} className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">Home</button>
-                                <button onClick={() => setPage('shop')} className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">Shop</button>
-                                <button onClick={() => setPage('analyze')} className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">AI Analyzer</button>
+                                <Link to="/" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.home')}</Link>
+                                <Link to="/shop" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.shop')}</Link>
+                                <Link to="/analyze" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">
+                                    {t('nav.analyzer')}{pendingCount > 0 && <span className="px-2 py-0.5 ml-1 text-xs font-semibold text-white bg-yellow-500 rounded-full" title={t('queue.pendingCount', { count: pendingCount })}>{pendingCount}</span>}
+                                </Link>
+                                <Link to="/diseases" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.encyclopedia')}</Link>
+                                {user && (
+                                     <Link to="/diagnoses" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.diagnoses')}</Link>
+                                )}
+                                {user && (
+                                     <Link to="/fields" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.fields')}</Link>
+                                )}
                                 {userData?.role === 'seller' && (
-                                     <button onClick={() => setPage('dashboard')} className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">Seller Dashboard</button>
+                                     <Link to="/dashboard" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.sellerDashboard')}</Link>
+                                )}
+                                {userData?.role === 'admin' && (
+                                     <Link to="/admin" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.admin')}</Link>
                                 )}
                             </div>
                         </div>
                     </div>
-                    <div className="hidden md:block">
+                    <div className="flex items-center space-x-2">
+                        <select
+                            value={language}
+                            onChange={(e) => setLanguage(e.target.value)}
+                            className="p-1 text-sm text-gray-600 bg-white border rounded-md"
+                            aria-label={t('nav.language')}
+                        >
+                            {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="items-center hidden space-x-2 md:flex">
+                        <Link to="/cart" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">
+                            {t('nav.cart')}{itemCount > 0 && <span className="px-2 py-0.5 ml-1 text-xs font-semibold text-white bg-green-600 rounded-full">{itemCount}</span>}
+                        </Link>
+                        {user && (
+                            <Link to="/orders" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.orders')}</Link>
+                        )}
                         {user ? (
-                            <button onClick={() => setPage('profile')} className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">Profile</button>
+                            <Link to="/profile" className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-green-600 hover:text-white">{t('nav.profile')}</Link>
                         ) : (
-                            <button onClick={() => setPage('login')} className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700">Login / Sign Up</button>
+                            <Link to="/login" className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700">{t('nav.login')}</Link>
                         )}
                     </div>
                 </div>
@@ -294,7 +655,21 @@ function Navbar({ setPage, user, userData }) {
     );
 }
 
-function HomePage({ setPage }) {
+function OfflineBanner() {
+    const { isOnline } = useAnalysisQueue();
+    const { t } = useTranslation();
+
+    if (isOnline) return null;
+
+    return (
+        <div className="px-4 py-2 text-sm text-center text-yellow-900 bg-yellow-100 border-b border-yellow-300" role="status">
+            {t('offline.banner')}
+        </div>
+    );
+}
+
+function HomePage() {
+    const { t } = useTranslation();
     return (
         <div className="relative overflow-hidden bg-white">
             <div className="mx-auto max-w-7xl">
@@ -302,22 +677,22 @@ function HomePage({ setPage }) {
                     <main className="px-4 mx-auto mt-10 max-w-7xl sm:mt-12 sm:px-6 md:mt-16 lg:mt-20 lg:px-8 xl:mt-28">
                         <div className="sm:text-center lg:text-left">
                             <h1 className="text-4xl font-extrabold tracking-tight text-gray-900 sm:text-5xl md:text-6xl">
-                                <span className="block xl:inline">Smarter Plant Care,</span>{' '}
-                                <span className="block text-green-600 xl:inline">Healthier Harvest</span>
+                                <span className="block xl:inline">{t('home.titleLine1')}</span>{' '}
+                                <span className="block text-green-600 xl:inline">{t('home.titleLine2')}</span>
                             </h1>
                             <p className="mt-3 text-base text-gray-500 sm:mt-5 sm:text-lg sm:max-w-xl sm:mx-auto md:mt-5 md:text-xl lg:mx-0">
-                                Use our AI to instantly detect plant diseases. Buy and sell agricultural products in our trusted marketplace. Join the future of farming.
+                                {t('home.tagline')}
                             </p>
                             <div className="mt-5 sm:mt-8 sm:flex sm:justify-center lg:justify-start">
                                 <div className="rounded-md shadow">
-                                    <button onClick={() => setPage('analyze')} className="flex items-center justify-center w-full px-8 py-3 text-base font-medium text-white bg-green-600 border border-transparent rounded-md cursor-pointer hover:bg-green-700 md:py-4 md:text-lg md:px-10">
-                                        Analyze a Plant
-                                    </button>
+                                    <Link to="/analyze" className="flex items-center justify-center w-full px-8 py-3 text-base font-medium text-white bg-green-600 border border-transparent rounded-md cursor-pointer hover:bg-green-700 md:py-4 md:text-lg md:px-10">
+                                        {t('home.analyze')}
+                                    </Link>
                                 </div>
                                 <div className="mt-3 sm:mt-0 sm:ml-3">
-                                    <button onClick={() => setPage('shop')} className="flex items-center justify-center w-full px-8 py-3 text-base font-medium text-green-700 bg-green-100 border border-transparent rounded-md cursor-pointer hover:bg-green-200 md:py-4 md:text-lg md:px-10">
-                                        Go to Shop
-                                    </button>
+                                    <Link to="/shop" className="flex items-center justify-center w-full px-8 py-3 text-base font-medium text-green-700 bg-green-100 border border-transparent rounded-md cursor-pointer hover:bg-green-200 md:py-4 md:text-lg md:px-10">
+                                        {t('common.goToShop')}
+                                    </Link>
                                 </div>
                             </div>
                         </div>
@@ -325,165 +700,699 @@ function HomePage({ setPage }) {
                 </div>
             </div>
             <div className="lg:absolute lg:inset-y-0 lg:right-0 lg:w-1/2">
-                <img className="object-cover w-full h-56 sm:h-72 md:h-96 lg:w-full lg:h-full" src="https://images.unsplash.com/photo-1523348837708-15d4a09cfac2?q=80&w=2070&auto=format&fit=crop" alt="Healthy plants"/>
+                <img className="object-cover w-full h-56 sm:h-72 md:h-96 lg:w-full lg:h-full" src="https://images.unsplash.com/photo-1523348837708-15d4a09cfac2?q=80&w=2070&auto=format&fit=crop" alt={t('home.imageAlt')}/>
             </div>
         </div>
     );
 }
 
 function ShopPage({ db }) {
+    const [searchParams, setSearchParams] = useSearchParams();
+    // Set when the shop is opened from a diagnosis, e.g. /shop?recommendedFor=Early%20Blight&ids=a,b
+    const recommendedIds = searchParams.get('ids')?.split(',').filter(Boolean);
+    const { t } = useTranslation();
+
+    return (
+        <div className="mx-auto max-w-7xl">
+            <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('shop.title')}</h1>
+            {recommendedIds ? (
+                <RecommendedProducts
+                    db={db}
+                    ids={recommendedIds}
+                    recommendedFor={searchParams.get('recommendedFor')}
+                    onShowAll={() => setSearchParams({})}
+                />
+            ) : (
+                <ProductCatalog db={db} searchParams={searchParams} setSearchParams={setSearchParams} />
+            )}
+        </div>
+    );
+}
+
+function EmptyProducts({ title, message, children }) {
+    return (
+        <div className="py-16 text-center bg-white rounded-lg shadow">
+            <svg className="w-12 h-12 mx-auto text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true"><path vectorEffect="non-scaling-stroke" strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 13h6m-3-3v6m-9 1V7a2 2 0 012-2h6l2 2h6a2 2 0 012 2v8a2 2 0 01-2 2H5a2 2 0 01-2-2z" /></svg>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">{title}</h3>
+            <p className="mt-1 text-sm text-gray-500">{message}</p>
+            {children}
+        </div>
+    );
+}
+
+function RecommendedProducts({ db, ids, recommendedFor, onShowAll }) {
+    const { t } = useTranslation();
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
+    const idsKey = ids.join(',');
 
     useEffect(() => {
         if (!db) return;
-        
-        const productsCollection = collection(db, `artifacts/${firebaseConfig.appId}/public/data/products`);
-        const q = query(productsCollection, where("isApproved", "==", true));
-
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const productsData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setProducts(productsData);
-            setLoading(false);
-        }, (error) => {
-            console.error("Error fetching products: ", error);
-            setLoading(false);
-        });
-
-        return () => unsubscribe();
-    }, [db]);
-    
-    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+        let cancelled = false;
+        setLoading(true);
+        fetchProductsByIds(db, idsKey.split(','))
+            .then(found => { if (!cancelled) setProducts(found); })
+            .catch(error => console.error("Error fetching recommended products: ", error))
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [db, idsKey]);
 
     return (
-        <div className="mx-auto max-w-7xl">
-            <h1 className="mb-6 text-3xl font-bold text-gray-900">Marketplace</h1>
-            {products.length === 0 ? (
-                <div className="py-16 text-center bg-white rounded-lg shadow">
-                    <svg className="w-12 h-12 mx-auto text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true"><path vectorEffect="non-scaling-stroke" strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 13h6m-3-3v6m-9 1V7a2 2 0 012-2h6l2 2h6a2 2 0 012 2v8a2 2 0 01-2 2H5a2 2 0 01-2-2z" /></svg>
-                    <h3 className="mt-2 text-sm font-medium text-gray-900">No products available</h3>
-                    <p className="mt-1 text-sm text-gray-500">Check back later for new items!</p>
-                </div>
+        <>
+            <div className="flex items-center justify-between px-4 py-3 mb-6 text-green-800 bg-green-100 rounded-lg">
+                <p className="text-sm">{t('shop.recommendedFor')} <span className="font-semibold">{recommendedFor}</span></p>
+                <button onClick={onShowAll} className="px-3 py-1 text-xs font-semibold text-green-800 bg-green-200 rounded-full hover:bg-green-300">{t('shop.showAll')}</button>
+            </div>
+            {loading ? (
+                <div className="flex items-center justify-center h-64"><div className="loader"></div></div>
+            ) : products.length === 0 ? (
+                <EmptyProducts title={t('shop.noProducts')} message={t('shop.recommendedUnavailable')} />
             ) : (
                 <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
                     {products.map(product => <ProductCard key={product.id} product={product} />)}
                 </div>
             )}
-        </div>
+        </>
+    );
+}
+
+// Search, category facets, price range and sort, all kept in the URL so a
+// filtered view can be shared or bookmarked
+function ProductCatalog({ db, searchParams, setSearchParams }) {
+    const filters = useMemo(() => parseShopFilters(searchParams), [searchParams]);
+    const { products, loading, loadingMore, hasMore, error, loadMore } = useShopProducts(db, filters);
+    const { t } = useTranslation();
+    const [searchDraft, setSearchDraft] = useState(filters.search);
+    const [priceDraft, setPriceDraft] = useState({ min: '', max: '' });
+
+    // Keep the inputs in step with the URL, e.g. after back/forward navigation
+    useEffect(() => setSearchDraft(filters.search), [filters.search]);
+    useEffect(() => setPriceDraft({ min: filters.minPrice ?? '', max: filters.maxPrice ?? '' }), [filters.minPrice, filters.maxPrice]);
+
+    const updateFilters = (changes) => setSearchParams(shopFiltersToParams({ ...filters, ...changes }));
+    const hasActiveFilters = Boolean(filters.search || filters.category || filters.minPrice != null || filters.maxPrice != null);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilters({ search: searchDraft });
+    };
+
+    const handlePriceFilter = (e) => {
+        e.preventDefault();
+        const toPrice = (value) => (value === '' ? null : Math.max(0, Number(value)));
+        let [minPrice, maxPrice] = [toPrice(priceDraft.min), toPrice(priceDraft.max)];
+        if (minPrice != null && maxPrice != null && minPrice > maxPrice) [minPrice, maxPrice] = [maxPrice, minPrice];
+        updateFilters({ minPrice, maxPrice });
+    };
+
+    return (
+        <>
+            <div className="flex flex-col gap-3 mb-6 md:flex-row">
+                <form onSubmit={handleSearch} className="flex flex-grow">
+                    <input
+                        type="search"
+                        value={searchDraft}
+                        onChange={(e) => setSearchDraft(e.target.value)}
+                        placeholder={t('shop.searchPlaceholder')}
+                        className="flex-grow p-2 border rounded-l-md"
+                    />
+                    <button type="submit" className="px-4 py-2 text-white bg-green-600 rounded-r-md hover:bg-green-700">{t('shop.search')}</button>
+                </form>
+                <select
+                    value={filters.sort}
+                    onChange={(e) => updateFilters({ sort: e.target.value })}
+                    className="p-2 bg-white border rounded-md"
+                    aria-label={t('shop.sortLabel')}
+                >
+                    {Object.keys(SHOP_SORTS).map(id => <option key={id} value={id}>{t(`shop.sort.${id}`)}</option>)}
+                </select>
+            </div>
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-4">
+                <aside className="p-4 space-y-6 bg-white rounded-lg shadow h-fit">
+                    <div>
+                        <h2 className="mb-2 text-sm font-semibold text-gray-700 uppercase">{t('shop.category')}</h2>
+                        <ul className="space-y-1">
+                            {['', ...PRODUCT_CATEGORIES].map(category => (
+                                <li key={category || 'all'}>
+                                    <button
+                                        onClick={() => updateFilters({ category })}
+                                        className={`w-full px-2 py-1 text-sm text-left rounded ${filters.category === category ? 'bg-green-100 text-green-800 font-semibold' : 'text-gray-600 hover:bg-gray-100'}`}
+                                    >
+                                        {category ? t(`category.${category}`, { defaultValue: category }) : t('shop.allCategories')}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                    <form onSubmit={handlePriceFilter}>
+                        <h2 className="mb-2 text-sm font-semibold text-gray-700 uppercase">{t('shop.price')}</h2>
+                        <div className="flex items-center space-x-2">
+                            <input type="number" min="0" value={priceDraft.min} onChange={(e) => setPriceDraft({ ...priceDraft, min: e.target.value })} placeholder={t('shop.min')} className="w-full p-2 text-sm border rounded" />
+                            <span className="text-gray-400">–</span>
+                            <input type="number" min="0" value={priceDraft.max} onChange={(e) => setPriceDraft({ ...priceDraft, max: e.target.value })} placeholder={t('shop.max')} className="w-full p-2 text-sm border rounded" />
+                        </div>
+                        <button type="submit" className="w-full px-3 py-1 mt-2 text-sm font-semibold text-green-800 bg-green-100 rounded hover:bg-green-200">{t('shop.apply')}</button>
+                    </form>
+                    {hasActiveFilters && (
+                        <button onClick={() => setSearchParams(shopFiltersToParams({ sort: filters.sort }))} className="w-full text-sm text-gray-500 underline hover:text-gray-700">{t('shop.clearFilters')}</button>
+                    )}
+                </aside>
+                <div className="lg:col-span-3">
+                    {error && <p className="mb-4 text-sm text-red-600">{t(error)}</p>}
+                    {loading ? (
+                        <div className="flex items-center justify-center h-64"><div className="loader"></div></div>
+                    ) : products.length === 0 ? (
+                        hasActiveFilters
+                            ? <EmptyProducts title={t('shop.noMatches')} message={t('shop.noMatchesHint')} />
+                            : <EmptyProducts title={t('shop.noProducts')} message={t('shop.checkBackLater')} />
+                    ) : (
+                        <>
+                            <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-3">
+                                {products.map(product => <ProductCard key={product.id} product={product} />)}
+                            </div>
+                            {hasMore && (
+                                <div className="mt-8 text-center">
+                                    <button onClick={loadMore} disabled={loadingMore} className="px-6 py-2 font-semibold text-green-800 bg-green-100 rounded-md hover:bg-green-200 disabled:opacity-50">
+                                        {loadingMore ? t('common.loading') : t('shop.loadMore')}
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </>
     );
 }
 
 function ProductCard({ product }) {
+    const { t, language } = useTranslation();
     return (
         <div className="overflow-hidden transition-transform transform bg-white rounded-lg shadow-lg hover:-translate-y-1">
-            <img className="object-cover w-full h-48" src={product.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={product.name} />
+            <img className="object-cover w-full h-48" src={product.thumbnailUrl || product.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={product.name} />
             <div className="flex flex-col flex-grow p-4">
                 <h3 className="flex-grow text-lg font-semibold text-gray-800">{product.name}</h3>
-                <p className="mt-1 text-sm text-gray-500">{product.category}</p>
+                <p className="mt-1 text-sm text-gray-500">{t(`category.${product.category}`, { defaultValue: product.category })}</p>
                 <div className="flex items-center justify-between mt-4">
-                    <p className="text-xl font-bold text-green-600">${product.price}</p>
-                    <button className="px-3 py-1 text-xs font-semibold text-green-800 bg-green-100 rounded-full hover:bg-green-200">View</button>
+                    <p className="text-xl font-bold text-green-600">{formatPrice(product, 'price', language)}</p>
+                    <Link to={`/shop/${product.id}`} className="px-3 py-1 text-xs font-semibold text-green-800 bg-green-100 rounded-full hover:bg-green-200">{t('product.view')}</Link>
                 </div>
             </div>
         </div>
     );
 }
 
-function LoginPage({ auth, setPage }) {
-    const [email, setEmail] = useState('');
-    const [password, setPassword] = useState('');
-    const [isSignUp, setIsSignUp] = useState(false);
-    const [error, setError] = useState('');
-
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        setError('');
-        try {
-            if (!auth) {
-                throw new Error('Authentication service not ready. Please try again.');
-            }
-            
-            if (isSignUp) {
-                await createUserWithEmailAndPassword(auth, email, password);
-            } else {
-                await signInWithEmailAndPassword(auth, email, password);
-            }
-            setPage('home');
-        } catch (err) {
-            console.error('Auth Error:', err);
-            setError(err.message || 'An error occurred during authentication. Please try again.');
-        }
-    };
+// Products carry the seller-side ViT prediction, e.g. "Corn - Healthy" or "No disease detected"
+const isHealthyPrediction = (prediction) => !prediction || /healthy|no disease/i.test(prediction);
 
+function CropHealthBadge({ prediction }) {
+    const healthy = isHealthyPrediction(prediction);
+    const { t } = useTranslation();
     return (
-        <div className="max-w-md p-8 mx-auto mt-10 bg-white shadow-lg rounded-xl">
-            <h2 className="mb-6 text-2xl font-bold text-center">{isSignUp ? 'Create an Account' : 'Welcome Back!'}</h2>
-            {error && <p className="p-3 mb-4 text-red-700 bg-red-100 rounded-md">{error}</p>}
-            <form onSubmit={handleSubmit}>
-                <div className="mb-4">
-                    <label className="block text-gray-700">Email</label>
-                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-green-500" required />
-                </div>
-                <div className="mb-6">
-                    <label className="block text-gray-700">Password</label>
-                    <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-green-500" required />
-                </div>
-                <button type="submit" className="w-full py-2 text-white transition-colors bg-green-600 rounded-md hover:bg-green-700">
-                    {isSignUp ? 'Sign Up' : 'Login'}
-                </button>
-            </form>
-            <p className="mt-4 text-sm text-center">
-                {isSignUp ? 'Already have an account?' : "Don't have an account?"}
-                <button onClick={() => setIsSignUp(!isSignUp)} className="ml-1 font-semibold text-green-600 hover:underline">
-                    {isSignUp ? 'Login' : 'Sign Up'}
-                </button>
-            </p>
-        </div>
+        <span className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full ${healthy ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+            {t('product.cropHealth', { prediction: prediction || t('product.noDisease') })}
+        </span>
     );
 }
 
-function ProfilePage({ user, userData, auth, setPage }) {
-    const handleLogout = async () => {
-        await signOut(auth);
-        setPage('home');
+function ProductDetailPage({ db, user, userData }) {
+    const { productId } = useParams();
+    const { addItem } = useCart();
+    const [quantity, setQuantity] = useState(1);
+    const [cartMessage, setCartMessage] = useState('');
+    const [product, setProduct] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [activeImage, setActiveImage] = useState(0);
+    const [relatedProducts, setRelatedProducts] = useState([]);
+    const [shareMessage, setShareMessage] = useState('');
+    const { t, language } = useTranslation();
+
+    useEffect(() => {
+        if (!db || !productId) return;
+        setLoading(true);
+        setActiveImage(0);
+        const unsubscribe = onSnapshot(doc(db, `/artifacts/${firebaseConfig.appId}/public/data/products`, productId), (docSnap) => {
+            setProduct(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching product: ", error);
+            setProduct(null);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [db, productId]);
+
+    const category = product?.category;
+    useEffect(() => {
+        if (!db || !category) return;
+        const q = query(
+            collection(db, `/artifacts/${firebaseConfig.appId}/public/data/products`),
+            where("isApproved", "==", true),
+            where("category", "==", category),
+            limit(5)
+        );
+        getDocs(q)
+            .then(querySnapshot => setRelatedProducts(querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(p => p.id !== productId && isListed(p))
+                .slice(0, 4)))
+            .catch(error => console.error("Error fetching related products: ", error));
+    }, [db, category, productId]);
+
+    const handleShare = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setShareMessage(t('product.linkCopied'));
+        } catch (error) {
+            setShareMessage(window.location.href);
+        }
     };
 
-    if (!user) {
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    // Unapproved listings are only visible to their seller and to admins
+    const canView = product && ((product.isApproved && !product.archived) || product.sellerId === user?.uid || userData?.role === 'admin');
+    if (!canView) {
         return (
             <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
-                 <h2 className="mb-4 text-2xl font-bold">You are not logged in</h2>
-                 <p className="mb-6 text-gray-600">Please log in to view your profile.</p>
-                 <button onClick={() => setPage('login')} className="px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">Go to Login</button>
+                <h2 className="mb-4 text-2xl font-bold">{t('product.notFound')}</h2>
+                <p className="mb-6 text-gray-600">{t('product.notFoundHint')}</p>
+                <Link to="/shop" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('product.backToShop')}</Link>
             </div>
         );
     }
 
-    return (
-        <div className="max-w-lg p-8 mx-auto bg-white shadow-lg rounded-xl">
-            <h2 className="mb-4 text-2xl font-bold">My Profile</h2>
-            <p className="mb-2"><strong>Email:</strong> {user.email}</p>
-            <p className="mb-4"><strong>User Role:</strong> <span className="px-2 py-1 text-sm font-semibold text-blue-800 capitalize bg-blue-200 rounded-full">{userData?.role}</span></p>
-             {userData?.role === 'buyer' && (
-                <button onClick={() => setPage('sell')} className="w-full py-2 mb-4 text-white transition-colors bg-yellow-500 rounded-md hover:bg-yellow-600">
-                    Become a Seller
-                </button>
-            )}
-            <button onClick={handleLogout} className="w-full py-2 text-white transition-colors bg-red-600 rounded-md hover:bg-red-700">
-                Logout
-            </button>
-        </div>
-    );
-}
+    const handleAddToCart = async () => {
+        try {
+            await addItem(product, quantity);
+            setCartMessage(t('product.added', { quantity }));
+        } catch (error) {
+            console.error("Error adding to cart: ", error);
+            setCartMessage(t('product.addFailed'));
+        }
+    };
 
-function BecomeSellerPage({ db, user, userData, setPage }) {
-    const [message, setMessage] = useState('');
-    const [status, setStatus] = useState(''); // 'success' or 'error'
+    const images = product.images?.length ? product.images : [{ imageUrl: product.imageUrl, thumbnailUrl: product.thumbnailUrl }];
+    const stock = product.stock ?? null;
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    return (
+        <div className="mx-auto space-y-8 max-w-7xl">
+            <Link to="/shop" className="text-sm font-semibold text-green-600 hover:underline">&larr; {t('product.backToShop')}</Link>
+            <div className="grid grid-cols-1 gap-8 p-6 bg-white shadow-lg md:grid-cols-2 rounded-xl">
+                <div>
+                    <img className="object-cover w-full rounded-lg h-96" src={images[activeImage]?.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={product.name} />
+                    {images.length > 1 && (
+                        <div className="flex mt-4 space-x-2 overflow-x-auto">
+                            {images.map((image, i) => (
+                                <button key={image.imagePath || i} onClick={() => setActiveImage(i)} className={`flex-shrink-0 border-2 rounded ${i === activeImage ? 'border-green-600' : 'border-transparent'}`}>
+                                    <img className="object-cover w-16 h-16 rounded" src={image.thumbnailUrl || image.imageUrl} alt={`${product.name} ${i + 1}`} />
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <div className="space-y-4">
+                    <h1 className="text-3xl font-bold text-gray-900">{product.name}</h1>
+                    <p className="text-sm text-gray-500">{t(`category.${product.category}`, { defaultValue: product.category })}</p>
+                    <p className="text-3xl font-bold text-green-600">{formatPrice(product, 'price', language)}</p>
+                    <CropHealthBadge prediction={product.diseasePrediction} />
+                    {stock !== null && (
+                        <p className={`text-sm font-medium ${stock > 0 ? 'text-gray-700' : 'text-red-600'}`}>
+                            {stock > 0 ? t('product.inStock', { count: stock }) : t('product.outOfStock')}
+                        </p>
+                    )}
+                    {isListed(product) && (
+                        <div className="flex items-center space-x-3">
+                            <input
+                                type="number"
+                                min="1"
+                                max={stock ?? undefined}
+                                value={quantity}
+                                onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                                className="w-20 p-2 text-center border rounded"
+                                aria-label={t('product.quantity')}
+                            />
+                            <button onClick={handleAddToCart} className="px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('product.addToCart')}</button>
+                            <Link to="/cart" className="text-sm font-semibold text-green-600 hover:underline">{t('product.viewCart')}</Link>
+                        </div>
+                    )}
+                    {cartMessage && <p className="text-sm text-gray-600">{cartMessage}</p>}
+                    <p className="text-gray-600 whitespace-pre-wrap">{product.description || t('product.noDescription')}</p>
+                    <div className="p-3 border rounded-lg bg-gray-50">
+                        <h3 className="font-semibold">{t('product.seller')}</h3>
+                        <p className="text-sm text-gray-600">{product.sellerEmail || t('product.verifiedSeller')}</p>
+                    </div>
+                    <button onClick={handleShare} className="px-4 py-2 text-sm font-semibold text-green-800 bg-green-100 rounded-md hover:bg-green-200">{t('product.share')}</button>
+                    {shareMessage && <p className="text-xs text-gray-500 break-all">{shareMessage}</p>}
+                </div>
+            </div>
+            {relatedProducts.length > 0 && (
+                <div>
+                    <h2 className="mb-4 text-2xl font-bold">{t('product.related')}</h2>
+                    <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-4">
+                        {relatedProducts.map(p => <ProductCard key={p.id} product={p} />)}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function CartPage() {
+    const { items, isReady, subtotalMinor, currency, updateQuantity, removeItem } = useCart();
+    const { t, language } = useTranslation();
+
+    if (!isReady) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    if (items.length === 0) {
+        return (
+            <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('cart.empty')}</h2>
+                <p className="mb-6 text-gray-600">{t('cart.emptyHint')}</p>
+                <Link to="/shop" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goToShop')}</Link>
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid max-w-5xl grid-cols-1 gap-8 mx-auto lg:grid-cols-3">
+            <div className="p-6 bg-white shadow-lg lg:col-span-2 rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('cart.title')}</h2>
+                <div className="space-y-4">
+                    {items.map(item => (
+                        <div key={item.productId} className="flex items-center justify-between p-3 border rounded-md">
+                            <div className="flex items-center">
+                                <img src={item.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={item.name} className="object-cover w-16 h-16 mr-4 rounded" />
+                                <div>
+                                    <Link to={`/shop/${item.productId}`} className="font-semibold hover:underline">{item.name}</Link>
+                                    <p className="text-sm text-gray-500">{t('cart.each', { price: formatPrice(item, 'price', language) })}</p>
+                                </div>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={item.quantity}
+                                    onChange={(e) => updateQuantity(item.productId, Math.max(1, parseInt(e.target.value, 10) || 1))}
+                                    className="w-16 p-1 text-center border rounded"
+                                    aria-label={t('cart.quantityOf', { name: item.name })}
+                                />
+                                <p className="w-24 font-semibold text-right">{formatMoney(amountMinor(item, 'price') * item.quantity, currencyOf(item), language)}</p>
+                                <button onClick={() => removeItem(item.productId)} className="px-2 py-1 text-xs font-semibold text-red-700 bg-red-100 rounded-full hover:bg-red-200">{t('cart.remove')}</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="p-6 bg-white shadow-lg rounded-xl h-fit">
+                <h2 className="mb-4 text-2xl font-bold">{t('cart.summary')}</h2>
+                <div className="flex justify-between mb-2"><span>{t('cart.subtotal')}</span><span className="font-semibold">{formatMoney(subtotalMinor, currency, language)}</span></div>
+                <p className="mb-4 text-xs text-gray-500">{t('cart.confirmedAtCheckout')}</p>
+                <Link to="/checkout" className="block w-full py-2 text-center text-white bg-green-600 rounded-md hover:bg-green-700">{t('cart.checkout')}</Link>
+            </div>
+        </div>
+    );
+}
+
+const EMPTY_ADDRESS = { fullName: '', phone: '', line1: '', line2: '', city: '', state: '', postalCode: '' };
+
+function CheckoutPage({ db, user }) {
+    const navigate = useNavigate();
+    const { items, isReady, subtotalMinor, currency, clearCart } = useCart();
+    const paymentProviders = useMemo(() => createPaymentProviders(), []);
+    const [address, setAddress] = useState(EMPTY_ADDRESS);
+    const [paymentProviderId, setPaymentProviderId] = useState(PAYMENT_PROVIDER_IDS.CASH_ON_DELIVERY);
+    const [isPlacing, setIsPlacing] = useState(false);
+    const [error, setError] = useState('');
+    const { t, language } = useTranslation();
+
+    const updateAddress = (field) => (e) => setAddress({ ...address, [field]: e.target.value });
+
+    const handlePlaceOrder = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsPlacing(true);
+        try {
+            const order = await placeOrder(db, {
+                user,
+                items,
+                deliveryAddress: address,
+                paymentProvider: paymentProviders.find(p => p.id === paymentProviderId),
+            });
+            await clearCart();
+            navigate('/orders', { state: { placedOrderId: order.id } });
+        } catch (err) {
+            console.error('Error placing order:', err);
+            setError(err instanceof OrderError ? t(err.key, err.params) : t('checkout.failed'));
+            setIsPlacing(false);
+        }
+    };
+
+    if (!isReady) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+    if (items.length === 0 && !isPlacing) return <Navigate to="/cart" replace />;
+
+    return (
+        <form onSubmit={handlePlaceOrder} className="grid max-w-5xl grid-cols-1 gap-8 mx-auto lg:grid-cols-3">
+            <div className="p-6 space-y-4 bg-white shadow-lg lg:col-span-2 rounded-xl">
+                <h2 className="text-2xl font-bold">{t('checkout.address')}</h2>
+                <input type="text" value={address.fullName} onChange={updateAddress('fullName')} placeholder={t('checkout.fullName')} className="w-full p-2 border rounded" required />
+                <input type="tel" value={address.phone} onChange={updateAddress('phone')} placeholder={t('checkout.phone')} className="w-full p-2 border rounded" required />
+                <input type="text" value={address.line1} onChange={updateAddress('line1')} placeholder={t('checkout.line1')} className="w-full p-2 border rounded" required />
+                <input type="text" value={address.line2} onChange={updateAddress('line2')} placeholder={t('checkout.line2')} className="w-full p-2 border rounded" />
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+                    <input type="text" value={address.city} onChange={updateAddress('city')} placeholder={t('checkout.city')} className="w-full p-2 border rounded" required />
+                    <input type="text" value={address.state} onChange={updateAddress('state')} placeholder={t('checkout.state')} className="w-full p-2 border rounded" required />
+                    <input type="text" value={address.postalCode} onChange={updateAddress('postalCode')} placeholder={t('checkout.postalCode')} className="w-full p-2 border rounded" required />
+                </div>
+                <h2 className="pt-4 text-2xl font-bold">{t('checkout.payment')}</h2>
+                <div className="space-y-2">
+                    {paymentProviders.map(provider => (
+                        <label key={provider.id} className="flex items-start p-3 border rounded-md cursor-pointer">
+                            <input type="radio" name="payment" value={provider.id} checked={paymentProviderId === provider.id} onChange={() => setPaymentProviderId(provider.id)} className="mt-1 mr-3" />
+                            <span>
+                                <span className="block font-semibold">{t(`payment.${provider.id}.label`, { defaultValue: provider.label })}</span>
+                                <span className="block text-sm text-gray-500">{t(`payment.${provider.id}.description`, { defaultValue: provider.description })}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+            </div>
+            <div className="p-6 bg-white shadow-lg rounded-xl h-fit">
+                <h2 className="mb-4 text-2xl font-bold">{t('checkout.summary')}</h2>
+                <div className="mb-4 space-y-2">
+                    {items.map(item => (
+                        <div key={item.productId} className="flex justify-between text-sm">
+                            <span>{item.name} × {item.quantity}</span>
+                            <span>{formatMoney(amountMinor(item, 'price') * item.quantity, currencyOf(item), language)}</span>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-between pt-2 mb-1 border-t"><span>{t('cart.subtotal')}</span><span>{formatMoney(subtotalMinor, currency, language)}</span></div>
+                <div className="flex justify-between mb-4"><span>{t('checkout.delivery')}</span><span>{DELIVERY_FEE_MINOR ? formatMoney(DELIVERY_FEE_MINOR, currency, language) : t('checkout.free')}</span></div>
+                <div className="flex justify-between mb-4 text-lg font-bold"><span>{t('checkout.total')}</span><span>{formatMoney(subtotalMinor + DELIVERY_FEE_MINOR, currency, language)}</span></div>
+                {error && <p className="p-3 mb-4 text-sm text-red-700 bg-red-100 rounded-md">{error}</p>}
+                <button type="submit" disabled={isPlacing} className="w-full py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400">
+                    {isPlacing ? t('checkout.placing') : t('checkout.place')}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+const ORDER_STATUS_STYLES = {
+    new: 'bg-blue-200 text-blue-800',
+    accepted: 'bg-indigo-200 text-indigo-800',
+    shipped: 'bg-yellow-200 text-yellow-800',
+    delivered: 'bg-green-200 text-green-800',
+    cancelled: 'bg-red-200 text-red-800',
+};
+
+function OrderStatusBadge({ status }) {
+    const { t } = useTranslation();
+    return (
+        <span className={`px-2 py-1 text-xs font-semibold capitalize rounded-full ${ORDER_STATUS_STYLES[status] || 'bg-gray-200 text-gray-800'}`}>
+            {t(`order.status.${status}`, { defaultValue: status })}
+        </span>
+    );
+}
+
+function OrdersPage({ db, user }) {
+    const location = useLocation();
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const placedOrderId = location.state?.placedOrderId;
+    const { t, language } = useTranslation();
+
+    useEffect(() => {
+        if (!db || !user) return;
+        return subscribeToBuyerOrders(db, user.uid, (data) => {
+            setOrders(data);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching orders: ", error);
+            setLoading(false);
+        });
+    }, [db, user]);
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    return (
+        <div className="max-w-5xl mx-auto">
+            <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('orders.title')}</h1>
+            {placedOrderId && (
+                <p className="p-3 mb-6 text-green-800 bg-green-100 rounded-md">{t('orders.placed')}</p>
+            )}
+            {orders.length === 0 ? (
+                <div className="py-16 text-center bg-white rounded-lg shadow">
+                    <h3 className="mt-2 text-sm font-medium text-gray-900">{t('orders.none')}</h3>
+                    <Link to="/shop" className="inline-block px-6 py-2 mt-4 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goToShop')}</Link>
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    {orders.map(order => (
+                        <div key={order.id} className={`p-6 bg-white shadow-lg rounded-xl ${order.id === placedOrderId ? 'ring-2 ring-green-500' : ''}`}>
+                            <div className="flex items-center justify-between mb-4">
+                                <div>
+                                    <p className="font-semibold">{t('orders.number', { number: order.id.slice(0, 8).toUpperCase() })}</p>
+                                    <p className="text-sm text-gray-500">{order.createdAt?.toDate ? order.createdAt.toDate().toLocaleString() : ''}</p>
+                                </div>
+                                <OrderStatusBadge status={order.status} />
+                            </div>
+                            <div className="space-y-1">
+                                {order.items.map(line => (
+                                    <div key={line.productId} className="flex items-center justify-between text-sm">
+                                        <span>
+                                            {line.name} × {line.quantity}
+                                            {/* Each seller handles their own items, so they can be at different stages */}
+                                            {order.sellerIds?.length > 1 && <span className="ml-2"><OrderStatusBadge status={sellerStatusOf(order, line.sellerId)} /></span>}
+                                        </span>
+                                        <span>{formatPrice(line, 'lineTotal', language)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className="flex justify-between pt-2 mt-2 font-bold border-t">
+                                <span>{t('checkout.total')}</span>
+                                <span>{formatPrice(order, 'total', language)}</span>
+                            </div>
+                            <OrderTimeline history={order.statusHistory} />
+                            <p className="mt-2 text-xs text-gray-500">
+                                {t('orders.deliverTo', { name: order.deliveryAddress?.fullName, city: order.deliveryAddress?.city })} · {t('orders.payment', {
+                                    provider: t(`payment.${order.payment?.provider}.label`, { defaultValue: order.payment?.provider }),
+                                    status: order.payment?.status,
+                                })}
+                            </p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function LoginPage({ auth }) {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSignUp, setIsSignUp] = useState(false);
+    const [error, setError] = useState('');
+    const { t } = useTranslation();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            if (!auth) {
+                throw new Error(t('login.notReady'));
+            }
+            
+            if (isSignUp) {
+                await createUserWithEmailAndPassword(auth, email, password);
+            } else {
+                await signInWithEmailAndPassword(auth, email, password);
+            }
+            // Return to the guarded page that sent the user here, if any
+            navigate(location.state?.from?.pathname || '/', { replace: true });
+        } catch (err) {
+            console.error('Auth Error:', err);
+            setError(err.message || t('login.failed'));
+        }
+    };
+
+    return (
+        <div className="max-w-md p-8 mx-auto mt-10 bg-white shadow-lg rounded-xl">
+            <h2 className="mb-6 text-2xl font-bold text-center">{isSignUp ? t('login.createAccount') : t('login.welcomeBack')}</h2>
+            {error && <p className="p-3 mb-4 text-red-700 bg-red-100 rounded-md">{error}</p>}
+            <form onSubmit={handleSubmit}>
+                <div className="mb-4">
+                    <label className="block text-gray-700">{t('login.email')}</label>
+                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-green-500" required />
+                </div>
+                <div className="mb-6">
+                    <label className="block text-gray-700">{t('login.password')}</label>
+                    <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-green-500" required />
+                </div>
+                <button type="submit" className="w-full py-2 text-white transition-colors bg-green-600 rounded-md hover:bg-green-700">
+                    {isSignUp ? t('login.signUp') : t('login.login')}
+                </button>
+            </form>
+            <p className="mt-4 text-sm text-center">
+                {isSignUp ? t('login.haveAccount') : t('login.noAccount')}
+                <button onClick={() => setIsSignUp(!isSignUp)} className="ml-1 font-semibold text-green-600 hover:underline">
+                    {isSignUp ? t('login.login') : t('login.signUp')}
+                </button>
+            </p>
+        </div>
+    );
+}
+
+function ProfilePage({ user, userData, auth }) {
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    const handleLogout = async () => {
+        // Leave the guarded /profile route first so the guard doesn't bounce us to /login
+        navigate('/');
+        await signOut(auth);
+    };
+
+    if (!user) {
+        return (
+            <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+                 <h2 className="mb-4 text-2xl font-bold">{t('common.notLoggedIn')}</h2>
+                 <p className="mb-6 text-gray-600">{t('profile.loginToView')}</p>
+                 <Link to="/login" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goToLogin')}</Link>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-lg p-8 mx-auto bg-white shadow-lg rounded-xl">
+            <h2 className="mb-4 text-2xl font-bold">{t('profile.title')}</h2>
+            <p className="mb-2"><strong>{t('profile.email')}</strong> {user.email}</p>
+            <p className="mb-4"><strong>{t('profile.role')}</strong> <span className="px-2 py-1 text-sm font-semibold text-blue-800 capitalize bg-blue-200 rounded-full">{userData?.role && t(`role.${userData.role}`, { defaultValue: userData.role })}</span></p>
+             {userData?.role === 'buyer' && (
+                <Link to="/sell" className="w-full py-2 mb-4 text-white transition-colors bg-yellow-500 rounded-md hover:bg-yellow-600">
+                    {t('profile.becomeSeller')}
+                </Link>
+            )}
+            <button onClick={handleLogout} className="w-full py-2 text-white transition-colors bg-red-600 rounded-md hover:bg-red-700">
+                {t('profile.logout')}
+            </button>
+        </div>
+    );
+}
+
+function BecomeSellerPage({ db, user, userData }) {
+    const [message, setMessage] = useState('');
+    const [status, setStatus] = useState(''); // 'success' or 'error'
+    const { t } = useTranslation();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
         if (!user || !db) {
             setStatus('error');
-            setMessage('You must be logged in to send a request.');
+            setMessage(t('becomeSeller.mustLogIn'));
             return;
         }
 
@@ -494,7 +1403,7 @@ function BecomeSellerPage({ db, user, userData, setPage }) {
 
             if (!existingRequests.empty) {
                 setStatus('error');
-                setMessage('You have already submitted a seller request.');
+                setMessage(t('becomeSeller.alreadyRequested'));
                 return;
             }
 
@@ -505,20 +1414,20 @@ function BecomeSellerPage({ db, user, userData, setPage }) {
                 requestedAt: new Date()
             });
             setStatus('success');
-            setMessage('Your request to become a seller has been submitted! An admin will review it shortly.');
+            setMessage(t('becomeSeller.submitted'));
         } catch (error) {
             console.error("Error submitting seller request:", error);
             setStatus('error');
-            setMessage('An error occurred. Please try again.');
+            setMessage(t('common.errorTryAgain'));
         }
     };
     
     if (!user) {
         return (
              <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
-                 <h2 className="mb-4 text-2xl font-bold">Authentication Required</h2>
-                 <p className="mb-6 text-gray-600">Please log in to apply to be a seller.</p>
-                 <button onClick={() => setPage('login')} className="px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">Go to Login</button>
+                 <h2 className="mb-4 text-2xl font-bold">{t('becomeSeller.authRequired')}</h2>
+                 <p className="mb-6 text-gray-600">{t('becomeSeller.loginToApply')}</p>
+                 <Link to="/login" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goToLogin')}</Link>
             </div>
         )
     }
@@ -526,17 +1435,17 @@ function BecomeSellerPage({ db, user, userData, setPage }) {
      if (userData?.role === 'seller') {
         return (
             <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
-                <h2 className="mb-4 text-2xl font-bold text-green-700">You are already a Seller!</h2>
-                <p className="text-gray-600">You can start listing your products from your seller dashboard.</p>
-                <button onClick={() => setPage('dashboard')} className="px-6 py-2 mt-4 text-white bg-green-600 rounded-md hover:bg-green-700">Go to Dashboard</button>
+                <h2 className="mb-4 text-2xl font-bold text-green-700">{t('becomeSeller.alreadySeller')}</h2>
+                <p className="text-gray-600">{t('becomeSeller.startListing')}</p>
+                <Link to="/dashboard" className="inline-block px-6 py-2 mt-4 text-white bg-green-600 rounded-md hover:bg-green-700">{t('becomeSeller.goToDashboard')}</Link>
             </div>
         )
     }
 
     return (
         <div className="max-w-lg p-8 mx-auto bg-white shadow-lg rounded-xl">
-            <h2 className="mb-4 text-2xl font-bold">Become a Seller</h2>
-            <p className="mb-6 text-gray-600">Join our marketplace to sell your products to a wide audience. Submit your request, and our admin team will review your profile for verification.</p>
+            <h2 className="mb-4 text-2xl font-bold">{t('becomeSeller.title')}</h2>
+            <p className="mb-6 text-gray-600">{t('becomeSeller.intro')}</p>
             {message && (
                 <div className={`p-3 rounded-md mb-4 ${status === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-700'}`}>
                     {message}
@@ -544,25 +1453,212 @@ function BecomeSellerPage({ db, user, userData, setPage }) {
             )}
             <form onSubmit={handleSubmit}>
                 <button type="submit" className="w-full py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400" disabled={!!message}>
-                    Submit Seller Request
+                    {t('becomeSeller.submit')}
                 </button>
             </form>
         </div>
     );
 }
 
-function SellerDashboardPage({ db, user }) {
+function AdminPage({ db, user, userData }) {
+    const [sellerRequests, setSellerRequests] = useState([]);
+    const [pendingProducts, setPendingProducts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [feedback, setFeedback] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [isBackfilling, setIsBackfilling] = useState(false);
+    const { t, language } = useTranslation();
+
+    const isAdmin = userData?.role === 'admin';
+
+    useEffect(() => {
+        if (!db || !isAdmin) return;
+
+        const requestsQuery = query(
+            collection(db, `/artifacts/${firebaseConfig.appId}/public/data/sellerRequests`),
+            where("status", "==", "pending")
+        );
+        const productsQuery = query(
+            collection(db, `/artifacts/${firebaseConfig.appId}/public/data/products`),
+            where("isApproved", "==", false)
+        );
+
+        const unsubscribeRequests = onSnapshot(requestsQuery, (querySnapshot) => {
+            setSellerRequests(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching seller requests: ", error);
+            setLoading(false);
+        });
+
+        const unsubscribeProducts = onSnapshot(productsQuery, (querySnapshot) => {
+            const productsData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            // Rejected and archived products keep isApproved: false, so hide them from the review queue
+            setPendingProducts(productsData.filter(p => p.reviewStatus !== 'rejected' && !p.archived));
+        }, (error) => {
+            console.error("Error fetching unapproved products: ", error);
+        });
+
+        return () => {
+            unsubscribeRequests();
+            unsubscribeProducts();
+        };
+    }, [db, isAdmin]);
+
+    const reviewInfo = () => ({
+        reviewedBy: user.uid,
+        reviewedByEmail: user.email,
+        reviewedAt: new Date(),
+    });
+
+    const handleSellerDecision = async (request, approved) => {
+        setBusyId(request.id);
+        setFeedback('');
+        try {
+            const batch = writeBatch(db);
+            batch.update(doc(db, `/artifacts/${firebaseConfig.appId}/public/data/sellerRequests`, request.id), {
+                status: approved ? 'approved' : 'rejected',
+                ...reviewInfo(),
+            });
+            if (approved) {
+                batch.update(doc(db, `/artifacts/${firebaseConfig.appId}/users`, request.uid), {
+                    role: 'seller',
+                    roleUpdatedBy: user.uid,
+                    roleUpdatedAt: new Date(),
+                });
+            }
+            await batch.commit();
+            setFeedback(t(approved ? 'admin.sellerApproved' : 'admin.sellerRejected', { email: request.email }));
+        } catch (error) {
+            console.error("Error reviewing seller request:", error);
+            setFeedback(t('admin.sellerFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleProductDecision = async (product, approved) => {
+        setBusyId(product.id);
+        setFeedback('');
+        try {
+            await updateDoc(doc(db, `/artifacts/${firebaseConfig.appId}/public/data/products`, product.id), {
+                isApproved: approved,
+                reviewStatus: approved ? 'approved' : 'rejected',
+                // Backfills fields missing on listings created before shop search and minor-unit prices
+                searchKeywords: buildSearchKeywords(product),
+                priceMinor: amountMinor(product, 'price'),
+                currency: currencyOf(product),
+                ...reviewInfo(),
+            });
+            setFeedback(t(approved ? 'admin.productApproved' : 'admin.productRejected', { name: product.name }));
+        } catch (error) {
+            console.error("Error reviewing product:", error);
+            setFeedback(t('admin.productFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleBackfill = async () => {
+        setIsBackfilling(true);
+        setFeedback('');
+        try {
+            const count = await backfillListingFields(db);
+            setFeedback(t('admin.backfillDone', { count }));
+        } catch (error) {
+            console.error("Error updating older listings:", error);
+            setFeedback(t('admin.backfillFailed'));
+        } finally {
+            setIsBackfilling(false);
+        }
+    };
+
+    if (!isAdmin) {
+        return (
+            <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('guard.accessDenied')}</h2>
+                <p className="mb-6 text-gray-600">{t('admin.onlyAdmins')}</p>
+                <Link to="/" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goHome')}</Link>
+            </div>
+        );
+    }
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    return (
+        <div className="mx-auto space-y-8 max-w-7xl">
+            <h1 className="text-3xl font-bold text-gray-900">{t('admin.title')}</h1>
+            {feedback && <p className="p-3 text-sm text-blue-800 bg-blue-100 rounded-md">{feedback}</p>}
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('admin.sellerRequests')}</h2>
+                <div className="space-y-4">
+                    {sellerRequests.length === 0 ? <p className="text-gray-500">{t('admin.noSellerRequests')}</p> : sellerRequests.map(r => (
+                        <div key={r.id} className="flex items-center justify-between p-3 border rounded-md">
+                            <div>
+                                <p className="font-semibold">{r.email}</p>
+                                <p className="text-sm text-gray-500">{t('admin.requestedAt', { date: r.requestedAt?.toDate ? r.requestedAt.toDate().toLocaleString() : '' })}</p>
+                            </div>
+                            <div className="flex space-x-2">
+                                <button onClick={() => handleSellerDecision(r, true)} disabled={busyId === r.id} className="px-3 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50">{t('admin.approve')}</button>
+                                <button onClick={() => handleSellerDecision(r, false)} disabled={busyId === r.id} className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50">{t('admin.reject')}</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('admin.pendingProducts')}</h2>
+                <div className="space-y-4">
+                    {pendingProducts.length === 0 ? <p className="text-gray-500">{t('admin.noPendingProducts')}</p> : pendingProducts.map(p => (
+                        <div key={p.id} className="flex items-center justify-between p-3 border rounded-md">
+                            <div className="flex items-center">
+                                <img src={p.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={p.name} className="object-cover w-16 h-16 mr-4 rounded" />
+                                <div>
+                                    <p className="font-semibold">{p.name}</p>
+                                    <p className="text-sm text-gray-500">{p.category} · {formatPrice(p, 'price', language)}</p>
+                                    {p.diseasePrediction && <p className="text-xs text-gray-500">{t('product.cropHealth', { prediction: p.diseasePrediction })}</p>}
+                                </div>
+                            </div>
+                            <div className="flex space-x-2">
+                                <button onClick={() => handleProductDecision(p, true)} disabled={busyId === p.id} className="px-3 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50">{t('admin.approve')}</button>
+                                <button onClick={() => handleProductDecision(p, false)} disabled={busyId === p.id} className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50">{t('admin.reject')}</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <h2 className="mb-2 text-2xl font-bold">{t('admin.backfillTitle')}</h2>
+                <p className="mb-4 text-sm text-gray-600">{t('admin.backfillHint')}</p>
+                <button onClick={handleBackfill} disabled={isBackfilling} className="px-4 py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50">
+                    {t(isBackfilling ? 'admin.backfillRunning' : 'admin.backfillRun')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function SellerDashboardPage({ db, storage, user }) {
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [productName, setProductName] = useState('');
     const [price, setPrice] = useState('');
     const [category, setCategory] = useState('');
-    const [imageUrl, setImageUrl] = useState('');
+    const [description, setDescription] = useState('');
+    const [stock, setStock] = useState('');
     const [selectedFile, setSelectedFile] = useState(null);
+    const [extraFiles, setExtraFiles] = useState([]);
     const [previewUrl, setPreviewUrl] = useState('');
-    const [diseasePrediction, setDiseasePrediction] = useState('');
+    const [predictionResult, setPredictionResult] = useState(null); // normalized ViT result for the main image
     const [feedback, setFeedback] = useState('');
     const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(null); // 0-100 while uploading
+    const [activeTab, setActiveTab] = useState('products'); // 'products' or 'orders'
+
+    const providers = useAnalysisProviders();
+    const vitProvider = providers.find(p => p.id === PROVIDER_IDS.VIT);
+    const nextSignal = useAbortSignal();
+    const { t } = useTranslation();
 
     const fetchProducts = useCallback(() => {
         if (!db || !user) return;
@@ -589,36 +1685,28 @@ function SellerDashboardPage({ db, user }) {
         };
     }, [fetchProducts]);
 
+    const runPrediction = async (file) => {
+        const result = await runAnalysis(vitProvider, { file, signal: nextSignal() });
+        setPredictionResult(result);
+        setFeedback(t('seller.analysisComplete'));
+    };
+
     const handleFileChange = async (e) => {
         const file = e.target.files[0];
         if (!file) return;
         
         setSelectedFile(file);
         setPreviewUrl(URL.createObjectURL(file));
-        setDiseasePrediction('');
-        setFeedback('Analyzing image...');
+        setPredictionResult(null);
+        setFeedback(t('seller.analyzingImage'));
         
         try {
-            const formData = new FormData();
-            formData.append('file', file);
-            
-            const response = await fetch('http://127.0.0.1:8000/predict', {
-                method: 'POST',
-                body: formData,
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to analyze image');
-            }
-            
-            const result = await response.json();
-            setDiseasePrediction(result.prediction);
-            setFeedback('Analysis complete!');
-            
+            await runPrediction(file);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error analyzing image:', error);
-            setFeedback('Failed to analyze image. Please try again.');
-            setDiseasePrediction('');
+            setFeedback(t('seller.analysisFailed', { message: error.message }));
+            setPredictionResult(null);
         }
     };
 
@@ -626,27 +1714,14 @@ function SellerDashboardPage({ db, user }) {
         if (!selectedFile) return;
         
         setIsAnalyzing(true);
-        setFeedback('Analyzing image...');
+        setFeedback(t('seller.analyzingImage'));
         
         try {
-            const formData = new FormData();
-            formData.append('file', selectedFile);
-            
-            const response = await fetch('http://127.0.0.1:8000/predict', {
-                method: 'POST',
-                body: formData,
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to analyze image');
-            }
-            
-            const result = await response.json();
-            setDiseasePrediction(result.prediction);
-            setFeedback('Analysis complete!');
+            await runPrediction(selectedFile);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error analyzing image:', error);
-            setFeedback('Failed to analyze image. Please try again.');
+            setFeedback(t('seller.analysisFailed', { message: error.message }));
         } finally {
             setIsAnalyzing(false);
         }
@@ -656,322 +1731,2305 @@ function SellerDashboardPage({ db, user }) {
         e.preventDefault();
         setFeedback('');
         
-        if (!productName || !price || !category || !selectedFile) {
-            setFeedback('Please fill out all required fields and select an image.');
+        if (!productName || !price || !category || !selectedFile || stock === '') {
+            setFeedback(t('seller.fillRequired'));
+            return;
+        }
+        const stockQuantity = parseInt(stock, 10);
+        if (Number.isNaN(stockQuantity) || stockQuantity < 0) {
+            setFeedback(t('seller.invalidStock'));
+            return;
+        }
+        const { amountMinor: priceMinor, error: priceError, errorParams } = parsePriceInput(price, DEFAULT_CURRENCY);
+        if (priceError) {
+            setFeedback(t(priceError, errorParams));
             return;
         }
         
-        // If there's a disease prediction, include it in the product details
-        const productData = {
-            name: productName,
-            price: Number(price),
-            category,
-            imageUrl: previewUrl, // Using the preview URL for now
-            diseasePrediction: diseasePrediction || 'No disease detected',
-            sellerId: user.uid,
-            isApproved: false,
-            createdAt: new Date(),
-        };
-        
+        let uploadedImages = [];
         try {
-            // In a real app, you would upload the image to a storage service here
-            // and get a permanent URL before saving to the database
+            setUploadProgress(0);
+            uploadedImages = await uploadProductImages(storage, {
+                sellerId: user.uid,
+                files: [selectedFile, ...extraFiles],
+                onProgress: setUploadProgress,
+            });
+
+            // If there's a disease prediction, include it in the product details
+            const productData = {
+                name: productName,
+                priceMinor,
+                currency: DEFAULT_CURRENCY,
+                category,
+                searchKeywords: buildSearchKeywords({ name: productName, category }),
+                description: description.trim(),
+                stock: stockQuantity,
+                ...uploadedImages[0],
+                images: uploadedImages,
+                diseasePrediction: predictionResult ? summarizeResult(predictionResult) : 'No disease detected',
+                sellerId: user.uid,
+                sellerEmail: user.email,
+                isApproved: false,
+                archived: false,
+                createdAt: new Date(),
+            };
             
             await addDoc(collection(db, `/artifacts/${firebaseConfig.appId}/public/data/products`), productData);
             
-            setFeedback('Product added successfully! It will appear in the shop after admin approval.');
+            setFeedback(t('seller.productAdded'));
             
             // Clear form
             setProductName('');
             setPrice('');
             setCategory('');
+            setDescription('');
+            setStock('');
             setSelectedFile(null);
+            setExtraFiles([]);
             setPreviewUrl('');
-            setDiseasePrediction('');
-            document.getElementById('image-upload').value = ''; // Reset file input
+            setPredictionResult(null);
+            document.getElementById('image-upload').value = ''; // Reset file inputs
+            document.getElementById('extra-images-upload').value = '';
             
         } catch (error) {
             console.error("Error adding product: ", error);
-            setFeedback('Failed to add product.');
+            // The document was never written, so the uploaded files would be orphaned
+            await Promise.all(uploadedImages.map(image => deleteAllProductImages(storage, image)));
+            setFeedback(t('seller.addFailed'));
+        } finally {
+            setUploadProgress(null);
         }
     };
 
-    if (!user) return <p>Please log in to view your dashboard.</p>;
+    // Active listings first, archived ones at the bottom
+    const sortedProducts = [...products].sort((a, b) => Number(Boolean(a.archived)) - Number(Boolean(b.archived)));
+    const lowStockCount = products.filter(p => !p.archived && (isLowStock(p) || isOutOfStock(p))).length;
+
+    if (!user) return <p>{t('seller.mustLogIn')}</p>;
     
     return (
         <div className="grid grid-cols-1 gap-8 mx-auto max-w-7xl lg:grid-cols-3">
-            <div className="p-6 bg-white shadow-lg lg:col-span-1 rounded-xl">
-                <h2 className="mb-4 text-2xl font-bold">Add New Product</h2>
-                <form onSubmit={handleAddProduct} className="space-y-4">
-                    <input 
-                    type="text" 
-                    value={productName} 
-                    onChange={(e) => setProductName(e.target.value)} 
-                    placeholder="Product Name" 
-                    className="w-full p-2 border rounded" 
-                    required 
-                />
-                <input 
-                    type="number" 
-                    value={price} 
-                    onChange={(e) => setPrice(e.target.value)} 
-                    placeholder="Price (₹)" 
-                    className="w-full p-2 border rounded" 
-                    required 
-                />
-                <input 
-                    type="text" 
-                    value={category} 
-                    onChange={(e) => setCategory(e.target.value)} 
-                    placeholder="Category" 
-                    className="w-full p-2 border rounded" 
-                    required 
-                />
-                <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">Product Image</label>
-                    <input 
-                        id="image-upload"
-                        type="file" 
-                        accept="image/*" 
-                        onChange={handleFileChange} 
-                        className="w-full p-2 border rounded" 
-                        required 
-                    />
-                    {previewUrl && (
-                        <div className="mt-2">
-                            <img 
-                                src={previewUrl} 
-                                alt="Preview" 
-                                className="h-32 w-32 object-cover rounded" 
+            <div className="flex space-x-2 lg:col-span-3">
+                {['products', 'orders'].map(tab => (
+                    <button key={tab} onClick={() => setActiveTab(tab)} className={`px-4 py-2 text-sm font-medium rounded-md ${activeTab === tab ? 'bg-green-600 text-white' : 'bg-white text-gray-600 hover:bg-green-100'}`}>{t(`seller.tab.${tab}`)}</button>
+                ))}
+            </div>
+            {activeTab === 'orders' ? (
+                <SellerOrdersPanel db={db} user={user} className="lg:col-span-3" />
+            ) : (
+                <>
+                    <BackendStatusBanner className="lg:col-span-3" />
+                    <div className="p-6 bg-white shadow-lg lg:col-span-1 rounded-xl">
+                        <h2 className="mb-4 text-2xl font-bold">{t('seller.addProduct')}</h2>
+                        <form onSubmit={handleAddProduct} className="space-y-4">
+                            <input 
+                            type="text" 
+                            value={productName} 
+                            onChange={(e) => setProductName(e.target.value)} 
+                            placeholder={t('seller.productName')} 
+                            className="w-full p-2 border rounded" 
+                            required 
+                        />
+                        <input 
+                            type="number" 
+                            min="0.01"
+                            step="0.01"
+                            value={price} 
+                            onChange={(e) => setPrice(e.target.value)} 
+                            placeholder={t('seller.price')} 
+                            className="w-full p-2 border rounded" 
+                            required 
+                        />
+                        <select 
+                            value={category} 
+                            onChange={(e) => setCategory(e.target.value)} 
+                            className="w-full p-2 bg-white border rounded" 
+                            required 
+                        >
+                            <option value="">{t('seller.selectCategory')}</option>
+                            {PRODUCT_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                        <input 
+                            type="number" 
+                            min="0"
+                            value={stock} 
+                            onChange={(e) => setStock(e.target.value)} 
+                            placeholder={t('seller.stock')} 
+                            className="w-full p-2 border rounded" 
+                            required 
+                        />
+                        <textarea 
+                            value={description} 
+                            onChange={(e) => setDescription(e.target.value)} 
+                            placeholder={t('seller.description')} 
+                            rows={4}
+                            className="w-full p-2 border rounded" 
+                        />
+                        <div className="space-y-2">
+                            <label className="block text-sm font-medium text-gray-700">{t('seller.productImage')}</label>
+                            <input 
+                                id="image-upload"
+                                type="file" 
+                                accept="image/*" 
+                                onChange={handleFileChange} 
+                                className="w-full p-2 border rounded" 
+                                required 
                             />
-                            <button
-                                type="button"
-                                onClick={analyzeImage}
-                                disabled={isAnalyzing}
-                                className="mt-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-blue-300"
-                            >
-                                {isAnalyzing ? 'Analyzing...' : 'Analyze for Diseases'}
-                            </button>
-                            {diseasePrediction && (
-                                <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded">
-                                    <p className="text-sm text-yellow-800">
-                                        <span className="font-semibold">Disease Detected:</span> {diseasePrediction}
-                                    </p>
+                            {previewUrl && (
+                                <div className="mt-2">
+                                    <img 
+                                        src={previewUrl} 
+                                        alt={t('seller.preview')} 
+                                        className="h-32 w-32 object-cover rounded" 
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={analyzeImage}
+                                        disabled={isAnalyzing}
+                                        className="mt-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-blue-300"
+                                    >
+                                        {isAnalyzing ? t('seller.analyzing') : t('seller.analyzeDiseases')}
+                                    </button>
+                                    {predictionResult && (
+                                        <div className={`mt-2 p-2 border rounded ${isUncertain(predictionResult) ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : predictionResult.health_status.is_healthy ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
+                                            <p className="text-sm">
+                                                <span className="font-semibold">
+                                                    {isUncertain(predictionResult)
+                                                        ? t('result.uncertain')
+                                                        : predictionResult.health_status.is_healthy ? t('result.healthy') : t('result.diseaseDetected')}:
+                                                </span> {summarizeResult(predictionResult)}
+                                            </p>
+                                            <PredictionChart predictions={predictionResult.predictions} className="mt-2" />
+                                        </div>
+                                    )}
                                 </div>
                             )}
                         </div>
-                    )}
-                </div>
-                    <button type="submit" className="w-full py-2 text-white bg-green-600 rounded-md hover:bg-green-700">Add Product</button>
-                    {feedback && <p className="mt-2 text-sm text-center">{feedback}</p>}
-                </form>
-            </div>
-            <div className="p-6 bg-white shadow-lg lg:col-span-2 rounded-xl">
-                <h2 className="mb-4 text-2xl font-bold">Your Products</h2>
-                {loading ? <p>Loading products...</p> : (
-                    <div className="space-y-4">
-                        {products.length === 0 ? <p>You haven't added any products yet.</p> : products.map(p => (
-                            <div key={p.id} className="flex items-center justify-between p-3 border rounded-md">
-                                <div>
-                                    <p className="font-semibold">{p.name}</p>
-                                    <p className="text-sm text-gray-500">${p.price}</p>
+                        <div className="space-y-2">
+                            <label htmlFor="extra-images-upload" className="block text-sm font-medium text-gray-700">{t('seller.additionalImages')}</label>
+                            <input 
+                                id="extra-images-upload"
+                                type="file" 
+                                accept="image/*" 
+                                multiple
+                                onChange={(e) => setExtraFiles(Array.from(e.target.files))} 
+                                className="w-full p-2 border rounded" 
+                            />
+                        </div>
+                            {uploadProgress !== null && (
+                                <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+                                    <div className="h-2 transition-all bg-green-600" style={{ width: `${uploadProgress}%` }}></div>
                                 </div>
-                                <span className={`px-2 py-1 text-xs font-semibold rounded-full ${p.isApproved ? 'bg-green-200 text-green-800' : 'bg-yellow-200 text-yellow-800'}`}>
-                                    {p.isApproved ? 'Approved' : 'Pending'}
-                                </span>
+                            )}
+                            <button type="submit" className="w-full py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400" disabled={uploadProgress !== null}>
+                                {uploadProgress !== null ? t('seller.uploading', { progress: uploadProgress }) : t('seller.submitProduct')}
+                            </button>
+                            {feedback && <p className="mt-2 text-sm text-center">{feedback}</p>}
+                        </form>
+                    </div>
+                    <div className="p-6 bg-white shadow-lg lg:col-span-2 rounded-xl">
+                        <h2 className="mb-4 text-2xl font-bold">{t('seller.yourProducts')}</h2>
+                        {lowStockCount > 0 && (
+                            <p className="p-3 mb-4 text-sm text-orange-800 bg-orange-100 rounded-md">
+                                {t('seller.lowStockWarning', { count: lowStockCount })}
+                            </p>
+                        )}
+                        {loading ? <p>{t('seller.loadingProducts')}</p> : (
+                            <div className="space-y-4">
+                                {products.length === 0 ? <p>{t('seller.noProducts')}</p> : sortedProducts.map(p => (
+                                    <SellerProductRow key={p.id} db={db} storage={storage} user={user} product={p} vitProvider={vitProvider} />
+                                ))}
                             </div>
-                        ))}
+                        )}
                     </div>
-                )}
-            </div>
+                </>
+            )}
         </div>
     );
 }
 
-function PlantAnalyzerPage() {
-    // This component combines the logic from the previous HTML file
-    const [imagePreviewUrl, setImagePreviewUrl] = useState('');
-    const [base64ImageData, setBase64ImageData] = useState(null);
-    const [isLoading, setIsLoading] = useState(false);
-    const [results, setResults] = useState(null);
-    const [error, setError] = useState('');
-    
-    // Get the Gemini AI client from context
-    const { genAI, isInitialized, error: geminiError } = useGeminiAI();
+function ProductStatusBadge({ product }) {
+    const { t } = useTranslation();
+    const [status, style] = product.archived ? ['archived', 'bg-gray-200 text-gray-700']
+        : product.isApproved ? ['approved', 'bg-green-200 text-green-800']
+        : product.reviewStatus === 'rejected' ? ['rejected', 'bg-red-200 text-red-800']
+        : ['pending', 'bg-yellow-200 text-yellow-800'];
+    return <span className={`px-2 py-1 text-xs font-semibold rounded-full ${style}`}>{t(`seller.status.${status}`)}</span>;
+}
 
-    const handleImageChange = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                setImagePreviewUrl(e.target.result);
-                setBase64ImageData(e.target.result.split(',')[1]);
-                setResults(null);
-                setError('');
-            }
-            reader.readAsDataURL(file);
-        }
-    };
-    
-    const analyzeWithCustomModel = async () => {
-        setError("Custom model integration is a placeholder. This button demonstrates where you would connect your own deployed model's API. The app is currently using the Gemini API for a live demonstration.");
+function StockBadge({ product }) {
+    const { t } = useTranslation();
+    if (typeof product.stock !== 'number') return null;
+    if (isOutOfStock(product)) {
+        return <span className="px-2 py-1 text-xs font-semibold text-red-800 bg-red-100 rounded-full">{t('product.outOfStock')}</span>;
+    }
+    if (isLowStock(product)) {
+        return <span className="px-2 py-1 text-xs font-semibold text-orange-800 bg-orange-100 rounded-full">{t('seller.lowStock', { count: product.stock })}</span>;
+    }
+    return <span className="px-2 py-1 text-xs font-semibold text-gray-700 bg-gray-100 rounded-full">{t('product.inStock', { count: product.stock })}</span>;
+}
+
+function SellerProductRow({ db, storage, user, product, vitProvider }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [form, setForm] = useState(null);
+    const [newImages, setNewImages] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState('');
+    const { t, language } = useTranslation();
+
+    const productRef = doc(db, `/artifacts/${firebaseConfig.appId}/public/data/products`, product.id);
+
+    const startEditing = () => {
+        setForm({
+            name: product.name || '',
+            price: toPriceInput(product),
+            category: product.category || '',
+            description: product.description || '',
+            stock: String(product.stock ?? 0),
+        });
+        setNewImages([]);
+        setMessage('');
+        setIsEditing(true);
     };
 
+    const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
 
-    const analyzeWithGemini = async () => {
-        if (!base64ImageData) {
-            setError("Please upload an image first.");
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const stock = parseInt(form.stock, 10);
+        if (!form.name.trim() || !form.category.trim() || !form.price || Number.isNaN(stock) || stock < 0) {
+            setMessage(t('seller.fillEdit'));
             return;
         }
-
-        if (!isInitialized) {
-            setError(geminiError || 'Gemini AI is still initializing. Please try again in a moment.');
+        const { amountMinor: priceMinor, error: priceError, errorParams } = parsePriceInput(form.price, currencyOf(product));
+        if (priceError) {
+            setMessage(t(priceError, errorParams));
             return;
         }
 
-        setIsLoading(true);
-        setError('');
-        setResults(null);
-
+        setIsSaving(true);
+        setMessage('');
+        let uploadedImages = [];
         try {
+            const changes = {
+                name: form.name.trim(),
+                priceMinor,
+                currency: currencyOf(product),
+                category: form.category.trim(),
+                description: form.description.trim(),
+                stock,
+                searchKeywords: buildSearchKeywords(form),
+                updatedAt: new Date(),
+            };
 
-            // Get the generative model - using the latest gemini-1.5-flash model
-            const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-            
-            // Prepare the prompt
-            const prompt = `Analyze this plant leaf image and provide the following information in a valid JSON format:
-            {
-                "plant_identification": {
-                    "plant_name": "...",
-                    "confidence": "..."
-                },
-                "health_status": {
-                    "is_healthy": true/false,
-                    "disease_detected": "...",
-                    "disease_description": "...",
-                    "confidence": "..."
-                },
-                "care_recommendations": {
-                    "suggested_cure": "...",
-                    "recommended_products": [
-                        {
-                            "product_name": "...",
-                            "product_type": "..."
-                        }
-                    ]
-                }
-            }`;
-
-            // Clean the base64 data if it has a data URL prefix
-            const imageData = base64ImageData.includes('base64,') 
-                ? base64ImageData.split(',')[1] 
-                : base64ImageData;
-            
-            try {
-                // Generate content
-                const result = await model.generateContent([
-                    { text: prompt },
-                    { 
-                        inlineData: { 
-                            data: imageData, 
-                            mimeType: 'image/jpeg' 
-                        } 
-                    }
-                ]);
-                
-                // Get the response text
-                const response = await result.response;
-                const text = await response.text();
-                
-                // Try to parse the response as JSON
+            if (newImages.length > 0) {
+                uploadedImages = await uploadProductImages(storage, { sellerId: user.uid, files: newImages });
+                // Carts and orders keep the old image URLs, so the replaced files stay in
+                // Storage until the product itself is deleted
+                Object.assign(changes, uploadedImages[0], {
+                    images: uploadedImages,
+                    retiredImages: [...(product.retiredImages || []), ...(product.images?.length ? product.images : [product])
+                        .filter(image => image.imagePath)
+                        .map(image => ({
+                            imageUrl: image.imageUrl ?? null,
+                            imagePath: image.imagePath,
+                            thumbnailUrl: image.thumbnailUrl ?? null,
+                            thumbnailPath: image.thumbnailPath ?? null,
+                        }))],
+                });
                 try {
-                    // Clean up the response text to ensure valid JSON
-                    const jsonMatch = text.match(/\{[\s\S]*\}/);
-                    if (!jsonMatch) {
-                        throw new Error('No JSON response found in the AI response');
-                    }
-                    const data = JSON.parse(jsonMatch[0]);
-                    setResults(data);
-                } catch (e) {
-                    console.error('Failed to parse response as JSON:', text);
-                    throw new Error('The response from the AI could not be parsed. Please try again.');
+                    changes.diseasePrediction = summarizeResult(await runAnalysis(vitProvider, { file: newImages[0] }));
+                } catch (error) {
+                    console.error('Error analyzing replacement image:', error);
                 }
-            } catch (err) {
-                console.error('Error generating content:', err);
-                throw err;
             }
-        } catch (err) {
-            setError(`Analysis failed: ${err.message}`);
+
+            const needsReapproval = requiresReapproval(product, changes, { imagesReplaced: newImages.length > 0 });
+            // Edits to a rejected listing resubmit it for review
+            if (needsReapproval || product.reviewStatus === 'rejected') {
+                Object.assign(changes, { isApproved: false, reviewStatus: 'pending', resubmittedAt: new Date() });
+            }
+
+            await updateDoc(productRef, changes);
+
+            setIsEditing(false);
+            setMessage(t(needsReapproval ? 'seller.savedPendingReview' : 'seller.saved'));
+        } catch (error) {
+            console.error("Error updating product: ", error);
+            await Promise.all(uploadedImages.map(image => deleteAllProductImages(storage, image)));
+            setMessage(t('seller.saveFailed'));
         } finally {
-            setIsLoading(false);
+            setIsSaving(false);
+        }
+    };
+
+    const setArchived = async (archived) => {
+        try {
+            await updateDoc(productRef, { archived, archivedAt: archived ? new Date() : null });
+        } catch (error) {
+            console.error("Error archiving product: ", error);
+            setMessage(t(archived ? 'seller.archiveFailed' : 'seller.restoreFailed'));
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('seller.confirmDelete', { name: product.name }))) return;
+        try {
+            await deleteDoc(productRef);
+            await deleteAllProductImages(storage, product);
+        } catch (error) {
+            console.error("Error deleting product: ", error);
+            setMessage(t('seller.deleteFailed'));
         }
     };
 
+    if (isEditing) {
+        return (
+            <form onSubmit={handleSave} className="p-3 space-y-2 border rounded-md">
+                <div className="grid grid-cols-1 gap-2 md:grid-cols-2">
+                    <input type="text" value={form.name} onChange={updateForm('name')} placeholder={t('seller.productName')} className="w-full p-2 border rounded" required />
+                    <select value={form.category} onChange={updateForm('category')} className="w-full p-2 bg-white border rounded" required>
+                        <option value="">{t('seller.selectCategory')}</option>
+                        {/* Listings from before the fixed category list keep their old value */}
+                        {[...new Set([...PRODUCT_CATEGORIES, product.category].filter(Boolean))].map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                    <input type="number" min="0.01" step="0.01" value={form.price} onChange={updateForm('price')} placeholder={t('seller.price')} className="w-full p-2 border rounded" required />
+                    <input type="number" min="0" value={form.stock} onChange={updateForm('stock')} placeholder={t('seller.stock')} className="w-full p-2 border rounded" required />
+                </div>
+                <textarea value={form.description} onChange={updateForm('description')} placeholder={t('seller.description')} rows={3} className="w-full p-2 border rounded" />
+                <label className="block text-sm font-medium text-gray-700">{t('seller.replaceImages')}</label>
+                <input type="file" accept="image/*" multiple onChange={(e) => setNewImages(Array.from(e.target.files))} className="w-full p-2 border rounded" />
+                {product.isApproved && (
+                    <p className="text-xs text-gray-500">{t('seller.reapprovalHint')}</p>
+                )}
+                {message && <p className="text-sm text-red-600">{message}</p>}
+                <div className="flex space-x-2">
+                    <button type="submit" disabled={isSaving} className="px-4 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400">{isSaving ? t('seller.saving') : t('seller.save')}</button>
+                    <button type="button" onClick={() => setIsEditing(false)} disabled={isSaving} className="px-4 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                </div>
+            </form>
+        );
+    }
+
     return (
-         <div className="grid max-w-4xl grid-cols-1 gap-8 mx-auto md:grid-cols-2">
-            {/* Left side: Upload and Preview */}
-            <div className="p-6 bg-white shadow-lg rounded-xl">
-                <h2 className="mb-4 text-2xl font-bold">Upload Plant Image</h2>
-                <input type="file" id="image-upload-react" className="hidden" accept="image/*" onChange={handleImageChange} />
-                <label htmlFor="image-upload-react" className="flex flex-col items-center justify-center h-64 p-8 transition-colors border-2 border-gray-300 border-dashed rounded-lg cursor-pointer hover:border-green-500">
-                    {imagePreviewUrl ? (
-                         <img src={imagePreviewUrl} alt="Plant preview" className="max-h-full rounded-lg" />
+        <div className={`p-3 border rounded-md ${product.archived ? 'opacity-60' : ''}`}>
+            <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                    <img src={product.thumbnailUrl || product.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Product'} alt={product.name} className="object-cover w-12 h-12 mr-3 rounded" />
+                    <div>
+                        <p className="font-semibold">{product.name}</p>
+                        <p className="text-sm text-gray-500">{formatPrice(product, 'price', language)} · {product.category}</p>
+                    </div>
+                </div>
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                    <StockBadge product={product} />
+                    <ProductStatusBadge product={product} />
+                    {product.archived ? (
+                        <>
+                            <button onClick={() => setArchived(false)} className="px-2 py-1 text-xs font-semibold text-green-800 bg-green-100 rounded-full hover:bg-green-200">{t('seller.restore')}</button>
+                            <button onClick={handleDelete} className="px-2 py-1 text-xs font-semibold text-red-700 bg-red-100 rounded-full hover:bg-red-200">{t('seller.delete')}</button>
+                        </>
                     ) : (
                         <>
-                           <svg className="w-12 h-12 text-gray-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M2.25 15.75l5.159-5.159a2.25 2.25 0 013.182 0l5.159 5.159m-1.5-1.5l1.409-1.409a2.25 2.25 0 013.182 0l2.909 2.909m-18 3.75h16.5a1.5 1.5 0 001.5-1.5V6a1.5 1.5 0 00-1.5-1.5H3.75A1.5 1.5 0 002.25 6v12a1.5 1.5 0 001.5 1.5zm10.5-11.25h.008v.008h-.008V8.25zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z" /></svg>
-                            <span className="mt-2 text-sm font-medium text-gray-700">Click to upload</span>
+                            <button onClick={startEditing} className="px-2 py-1 text-xs font-semibold text-blue-800 bg-blue-100 rounded-full hover:bg-blue-200">{t('seller.edit')}</button>
+                            <button onClick={() => setArchived(true)} className="px-2 py-1 text-xs font-semibold text-gray-700 bg-gray-200 rounded-full hover:bg-gray-300">{t('seller.archive')}</button>
                         </>
                     )}
-                </label>
-                {imagePreviewUrl && (
-                    <div className="flex flex-col mt-4 space-y-2">
-                        <button onClick={analyzeWithGemini} className="w-full py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50" disabled={isLoading}>
-                            {isLoading ? 'Analyzing...' : 'Analyze'}
-                        </button>
+                </div>
+            </div>
+            {message && <p className="mt-2 text-sm text-gray-600">{message}</p>}
+        </div>
+    );
+}
+
+// Keys of computeSalesTotals, labelled by the `sellerOrders.period.<key>` messages
+const SALES_PERIODS = ['today', 'last7Days', 'last30Days', 'allTime'];
+
+function SellerOrdersPanel({ db, user, className = '' }) {
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [feedback, setFeedback] = useState('');
+    const { t, language } = useTranslation();
+
+    useEffect(() => {
+        if (!db || !user) return;
+        return subscribeToSellerOrders(db, user.uid, (data) => {
+            setOrders(data);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching seller orders: ", error);
+            setLoading(false);
+        });
+    }, [db, user]);
+
+    const salesTotals = useMemo(() => computeSalesTotals(orders, user.uid), [orders, user.uid]);
+    const visibleOrders = statusFilter ? orders.filter(o => sellerStatusOf(o, user.uid) === statusFilter) : orders;
+
+    const handleStatusChange = async (order, nextStatus) => {
+        if (nextStatus === 'cancelled' && !window.confirm(t('sellerOrders.confirmCancel'))) return;
+        setBusyId(order.id);
+        setFeedback('');
+        try {
+            await updateOrderStatus(db, { orderId: order.id, nextStatus, user });
+        } catch (error) {
+            console.error("Error updating order status: ", error);
+            setFeedback(error instanceof OrderError ? t(error.key, error.params) : t('sellerOrders.updateFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (loading) return <div className={`flex items-center justify-center h-64 ${className}`}><div className="loader"></div></div>;
+
+    return (
+        <div className={`space-y-8 ${className}`}>
+            <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+                {SALES_PERIODS.map(key => (
+                    <div key={key} className="p-4 bg-white shadow-lg rounded-xl">
+                        <p className="text-sm text-gray-500">{t(`sellerOrders.period.${key}`)}</p>
+                        {Object.keys(salesTotals[key].revenueByCurrency).length === 0 ? (
+                            <p className="text-2xl font-bold text-green-600">{formatMoney(0, DEFAULT_CURRENCY, language)}</p>
+                        ) : Object.entries(salesTotals[key].revenueByCurrency).map(([currency, revenueMinor]) => (
+                            <p key={currency} className="text-2xl font-bold text-green-600">{formatMoney(revenueMinor, currency, language)}</p>
+                        ))}
+                        <p className="text-xs text-gray-500">{t('sellerOrders.periodTotals', { orders: salesTotals[key].orders, units: salesTotals[key].units })}</p>
                     </div>
-                )}
+                ))}
             </div>
-            {/* Right side: Results */}
             <div className="p-6 bg-white shadow-lg rounded-xl">
-                 <h2 className="mb-4 text-2xl font-bold">Analysis Results</h2>
-                {isLoading && <div className="flex items-center justify-center h-full"><div className="loader"></div></div>}
-                {error && <div className="px-4 py-3 text-red-700 bg-red-100 border border-red-400 rounded-lg">{error}</div>}
-                {results ? (
-                    <div className="space-y-4">
-                        <div className="p-3 border rounded-lg bg-gray-50">
-                            <h3 className="font-semibold">Plant ID: <span className="font-bold text-green-700">{results.plant_identification.plant_name}</span></h3>
-                        </div>
-                        <div className="p-3 border rounded-lg bg-gray-50">
-                            <h3 className="font-semibold">Health: {results.health_status.is_healthy ? <span className="text-green-600">Healthy</span> : <span className="text-red-600">Disease Detected</span>}</h3>
-                            <p className="font-bold">{results.health_status.disease_detected}</p>
-                            <p className="text-sm text-gray-600">{results.health_status.disease_description}</p>
-                        </div>
-                        <div className="p-3 border rounded-lg bg-gray-50">
-                            <h3 className="font-semibold">Cure</h3>
-                            <p className="text-sm text-gray-600 whitespace-pre-wrap">{results.care_recommendations.suggested_cure}</p>
-                        </div>
-                         <div className="p-3 border rounded-lg bg-gray-50">
-                            <h3 className="font-semibold">Products</h3>
-                             <ul className="text-sm text-gray-600 list-disc list-inside">
-                                {results.care_recommendations.recommended_products.map((p,i) => <li key={i}>{p.product_name}</li>)}
-                            </ul>
-                        </div>
-                    </div>
-                ) : (
-                    !isLoading && !error && <p className="text-gray-500">Upload an image and click analyze to see results here.</p>
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold">{t('sellerOrders.title')}</h2>
+                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-2 border rounded">
+                        <option value="">{t('sellerOrders.allStatuses')}</option>
+                        {ORDER_STATUSES.map(status => <option key={status} value={status}>{t(`order.status.${status}`)}</option>)}
+                    </select>
+                </div>
+                {feedback && <p className="p-3 mb-4 text-sm text-red-700 bg-red-100 rounded-md">{feedback}</p>}
+                <div className="space-y-4">
+                    {visibleOrders.length === 0 ? <p className="text-gray-500">{t('sellerOrders.none')}</p> : visibleOrders.map(order => {
+                        const lines = sellerLineItems(order, user.uid);
+                        const status = sellerStatusOf(order, user.uid);
+                        return (
+                            <div key={order.id} className="p-4 border rounded-md">
+                                <div className="flex items-center justify-between mb-2">
+                                    <div>
+                                        <p className="font-semibold">{t('orders.number', { number: order.id.slice(0, 8).toUpperCase() })}</p>
+                                        <p className="text-sm text-gray-500">{order.createdAt?.toDate ? order.createdAt.toDate().toLocaleString() : ''} · {order.buyerEmail}</p>
+                                    </div>
+                                    <OrderStatusBadge status={status} />
+                                </div>
+                                <div className="space-y-1">
+                                    {lines.map(line => (
+                                        <div key={line.productId} className="flex justify-between text-sm">
+                                            <span>{line.name} × {line.quantity}</span>
+                                            <span>{formatPrice(line, 'lineTotal', language)}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                                <p className="mt-2 text-xs text-gray-500">
+                                    {t('sellerOrders.deliverTo', {
+                                        name: order.deliveryAddress?.fullName,
+                                        address: `${order.deliveryAddress?.line1}, ${order.deliveryAddress?.city}, ${order.deliveryAddress?.state} ${order.deliveryAddress?.postalCode}`,
+                                        phone: order.deliveryAddress?.phone,
+                                    })}
+                                </p>
+                                <OrderTimeline history={sellerStatusHistory(order, user.uid)} />
+                                {ORDER_STATUS_TRANSITIONS[status]?.length > 0 && (
+                                    <div className="flex mt-3 space-x-2">
+                                        {ORDER_STATUS_TRANSITIONS[status].map(nextStatus => (
+                                            <button
+                                                key={nextStatus}
+                                                onClick={() => handleStatusChange(order, nextStatus)}
+                                                disabled={busyId === order.id}
+                                                className={`px-3 py-1 text-sm text-white rounded-md disabled:opacity-50 ${nextStatus === 'cancelled' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+                                            >
+                                                {nextStatus === 'cancelled' ? t('sellerOrders.cancel') : t('sellerOrders.mark', { status: t(`order.status.${nextStatus}`) })}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function OrderTimeline({ history = [] }) {
+    const { t } = useTranslation();
+    if (history.length === 0) return null;
+    return (
+        <ol className="flex flex-wrap items-center mt-2 text-xs text-gray-500">
+            {history.map((entry, i) => (
+                <li key={i} className="flex items-center">
+                    {i > 0 && <span className="mx-2">→</span>}
+                    <span className="font-semibold capitalize">{t(`order.status.${entry.status}`, { defaultValue: entry.status })}</span>
+                    <span className="ml-1">{entry.changedAt?.toDate ? entry.changedAt.toDate().toLocaleDateString() : ''}</span>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+function MyDiagnosesPage({ db, user }) {
+    const [diagnoses, setDiagnoses] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [search, setSearch] = useState('');
+    const [plantFilter, setPlantFilter] = useState('');
+    const [diseaseFilter, setDiseaseFilter] = useState('');
+    const [fieldFilter, setFieldFilter] = useState('');
+    const { fields } = useFields(db, user);
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        if (!db || !user) return;
+        return subscribeToDiagnoses(db, user.uid, (data) => {
+            setDiagnoses(data);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error fetching diagnoses: ", error);
+            setLoading(false);
+        });
+    }, [db, user]);
+
+    const plants = useMemo(() => [...new Set(diagnoses.map(d => d.plantName).filter(Boolean))].sort(), [diagnoses]);
+    const diseases = useMemo(() => [...new Set(diagnoses.map(d => d.disease).filter(Boolean))].sort(), [diagnoses]);
+
+    const filtered = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        return diagnoses.filter(d =>
+            (!plantFilter || d.plantName === plantFilter) &&
+            (!diseaseFilter || d.disease === diseaseFilter) &&
+            (!fieldFilter || d.fieldId === fieldFilter) &&
+            (!term || [d.plantName, d.disease, d.health_status?.disease_description]
+                .some(text => text?.toLowerCase().includes(term)))
+        );
+    }, [diagnoses, search, plantFilter, diseaseFilter, fieldFilter]);
+
+    if (!user) {
+        return (
+            <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+                 <h2 className="mb-4 text-2xl font-bold">{t('common.notLoggedIn')}</h2>
+                 <p className="mb-6 text-gray-600">{t('diagnoses.loginToView')}</p>
+                 <Link to="/login" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goToLogin')}</Link>
+            </div>
+        );
+    }
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    return (
+        <div className="mx-auto max-w-7xl">
+            <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('diagnoses.title')}</h1>
+            <div className={`grid grid-cols-1 gap-4 mb-6 ${fields.length > 0 ? 'md:grid-cols-4' : 'md:grid-cols-3'}`}>
+                <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder={t('diagnoses.searchPlaceholder')} className="w-full p-2 border rounded" />
+                <select value={plantFilter} onChange={(e) => setPlantFilter(e.target.value)} className="w-full p-2 border rounded">
+                    <option value="">{t('diagnoses.allPlants')}</option>
+                    {plants.map(plant => <option key={plant} value={plant}>{plant}</option>)}
+                </select>
+                <select value={diseaseFilter} onChange={(e) => setDiseaseFilter(e.target.value)} className="w-full p-2 border rounded">
+                    <option value="">{t('diagnoses.allDiseases')}</option>
+                    {diseases.map(disease => <option key={disease} value={disease}>{disease}</option>)}
+                </select>
+                {fields.length > 0 && (
+                    <select value={fieldFilter} onChange={(e) => setFieldFilter(e.target.value)} className="w-full p-2 border rounded">
+                        <option value="">{t('diagnoses.allFields')}</option>
+                        {fields.map(field => <option key={field.id} value={field.id}>{field.name}</option>)}
+                    </select>
                 )}
             </div>
+            {filtered.length === 0 ? (
+                <div className="py-16 text-center bg-white rounded-lg shadow">
+                    <h3 className="mt-2 text-sm font-medium text-gray-900">{diagnoses.length === 0 ? t('diagnoses.none') : t('diagnoses.noMatches')}</h3>
+                    {diagnoses.length === 0 && (
+                        <Link to="/analyze" className="inline-block px-6 py-2 mt-4 text-white bg-green-600 rounded-md hover:bg-green-700">{t('home.analyze')}</Link>
+                    )}
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+                    {filtered.map(d => (
+                        <Link key={d.id} to={`/diagnoses/${d.id}`} className="block overflow-hidden text-left transition-transform transform bg-white rounded-lg shadow-lg hover:-translate-y-1">
+                            <img className="object-cover w-full h-40" src={d.imageUrl || 'https://placehold.co/600x400/a8e063/FFFFFF?text=Leaf'} alt={d.plantName} />
+                            <div className="p-4">
+                                <h3 className="text-lg font-semibold text-gray-800">{d.plantName}</h3>
+                                <p className={`text-sm font-medium ${d.health_status?.is_healthy ? 'text-green-600' : 'text-red-600'}`}>{d.disease}</p>
+                                {d.fieldName && <p className="mt-1 text-xs text-gray-600">{t('fields.fieldLabel', { name: d.fieldName })}</p>}
+                                <p className="mt-2 text-xs text-gray-500">{d.createdAt?.toDate ? d.createdAt.toDate().toLocaleString() : ''} · {d.provider}</p>
+                            </div>
+                        </Link>
+                    ))}
+                </div>
+            )}
         </div>
     );
 }
 
+// Dropdown of the user's fields with a "No field" option. `fallbackName` labels
+// a value whose field has since been deleted.
+function FieldSelect({ id, fields, value, onChange, fallbackName, disabled = false, className = 'w-full p-2 border rounded' }) {
+    const { t } = useTranslation();
+    const isMissing = value && !fields.some(f => f.id === value);
+    return (
+        <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={className} disabled={disabled}>
+            <option value="">{t('fields.none')}</option>
+            {fields.map(field => <option key={field.id} value={field.id}>{field.name} · {field.crop}</option>)}
+            {isMissing && <option value={value}>{fallbackName || t('fields.deleted')}</option>}
+        </select>
+    );
+}
+
+const EMPTY_FIELD_FORM = { name: '', crop: '', area: '', areaUnit: DEFAULT_AREA_UNIT, sowingDate: '', location: null };
+
+// Add/edit form; `onSubmit(value)` receives the validated field and may reject
+function FieldForm({ initial = EMPTY_FIELD_FORM, submitLabel, onSubmit, onCancel }) {
+    const { t } = useTranslation();
+    const [form, setForm] = useState(() => ({ ...EMPTY_FIELD_FORM, ...initial, area: initial.area ?? '', sowingDate: initial.sowingDate || '' }));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const [isLocating, setIsLocating] = useState(false);
+    const [feedback, setFeedback] = useState('');
+
+    const setValue = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+    const fillCurrentLocation = async () => {
+        setIsLocating(true);
+        setFeedback('');
+        try {
+            const location = await getCurrentLocation();
+            setForm(prev => ({ ...prev, location }));
+        } catch (err) {
+            console.error('Error getting location:', err);
+            setFeedback(t('fields.locationFailed'));
+        } finally {
+            setIsLocating(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { valid, errors: nextErrors, value } = validateField(form);
+        setErrors(nextErrors);
+        setFeedback('');
+        if (!valid) return;
+
+        setIsSaving(true);
+        try {
+            await onSubmit(value);
+            if (!initial.name) setForm(EMPTY_FIELD_FORM);
+        } catch (err) {
+            console.error('Error saving field:', err);
+            setFeedback(t('fields.saveFailed'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const errorText = (key) => errors[key] && <p className="mt-1 text-xs text-red-600">{t(errors[key])}</p>;
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+            <div>
+                <input type="text" value={form.name} onChange={setValue('name')} placeholder={t('fields.name')} className="w-full p-2 border rounded" />
+                {errorText('name')}
+            </div>
+            <div>
+                <input type="text" value={form.crop} onChange={setValue('crop')} placeholder={t('fields.crop')} className="w-full p-2 border rounded" />
+                {errorText('crop')}
+            </div>
+            <div>
+                <div className="flex space-x-2">
+                    <input type="number" min="0" step="0.01" value={form.area} onChange={setValue('area')} placeholder={t('fields.area')} className="w-full p-2 border rounded" />
+                    <select value={form.areaUnit} onChange={setValue('areaUnit')} className="p-2 bg-white border rounded">
+                        {AREA_UNITS.map(unit => <option key={unit} value={unit}>{t(`fields.units.${unit}`)}</option>)}
+                    </select>
+                </div>
+                {errorText('area')}
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">{t('fields.sowingDate')}</label>
+                <input type="date" value={form.sowingDate} max={new Date().toISOString().slice(0, 10)} onChange={setValue('sowingDate')} className="w-full p-2 mt-1 border rounded" />
+                {errorText('sowingDate')}
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <button type="button" onClick={fillCurrentLocation} className="px-3 py-1 font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200 disabled:opacity-50" disabled={isLocating}>
+                    {isLocating ? t('fields.locating') : t('fields.useLocation')}
+                </button>
+                {form.location && (
+                    <>
+                        <a href={mapsUrl(form.location)} target="_blank" rel="noopener noreferrer" className="text-green-600 hover:underline">
+                            {form.location.latitude}, {form.location.longitude}
+                        </a>
+                        <button type="button" onClick={() => setForm(prev => ({ ...prev, location: null }))} className="text-gray-500 hover:underline">{t('fields.clearLocation')}</button>
+                    </>
+                )}
+            </div>
+            {feedback && <p className="text-sm text-red-600">{feedback}</p>}
+            <div className="flex space-x-2">
+                <button type="submit" className="flex-1 py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50" disabled={isSaving}>
+                    {isSaving ? t('fields.saving') : submitLabel}
+                </button>
+                {onCancel && <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('common.cancel')}</button>}
+            </div>
+        </form>
+    );
+}
+
+const formatArea = (field, t) => (field.area ? `${field.area} ${t(`fields.units.${field.areaUnit}`)}` : '');
+
+function FieldsPage({ db, user }) {
+    const { fields, loading } = useFields(db, user);
+    const [diagnoses, setDiagnoses] = useState([]);
+    const { t } = useTranslation();
+
+    // One listener for every field's latest check rather than one per card
+    useEffect(() => {
+        if (!db || !user) return;
+        return subscribeToDiagnoses(db, user.uid, setDiagnoses, (error) => console.error("Error fetching diagnoses: ", error));
+    }, [db, user]);
+
+    const latestByField = useMemo(() => {
+        const latest = {};
+        fields.forEach((field) => {
+            latest[field.id] = summarizeFieldHealth(buildFieldTimeline(field, diagnoses.filter(d => d.fieldId === field.id))).latest;
+        });
+        return latest;
+    }, [fields, diagnoses]);
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+
+    return (
+        <div className="grid grid-cols-1 gap-8 mx-auto max-w-7xl lg:grid-cols-3">
+            <div className="p-6 bg-white shadow-lg lg:col-span-1 rounded-xl h-fit">
+                <h2 className="mb-4 text-2xl font-bold">{t('fields.add')}</h2>
+                <FieldForm submitLabel={t('fields.add')} onSubmit={value => createField(db, user.uid, value)} />
+            </div>
+            <div className="lg:col-span-2">
+                <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('fields.title')}</h1>
+                {fields.length === 0 ? (
+                    <div className="py-16 text-center bg-white rounded-lg shadow">
+                        <h3 className="text-sm font-medium text-gray-900">{t('fields.empty')}</h3>
+                        <p className="mt-1 text-sm text-gray-500">{t('fields.emptyHint')}</p>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+                        {fields.map((field) => {
+                            const latest = latestByField[field.id];
+                            const day = daysSinceSowing(field);
+                            return (
+                                <Link key={field.id} to={`/fields/${field.id}`} className="block p-4 transition-transform transform bg-white rounded-lg shadow-lg hover:-translate-y-1">
+                                    <h3 className="text-lg font-semibold text-gray-800">{field.name}</h3>
+                                    <p className="text-sm text-gray-600">{[field.crop, formatArea(field, t)].filter(Boolean).join(' · ')}</p>
+                                    {day !== null && <p className="mt-1 text-xs text-gray-500">{t('fields.daysSinceSowing', { days: day })}</p>}
+                                    <p className={`mt-2 text-sm font-medium ${!latest ? 'text-gray-500' : latest.isHealthy ? 'text-green-600' : 'text-red-600'}`}>
+                                        {!latest
+                                            ? t('fields.noChecks')
+                                            : t('fields.latest', { status: latest.isHealthy ? t('result.healthy') : latest.disease, date: latest.date.toLocaleDateString() })}
+                                    </p>
+                                </Link>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function FieldDetailPage({ db, user }) {
+    const { fieldId } = useParams();
+    const navigate = useNavigate();
+    const { fields, loading } = useFields(db, user);
+    const [diagnoses, setDiagnoses] = useState([]);
+    const [isEditing, setIsEditing] = useState(false);
+    const { t } = useTranslation();
+    const field = fields.find(f => f.id === fieldId);
+
+    useEffect(() => {
+        if (!db || !user) return;
+        return subscribeToFieldDiagnoses(db, user.uid, fieldId, setDiagnoses, (error) => console.error("Error fetching field diagnoses: ", error));
+    }, [db, user, fieldId]);
+
+    const timeline = useMemo(() => (field ? buildFieldTimeline(field, diagnoses) : []), [field, diagnoses]);
+    const summary = useMemo(() => summarizeFieldHealth(timeline), [timeline]);
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+    if (!field) return <NotFoundPage />;
+
+    const handleUpdate = async (value) => {
+        await updateField(db, user.uid, field.id, value);
+        setIsEditing(false);
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('fields.confirmDelete', { name: field.name }))) return;
+        try {
+            await deleteField(db, user.uid, field.id);
+            navigate('/fields');
+        } catch (err) {
+            console.error('Error deleting field:', err);
+        }
+    };
+
+    const day = daysSinceSowing(field);
+
+    return (
+        <div className="max-w-5xl mx-auto space-y-6">
+            <Link to="/fields" className="text-sm font-semibold text-green-600 hover:underline">{t('fields.back')}</Link>
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                {isEditing ? (
+                    <FieldForm initial={field} submitLabel={t('fields.save')} onSubmit={handleUpdate} onCancel={() => setIsEditing(false)} />
+                ) : (
+                    <div className="flex flex-wrap items-start justify-between gap-4">
+                        <div>
+                            <h1 className="text-3xl font-bold text-gray-900">{field.name}</h1>
+                            <p className="text-gray-600">{[field.crop, formatArea(field, t)].filter(Boolean).join(' · ')}</p>
+                            {field.sowingDate && (
+                                <p className="mt-1 text-sm text-gray-500">
+                                    {t('fields.sownOn', { date: new Date(`${field.sowingDate}T00:00:00`).toLocaleDateString() })} · {t('fields.daysSinceSowing', { days: day })}
+                                </p>
+                            )}
+                            {field.location && (
+                                <a href={mapsUrl(field.location)} target="_blank" rel="noopener noreferrer" className="text-sm text-green-600 hover:underline">{t('fields.viewOnMap')}</a>
+                            )}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            <Link to={`/analyze?field=${field.id}`} className="px-4 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('fields.analyzeHere')}</Link>
+                            <button onClick={() => setIsEditing(true)} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('fields.edit')}</button>
+                            <button onClick={handleDelete} className="px-4 py-2 text-red-700 bg-red-100 rounded-md hover:bg-red-200">{t('fields.delete')}</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <h2 className="mb-4 text-2xl font-bold">{t('fields.season')}</h2>
+                {timeline.length === 0 ? (
+                    <p className="text-gray-500">{t('fields.noChecks')}</p>
+                ) : (
+                    <>
+                        <div className="relative h-4 mb-2 bg-gray-200 rounded-full">
+                            {timeline.map(entry => (
+                                <Link
+                                    key={entry.id}
+                                    to={`/diagnoses/${entry.id}`}
+                                    title={`${entry.date.toLocaleDateString()} · ${entry.isHealthy ? t('result.healthy') : entry.disease}`}
+                                    className={`absolute top-0 w-4 h-4 -ml-2 border-2 border-white rounded-full ${entry.isHealthy ? 'bg-green-500' : 'bg-red-500'}`}
+                                    style={{ left: `${entry.position * 100}%` }}
+                                ></Link>
+                            ))}
+                        </div>
+                        <div className="flex justify-between mb-6 text-xs text-gray-500">
+                            <span>{field.sowingDate ? t('fields.sowing') : timeline[0].date.toLocaleDateString()}</span>
+                            <span>{t('fields.today')}</span>
+                        </div>
+                        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+                            <div>
+                                <h3 className="mb-2 text-lg font-semibold text-gray-700">{t('fields.checks', { count: summary.checks })}</h3>
+                                <ul className="divide-y">
+                                    {[...timeline].reverse().map(entry => (
+                                        <li key={entry.id} className="py-2">
+                                            <Link to={`/diagnoses/${entry.id}`} className="flex justify-between text-sm hover:underline">
+                                                <span>
+                                                    {entry.day !== null && <span className="mr-2 font-semibold">{t('fields.day', { day: entry.day })}</span>}
+                                                    <span className={entry.isHealthy ? 'text-green-600' : 'text-red-600'}>{entry.isHealthy ? t('result.healthy') : entry.disease}</span>
+                                                </span>
+                                                <span className="text-gray-500">{entry.date.toLocaleDateString()} · {entry.provider}</span>
+                                            </Link>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                            <div>
+                                <h3 className="mb-2 text-lg font-semibold text-gray-700">{t('fields.diseaseSummary')}</h3>
+                                <p className="mb-2 text-sm text-gray-600">{t('fields.healthSplit', { healthy: summary.healthy, diseased: summary.diseased })}</p>
+                                {summary.diseases.length === 0 ? (
+                                    <p className="text-sm text-gray-500">{t('fields.noDiseases')}</p>
+                                ) : (
+                                    <ul className="space-y-2 text-sm">
+                                        {summary.diseases.map(d => (
+                                            <li key={d.disease} className="p-2 rounded bg-red-50">
+                                                <span className="font-semibold text-red-700">{d.disease}</span> · {t('fields.timesSeen', { count: d.count })}
+                                                <p className="text-xs text-gray-500">{t('fields.seenBetween', { first: d.firstSeen.toLocaleDateString(), last: d.lastSeen.toLocaleDateString() })}</p>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Browsable disease knowledge base with search and a crop filter
+function DiseaseEncyclopediaPage() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const search = searchParams.get('q') || '';
+    const crop = searchParams.get('crop') || '';
+    const { t } = useTranslation();
+    const entries = useMemo(() => searchDiseases(search, { crop }), [search, crop]);
+
+    const setParam = (key, value) => {
+        const next = new URLSearchParams(searchParams);
+        if (value) next.set(key, value);
+        else next.delete(key);
+        setSearchParams(next, { replace: true });
+    };
+
+    return (
+        <div className="max-w-5xl mx-auto">
+            <h1 className="text-3xl font-bold text-gray-900">{t('encyclopedia.title')}</h1>
+            <p className="mt-1 mb-6 text-sm text-gray-500">{t('encyclopedia.subtitle', { version: KNOWLEDGE_BASE_VERSION })}</p>
+            <div className="grid grid-cols-1 gap-4 mb-6 md:grid-cols-3">
+                <input type="search" value={search} onChange={(e) => setParam('q', e.target.value)} placeholder={t('encyclopedia.searchPlaceholder')} className="w-full p-2 border rounded md:col-span-2" />
+                <select value={crop} onChange={(e) => setParam('crop', e.target.value)} className="w-full p-2 border rounded">
+                    <option value="">{t('encyclopedia.allCrops')}</option>
+                    {ENCYCLOPEDIA_CROPS.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+            </div>
+            {entries.length === 0 ? (
+                <div className="py-16 text-center bg-white rounded-lg shadow">
+                    <h3 className="text-sm font-medium text-gray-900">{t('encyclopedia.noMatches')}</h3>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+                    {entries.map(entry => (
+                        <Link key={entry.label} to={`/diseases/${entry.slug}`} className="block p-4 transition-transform transform bg-white rounded-lg shadow-lg hover:-translate-y-1">
+                            <p className="text-xs font-semibold tracking-wide text-green-700 uppercase">{entry.crop}</p>
+                            <h3 className="text-lg font-semibold text-gray-800">{entry.name}</h3>
+                            {entry.scientificName && <p className="text-xs italic text-gray-500">{entry.scientificName}</p>}
+                            <p className="mt-2 text-sm text-gray-600">{entry.summary}</p>
+                        </Link>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function DiseaseDetailPage({ db }) {
+    const { slug } = useParams();
+    const { t } = useTranslation();
+    const entry = getDiseaseBySlug(slug);
+    const matches = useRecommendedProducts(db, entry?.products || NO_RECOMMENDATIONS);
+
+    if (!entry) return <NotFoundPage />;
+
+    const sections = [
+        ['encyclopedia.symptoms', entry.symptoms],
+        ['encyclopedia.causes', entry.causes],
+        ['encyclopedia.organic', entry.organicTreatments],
+        ['encyclopedia.chemical', entry.chemicalTreatments],
+        ['encyclopedia.prevention', entry.prevention],
+    ].filter(([, items]) => items.length > 0);
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6">
+            <Link to="/diseases" className="text-sm font-semibold text-green-600 hover:underline">{t('encyclopedia.back')}</Link>
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                {entry.crop && <p className="text-xs font-semibold tracking-wide text-green-700 uppercase">{entry.crop}</p>}
+                <h1 className="text-3xl font-bold text-gray-900">{entry.name}</h1>
+                {entry.scientificName && (
+                    <p className="text-sm text-gray-500"><span className="italic">{entry.scientificName}</span>{entry.pathogen && ` · ${t(`encyclopedia.pathogen.${entry.pathogen}`)}`}</p>
+                )}
+                {entry.aliases?.length > 0 && <p className="mt-1 text-xs text-gray-500">{t('encyclopedia.alsoKnownAs', { names: entry.aliases.join(', ') })}</p>}
+                <p className="mt-4 text-gray-700">{entry.summary}</p>
+            </div>
+            {sections.map(([titleKey, items]) => (
+                <div key={titleKey} className="p-6 bg-white shadow-lg rounded-xl">
+                    <h2 className="mb-2 text-xl font-bold">{t(titleKey)}</h2>
+                    <ul className="space-y-1 text-sm text-gray-700 list-disc list-inside">
+                        {items.map(item => <li key={item}>{item}</li>)}
+                    </ul>
+                </div>
+            ))}
+            {entry.chemicalTreatments.length > 0 && <p className="text-xs text-gray-500">{t('encyclopedia.labelWarning')}</p>}
+            {matches.length > 0 && (
+                <div className="p-6 bg-white shadow-lg rounded-xl">
+                    <div className="flex items-center justify-between mb-3">
+                        <h2 className="text-xl font-bold">{t('result.inMarketplace')}</h2>
+                        <Link
+                            to={`/shop?${new URLSearchParams({ recommendedFor: entry.name, ids: matches.map(m => m.product.id).join(',') })}`}
+                            className="text-sm font-semibold text-green-600 hover:underline"
+                        >
+                            {t('result.seeAll')}
+                        </Link>
+                    </div>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        {matches.slice(0, 2).map(m => <ProductCard key={m.product.id} product={m.product} />)}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+const COMPARE_PROVIDERS = 'compare';
+
+// Longest side of the upright preview the crop box is drawn over
+const ANALYZER_PREVIEW_DIMENSION = 1024;
+
+// getUserMedia is only exposed on secure origins (https or localhost)
+const CAMERA_SUPPORTED = Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Reopens a diagnosis from My Diagnoses in the analyzer's results panel
+function SavedDiagnosisPage({ db, storage, user }) {
+    const { diagnosisId } = useParams();
+    const [diagnosis, setDiagnosis] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!db || !user) return;
+        setLoading(true);
+        getDiagnosis(db, user.uid, diagnosisId)
+            .then(setDiagnosis)
+            .catch(error => console.error("Error fetching diagnosis: ", error))
+            .finally(() => setLoading(false));
+    }, [db, user, diagnosisId]);
+
+    if (loading) return <div className="flex items-center justify-center h-64"><div className="loader"></div></div>;
+    if (!diagnosis) return <NotFoundPage />;
+
+    return <PlantAnalyzerPage key={diagnosis.id} db={db} storage={storage} user={user} initialDiagnosis={diagnosis} />;
+}
+
+function PlantAnalyzerPage({ db, storage, user, initialDiagnosis }) {
+    // This component combines the logic from the previous HTML file
+    const providers = useAnalysisProviders();
+
+    const [imagePreviewUrl, setImagePreviewUrl] = useState(initialDiagnosis?.imageUrl || '');
+    const [source, setSource] = useState(null); // { canvas, mimeType, fileName } of the upright photo
+    const [crop, setCrop] = useState(FULL_CROP);
+    const [quality, setQuality] = useState(null); // { isDark, isBlurry, ... } for the cropped region
+    const [isPreparing, setIsPreparing] = useState(false);
+    const [isCameraOpen, setIsCameraOpen] = useState(false);
+    // Photo and time of the analysis shown in the results panel, for reports
+    const [analyzedImage, setAnalyzedImage] = useState(() => initialDiagnosis ? {
+        src: initialDiagnosis.imageUrl,
+        analyzedAt: initialDiagnosis.createdAt?.toDate ? initialDiagnosis.createdAt.toDate() : null,
+    } : null);
+    const [selectedProvider, setSelectedProvider] = useState(PROVIDER_IDS.GEMINI);
+    const [isLoading, setIsLoading] = useState(false);
+    const [analyses, setAnalyses] = useState(() => initialDiagnosis ? [{
+        provider: providers.find(p => p.id === initialDiagnosis.provider) || { id: initialDiagnosis.provider, label: initialDiagnosis.provider },
+        result: diagnosisToResult(initialDiagnosis),
+        error: '',
+        chat: chatFromDiagnosis(initialDiagnosis),
+    }] : []); // [{ provider, result, error, chat }]
+    // Diagnosis ids of the shown results by provider id, for saving follow-up chats
+    const [savedDiagnosisIds, setSavedDiagnosisIds] = useState(() => initialDiagnosis ? { [initialDiagnosis.provider]: initialDiagnosis.id } : {});
+    const [error, setError] = useState('');
+    const [saveStatus, setSaveStatus] = useState(''); // '', 'saving', 'saved' or 'error'
+    const [queuedNotice, setQueuedNotice] = useState('');
+    const { fields } = useFields(db, user);
+    const [searchParams] = useSearchParams();
+    // Field new analyses are saved under; "Analyze a leaf" on a field page preselects it
+    const [fieldId, setFieldId] = useState(initialDiagnosis ? (initialDiagnosis.fieldId || '') : (searchParams.get('field') || ''));
+    const [fieldStatus, setFieldStatus] = useState(''); // '', 'saved' or 'error' after reassigning a saved diagnosis
+    const [similarScan, setSimilarScan] = useState(null); // { diagnosisId, analyzedAt } of a near-duplicate earlier photo
+    const selectedField = fields.find(f => f.id === fieldId) || null;
+    
+    const nextSignal = useAbortSignal();
+    const { language, t } = useTranslation();
+    const { isOnline, isSupported: canQueue, enqueue } = useAnalysisQueue();
+    const isComparing = selectedProvider === COMPARE_PROVIDERS;
+    const hasQualityIssues = Boolean(quality && (quality.isDark || quality.isBlurry));
+
+    const selectImage = async (file) => {
+        setIsCameraOpen(false);
+        setIsPreparing(true);
+        setAnalyses([]);
+        setSavedDiagnosisIds({});
+        setSimilarScan(null);
+        setAnalyzedImage(null);
+        setError('');
+        setSaveStatus('');
+        setQueuedNotice('');
+        try {
+            const loaded = await loadImageForAnalysis(file);
+            setSource({ ...loaded, fileName: file.name || 'leaf.jpg' });
+            setImagePreviewUrl(cropAndScale(loaded.canvas, FULL_CROP, ANALYZER_PREVIEW_DIMENSION).toDataURL('image/jpeg', 0.85));
+            setCrop(FULL_CROP);
+            setQuality(assessImageQuality(loaded.canvas));
+        } catch (err) {
+            console.error('Error reading image:', err);
+            setSource(null);
+            setImagePreviewUrl('');
+            setQuality(null);
+            setError(err instanceof ImagePreprocessingError && err.code === 'unsupported_format'
+                ? t('analyzer.unsupportedFormat')
+                : t('analyzer.unreadable'));
+        } finally {
+            setIsPreparing(false);
+        }
+    };
+
+    const handleImageChange = (event) => {
+        const file = event.target.files[0];
+        // Cleared so choosing the same file again still fires onChange
+        event.target.value = '';
+        if (file) selectImage(file);
+    };
+
+    const handleCropChange = (nextCrop) => {
+        setCrop(nextCrop);
+        setQuality(assessImageQuality(source.canvas, nextCrop));
+    };
+
+    // Moves the reopened diagnosis to another field (or none)
+    const handleAssignField = async (nextFieldId) => {
+        setFieldId(nextFieldId);
+        setFieldStatus('');
+        try {
+            await assignDiagnosisField(db, user.uid, initialDiagnosis.id, fields.find(f => f.id === nextFieldId) || null);
+            setFieldStatus('saved');
+        } catch (err) {
+            console.error('Error assigning field:', err);
+            setFieldStatus('error');
+        }
+    };
+
+    const queueImage = async (targets, file, hashes) => {
+        try {
+            await enqueue({ file, hashes, providerIds: targets.map(p => p.id), language, field: selectedField });
+            setQueuedNotice(t('queue.added'));
+        } catch (err) {
+            console.error('Error queueing analysis:', err);
+            setError(t('queue.addFailed'));
+        }
+        setIsLoading(false);
+    };
+
+    // `force` skips results cached for an identical photo
+    const analyzeImage = async ({ force = false } = {}) => {
+        if (!source) {
+            setError(t('analyzer.uploadFirst'));
+            return;
+        }
+
+        const targets = isComparing
+            ? providers.filter(p => p.id !== PROVIDER_IDS.MOCK)
+            : providers.filter(p => p.id === selectedProvider);
+
+        setIsLoading(true);
+        setError('');
+        setAnalyses([]);
+        setSavedDiagnosisIds({});
+        setSimilarScan(null);
+        setSaveStatus('');
+        setQueuedNotice('');
+
+        // Every provider gets the same upright, cropped JPEG within the size budget
+        let file;
+        let base64Data;
+        try {
+            file = await exportForAnalysis(source.canvas, { crop, fileName: source.fileName });
+            base64Data = await blobToBase64(file);
+        } catch (err) {
+            console.error('Error preparing image:', err);
+            setError(t('analyzer.unreadable'));
+            setIsLoading(false);
+            return;
+        }
+
+        // Identical photos reuse the earlier answer unless a fresh one is asked for
+        const userId = user?.uid || null;
+        let hashes = null;
+        try {
+            hashes = await hashImage(file, source.canvas, crop);
+        } catch (err) {
+            console.warn('Could not fingerprint image:', err);
+        }
+        const cached = {};
+        if (hashes && !force) {
+            const found = await Promise.all(targets.map(p =>
+                getCachedAnalysis({ contentHash: hashes.contentHash, providerId: p.id, language, db, userId })
+                    .catch((err) => {
+                        console.warn('Could not read cached analysis:', err);
+                        return null;
+                    })
+            ));
+            targets.forEach((p, i) => {
+                if (found[i]) cached[p.id] = found[i];
+            });
+        }
+        if (hashes && Object.keys(cached).length === 0) {
+            findSimilarScan({ ...hashes, userId })
+                .then(setSimilarScan)
+                .catch(err => console.warn('Could not look up similar scans:', err));
+        }
+
+        const missing = targets.filter(p => !cached[p.id]);
+        if (missing.length > 0 && !isOnline && canQueue) {
+            await queueImage(missing, file, hashes);
+            if (missing.length === targets.length) return;
+        }
+        const toRun = isOnline || !canQueue ? missing : [];
+
+        const input = { file, base64Data, mimeType: file.type, language, signal: nextSignal() };
+        const settled = await Promise.allSettled(toRun.map(p => runAnalysis(p, input)));
+        if (input.signal.aborted) return;
+
+        // The connection dropped mid-request: keep the photo for later instead of failing
+        if (canQueue && toRun.length === targets.length && settled.every(outcome => outcome.status === 'rejected' && isConnectivityError(outcome.reason))) {
+            await queueImage(targets, file, hashes);
+            return;
+        }
+        const fresh = Object.fromEntries(settled.map((outcome, i) => [toRun[i].id, outcome]));
+        const outcomes = targets.filter(p => cached[p.id] || fresh[p.id]).map((provider) => {
+            if (cached[provider.id]) {
+                return { provider, result: cached[provider.id].result, error: '', reusedFrom: cached[provider.id].analyzedAt };
+            }
+            const outcome = fresh[provider.id];
+            return {
+                provider,
+                result: outcome.status === 'fulfilled' ? outcome.value : null,
+                error: outcome.status === 'rejected' ? t('analyzer.failed', { message: outcome.reason.message }) : '',
+            };
+        });
+        outcomes.filter(o => o.error).forEach(o => console.error(`Error analyzing with ${o.provider.id}:`, o.error));
+
+        if (!isComparing && outcomes[0]?.error) {
+            setError(outcomes[0].error);
+        } else {
+            setAnalyses(outcomes);
+            setAnalyzedImage({ src: `data:${file.type};base64,${base64Data}`, analyzedAt: new Date() });
+        }
+        setIsLoading(false);
+
+        const reusedIds = Object.fromEntries(targets
+            .filter(p => cached[p.id]?.diagnosisId)
+            .map(p => [p.id, cached[p.id].diagnosisId]));
+        setSavedDiagnosisIds(reusedIds);
+
+        const successful = outcomes.filter(o => o.result && !o.reusedFrom);
+        let ids = [];
+        if (user && db && successful.length > 0) {
+            setSaveStatus('saving');
+            try {
+                ids = await Promise.all(successful.map(o => saveDiagnosis(db, storage, { userId: user.uid, file, result: o.result, field: selectedField, hashes, language })));
+                setSavedDiagnosisIds({ ...reusedIds, ...Object.fromEntries(successful.map((o, i) => [o.provider.id, ids[i]])) });
+                setSaveStatus('saved');
+            } catch (err) {
+                console.error('Error saving diagnosis:', err);
+                setSaveStatus('error');
+            }
+        }
+        if (hashes) {
+            successful.forEach((o, i) => {
+                cacheAnalysis({ ...hashes, providerId: o.provider.id, language, userId, result: o.result, diagnosisId: ids[i] || null })
+                    .catch(err => console.warn('Could not cache analysis:', err));
+            });
+        }
+    };
+
+    return (
+         <div className="grid max-w-4xl grid-cols-1 gap-8 mx-auto md:grid-cols-2">
+            {(isComparing || selectedProvider === PROVIDER_IDS.VIT) && <BackendStatusBanner className="md:col-span-2" />}
+            {/* Left side: Upload and Preview */}
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <div className="flex items-baseline justify-between mb-4">
+                    <h2 className="text-2xl font-bold">{t('analyzer.upload')}</h2>
+                    {!initialDiagnosis && <Link to="/analyze/batch" className="text-sm font-semibold text-green-600 hover:underline">{t('analyzer.batchLink')}</Link>}
+                </div>
+                <input type="file" id="image-upload-react" className="hidden" accept="image/*" onChange={handleImageChange} />
+                {isCameraOpen ? (
+                    <CameraCapture onCapture={selectImage} onClose={() => setIsCameraOpen(false)} />
+                ) : isPreparing ? (
+                    <div className="flex items-center justify-center h-64"><div className="loader"></div></div>
+                ) : source ? (
+                    <div className="flex items-center justify-center h-64">
+                        <ImageCropper src={imagePreviewUrl} alt={t('analyzer.previewAlt')} crop={crop} onChange={handleCropChange} disabled={isLoading} />
+                    </div>
+                ) : (
+                    <label htmlFor="image-upload-react" className="flex flex-col items-center justify-center h-64 p-8 transition-colors border-2 border-gray-300 border-dashed rounded-lg cursor-pointer hover:border-green-500">
+                        {imagePreviewUrl ? (
+                             <img src={imagePreviewUrl} alt={t('analyzer.previewAlt')} className="max-h-full rounded-lg" />
+                        ) : (
+                            <>
+                               <svg className="w-12 h-12 text-gray-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M2.25 15.75l5.159-5.159a2.25 2.25 0 013.182 0l5.159 5.159m-1.5-1.5l1.409-1.409a2.25 2.25 0 013.182 0l2.909 2.909m-18 3.75h16.5a1.5 1.5 0 001.5-1.5V6a1.5 1.5 0 00-1.5-1.5H3.75A1.5 1.5 0 002.25 6v12a1.5 1.5 0 001.5 1.5zm10.5-11.25h.008v.008h-.008V8.25zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z" /></svg>
+                                <span className="mt-2 text-sm font-medium text-gray-700">{t('analyzer.clickToUpload')}</span>
+                            </>
+                        )}
+                    </label>
+                )}
+                {!isCameraOpen && (
+                    <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                        {source && (
+                            <label htmlFor="image-upload-react" className="px-3 py-1 font-semibold text-gray-700 bg-gray-100 rounded-md cursor-pointer hover:bg-gray-200">{t('analyzer.chooseAnother')}</label>
+                        )}
+                        {CAMERA_SUPPORTED && (
+                            <button onClick={() => setIsCameraOpen(true)} className="px-3 py-1 font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200" disabled={isLoading}>{t('camera.open')}</button>
+                        )}
+                        {source && !isFullCrop(crop) && (
+                            <button onClick={() => handleCropChange(FULL_CROP)} className="px-3 py-1 font-semibold text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200" disabled={isLoading}>{t('analyzer.resetCrop')}</button>
+                        )}
+                        {source && <span className="text-xs text-gray-500">{t('analyzer.cropHint')}</span>}
+                    </div>
+                )}
+                {source && hasQualityIssues && (
+                    <div className="px-4 py-3 mt-4 text-sm text-yellow-900 bg-yellow-100 border border-yellow-300 rounded-lg" role="alert">
+                        {quality.isDark && <p>{t('analyzer.quality.dark')}</p>}
+                        {quality.isBlurry && <p>{t('analyzer.quality.blurry')}</p>}
+                        <p className="mt-1 text-xs">{t('analyzer.quality.hint')}</p>
+                    </div>
+                )}
+                {source && (
+                    <div className="flex flex-col mt-4 space-y-2">
+                        <label htmlFor="analysis-provider" className="block text-sm font-medium text-gray-700">{t('analyzer.model')}</label>
+                        <select id="analysis-provider" value={selectedProvider} onChange={(e) => setSelectedProvider(e.target.value)} className="w-full p-2 border rounded" disabled={isLoading}>
+                            {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                            <option value={COMPARE_PROVIDERS}>{t('analyzer.compare')}</option>
+                        </select>
+                        {user && fields.length > 0 && !initialDiagnosis && (
+                            <>
+                                <label htmlFor="analysis-field" className="block text-sm font-medium text-gray-700">{t('fields.select')}</label>
+                                <FieldSelect id="analysis-field" fields={fields} value={fieldId} onChange={setFieldId} disabled={isLoading} />
+                            </>
+                        )}
+                        <button onClick={() => analyzeImage()} className={`w-full py-2 text-white rounded-md disabled:opacity-50 ${hasQualityIssues ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-green-600 hover:bg-green-700'}`} disabled={isLoading}>
+                            {isLoading
+                                ? t('analyzer.analyzing')
+                                : !isOnline && canQueue
+                                    ? t('analyzer.analyzeLater')
+                                    : hasQualityIssues ? t('analyzer.analyzeAnyway') : t('analyzer.analyze')}
+                        </button>
+                    </div>
+                )}
+            </div>
+            {/* Right side: Results */}
+            <div className={`p-6 bg-white shadow-lg rounded-xl ${isComparing && analyses.length > 0 ? 'md:col-span-2' : ''}`}>
+                 <h2 className="mb-4 text-2xl font-bold">{t('analyzer.results')}</h2>
+                {initialDiagnosis && !source && (
+                    <p className="mb-4 text-sm text-gray-500">{t('analyzer.savedFrom', { date: initialDiagnosis.createdAt?.toDate ? initialDiagnosis.createdAt.toDate().toLocaleString() : '' })}</p>
+                )}
+                {initialDiagnosis && (fields.length > 0 || fieldId) && (
+                    <div className="mb-4">
+                        <label htmlFor="diagnosis-field" className="block text-sm font-medium text-gray-700">{t('fields.select')}</label>
+                        <FieldSelect id="diagnosis-field" fields={fields} value={fieldId} fallbackName={initialDiagnosis.fieldName} onChange={handleAssignField} />
+                        {fieldStatus === 'saved' && <p className="mt-1 text-sm text-green-700">{t('fields.assigned')}</p>}
+                        {fieldStatus === 'error' && <p className="mt-1 text-sm text-red-600">{t('fields.assignFailed')}</p>}
+                    </div>
+                )}
+                {queuedNotice && <div className="px-4 py-3 mb-4 text-sm text-yellow-900 bg-yellow-100 border border-yellow-300 rounded-lg">{queuedNotice}</div>}
+                {analyses.some(a => a.reusedFrom) && (
+                    <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 mb-4 text-sm text-blue-900 bg-blue-50 border border-blue-200 rounded-lg">
+                        <span>{t('cache.reused', { date: analyses.find(a => a.reusedFrom).reusedFrom.toLocaleString() })}</span>
+                        <button onClick={() => analyzeImage({ force: true })} className="px-3 py-1 font-semibold text-blue-800 bg-blue-100 rounded-md hover:bg-blue-200" disabled={isLoading}>{t('cache.reanalyze')}</button>
+                    </div>
+                )}
+                {similarScan && !isLoading && (
+                    <p className="mb-4 text-sm text-gray-600">
+                        {t('cache.similar', { date: similarScan.analyzedAt.toLocaleString() })}
+                        {similarScan.diagnosisId && user && <Link to={`/diagnoses/${similarScan.diagnosisId}`} className="ml-2 font-semibold text-green-600 hover:underline">{t('cache.viewSimilar')}</Link>}
+                    </p>
+                )}
+                {saveStatus === 'saving' && <p className="mb-4 text-sm text-gray-500">{t('analyzer.saving')}</p>}
+                {saveStatus === 'saved' && <p className="mb-4 text-sm text-green-700">{t('analyzer.saved')}</p>}
+                {saveStatus === 'error' && <p className="mb-4 text-sm text-red-600">{t('analyzer.saveFailed')}</p>}
+                {isLoading && <div className="flex items-center justify-center h-full"><div className="loader"></div></div>}
+                {error && <div className="px-4 py-3 text-red-700 bg-red-100 border border-red-400 rounded-lg">{error}</div>}
+                {analyses.length > 0 ? (
+                    <div className={analyses.length > 1 ? 'grid grid-cols-1 gap-6 md:grid-cols-2' : ''}>
+                        {analyses.map(({ provider, result, error: providerError, chat }) => (
+                            <div key={provider.id}>
+                                {analyses.length > 1 && <h3 className="mb-2 text-lg font-semibold text-gray-700">{provider.label}</h3>}
+                                {providerError ? (
+                                    <div className="px-4 py-3 text-red-700 bg-red-100 border border-red-400 rounded-lg">{providerError}</div>
+                                ) : (
+                                    <>
+                                        <AnalysisResult db={db} results={result} />
+                                        <DiagnosisReportActions result={result} providerLabel={provider.label} imageSrc={analyzedImage?.src} analyzedAt={analyzedImage?.analyzedAt} />
+                                        <DiagnosisChat db={db} user={user} result={result} imageSrc={analyzedImage?.src} diagnosisId={savedDiagnosisIds[provider.id]} initialMessages={chat} />
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    !isLoading && !error && !queuedNotice && <p className="text-gray-500">{t('analyzer.empty')}</p>
+                )}
+            </div>
+            <AnalysisQueuePanel className="md:col-span-2" />
+        </div>
+    );
+}
+
+// Live preview from the rear camera; calls onCapture with a JPEG File of the current frame
+function CameraCapture({ onCapture, onClose }) {
+    const { t } = useTranslation();
+    const videoRef = useRef(null);
+    const [isReady, setIsReady] = useState(false);
+    const [error, setError] = useState(''); // i18n key
+
+    useEffect(() => {
+        let stream = null;
+        let cancelled = false;
+
+        const startCamera = async () => {
+            try {
+                const media = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+                    audio: false,
+                });
+                if (cancelled) {
+                    media.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = media;
+                videoRef.current.srcObject = media;
+                await videoRef.current.play();
+                setIsReady(true);
+            } catch (err) {
+                console.error('Error opening camera:', err);
+                if (!cancelled) setError(err.name === 'NotAllowedError' ? 'camera.denied' : 'camera.unavailable');
+            }
+        };
+        startCamera();
+
+        return () => {
+            cancelled = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const capture = () => {
+        const video = videoRef.current;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        canvas.toBlob((blob) => {
+            if (blob) onCapture(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+        }, 'image/jpeg', 0.95);
+    };
+
+    return (
+        <div>
+            <div className="relative flex items-center justify-center h-64 overflow-hidden bg-black rounded-lg">
+                <video ref={videoRef} className="max-h-full" playsInline muted />
+                {!isReady && !error && <div className="absolute loader"></div>}
+                {error && <p className="absolute px-4 text-sm text-center text-white">{t(error)}</p>}
+            </div>
+            <div className="flex mt-3 space-x-2">
+                <button onClick={capture} className="flex-1 py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50" disabled={!isReady}>{t('camera.capture')}</button>
+                <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('common.cancel')}</button>
+            </div>
+        </div>
+    );
+}
+
+// Draggable crop box over the photo preview. `crop` holds fractions of the
+// photo's width and height; onChange fires once a drag ends.
+function ImageCropper({ src, alt, crop, onChange, disabled = false }) {
+    const containerRef = useRef(null);
+    const dragRef = useRef(null); // { mode, startX, startY, start } while dragging
+    const [draft, setDraft] = useState(crop);
+
+    useEffect(() => setDraft(crop), [crop]);
+
+    const startDrag = (mode) => (event) => {
+        if (disabled) return;
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = { mode, startX: event.clientX, startY: event.clientY, start: draft };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const rect = containerRef.current.getBoundingClientRect();
+        const dx = (event.clientX - drag.startX) / rect.width;
+        const dy = (event.clientY - drag.startY) / rect.height;
+        setDraft(drag.mode === 'move' ? moveCrop(drag.start, dx, dy) : resizeCrop(drag.start, dx, dy));
+    };
+
+    const endDrag = () => {
+        if (!dragRef.current) return;
+        dragRef.current = null;
+        onChange(draft);
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className="relative inline-block overflow-hidden rounded-lg select-none touch-none"
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+        >
+            <img src={src} alt={alt} className="block max-h-64" draggable={false} />
+            <div
+                className="absolute border-2 border-white cursor-move"
+                style={{
+                    left: `${draft.x * 100}%`,
+                    top: `${draft.y * 100}%`,
+                    width: `${draft.width * 100}%`,
+                    height: `${draft.height * 100}%`,
+                    // Dims everything outside the crop
+                    boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.45)',
+                }}
+                onPointerDown={startDrag('move')}
+            >
+                <div className="absolute w-5 h-5 bg-white border-2 border-green-600 rounded-full -right-2.5 -bottom-2.5 cursor-nwse-resize" onPointerDown={startDrag('resize')} />
+            </div>
+        </div>
+    );
+}
+
+function AnalysisQueuePanel({ className = '' }) {
+    const { entries, isOnline, retry, remove, clearCompleted } = useAnalysisQueue();
+    const { t } = useTranslation();
+
+    if (entries.length === 0) return null;
+
+    const hasCompleted = entries.some(entry => entry.status === QUEUE_STATUS.DONE);
+
+    return (
+        <div className={`p-6 bg-white shadow-lg rounded-xl ${className}`}>
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <h2 className="text-2xl font-bold">{t('queue.title')}</h2>
+                    <p className="text-sm text-gray-500">{isOnline ? t('queue.onlineHint') : t('queue.offlineHint')}</p>
+                </div>
+                {hasCompleted && (
+                    <button onClick={clearCompleted} className="px-3 py-1 text-sm font-semibold text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('queue.clearCompleted')}</button>
+                )}
+            </div>
+            <ul className="divide-y">
+                {entries.map(entry => <QueuedAnalysisRow key={entry.id} entry={entry} onRetry={retry} onRemove={remove} />)}
+            </ul>
+        </div>
+    );
+}
+
+const QUEUE_STATUS_STYLES = {
+    [QUEUE_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+    [QUEUE_STATUS.RUNNING]: 'bg-blue-100 text-blue-800',
+    [QUEUE_STATUS.DONE]: 'bg-green-100 text-green-800',
+    [QUEUE_STATUS.FAILED]: 'bg-red-100 text-red-800',
+};
+
+function QueuedAnalysisRow({ entry, onRetry, onRemove }) {
+    const { t } = useTranslation();
+    const [thumbnailUrl, setThumbnailUrl] = useState('');
+    const successful = entry.outcomes.filter(outcome => outcome.result);
+
+    useEffect(() => {
+        const url = URL.createObjectURL(entry.file);
+        setThumbnailUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [entry.file]);
+
+    return (
+        <li className="flex items-center py-3 space-x-4">
+            {thumbnailUrl && <img src={thumbnailUrl} alt={t('analyzer.previewAlt')} className="object-cover w-16 h-16 rounded-md" />}
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${QUEUE_STATUS_STYLES[entry.status]}`}>{t(`queue.status.${entry.status}`)}</span>
+                    <span className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+                {successful.map(outcome => (
+                    <p key={outcome.providerId} className="mt-1 text-sm font-medium text-gray-800 truncate">{summarizeResult(outcome.result)}</p>
+                ))}
+                {entry.error && <p className="mt-1 text-sm text-red-600">{entry.error}</p>}
+            </div>
+            <div className="flex items-center space-x-3 text-sm font-semibold">
+                {entry.diagnosisIds[0] && (
+                    <Link to={`/diagnoses/${entry.diagnosisIds[0]}`} className="text-green-600 hover:underline">{t('queue.view')}</Link>
+                )}
+                {entry.status === QUEUE_STATUS.FAILED && (
+                    <button onClick={() => onRetry(entry.id)} className="text-green-600 hover:underline">{t('common.retry')}</button>
+                )}
+                {entry.status !== QUEUE_STATUS.RUNNING && (
+                    <button onClick={() => onRemove(entry.id)} className="text-red-600 hover:underline">{t('queue.remove')}</button>
+                )}
+            </div>
+        </li>
+    );
+}
+
+const BATCH_STATUS_STYLES = {
+    [JOB_STATUS.QUEUED]: 'bg-gray-100 text-gray-700',
+    [JOB_STATUS.RUNNING]: 'bg-blue-100 text-blue-800',
+    [JOB_STATUS.DONE]: 'bg-green-100 text-green-800',
+    [JOB_STATUS.FAILED]: 'bg-red-100 text-red-800',
+};
+
+// Analyzes many photos against one provider, a few at a time
+function BatchAnalyzerPage({ db, storage, user }) {
+    const providers = useAnalysisProviders();
+    const { language, t } = useTranslation();
+    const [jobs, setJobs] = useState([]);
+    const [selectedProvider, setSelectedProvider] = useState(PROVIDER_IDS.GEMINI);
+    const [saveToHistory, setSaveToHistory] = useState(true);
+    const { fields } = useFields(db, user);
+    const [fieldId, setFieldId] = useState('');
+    const [isRunning, setIsRunning] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const [notice, setNotice] = useState('');
+    const nextSignal = useAbortSignal();
+
+    const summary = useMemo(() => summarizeBatch(jobs), [jobs]);
+    const processed = summary.completed + summary.failed;
+
+    const updateJob = useCallback((id, changes) => {
+        setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...changes } : job)));
+    }, []);
+
+    const addFiles = (fileList) => {
+        const files = [...fileList];
+        const images = files.filter(isImageFile);
+        const accepted = images.slice(0, Math.max(0, MAX_BATCH_FILES - jobs.length));
+        const notices = [];
+        if (images.length < files.length) notices.push(t('batch.skippedNonImages', { count: files.length - images.length }));
+        if (accepted.length < images.length) notices.push(t('batch.limitReached', { max: MAX_BATCH_FILES }));
+        setNotice(notices.join(' '));
+        setJobs(prev => [...prev, ...accepted.map(createBatchJob)]);
+    };
+
+    const handleFileChange = (event) => {
+        addFiles(event.target.files);
+        event.target.value = '';
+    };
+
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+        if (!isRunning) addFiles(event.dataTransfer.files);
+    };
+
+    const processJob = async (job, provider, field, signal) => {
+        const attempts = job.attempts + 1;
+        updateJob(job.id, { status: JOB_STATUS.RUNNING, stage: 'preparing', attempts, reusedFrom: null, error: '' });
+        try {
+            const { canvas } = await loadImageForAnalysis(job.file);
+            const quality = assessImageQuality(canvas);
+            const file = await exportForAnalysis(canvas, { fileName: job.file.name });
+
+            // A photo this provider has already analyzed gets the earlier answer
+            const userId = user?.uid || null;
+            let hashes = null;
+            try {
+                hashes = await hashImage(file, canvas);
+            } catch (err) {
+                console.warn('Could not fingerprint image:', err);
+            }
+            const cached = hashes && await getCachedAnalysis({ contentHash: hashes.contentHash, providerId: provider.id, language, db, userId })
+                .catch((err) => {
+                    console.warn('Could not read cached analysis:', err);
+                    return null;
+                });
+            if (cached) {
+                updateJob(job.id, { status: JOB_STATUS.DONE, stage: null, quality, result: cached.result, diagnosisId: cached.diagnosisId, reusedFrom: cached.analyzedAt });
+                return;
+            }
+            updateJob(job.id, { stage: 'analyzing', quality });
+
+            const result = await runAnalysis(provider, { file, base64Data: await blobToBase64(file), mimeType: file.type, language, signal });
+
+            let diagnosisId = null;
+            if (saveToHistory && user && db) {
+                updateJob(job.id, { stage: 'saving' });
+                try {
+                    diagnosisId = await saveDiagnosis(db, storage, { userId: user.uid, file, result, field, hashes, language });
+                } catch (err) {
+                    console.error('Error saving diagnosis:', err);
+                }
+            }
+            if (hashes) {
+                cacheAnalysis({ ...hashes, providerId: provider.id, language, userId, result, diagnosisId })
+                    .catch(err => console.warn('Could not cache analysis:', err));
+            }
+            updateJob(job.id, { status: JOB_STATUS.DONE, stage: null, result, diagnosisId });
+        } catch (err) {
+            // Stopped by the user: leave it for the next run
+            if (signal.aborted) {
+                updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: null });
+                return;
+            }
+            console.error(`Error analyzing ${job.file.name}:`, err);
+            const quota = quotaExceeded(err);
+            if (quota?.quota === 'minute') {
+                updateJob(job.id, { stage: 'waitingForQuota' });
+                await waitUnlessAborted(quota.retryAfterMs ?? QUOTA_RETRY_DELAY_MS, signal);
+                if (signal.aborted) {
+                    updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: null });
+                    return;
+                }
+                await processJob(job, provider, field, signal);
+                return;
+            }
+            if (quota) {
+                // No more Gemini requests today: stop, leaving this and the rest queued
+                updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: null });
+                stop();
+                setNotice(t('batch.dailyQuotaReached'));
+                return;
+            }
+            if (isConnectivityError(err) && attempts < MAX_BATCH_ATTEMPTS) {
+                updateJob(job.id, { stage: 'waitingToRetry' });
+                await waitBeforeRetry(attempts, signal);
+                if (signal.aborted) {
+                    updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: null });
+                    return;
+                }
+                await processJob({ ...job, attempts }, provider, field, signal);
+                return;
+            }
+            updateJob(job.id, {
+                status: JOB_STATUS.FAILED,
+                stage: null,
+                error: err instanceof ImagePreprocessingError
+                    ? t(err.code === 'unsupported_format' ? 'analyzer.unsupportedFormat' : 'analyzer.unreadable')
+                    : t('analyzer.failed', { message: err.message }),
+            });
+        }
+    };
+
+    const runJobs = async (toRun) => {
+        const provider = providers.find(p => p.id === selectedProvider);
+        if (!provider.isAvailable()) {
+            setNotice(provider.unavailableReason());
+            return;
+        }
+        if (toRun.length === 0) return;
+
+        setNotice('');
+        setIsRunning(true);
+        const signal = nextSignal();
+        await runJobQueue(toRun, {
+            worker: job => processJob(job, provider, fields.find(f => f.id === fieldId) || null, signal),
+            concurrency: DEFAULT_BATCH_CONCURRENCY,
+            signal,
+        });
+        if (!signal.aborted) setIsRunning(false);
+    };
+
+    const start = () => runJobs(jobs.filter(job => job.status === JOB_STATUS.QUEUED));
+
+    const stop = () => {
+        nextSignal(); // aborts the requests in flight
+        setIsRunning(false);
+    };
+
+    const retry = (toRetry) => {
+        toRetry.forEach(job => updateJob(job.id, { status: JOB_STATUS.QUEUED, error: '' }));
+        runJobs(toRetry);
+    };
+
+    const removeJob = (id) => setJobs(prev => prev.filter(job => job.id !== id));
+
+    const exportCsv = () => downloadFile(batchToCsv(jobs), datedFileName('agroscan-batch', 'csv'), 'text/csv;charset=utf-8');
+    const exportJson = () => downloadFile(batchToJson(jobs, { provider: selectedProvider }), datedFileName('agroscan-batch', 'json'), 'application/json');
+
+    return (
+        <div className="max-w-5xl mx-auto space-y-6">
+            <div className="flex items-baseline justify-between">
+                <h1 className="text-3xl font-bold text-gray-900">{t('batch.title')}</h1>
+                <Link to="/analyze" className="text-sm font-semibold text-green-600 hover:underline">{t('batch.singleLink')}</Link>
+            </div>
+            {selectedProvider === PROVIDER_IDS.VIT && <BackendStatusBanner />}
+
+            <div className="p-6 bg-white shadow-lg rounded-xl">
+                <input type="file" id="batch-upload" className="hidden" accept="image/*" multiple onChange={handleFileChange} disabled={isRunning} />
+                <label
+                    htmlFor="batch-upload"
+                    onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                    className={`flex flex-col items-center justify-center h-40 p-8 transition-colors border-2 border-dashed rounded-lg cursor-pointer hover:border-green-500 ${isDragging ? 'border-green-500 bg-green-50' : 'border-gray-300'}`}
+                >
+                    <span className="text-sm font-medium text-gray-700">{t('batch.dropzone')}</span>
+                    <span className="mt-1 text-xs text-gray-500">{t('batch.dropzoneHint', { max: MAX_BATCH_FILES })}</span>
+                </label>
+                {notice && <p className="mt-3 text-sm text-yellow-800">{notice}</p>}
+
+                <div className="grid grid-cols-1 gap-4 mt-4 md:grid-cols-2">
+                    <div>
+                        <label htmlFor="batch-provider" className="block text-sm font-medium text-gray-700">{t('analyzer.model')}</label>
+                        <select id="batch-provider" value={selectedProvider} onChange={(e) => setSelectedProvider(e.target.value)} className="w-full p-2 mt-1 border rounded" disabled={isRunning}>
+                            {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                        </select>
+                    </div>
+                    {user && (
+                        <label className="flex items-center self-end pb-2 space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" checked={saveToHistory} onChange={(e) => setSaveToHistory(e.target.checked)} disabled={isRunning} />
+                            <span>{t('batch.saveToHistory')}</span>
+                        </label>
+                    )}
+                    {user && saveToHistory && fields.length > 0 && (
+                        <div>
+                            <label htmlFor="batch-field" className="block text-sm font-medium text-gray-700">{t('fields.select')}</label>
+                            <FieldSelect id="batch-field" fields={fields} value={fieldId} onChange={setFieldId} disabled={isRunning} className="w-full p-2 mt-1 border rounded" />
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap gap-2 mt-4">
+                    {isRunning ? (
+                        <button onClick={stop} className="px-4 py-2 text-white bg-red-600 rounded-md hover:bg-red-700">{t('batch.stop')}</button>
+                    ) : (
+                        <button onClick={start} className="px-4 py-2 text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50" disabled={!jobs.some(job => job.status === JOB_STATUS.QUEUED)}>
+                            {t('batch.start', { count: jobs.filter(job => job.status === JOB_STATUS.QUEUED).length })}
+                        </button>
+                    )}
+                    {summary.failed > 0 && !isRunning && (
+                        <button onClick={() => retry(jobs.filter(job => job.status === JOB_STATUS.FAILED))} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('batch.retryFailed', { count: summary.failed })}</button>
+                    )}
+                    {jobs.length > 0 && !isRunning && (
+                        <button onClick={() => setJobs([])} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">{t('batch.clear')}</button>
+                    )}
+                </div>
+
+                {jobs.length > 0 && (
+                    <div className="mt-4">
+                        <div className="flex justify-between mb-1 text-xs text-gray-500">
+                            <span>{t('batch.progress', { done: processed, total: jobs.length })}</span>
+                            {summary.failed > 0 && <span className="text-red-600">{t('batch.failedCount', { count: summary.failed })}</span>}
+                        </div>
+                        <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+                            <div className="h-2 bg-green-600" style={{ width: `${(processed / jobs.length) * 100}%` }}></div>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {summary.completed > 0 && (
+                <div className="p-6 bg-white shadow-lg rounded-xl">
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                        <h2 className="text-2xl font-bold">{t('batch.summary')}</h2>
+                        <div className="flex space-x-2">
+                            <button onClick={exportCsv} className="px-3 py-1 text-sm font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200">{t('batch.exportCsv')}</button>
+                            <button onClick={exportJson} className="px-3 py-1 text-sm font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200">{t('batch.exportJson')}</button>
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-3 gap-4 mb-6 text-center">
+                        <div className="p-3 rounded-lg bg-gray-50">
+                            <p className="text-2xl font-bold text-gray-900">{summary.completed}</p>
+                            <p className="text-xs text-gray-500">{t('batch.analyzed')}</p>
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50">
+                            <p className="text-2xl font-bold text-green-600">{summary.healthy}</p>
+                            <p className="text-xs text-gray-500">{t('result.healthy')}</p>
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50">
+                            <p className="text-2xl font-bold text-red-600">{summary.diseased}</p>
+                            <p className="text-xs text-gray-500">{t('result.diseaseDetected')}</p>
+                        </div>
+                    </div>
+                    {summary.diseases.length > 0 && (
+                        <>
+                            <h3 className="mb-2 font-semibold">{t('batch.diseaseBreakdown')}</h3>
+                            <ul className="space-y-2">
+                                {summary.diseases.map(({ disease, count }) => (
+                                    <li key={disease} className="text-sm">
+                                        <div className="flex justify-between">
+                                            <span>{disease}</span>
+                                            <span className="text-gray-500">{count}</span>
+                                        </div>
+                                        <div className="w-full h-2 overflow-hidden bg-gray-100 rounded-full">
+                                            <div className="h-2 bg-red-400" style={{ width: `${(count / summary.diseased) * 100}%` }}></div>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {jobs.length > 0 && (
+                <div className="p-6 bg-white shadow-lg rounded-xl">
+                    <h2 className="mb-4 text-2xl font-bold">{t('batch.images', { count: jobs.length })}</h2>
+                    <ul className="divide-y">
+                        {jobs.map(job => (
+                            <BatchJobRow key={job.id} job={job} onRetry={() => retry([job])} onRemove={() => removeJob(job.id)} disabled={isRunning} />
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function BatchJobRow({ job, onRetry, onRemove, disabled }) {
+    const { t } = useTranslation();
+    const [thumbnailUrl, setThumbnailUrl] = useState('');
+
+    useEffect(() => {
+        const url = URL.createObjectURL(job.file);
+        setThumbnailUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [job.file]);
+
+    const statusLabel = job.stage ? t(`batch.stage.${job.stage}`) : t(`batch.status.${job.status}`);
+
+    return (
+        <li className="flex items-center py-3 space-x-4">
+            {thumbnailUrl && <img src={thumbnailUrl} alt={job.file.name} className="object-cover w-16 h-16 rounded-md" />}
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${BATCH_STATUS_STYLES[job.status]}`}>{statusLabel}</span>
+                    <span className="text-sm text-gray-700 truncate">{job.file.name}</span>
+                </div>
+                {job.result && (
+                    <p className="mt-1 text-sm font-medium text-gray-800">
+                        {summarizeResult(job.result)}
+                        {job.result.health_status.confidence !== null && (
+                            <span className="ml-2 text-xs text-gray-500">{t('result.confidence', { value: formatConfidence(job.result.health_status.confidence) })}</span>
+                        )}
+                    </p>
+                )}
+                {(job.quality?.isDark || job.quality?.isBlurry) && (
+                    <p className="mt-1 text-xs text-yellow-700">
+                        {[job.quality.isDark && t('analyzer.quality.dark'), job.quality.isBlurry && t('analyzer.quality.blurry')].filter(Boolean).join(' ')}
+                    </p>
+                )}
+                {job.reusedFrom && (
+                    <p className="mt-1 text-xs text-gray-500">{t('batch.reused', { date: job.reusedFrom.toLocaleString() })}</p>
+                )}
+                {job.error && <p className="mt-1 text-sm text-red-600">{job.error}</p>}
+            </div>
+            <div className="flex items-center space-x-3 text-sm font-semibold">
+                {job.diagnosisId && (
+                    <Link to={`/diagnoses/${job.diagnosisId}`} className="text-green-600 hover:underline">{t('queue.view')}</Link>
+                )}
+                {job.status === JOB_STATUS.FAILED && !disabled && (
+                    <button onClick={onRetry} className="text-green-600 hover:underline">{t('common.retry')}</button>
+                )}
+                {job.status !== JOB_STATUS.RUNNING && !disabled && (
+                    <button onClick={onRemove} className="text-red-600 hover:underline">{t('queue.remove')}</button>
+                )}
+            </div>
+        </li>
+    );
+}
+
+function BackendStatusBanner({ className = '' }) {
+    const { isReachable, recheck } = useBackendHealth();
+    const { t } = useTranslation();
+
+    if (isReachable !== false) return null;
+
+    return (
+        <div className={`flex items-center justify-between px-4 py-3 text-yellow-800 bg-yellow-100 border border-yellow-300 rounded-lg ${className}`}>
+            <p className="text-sm">{t('backend.unreachable', { url: backendClient.baseUrl })}</p>
+            <button onClick={recheck} className="px-3 py-1 ml-4 text-xs font-semibold text-yellow-900 bg-yellow-200 rounded-full hover:bg-yellow-300">{t('common.retry')}</button>
+        </div>
+    );
+}
+
+function AnalysisResult({ db, results }) {
+    const { t } = useTranslation();
+    const recommendations = results.care_recommendations.recommended_products;
+    const matches = useRecommendedProducts(db, recommendations);
+
+    const knowledge = useMemo(() => findDiseaseForResult(results), [results]);
+
+    const shopLink = `/shop?${new URLSearchParams({
+        recommendedFor: results.health_status.is_healthy ? results.plant_identification.plant_name : results.health_status.disease_detected,
+        ids: matches.map(m => m.product.id).join(','),
+    })}`;
+
+    return (
+        <div className="space-y-4">
+            {isUncertain(results) && (
+                <div className="px-4 py-3 text-sm text-yellow-900 bg-yellow-100 border border-yellow-300 rounded-lg" role="alert">
+                    <p className="font-semibold">{t('result.uncertain')}</p>
+                    <p className="mt-1 text-xs">{t('result.uncertainHint')}</p>
+                </div>
+            )}
+            <div className="p-3 border rounded-lg bg-gray-50">
+                <h3 className="font-semibold">{t('result.plantId')} <span className="font-bold text-green-700">{results.plant_identification.plant_name}</span></h3>
+                {results.plant_identification.confidence !== null && (
+                    <p className="text-xs text-gray-500">{t('result.confidence', { value: formatConfidence(results.plant_identification.confidence) })}</p>
+                )}
+            </div>
+            <div className="p-3 border rounded-lg bg-gray-50">
+                <h3 className="font-semibold">{t('result.health')} {results.health_status.is_healthy ? <span className="text-green-600">{t('result.healthy')}</span> : <span className="text-red-600">{t('result.diseaseDetected')}</span>}</h3>
+                <p className="font-bold">{results.health_status.disease_detected}</p>
+                <p className="text-sm text-gray-600">{results.health_status.disease_description}</p>
+                {results.health_status.confidence !== null && (
+                    <p className="text-xs text-gray-500">{t('result.confidence', { value: formatConfidence(results.health_status.confidence) })}</p>
+                )}
+                {knowledge && !knowledge.isHealthy && knowledge.crop && (
+                    <Link to={`/diseases/${knowledge.slug}`} className="inline-block mt-1 text-sm font-semibold text-green-600 hover:underline">{t('result.readMore', { name: knowledge.name })}</Link>
+                )}
+            </div>
+            {results.predictions.length > 1 && (
+                <div className="p-3 border rounded-lg bg-gray-50">
+                    <h3 className="mb-2 font-semibold">{t('result.topPredictions')}</h3>
+                    <PredictionChart predictions={results.predictions} />
+                </div>
+            )}
+            {results.care_recommendations.suggested_cure && (
+                <div className="p-3 border rounded-lg bg-gray-50">
+                    <h3 className="font-semibold">{t('result.cure')}</h3>
+                    <p className="text-sm text-gray-600 whitespace-pre-wrap">{results.care_recommendations.suggested_cure}</p>
+                </div>
+            )}
+            {results.care_recommendations.recommended_products.length > 0 && (
+                <div className="p-3 border rounded-lg bg-gray-50">
+                    <h3 className="font-semibold">{t('result.products')}</h3>
+                    <ul className="text-sm text-gray-600 list-disc list-inside">
+                        {recommendations.map((p,i) => <li key={i}>{p.product_name}</li>)}
+                    </ul>
+                </div>
+            )}
+            {matches.length > 0 && (
+                <div className="p-3 border rounded-lg bg-gray-50">
+                    <div className="flex items-center justify-between mb-3">
+                        <h3 className="font-semibold">{t('result.inMarketplace')}</h3>
+                        <Link to={shopLink} className="text-sm font-semibold text-green-600 hover:underline">{t('result.seeAll')}</Link>
+                    </div>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        {matches.slice(0, 2).map(m => <ProductCard key={m.product.id} product={m.product} />)}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Ranked classifier labels as horizontal bars; healthy labels in green
+function PredictionChart({ predictions = [], className = '' }) {
+    if (predictions.length === 0) return null;
+    return (
+        <ol className={`space-y-1 ${className}`}>
+            {predictions.map(({ label, probability }) => {
+                const { crop, disease, isHealthy } = parseClassifierLabel(label);
+                const name = getDiseaseByLabel(label)?.name || disease;
+                const percent = probability === null ? null : Math.round(probability * 100);
+                return (
+                    <li key={label} className="text-xs">
+                        <div className="flex justify-between text-gray-700">
+                            <span className="truncate">{crop ? `${crop} · ${name}` : name}</span>
+                            {percent !== null && <span className="ml-2 font-semibold">{formatConfidence(probability)}</span>}
+                        </div>
+                        <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+                            <div className={`h-2 ${isHealthy ? 'bg-green-500' : 'bg-red-400'}`} style={{ width: `${percent ?? 0}%` }}></div>
+                        </div>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+// "Download report" and "Print / Save as PDF" for one analysis result
+function DiagnosisReportActions({ result, providerLabel, imageSrc, analyzedAt }) {
+    const { language, t } = useTranslation();
+    const [isBuilding, setIsBuilding] = useState(false);
+    const [error, setError] = useState('');
+
+    const withReport = async (action) => {
+        setIsBuilding(true);
+        setError('');
+        try {
+            const html = buildDiagnosisReport({
+                result,
+                providerLabel,
+                imageSrc: await imageToDataUrl(imageSrc),
+                analyzedAt,
+                language,
+                t,
+            });
+            action(html);
+        } catch (err) {
+            console.error('Error creating report:', err);
+            setError(t('report.failed'));
+        } finally {
+            setIsBuilding(false);
+        }
+    };
+
+    return (
+        <div className="mt-4">
+            <div className="flex flex-wrap gap-2">
+                <button onClick={() => withReport(html => downloadFile(html, reportFileName(result), 'text/html;charset=utf-8'))} className="px-3 py-1 text-sm font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200 disabled:opacity-50" disabled={isBuilding}>
+                    {t('report.download')}
+                </button>
+                <button onClick={() => withReport(printReport)} className="px-3 py-1 text-sm font-semibold text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50" disabled={isBuilding}>
+                    {t('report.print')}
+                </button>
+            </div>
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        </div>
+    );
+}
+
+// Follow-up questions about one result, answered by Gemini with the photo and
+// diagnosis as context. Saved with the diagnosis once it has an id.
+function DiagnosisChat({ db, user, result, imageSrc, diagnosisId, initialMessages = [] }) {
+    const { getIdToken, isInitialized } = useGeminiAI();
+    const { language, t } = useTranslation();
+    const [isOpen, setIsOpen] = useState(initialMessages.length > 0);
+    const [messages, setMessages] = useState(initialMessages);
+    const [question, setQuestion] = useState('');
+    const [streamingText, setStreamingText] = useState(null); // the reply so far while one is streaming
+    const [error, setError] = useState('');
+    const [hasUnsaved, setHasUnsaved] = useState(false);
+    const nextSignal = useAbortSignal();
+    const imageRef = useRef(undefined); // photo sent with every question, read once
+    const stoppedRef = useRef(false);
+    const listRef = useRef(null);
+    const isStreaming = streamingText !== null;
+
+    // The diagnosis id may only arrive after the first reply while it is still being saved
+    useEffect(() => {
+        if (!hasUnsaved || !diagnosisId || !db || !user) return;
+        setHasUnsaved(false);
+        saveChatHistory(db, user.uid, diagnosisId, messages).catch(err => console.error('Error saving chat:', err));
+    }, [hasUnsaved, diagnosisId, db, user, messages]);
+
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages, streamingText]);
+
+    const ask = async (text) => {
+        const asked = text.trim();
+        if (!asked || isStreaming) return;
+
+        const history = messages;
+        const userMessage = createChatMessage(CHAT_ROLES.USER, asked);
+        setMessages([...history, userMessage]);
+        setQuestion('');
+        setError('');
+        setStreamingText('');
+        stoppedRef.current = false;
+        const signal = nextSignal();
+        let partial = '';
+
+        try {
+            if (imageRef.current === undefined) imageRef.current = chatImageFromDataUrl(await imageToDataUrl(imageSrc));
+            const reply = await streamChatReply(getIdToken, {
+                result,
+                image: imageRef.current,
+                language,
+                messages: history,
+                question: asked,
+                signal,
+                onText: (textSoFar) => {
+                    partial = textSoFar;
+                    setStreamingText(textSoFar);
+                },
+            });
+            setMessages([...history, userMessage, createChatMessage(CHAT_ROLES.MODEL, reply)]);
+            setHasUnsaved(true);
+        } catch (err) {
+            if (signal.aborted && !stoppedRef.current) return; // unmounted
+            if (stoppedRef.current && partial) {
+                // Stopped by the user: keep what was written so far
+                setMessages([...history, userMessage, createChatMessage(CHAT_ROLES.MODEL, partial)]);
+                setHasUnsaved(true);
+            } else {
+                if (!stoppedRef.current) {
+                    console.error('Error in diagnosis chat:', err);
+                    setError(t('chat.failed'));
+                }
+                // Turns must alternate, so an unanswered question is taken back
+                setMessages(history);
+                setQuestion(asked);
+            }
+        }
+        setStreamingText(null);
+    };
+
+    const stop = () => {
+        stoppedRef.current = true;
+        nextSignal();
+    };
+
+    const clear = () => {
+        setMessages([]);
+        setError('');
+        setHasUnsaved(true);
+    };
+
+    if (!isOpen) {
+        return (
+            <button onClick={() => setIsOpen(true)} className="px-3 py-1 mt-4 text-sm font-semibold text-green-700 bg-green-100 rounded-md hover:bg-green-200">
+                {t('chat.open')}
+            </button>
+        );
+    }
+
+    return (
+        <div className="p-4 mt-4 border rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-gray-800">{t('chat.title')}</h4>
+                {messages.length > 0 && !isStreaming && (
+                    <button onClick={clear} className="text-xs text-gray-500 hover:underline">{t('chat.clear')}</button>
+                )}
+            </div>
+            {!isInitialized ? (
+                <p className="text-sm text-gray-500">{t('chat.unavailable')}</p>
+            ) : (
+                <>
+                    <div ref={listRef} className="space-y-2 overflow-y-auto max-h-80" aria-live="polite">
+                        {messages.map((message, i) => (
+                            <ChatBubble key={i} role={message.role} text={message.text} />
+                        ))}
+                        {isStreaming && <ChatBubble role={CHAT_ROLES.MODEL} text={streamingText || t('chat.thinking')} />}
+                    </div>
+                    {messages.length === 0 && !isStreaming && (
+                        <div className="flex flex-wrap gap-2 mb-2">
+                            {suggestedQuestionKeys(result).map(key => (
+                                <button key={key} onClick={() => ask(t(key))} className="px-3 py-1 text-xs text-green-800 border border-green-300 rounded-full hover:bg-green-50">{t(key)}</button>
+                            ))}
+                        </div>
+                    )}
+                    {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+                    <form onSubmit={(e) => { e.preventDefault(); ask(question); }} className="flex mt-2 space-x-2">
+                        <input type="text" value={question} onChange={(e) => setQuestion(e.target.value)} placeholder={t('chat.placeholder')} className="flex-1 p-2 text-sm border rounded" disabled={isStreaming} />
+                        {isStreaming ? (
+                            <button type="button" onClick={stop} className="px-4 py-2 text-sm text-white bg-red-600 rounded-md hover:bg-red-700">{t('chat.stop')}</button>
+                        ) : (
+                            <button type="submit" className="px-4 py-2 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50" disabled={!question.trim()}>{t('chat.send')}</button>
+                        )}
+                    </form>
+                </>
+            )}
+        </div>
+    );
+}
+
+function ChatBubble({ role, text }) {
+    const isUser = role === CHAT_ROLES.USER;
+    return (
+        <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+            <p className={`max-w-[85%] px-3 py-2 text-sm rounded-lg whitespace-pre-wrap ${isUser ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-800'}`}>{text}</p>
+        </div>
+    );
+}
+
+function NotFoundPage() {
+    const { t } = useTranslation();
+    return (
+        <div className="max-w-lg p-8 mx-auto text-center bg-white shadow-lg rounded-xl">
+            <h2 className="mb-2 text-4xl font-extrabold text-green-600">404</h2>
+            <h3 className="mb-4 text-2xl font-bold">{t('notFound.title')}</h3>
+            <p className="mb-6 text-gray-600">{t('notFound.message')}</p>
+            <Link to="/" className="inline-block px-6 py-2 text-white bg-green-600 rounded-md hover:bg-green-700">{t('common.goHome')}</Link>
+        </div>
+    );
+}
 
 function Footer() {
+    const { t } = useTranslation();
     return (
         <footer className="mt-12 bg-white">
             <div className="px-4 py-6 mx-auto text-sm text-center text-gray-500 max-w-7xl sm:px-6 lg:px-8">
-                <p>&copy; 2025 AgroScan. All rights reserved.</p>
-                <p>A modern solution for a healthier planet.</p>
+                <p>{t('footer.rights')}</p>
+                <p>{t('footer.tagline')}</p>
             </div>
         </footer>
     );
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { runAnalysis, summarizeResult } from '../services/analysisProviders';
+import { saveDiagnosis } from '../services/diagnosisHistory';
+import { cacheAnalysis } from '../services/analysisCache';
+import { contentHash } from '../services/imageHashing';
+import { blobToBase64 } from '../services/imagePreprocessing';
+import {
+    QUEUE_STATUS,
+    isQueueSupported,
+    listQueuedAnalyses,
+    enqueueAnalysis,
+    updateQueuedAnalysis,
+    removeQueuedAnalysis,
+    clearCompletedAnalyses,
+    isConnectivityError,
+} from '../services/analysisQueue';
+import { useTranslation } from './LanguageContext';
+
+// Offline analysis queue shared across the app.
+//
+// Photos queued on PlantAnalyzerPage without a connection are analyzed in order
+// as soon as the browser reports it is back online (or the app is reopened
+// online). Signed-in users' results are saved to My Diagnoses like any other
+// analysis, and cached for reuse by later scans of the same photo; a
+// notification is shown when each one finishes.
+
+const AnalysisQueueContext = React.createContext(undefined);
+
+const canNotify = () => 'Notification' in window && Notification.permission === 'granted';
+
+// Prefers the service worker so the notification also shows when the tab is in the background
+const showNotification = async (title, options) => {
+    if (!canNotify()) return;
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+    } catch (error) {
+        console.error('Error showing notification:', error);
+    }
+};
+
+// `providers` come from useAnalysisProviders; `ready` is false until they have
+// finished initializing, so queued entries aren't failed as "unavailable" on load
+export function AnalysisQueueProvider({ db, storage, user, providers, ready, children }) {
+    const [entries, setEntries] = useState([]);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const isProcessingRef = useRef(false);
+    const { t } = useTranslation();
+    const isSupported = isQueueSupported();
+
+    const refresh = useCallback(async () => {
+        if (!isSupported) return;
+        try {
+            setEntries(await listQueuedAnalyses());
+        } catch (error) {
+            console.error('Error reading analysis queue:', error);
+        }
+    }, [isSupported]);
+
+    // Entries left running when the app was closed mid-analysis start over
+    useEffect(() => {
+        if (!isSupported) return;
+        const resetInterrupted = async () => {
+            try {
+                const interrupted = (await listQueuedAnalyses()).filter(entry => entry.status === QUEUE_STATUS.RUNNING);
+                await Promise.all(interrupted.map(entry => updateQueuedAnalysis(entry.id, { status: QUEUE_STATUS.PENDING })));
+            } catch (error) {
+                console.error('Error reading analysis queue:', error);
+            }
+            refresh();
+        };
+        resetInterrupted();
+    }, [isSupported, refresh]);
+
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    const notifyFinished = useCallback((outcomes, diagnosisIds) => {
+        const succeeded = outcomes.find(outcome => outcome.result);
+        showNotification(succeeded ? t('queue.notifyDone') : t('queue.notifyFailed'), {
+            body: succeeded ? summarizeResult(succeeded.result) : outcomes[0]?.error,
+            icon: `${process.env.PUBLIC_URL}/logo192.png`,
+            data: { url: diagnosisIds[0] ? `/diagnoses/${diagnosisIds[0]}` : '/analyze' },
+        });
+    }, [t]);
+
+    // Resolves with false when the connection dropped and the entry went back to pending
+    const processEntry = useCallback(async (entry) => {
+        await updateQueuedAnalysis(entry.id, { status: QUEUE_STATUS.RUNNING, attempts: entry.attempts + 1, error: '' });
+        await refresh();
+
+        const targets = providers.filter(provider => entry.providerIds.includes(provider.id));
+        if (targets.length === 0) {
+            await updateQueuedAnalysis(entry.id, { status: QUEUE_STATUS.FAILED, error: t('queue.noProvider') });
+            return true;
+        }
+
+        const input = {
+            file: entry.file,
+            base64Data: await blobToBase64(entry.file),
+            mimeType: entry.file.type,
+            language: entry.language,
+        };
+        const settled = await Promise.allSettled(targets.map(provider => runAnalysis(provider, input)));
+
+        if (settled.every(outcome => outcome.status === 'rejected' && isConnectivityError(outcome.reason))) {
+            await updateQueuedAnalysis(entry.id, { status: QUEUE_STATUS.PENDING });
+            return false;
+        }
+
+        const outcomes = settled.map((outcome, i) => ({
+            providerId: targets[i].id,
+            result: outcome.status === 'fulfilled' ? outcome.value : null,
+            error: outcome.status === 'rejected' ? t('analyzer.failed', { message: outcome.reason.message }) : '',
+        }));
+        outcomes.filter(o => o.error).forEach(o => console.error(`Error analyzing queued photo with ${o.providerId}:`, o.error));
+        const successful = outcomes.filter(outcome => outcome.result);
+
+        // Entries queued before hashes were recorded can still be matched exactly
+        let hashes = entry.hashes || null;
+        if (!hashes && successful.length > 0) {
+            try {
+                hashes = { contentHash: await contentHash(entry.file), perceptualHash: null };
+            } catch (error) {
+                console.warn('Could not fingerprint queued photo:', error);
+            }
+        }
+
+        // Only saved for the user who queued the photo
+        let diagnosisIds = [];
+        const isOwnEntry = (user?.uid || null) === entry.userId;
+        if (db && user && isOwnEntry && successful.length > 0) {
+            try {
+                diagnosisIds = await Promise.all(successful.map(o => saveDiagnosis(db, storage, {
+                    userId: user.uid,
+                    file: entry.file,
+                    result: o.result,
+                    field: entry.field,
+                    hashes,
+                    language: entry.language,
+                })));
+            } catch (error) {
+                console.error('Error saving diagnosis:', error);
+            }
+        }
+        if (hashes && isOwnEntry) {
+            successful.forEach((o, i) => {
+                cacheAnalysis({ ...hashes, providerId: o.providerId, language: entry.language, userId: entry.userId, result: o.result, diagnosisId: diagnosisIds[i] || null })
+                    .catch(error => console.warn('Could not cache analysis:', error));
+            });
+        }
+
+        await updateQueuedAnalysis(entry.id, {
+            status: successful.length > 0 ? QUEUE_STATUS.DONE : QUEUE_STATUS.FAILED,
+            outcomes,
+            diagnosisIds,
+            error: successful.length > 0 ? '' : outcomes[0].error,
+        });
+        notifyFinished(outcomes, diagnosisIds);
+        return true;
+    }, [db, storage, user, providers, refresh, notifyFinished, t]);
+
+    const processQueue = useCallback(async () => {
+        if (!isSupported || !ready || !navigator.onLine || isProcessingRef.current) return;
+        isProcessingRef.current = true;
+        try {
+            const pending = (await listQueuedAnalyses()).filter(entry => entry.status === QUEUE_STATUS.PENDING);
+            for (const entry of pending) {
+                if (!navigator.onLine || !(await processEntry(entry))) break;
+            }
+        } catch (error) {
+            console.error('Error processing analysis queue:', error);
+        } finally {
+            isProcessingRef.current = false;
+            refresh();
+        }
+    }, [isSupported, ready, processEntry, refresh]);
+
+    useEffect(() => {
+        if (isOnline) processQueue();
+    }, [isOnline, processQueue]);
+
+    const enqueue = useCallback(async ({ file, providerIds, language, field }) => {
+        // Asked while handling the click that queued the photo, as browsers require
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+        const entry = await enqueueAnalysis({ file, providerIds, language, field, userId: user?.uid || null });
+        await refresh();
+        processQueue();
+        return entry;
+    }, [user, refresh, processQueue]);
+
+    const retry = useCallback(async (id) => {
+        await updateQueuedAnalysis(id, { status: QUEUE_STATUS.PENDING, error: '' });
+        await refresh();
+        processQueue();
+    }, [refresh, processQueue]);
+
+    const remove = useCallback(async (id) => {
+        await removeQueuedAnalysis(id);
+        await refresh();
+    }, [refresh]);
+
+    const clearCompleted = useCallback(async () => {
+        await clearCompletedAnalyses();
+        await refresh();
+    }, [refresh]);
+
+    const value = useMemo(() => ({
+        entries,
+        pendingCount: entries.filter(entry => entry.status === QUEUE_STATUS.PENDING || entry.status === QUEUE_STATUS.RUNNING).length,
+        isOnline,
+        isSupported,
+        enqueue,
+        retry,
+        remove,
+        clearCompleted,
+    }), [entries, isOnline, isSupported, enqueue, retry, remove, clearCompleted]);
+
+    return (
+        <AnalysisQueueContext.Provider value={value}>
+            {children}
+        </AnalysisQueueContext.Provider>
+    );
+}
+
+// Custom hook to use the offline analysis queue and the current connection status
+export const useAnalysisQueue = () => {
+    const context = React.useContext(AnalysisQueueContext);
+    if (context === undefined) {
+        throw new Error('useAnalysisQueue must be used within an AnalysisQueueProvider');
+    }
+    return context;
+};
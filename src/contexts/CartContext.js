@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { doc, getDoc, setDoc, onSnapshot } from 'firebase/firestore';
+import { amountMinor, currencyOf } from '../services/currency';
+
+// Shopping cart shared across the app.
+//
+// Guests' carts live in localStorage; signed-in users' carts live in Firestore at
+// artifacts/{appId}/users/{uid}/cart/current. A guest cart is merged into the
+// user's cart when they sign in.
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+const LOCAL_CART_KEY = 'agroscan.cart';
+
+const CartContext = React.createContext(undefined);
+
+const readLocalCart = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(LOCAL_CART_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const writeLocalCart = (items) => {
+    window.localStorage.setItem(LOCAL_CART_KEY, JSON.stringify(items));
+};
+
+const cartDocRef = (db, userId) => doc(db, `/artifacts/${appId}/users/${userId}/cart`, 'current');
+
+// Adds quantities of items already in the cart instead of duplicating lines
+const mergeItems = (items, additions) => {
+    const merged = items.map(item => ({ ...item }));
+    additions.forEach(addition => {
+        const existing = merged.find(item => item.productId === addition.productId);
+        if (existing) {
+            existing.quantity += addition.quantity;
+        } else {
+            merged.push({ ...addition });
+        }
+    });
+    return merged;
+};
+
+// Only the fields needed to render the cart; prices are re-read from the product at checkout
+const toCartItem = (product, quantity) => ({
+    productId: product.id,
+    name: product.name,
+    priceMinor: amountMinor(product, 'price'),
+    currency: currencyOf(product),
+    imageUrl: product.thumbnailUrl || product.imageUrl || null,
+    sellerId: product.sellerId,
+    quantity,
+});
+
+export function CartProvider({ db, user, children }) {
+    const [items, setItems] = useState(readLocalCart);
+    const [isReady, setIsReady] = useState(!user);
+    const itemsRef = useRef(items);
+    itemsRef.current = items;
+
+    useEffect(() => {
+        if (!user || !db) {
+            setItems(readLocalCart());
+            setIsReady(true);
+            return;
+        }
+
+        let unsubscribe = () => {};
+        let cancelled = false;
+        setIsReady(false);
+
+        const syncUserCart = async () => {
+            try {
+                // Move anything added while signed out into the user's cart
+                const guestItems = readLocalCart();
+                if (guestItems.length > 0) {
+                    const snapshot = await getDoc(cartDocRef(db, user.uid));
+                    const saved = snapshot.exists() ? snapshot.data().items || [] : [];
+                    await setDoc(cartDocRef(db, user.uid), { items: mergeItems(saved, guestItems), updatedAt: new Date() });
+                    writeLocalCart([]);
+                }
+                if (cancelled) return;
+                unsubscribe = onSnapshot(cartDocRef(db, user.uid), (snapshot) => {
+                    setItems(snapshot.exists() ? snapshot.data().items || [] : []);
+                    setIsReady(true);
+                }, (error) => {
+                    console.error('Error fetching cart:', error);
+                    setIsReady(true);
+                });
+            } catch (error) {
+                console.error('Error syncing cart:', error);
+                setIsReady(true);
+            }
+        };
+
+        syncUserCart();
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [db, user]);
+
+    const saveItems = useCallback(async (nextItems) => {
+        const cleaned = nextItems.filter(item => item.quantity > 0);
+        setItems(cleaned);
+        if (user && db) {
+            await setDoc(cartDocRef(db, user.uid), { items: cleaned, updatedAt: new Date() });
+        } else {
+            writeLocalCart(cleaned);
+        }
+    }, [db, user]);
+
+    const addItem = useCallback((product, quantity = 1) =>
+        saveItems(mergeItems(itemsRef.current, [toCartItem(product, quantity)])), [saveItems]);
+
+    const updateQuantity = useCallback((productId, quantity) =>
+        saveItems(itemsRef.current.map(item => item.productId === productId ? { ...item, quantity } : item)), [saveItems]);
+
+    const removeItem = useCallback((productId) =>
+        saveItems(itemsRef.current.filter(item => item.productId !== productId)), [saveItems]);
+
+    const clearCart = useCallback(() => saveItems([]), [saveItems]);
+
+    const value = useMemo(() => ({
+        items,
+        isReady,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        // Carts saved before prices moved to minor units still hold `price`
+        subtotalMinor: items.reduce((sum, item) => sum + amountMinor(item, 'price') * item.quantity, 0),
+        currency: currencyOf(items[0]),
+        addItem,
+        updateQuantity,
+        removeItem,
+        clearCart,
+    }), [items, isReady, addItem, updateQuantity, removeItem, clearCart]);
+
+    return (
+        <CartContext.Provider value={value}>
+            {children}
+        </CartContext.Provider>
+    );
+}
+
+// Custom hook to use the cart
+export const useCart = () => {
+    const context = React.useContext(CartContext);
+    if (context === undefined) {
+        throw new Error('useCart must be used within a CartProvider');
+    }
+    return context;
+};
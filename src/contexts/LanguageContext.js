@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { doc, setDoc } from 'firebase/firestore';
+import { detectLanguage, isSupportedLanguage, translate } from '../i18n';
+
+// Selected UI language shared across the app.
+//
+// The choice is kept in localStorage and, for signed-in users, in the `language`
+// field of their profile at artifacts/{appId}/users/{uid} so it follows them to
+// other devices. Firebase Auth emails are sent in the same language.
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+const LOCAL_LANGUAGE_KEY = 'agroscan.language';
+
+const LanguageContext = React.createContext(undefined);
+
+const readLocalLanguage = () => {
+    try {
+        const saved = window.localStorage.getItem(LOCAL_LANGUAGE_KEY);
+        return isSupportedLanguage(saved) ? saved : detectLanguage();
+    } catch (error) {
+        return detectLanguage();
+    }
+};
+
+const writeLocalLanguage = (language) => {
+    window.localStorage.setItem(LOCAL_LANGUAGE_KEY, language);
+};
+
+export function LanguageProvider({ db, auth, user, userData, children }) {
+    const [language, setLanguageState] = useState(readLocalLanguage);
+    const profileLanguage = userData?.language;
+
+    // A signed-in user's saved choice wins over the one stored on this device
+    useEffect(() => {
+        if (!isSupportedLanguage(profileLanguage)) return;
+        setLanguageState(profileLanguage);
+        writeLocalLanguage(profileLanguage);
+    }, [profileLanguage]);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+        if (auth) auth.languageCode = language;
+    }, [auth, language]);
+
+    const setLanguage = useCallback(async (nextLanguage) => {
+        if (!isSupportedLanguage(nextLanguage)) return;
+        setLanguageState(nextLanguage);
+        writeLocalLanguage(nextLanguage);
+        if (user && db) {
+            try {
+                await setDoc(doc(db, `/artifacts/${appId}/users`, user.uid), { language: nextLanguage }, { merge: true });
+            } catch (error) {
+                console.error('Error saving language preference:', error);
+            }
+        }
+    }, [db, user]);
+
+    const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+    const value = useMemo(() => ({ language, setLanguage, t }), [language, setLanguage, t]);
+
+    return (
+        <LanguageContext.Provider value={value}>
+            {children}
+        </LanguageContext.Provider>
+    );
+}
+
+// Custom hook to use the selected language and its `t(key, params)` translator
+export const useTranslation = () => {
+    const context = React.useContext(LanguageContext);
+    if (context === undefined) {
+        throw new Error('useTranslation must be used within a LanguageProvider');
+    }
+    return context;
+};
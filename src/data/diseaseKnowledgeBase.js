@@ -0,0 +1,481 @@
+// Disease knowledge base for the ViT classifier (backend/main.py).
+//
+// One entry per `id2label` name of wambugu71/crop_leaf_diseases_vit. Bump
+// KNOWLEDGE_BASE_VERSION whenever entries are added or their advice changes; it
+// is shown on the encyclopedia page. Chemical treatments name active
+// ingredients rather than brands; `products` are matched against marketplace
+// listings like Gemini's recommendations. `aliases` are other common names, used
+// to match Gemini's free-text diagnoses and searches.
+//
+// The advice text is English only: ViT results in Hindi or Telugu get
+// translated section headings around English content.
+
+export const KNOWLEDGE_BASE_VERSION = '1.0.0';
+
+export const DISEASES = [
+    // --- Corn ---
+    {
+        label: 'Corn___Common_Rust',
+        crop: 'Corn',
+        name: 'Common Rust',
+        aliases: ['Maize Rust'],
+        scientificName: 'Puccinia sorghi',
+        pathogen: 'fungus',
+        summary: 'A fungal disease that covers maize leaves in brick-red pustules, reducing the leaf area that feeds the cob.',
+        symptoms: [
+            'Small, oval, cinnamon-brown to brick-red pustules on both leaf surfaces',
+            'Pustules rupture and release powdery rust-coloured spores that rub off on fingers',
+            'Pustules turn dark brown to black late in the season',
+            'Heavily infected leaves yellow and dry out early',
+        ],
+        causes: [
+            'Wind-blown spores from infected maize or wild Oxalis hosts',
+            'Cool temperatures (16-23 °C) with heavy dew or high humidity',
+            'Susceptible hybrids planted late in the season',
+        ],
+        organicTreatments: [
+            'Remove and destroy the lowest, most infected leaves early in an outbreak',
+            'Spray neem oil (3-5 ml per litre) or a sulphur-based fungicide at the first pustules',
+            'Apply Trichoderma or Bacillus subtilis bio-fungicides as a preventive spray',
+        ],
+        chemicalTreatments: [
+            'Mancozeb 75% WP at 2.5 g per litre of water at first symptoms, repeated after 10-15 days',
+            'Propiconazole 25% EC at 1 ml per litre when pustules spread to upper leaves',
+            'Azoxystrobin + Difenoconazole for severe infections before tasselling',
+        ],
+        prevention: [
+            'Grow rust-resistant hybrids',
+            'Sow early so the crop escapes the cool, humid period',
+            'Avoid dense planting so leaves dry quickly after dew',
+            'Balance nitrogen with potash; excess nitrogen favours rust',
+        ],
+        products: [
+            { product_name: 'Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Neem Oil', product_type: 'Organic pesticide' },
+        ],
+    },
+    {
+        label: 'Corn___Gray_Leaf_Spot',
+        crop: 'Corn',
+        name: 'Gray Leaf Spot',
+        aliases: ['Grey Leaf Spot', 'Cercospora Leaf Spot'],
+        scientificName: 'Cercospora zeae-maydis',
+        pathogen: 'fungus',
+        summary: 'A fungal leaf spot that forms long grey lesions between the veins and can cause heavy yield loss in warm, humid weather.',
+        symptoms: [
+            'Small tan spots with yellow halos on lower leaves',
+            'Spots lengthen into narrow, rectangular grey to tan lesions bounded by the veins',
+            'Lesions merge and blight whole leaves from the bottom of the plant upwards',
+            'Weakened stalks that may lodge before harvest',
+        ],
+        causes: [
+            'Spores surviving on maize residue left on the soil surface',
+            'Warm days with long periods of leaf wetness, fog or humidity above 90%',
+            'Continuous maize cropping and minimum tillage',
+        ],
+        organicTreatments: [
+            'Remove badly infected lower leaves and burn or bury them away from the field',
+            'Spray Trichoderma viride or Pseudomonas fluorescens formulations',
+            'Copper-based sprays permitted in organic farming slow the spread of lesions',
+        ],
+        chemicalTreatments: [
+            'Azoxystrobin 23% SC at 1 ml per litre at the first lesions on the ear leaf or above',
+            'Propiconazole 25% EC at 1 ml per litre, repeated after 15 days if weather stays humid',
+            'Pyraclostrobin or a strobilurin + triazole mix for fields with a history of the disease',
+        ],
+        prevention: [
+            'Rotate with a non-cereal crop for at least one season',
+            'Plough in or remove infected crop residue after harvest',
+            'Choose hybrids rated tolerant to gray leaf spot',
+            'Improve air flow with recommended plant spacing',
+        ],
+        products: [
+            { product_name: 'Azoxystrobin', product_type: 'Fungicide' },
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Copper Oxychloride', product_type: 'Fungicide' },
+        ],
+    },
+    {
+        label: 'Corn___Northern_Leaf_Blight',
+        crop: 'Corn',
+        name: 'Northern Leaf Blight',
+        aliases: ['Turcicum Leaf Blight', 'Northern Corn Leaf Blight'],
+        scientificName: 'Exserohilum turcicum',
+        pathogen: 'fungus',
+        summary: 'A fungal blight that produces long cigar-shaped lesions and can destroy most of the leaf canopy before grain fill.',
+        symptoms: [
+            'Long (3-15 cm), elliptical, grey-green to tan "cigar-shaped" lesions',
+            'Lesions appear first on lower leaves and move up the plant',
+            'Dark grey spore masses on the lesions in humid weather',
+            'Whole leaves look scorched when lesions merge',
+        ],
+        causes: [
+            'Spores surviving on infected maize residue',
+            'Moderate temperatures (18-27 °C) with frequent rain or heavy dew',
+            'Susceptible hybrids and continuous maize',
+        ],
+        organicTreatments: [
+            'Strip and destroy infected lower leaves early',
+            'Spray Trichoderma harzianum or Bacillus subtilis bio-fungicides',
+            'Neem-based sprays to slow spread in small plots',
+        ],
+        chemicalTreatments: [
+            'Mancozeb 75% WP at 2.5 g per litre at the first lesions',
+            'Propiconazole 25% EC at 1 ml per litre before tasselling if lesions reach the upper leaves',
+            'Azoxystrobin + Tebuconazole for severe, early outbreaks',
+        ],
+        prevention: [
+            'Grow hybrids with Ht resistance genes',
+            'Rotate maize with legumes or other non-host crops',
+            'Bury or remove crop residue after harvest',
+            'Avoid excess nitrogen and overly dense stands',
+        ],
+        products: [
+            { product_name: 'Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Trichoderma', product_type: 'Bio-fungicide' },
+        ],
+    },
+    {
+        label: 'Corn___Healthy',
+        crop: 'Corn',
+        name: 'Healthy',
+        pathogen: null,
+        summary: 'No disease symptoms: leaves are evenly green without spots, pustules or streaks.',
+        symptoms: [],
+        causes: [],
+        organicTreatments: [],
+        chemicalTreatments: [],
+        prevention: [
+            'Scout the lower leaves weekly, especially after rain or heavy dew',
+            'Keep nitrogen and potash balanced and irrigate at the base of the plants',
+            'Remove crop residue and rotate crops to keep fungal spores from building up',
+        ],
+        products: [],
+    },
+
+    // --- Potato ---
+    {
+        label: 'Potato___Early_Blight',
+        crop: 'Potato',
+        name: 'Early Blight',
+        aliases: ['Alternaria Leaf Spot', 'Target Spot'],
+        scientificName: 'Alternaria solani',
+        pathogen: 'fungus',
+        summary: 'A common fungal disease that makes target-like brown rings on older potato leaves and weakens tuber bulking.',
+        symptoms: [
+            'Dark brown spots with concentric rings ("target board") on older, lower leaves',
+            'Yellowing of the leaf tissue around the spots',
+            'Spots merge and leaves dry and drop from the bottom up',
+            'Sunken, dark, dry lesions on tubers',
+        ],
+        causes: [
+            'Spores surviving in infected plant debris and soil',
+            'Warm weather (24-29 °C) alternating between wet and dry',
+            'Plants stressed by poor nutrition, especially low nitrogen, or by drought',
+        ],
+        organicTreatments: [
+            'Remove and destroy infected lower leaves',
+            'Spray copper hydroxide or copper oxychloride at 2-3 g per litre',
+            'Apply Bacillus subtilis or Trichoderma bio-fungicides every 7-10 days',
+        ],
+        chemicalTreatments: [
+            'Mancozeb 75% WP at 2.5 g per litre at the first spots, repeated every 10 days',
+            'Chlorothalonil 75% WP at 2 g per litre',
+            'Azoxystrobin or Difenoconazole for fields with repeated outbreaks',
+        ],
+        prevention: [
+            'Use certified disease-free seed tubers',
+            'Rotate potatoes with non-solanaceous crops for 2-3 years',
+            'Feed the crop adequately and avoid drought stress',
+            'Destroy volunteer potatoes and crop debris',
+        ],
+        products: [
+            { product_name: 'Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Chlorothalonil', product_type: 'Fungicide' },
+            { product_name: 'Copper Fungicide', product_type: 'Fungicide' },
+        ],
+    },
+    {
+        label: 'Potato___Late_Blight',
+        crop: 'Potato',
+        name: 'Late Blight',
+        aliases: ['Phytophthora Blight'],
+        scientificName: 'Phytophthora infestans',
+        pathogen: 'oomycete',
+        summary: 'A fast-spreading water mould that can destroy a potato field within days in cool, wet weather and rots tubers in storage.',
+        symptoms: [
+            'Pale green, water-soaked patches at leaf tips and edges that quickly turn dark brown to black',
+            'White, downy growth on the underside of leaves around the lesions in humid weather',
+            'Dark lesions on stems and petioles; plants collapse and smell of rot',
+            'Reddish-brown, granular rot under the skin of tubers',
+        ],
+        causes: [
+            'Spores from infected seed tubers, cull piles or neighbouring fields, spread by wind and rain',
+            'Cool (10-20 °C), cloudy, wet weather with high humidity',
+            'Overhead irrigation and dense canopies that stay wet',
+        ],
+        organicTreatments: [
+            'Remove and destroy infected plants immediately; do not compost them',
+            'Spray copper hydroxide or Bordeaux mixture (1%) preventively before wet spells',
+            'Cut and remove haulms two weeks before harvest in infected fields to protect tubers',
+        ],
+        chemicalTreatments: [
+            'Metalaxyl 8% + Mancozeb 64% WP at 2.5 g per litre at the first symptoms',
+            'Cymoxanil 8% + Mancozeb 64% WP at 3 g per litre, alternated with other groups',
+            'Mancozeb 75% WP at 2.5 g per litre as a protective spray every 7 days in blight weather',
+        ],
+        prevention: [
+            'Plant certified seed tubers and resistant varieties',
+            'Destroy cull piles and volunteer potatoes',
+            'Earth up the rows well so spores cannot reach the tubers',
+            'Follow local blight forecasts and spray protectively before rain',
+        ],
+        products: [
+            { product_name: 'Metalaxyl + Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Cymoxanil + Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Copper Fungicide', product_type: 'Fungicide' },
+        ],
+    },
+    {
+        label: 'Potato___Healthy',
+        crop: 'Potato',
+        name: 'Healthy',
+        pathogen: null,
+        summary: 'No disease symptoms: leaves are green and firm without spots, rings or water-soaked patches.',
+        symptoms: [],
+        causes: [],
+        organicTreatments: [],
+        chemicalTreatments: [],
+        prevention: [
+            'Check leaves twice a week during cool, wet weather, when late blight spreads fastest',
+            'Earth up the rows and avoid wetting the foliage when irrigating',
+            'Keep the crop well fed and free of weeds and volunteer potatoes',
+        ],
+        products: [],
+    },
+
+    // --- Rice ---
+    {
+        label: 'Rice___Brown_Spot',
+        crop: 'Rice',
+        name: 'Brown Spot',
+        aliases: ['Helminthosporium Leaf Spot'],
+        scientificName: 'Bipolaris oryzae',
+        pathogen: 'fungus',
+        summary: 'A fungal disease of nutrient-poor or stressed rice that spots leaves and grains and lowers grain weight and quality.',
+        symptoms: [
+            'Small, round to oval brown spots with a grey or whitish centre on leaves',
+            'Spots often have a yellow halo and are scattered evenly over the leaf',
+            'Dark brown to black spots on the grain husks; discoloured, shrivelled grain',
+            'Seedling blight in nurseries raised from infected seed',
+        ],
+        causes: [
+            'Infected seed and spores on crop residue',
+            'Soils poor in nitrogen, potassium, silicon or zinc',
+            'Drought stress and temperatures of 25-30 °C with high humidity',
+        ],
+        organicTreatments: [
+            'Treat seed with Pseudomonas fluorescens (10 g per kg) or Trichoderma before sowing',
+            'Spray neem oil or Pseudomonas fluorescens at the first spots',
+            'Correct nutrient deficiencies with compost, potash and zinc sulphate',
+        ],
+        chemicalTreatments: [
+            'Seed treatment with Carbendazim at 2 g per kg of seed',
+            'Mancozeb 75% WP at 2.5 g per litre at the first spots',
+            'Propiconazole 25% EC at 1 ml per litre at booting if spots spread to flag leaves',
+        ],
+        prevention: [
+            'Use clean, certified seed',
+            'Apply balanced fertiliser, including potash and zinc where soils are deficient',
+            'Avoid water stress, especially from panicle initiation onwards',
+            'Remove infected stubble and weed hosts',
+        ],
+        products: [
+            { product_name: 'Mancozeb', product_type: 'Fungicide' },
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Carbendazim', product_type: 'Seed treatment' },
+        ],
+    },
+    {
+        label: 'Rice___Leaf_Blast',
+        crop: 'Rice',
+        name: 'Leaf Blast',
+        aliases: ['Blast', 'Rice Blast'],
+        scientificName: 'Magnaporthe oryzae',
+        pathogen: 'fungus',
+        summary: 'The most damaging rice disease worldwide; diamond-shaped lesions can kill seedlings and the fungus can later attack the panicle neck.',
+        symptoms: [
+            'Spindle- or diamond-shaped lesions with grey-white centres and brown borders',
+            'Lesions merge and whole leaves dry out ("burnt" patches in the field)',
+            'Black, rotting nodes and broken stems (node blast)',
+            'Grey-brown rot at the panicle base so grains stay empty (neck blast)',
+        ],
+        causes: [
+            'Air-borne spores from infected plants, straw and weed hosts',
+            'Night temperatures of 20-25 °C with long dew periods and high humidity',
+            'Heavy nitrogen fertiliser and upland or water-stressed conditions',
+        ],
+        organicTreatments: [
+            'Treat seed and spray Pseudomonas fluorescens formulations',
+            'Split nitrogen into smaller doses and add silicon-rich amendments such as rice husk ash',
+            'Remove and burn infected straw and weed hosts around the field',
+        ],
+        chemicalTreatments: [
+            'Tricyclazole 75% WP at 0.6 g per litre at the first leaf lesions and again at panicle emergence',
+            'Isoprothiolane 40% EC at 1.5 ml per litre',
+            'Azoxystrobin or Kasugamycin where tricyclazole has been used repeatedly',
+        ],
+        prevention: [
+            'Grow blast-resistant varieties',
+            'Avoid excess nitrogen; apply it in splits',
+            'Keep fields flooded where possible; blast is worse under water stress',
+            'Destroy infected stubble and avoid late sowing',
+        ],
+        products: [
+            { product_name: 'Tricyclazole', product_type: 'Fungicide' },
+            { product_name: 'Isoprothiolane', product_type: 'Fungicide' },
+            { product_name: 'Pseudomonas fluorescens', product_type: 'Bio-fungicide' },
+        ],
+    },
+    {
+        label: 'Rice___Healthy',
+        crop: 'Rice',
+        name: 'Healthy',
+        pathogen: null,
+        summary: 'No disease symptoms: leaves are uniformly green without spots or lesions.',
+        symptoms: [],
+        causes: [],
+        organicTreatments: [],
+        chemicalTreatments: [],
+        prevention: [
+            'Scout for diamond-shaped blast lesions after cool, dewy nights',
+            'Apply nitrogen in split doses and keep potash and zinc adequate',
+            'Maintain steady water levels and keep bunds free of weeds',
+        ],
+        products: [],
+    },
+
+    // --- Wheat ---
+    {
+        label: 'Wheat___Brown_Rust',
+        crop: 'Wheat',
+        name: 'Brown Rust',
+        aliases: ['Leaf Rust'],
+        scientificName: 'Puccinia triticina',
+        pathogen: 'fungus',
+        summary: 'Also called leaf rust; scattered orange-brown pustules drain the leaves and shrivel the grain.',
+        symptoms: [
+            'Small, round, orange-brown pustules scattered randomly on the upper leaf surface',
+            'Pustules release orange-brown spores that rub off easily',
+            'Dark, black pustules late in the season',
+            'Early drying of leaves and shrivelled grain in severe cases',
+        ],
+        causes: [
+            'Wind-blown spores that can travel long distances from infected fields',
+            'Temperatures of 15-25 °C with dew or light rain',
+            'Susceptible varieties and late sowing',
+        ],
+        organicTreatments: [
+            'Spray wettable sulphur at 2-3 g per litre at the first pustules',
+            'Remove volunteer wheat plants that carry rust between seasons',
+            'Neem-based sprays can slow spread in small plots',
+        ],
+        chemicalTreatments: [
+            'Propiconazole 25% EC at 1 ml per litre at the first pustules, repeated after 15 days if needed',
+            'Tebuconazole 25.9% EC at 1 ml per litre',
+            'Mancozeb 75% WP at 2.5 g per litre as a protective spray',
+        ],
+        prevention: [
+            'Grow rust-resistant varieties recommended for your region',
+            'Sow on time; late crops face more rust',
+            'Avoid excess nitrogen',
+            'Destroy volunteer wheat and grass hosts',
+        ],
+        products: [
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Tebuconazole', product_type: 'Fungicide' },
+            { product_name: 'Sulphur', product_type: 'Fungicide' },
+        ],
+    },
+    {
+        label: 'Wheat___Yellow_Rust',
+        crop: 'Wheat',
+        name: 'Yellow Rust',
+        aliases: ['Stripe Rust'],
+        scientificName: 'Puccinia striiformis f. sp. tritici',
+        pathogen: 'fungus',
+        summary: 'Also called stripe rust; yellow pustules in stripes along the veins can cause very heavy losses in cool weather.',
+        symptoms: [
+            'Bright yellow to orange pustules arranged in stripes between the leaf veins',
+            'Yellow powder (spores) on fingers or clothes after walking through the crop',
+            'Patches ("foci") of yellowed plants in the field early in the season',
+            'Pustules on ears and glumes in severe attacks',
+        ],
+        causes: [
+            'Wind-blown spores, often arriving from hill regions or neighbouring fields',
+            'Cool temperatures (10-15 °C) with dew, fog or light rain',
+            'Susceptible varieties and heavy nitrogen fertiliser',
+        ],
+        organicTreatments: [
+            'Remove and destroy early foci of infected plants',
+            'Spray wettable sulphur at 2-3 g per litre at the first stripes',
+            'Bio-fungicides based on Bacillus subtilis as a preventive spray',
+        ],
+        chemicalTreatments: [
+            'Propiconazole 25% EC at 1 ml per litre as soon as stripes appear, repeated after 15-20 days',
+            'Tebuconazole 25.9% EC at 1 ml per litre',
+            'Tebuconazole + Trifloxystrobin for severe outbreaks',
+        ],
+        prevention: [
+            'Grow yellow-rust-resistant varieties',
+            'Scout the field regularly from January, especially near tree lines',
+            'Avoid late sowing and excess nitrogen',
+            'Remove volunteer wheat between seasons',
+        ],
+        products: [
+            { product_name: 'Propiconazole', product_type: 'Fungicide' },
+            { product_name: 'Tebuconazole', product_type: 'Fungicide' },
+            { product_name: 'Sulphur', product_type: 'Fungicide' },
+        ],
+    },
+    {
+        label: 'Wheat___Healthy',
+        crop: 'Wheat',
+        name: 'Healthy',
+        pathogen: null,
+        summary: 'No disease symptoms: leaves are green without pustules, stripes or spots.',
+        symptoms: [],
+        causes: [],
+        organicTreatments: [],
+        chemicalTreatments: [],
+        prevention: [
+            'Walk the field weekly in cool weather and look for yellow stripes or orange pustules',
+            'Avoid excess nitrogen and keep to recommended sowing dates',
+            'Remove volunteer wheat and grassy weeds that carry rust',
+        ],
+        products: [],
+    },
+
+    // --- Not a leaf ---
+    {
+        label: 'Invalid',
+        crop: null,
+        name: 'Not a supported leaf',
+        pathogen: null,
+        summary: 'The photo does not look like a leaf of a crop the classifier knows (corn, potato, rice or wheat).',
+        symptoms: [],
+        causes: [
+            'The photo shows a different crop, a whole plant, soil or background instead of a single leaf',
+            'The photo is too dark, blurred or taken from too far away',
+        ],
+        organicTreatments: [],
+        chemicalTreatments: [],
+        prevention: [
+            'Photograph one leaf up close, filling most of the frame, in daylight',
+            'For other crops, use the Gemini AI model instead',
+        ],
+        products: [],
+    },
+];
@@ -0,0 +1,38 @@
+// UI translations.
+//
+// Each catalog in ./messages is a flat map from a dotted key to a message with
+// optional {placeholders}. Keys missing from a catalog fall back to English, then
+// to `params.defaultValue`, then to the key itself.
+
+import en from './messages/en';
+import hi from './messages/hi';
+import te from './messages/te';
+
+export const LANGUAGES = [
+    { code: 'en', label: 'English', englishName: 'English' },
+    { code: 'hi', label: 'हिन्दी', englishName: 'Hindi' },
+    { code: 'te', label: 'తెలుగు', englishName: 'Telugu' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, hi, te };
+
+export const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+// The language's English name, used when instructing the AI model
+export const languageName = (code) =>
+    LANGUAGES.find(language => language.code === code)?.englishName || 'English';
+
+// First supported language in the browser's preferences
+export function detectLanguage() {
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    return preferred
+        .map(tag => String(tag || '').split('-')[0].toLowerCase())
+        .find(isSupportedLanguage) || DEFAULT_LANGUAGE;
+}
+
+export function translate(language, key, params = {}) {
+    const message = CATALOGS[language]?.[key] ?? en[key] ?? params.defaultValue ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
@@ -0,0 +1,473 @@
+// English UI messages; the reference catalog every other language falls back to.
+
+const en = {
+    'common.loading': 'Loading...',
+    'common.retry': 'Retry',
+    'common.cancel': 'Cancel',
+    'common.goHome': 'Go Home',
+    'common.goToShop': 'Go to Shop',
+    'common.goToLogin': 'Go to Login',
+    'common.notLoggedIn': 'You are not logged in',
+    'common.errorTryAgain': 'An error occurred. Please try again.',
+
+    'nav.home': 'Home',
+    'nav.shop': 'Shop',
+    'nav.analyzer': 'AI Analyzer',
+    'nav.encyclopedia': 'Disease Guide',
+    'nav.diagnoses': 'My Diagnoses',
+    'nav.fields': 'My Fields',
+    'nav.sellerDashboard': 'Seller Dashboard',
+    'nav.admin': 'Admin',
+    'nav.cart': 'Cart',
+    'nav.orders': 'Orders',
+    'nav.profile': 'Profile',
+    'nav.login': 'Login / Sign Up',
+    'nav.language': 'Language',
+
+    'guard.accessDenied': 'Access Denied',
+    'guard.onlyFor.seller': 'This page is only available to sellers.',
+    'guard.onlyFor.admin': 'This page is only available to admins.',
+
+    'home.titleLine1': 'Smarter Plant Care,',
+    'home.titleLine2': 'Healthier Harvest',
+    'home.tagline': 'Use our AI to instantly detect plant diseases. Buy and sell agricultural products in our trusted marketplace. Join the future of farming.',
+    'home.analyze': 'Analyze a Plant',
+    'home.imageAlt': 'Healthy plants',
+
+    'shop.title': 'Marketplace',
+    'shop.recommendedFor': 'Showing products recommended for',
+    'shop.showAll': 'Show all products',
+    'shop.noProducts': 'No products available',
+    'shop.checkBackLater': 'Check back later for new items!',
+    'shop.recommendedUnavailable': 'The recommended products are no longer listed.',
+    'shop.searchPlaceholder': 'Search by name or category',
+    'shop.search': 'Search',
+    'shop.sortLabel': 'Sort products',
+    'shop.sort.newest': 'Newest',
+    'shop.sort.price_asc': 'Price: low to high',
+    'shop.sort.price_desc': 'Price: high to low',
+    'shop.category': 'Category',
+    'shop.allCategories': 'All categories',
+    'shop.price': 'Price',
+    'shop.min': 'Min',
+    'shop.max': 'Max',
+    'shop.apply': 'Apply',
+    'shop.clearFilters': 'Clear filters',
+    'shop.noMatches': 'No matching products',
+    'shop.noMatchesHint': 'Try a different search or clear the filters.',
+    'shop.loadMore': 'Load more',
+    'shop.loadFailed': 'Failed to load products. Please try again.',
+    'shop.loadMoreFailed': 'Failed to load more products. Please try again.',
+
+    'category.Seeds': 'Seeds',
+    'category.Fertilizers': 'Fertilizers',
+    'category.Pesticides': 'Pesticides',
+    'category.Tools': 'Tools',
+    'category.Produce': 'Produce',
+    'category.Other': 'Other',
+
+    'product.view': 'View',
+    'product.cropHealth': 'Crop health: {prediction}',
+    'product.noDisease': 'No disease detected',
+    'product.notFound': 'Product not found',
+    'product.notFoundHint': 'This product may have been removed or is awaiting approval.',
+    'product.backToShop': 'Back to Shop',
+    'product.inStock': '{count} in stock',
+    'product.outOfStock': 'Out of stock',
+    'product.quantity': 'Quantity',
+    'product.addToCart': 'Add to Cart',
+    'product.viewCart': 'View cart',
+    'product.added': 'Added {quantity} to your cart.',
+    'product.addFailed': 'Failed to add to cart. Please try again.',
+    'product.noDescription': 'No description provided.',
+    'product.seller': 'Seller',
+    'product.verifiedSeller': 'Verified AgroScan seller',
+    'product.share': 'Share',
+    'product.linkCopied': 'Link copied!',
+    'product.related': 'Related Products',
+
+    'cart.empty': 'Your cart is empty',
+    'cart.emptyHint': 'Browse the marketplace to find products for your crops.',
+    'cart.title': 'Shopping Cart',
+    'cart.each': '{price} each',
+    'cart.quantityOf': 'Quantity of {name}',
+    'cart.remove': 'Remove',
+    'cart.summary': 'Summary',
+    'cart.subtotal': 'Subtotal',
+    'cart.confirmedAtCheckout': 'Final prices and stock are confirmed at checkout.',
+    'cart.checkout': 'Proceed to Checkout',
+
+    'checkout.address': 'Delivery Address',
+    'checkout.fullName': 'Full name',
+    'checkout.phone': 'Phone number',
+    'checkout.line1': 'Address line 1',
+    'checkout.line2': 'Address line 2 (optional)',
+    'checkout.city': 'City / Village',
+    'checkout.state': 'State',
+    'checkout.postalCode': 'PIN code',
+    'checkout.payment': 'Payment',
+    'checkout.summary': 'Order Summary',
+    'checkout.delivery': 'Delivery',
+    'checkout.free': 'Free',
+    'checkout.total': 'Total',
+    'checkout.placing': 'Placing Order...',
+    'checkout.place': 'Place Order',
+    'checkout.failed': 'Failed to place your order. Please try again.',
+
+    'payment.cod.label': 'Cash on Delivery',
+    'payment.cod.description': 'Pay the delivery agent when your order arrives.',
+    'payment.mock.label': 'Test Payment (mock)',
+    'payment.mock.description': 'Simulates an instant online payment. No money is charged.',
+
+    'order.status.new': 'New',
+    'order.status.accepted': 'Accepted',
+    'order.status.shipped': 'Shipped',
+    'order.status.delivered': 'Delivered',
+    'order.status.cancelled': 'Cancelled',
+
+    'orders.title': 'My Orders',
+    'orders.placed': 'Thank you! Your order has been placed.',
+    'orders.none': "You haven't placed any orders yet",
+    'orders.number': 'Order #{number}',
+    'orders.deliverTo': 'Deliver to {name}, {city}',
+    'orders.payment': 'Payment: {provider} ({status})',
+    'orders.errors.emptyCart': 'Your cart is empty.',
+    'orders.errors.unavailable': '"{name}" is no longer available.',
+    'orders.errors.lowStock': 'Only {stock} of "{name}" left in stock.',
+    'orders.errors.outOfStock': '"{name}" is out of stock.',
+    'orders.errors.mixedCurrencies': 'Products priced in different currencies must be ordered separately.',
+    'orders.errors.paymentFailed': 'The payment did not go through. Your order was cancelled; please try again.',
+    'orders.errors.notFound': 'This order no longer exists.',
+    'orders.errors.notSeller': 'Only sellers with products in this order can update it.',
+    'orders.errors.statusChanged': "This order's status has changed. Please check it and try again.",
+
+    'login.createAccount': 'Create an Account',
+    'login.welcomeBack': 'Welcome Back!',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.signUp': 'Sign Up',
+    'login.login': 'Login',
+    'login.haveAccount': 'Already have an account?',
+    'login.noAccount': "Don't have an account?",
+    'login.notReady': 'Authentication service not ready. Please try again.',
+    'login.failed': 'An error occurred during authentication. Please try again.',
+
+    'profile.title': 'My Profile',
+    'profile.loginToView': 'Please log in to view your profile.',
+    'profile.email': 'Email:',
+    'profile.role': 'User Role:',
+    'profile.becomeSeller': 'Become a Seller',
+    'profile.logout': 'Logout',
+
+    'role.buyer': 'Buyer',
+    'role.seller': 'Seller',
+    'role.admin': 'Admin',
+
+    'becomeSeller.title': 'Become a Seller',
+    'becomeSeller.intro': 'Join our marketplace to sell your products to a wide audience. Submit your request, and our admin team will review your profile for verification.',
+    'becomeSeller.submit': 'Submit Seller Request',
+    'becomeSeller.mustLogIn': 'You must be logged in to send a request.',
+    'becomeSeller.alreadyRequested': 'You have already submitted a seller request.',
+    'becomeSeller.submitted': 'Your request to become a seller has been submitted! An admin will review it shortly.',
+    'becomeSeller.authRequired': 'Authentication Required',
+    'becomeSeller.loginToApply': 'Please log in to apply to be a seller.',
+    'becomeSeller.alreadySeller': 'You are already a Seller!',
+    'becomeSeller.startListing': 'You can start listing your products from your seller dashboard.',
+    'becomeSeller.goToDashboard': 'Go to Dashboard',
+
+    'price.errors.invalid': 'Price must be a positive number.',
+    'price.errors.decimals': 'Price can have at most {digits} decimal places.',
+    'price.errors.zero': 'Price must be greater than zero.',
+
+    'admin.title': 'Admin Console',
+    'admin.onlyAdmins': 'Only administrators can review seller requests and products.',
+    'admin.sellerRequests': 'Pending Seller Requests',
+    'admin.noSellerRequests': 'No pending seller requests.',
+    'admin.requestedAt': 'Requested {date}',
+    'admin.approve': 'Approve',
+    'admin.reject': 'Reject',
+    'admin.sellerApproved': 'Seller request from {email} approved.',
+    'admin.sellerRejected': 'Seller request from {email} rejected.',
+    'admin.sellerFailed': 'Failed to update the seller request. Please try again.',
+    'admin.pendingProducts': 'Products Awaiting Approval',
+    'admin.noPendingProducts': 'No products awaiting approval.',
+    'admin.productApproved': 'Product "{name}" approved.',
+    'admin.productRejected': 'Product "{name}" rejected.',
+    'admin.productFailed': 'Failed to update the product. Please try again.',
+    'admin.backfillTitle': 'Older listings',
+    'admin.backfillHint': 'Listings created before shop search and exact prices are missing from search results and price-sorted pages. Run this once to add the missing fields; it is safe to run again.',
+    'admin.backfillRun': 'Update older listings',
+    'admin.backfillRunning': 'Updating listings...',
+    'admin.backfillDone': '{count} listing(s) updated.',
+    'admin.backfillFailed': 'Failed to update the older listings. Please try again.',
+
+    'seller.tab.products': 'Products',
+    'seller.tab.orders': 'Orders',
+    'seller.mustLogIn': 'Please log in to view your dashboard.',
+    'seller.addProduct': 'Add New Product',
+    'seller.productName': 'Product Name',
+    'seller.price': 'Price (₹)',
+    'seller.selectCategory': 'Select a category',
+    'seller.stock': 'Stock quantity',
+    'seller.description': 'Description',
+    'seller.productImage': 'Product Image',
+    'seller.preview': 'Preview',
+    'seller.analyzing': 'Analyzing...',
+    'seller.analyzeDiseases': 'Analyze for Diseases',
+    'seller.analyzingImage': 'Analyzing image...',
+    'seller.analysisComplete': 'Analysis complete!',
+    'seller.analysisFailed': 'Failed to analyze image: {message}',
+    'seller.additionalImages': 'Additional Images (optional)',
+    'seller.uploading': 'Uploading... {progress}%',
+    'seller.submitProduct': 'Add Product',
+    'seller.fillRequired': 'Please fill out all required fields and select an image.',
+    'seller.invalidStock': 'Stock quantity must be 0 or more.',
+    'seller.productAdded': 'Product added successfully! It will appear in the shop after admin approval.',
+    'seller.addFailed': 'Failed to add product.',
+    'seller.yourProducts': 'Your Products',
+    'seller.lowStockWarning': '{count} product(s) low on stock or sold out. Out-of-stock products are hidden from the shop.',
+    'seller.loadingProducts': 'Loading products...',
+    'seller.noProducts': "You haven't added any products yet.",
+    'seller.status.archived': 'Archived',
+    'seller.status.approved': 'Approved',
+    'seller.status.rejected': 'Rejected',
+    'seller.status.pending': 'Pending',
+    'seller.lowStock': 'Low stock: {count}',
+    'seller.fillEdit': 'Please fill out name, price, category and a stock quantity of 0 or more.',
+    'seller.replaceImages': 'Replace images (optional)',
+    'seller.reapprovalHint': 'Changing the name, category or images sends this listing back for admin approval.',
+    'seller.save': 'Save',
+    'seller.saving': 'Saving...',
+    'seller.saved': 'Saved.',
+    'seller.savedPendingReview': 'Saved. The listing is hidden from the shop until an admin approves the changes.',
+    'seller.saveFailed': 'Failed to save changes.',
+    'seller.edit': 'Edit',
+    'seller.archive': 'Archive',
+    'seller.restore': 'Restore',
+    'seller.delete': 'Delete',
+    'seller.archiveFailed': 'Failed to archive product.',
+    'seller.restoreFailed': 'Failed to restore product.',
+    'seller.confirmDelete': 'Permanently delete "{name}"? This cannot be undone.',
+    'seller.deleteFailed': 'Failed to delete product.',
+
+    'sellerOrders.period.today': 'Today',
+    'sellerOrders.period.last7Days': 'Last 7 days',
+    'sellerOrders.period.last30Days': 'Last 30 days',
+    'sellerOrders.period.allTime': 'All time',
+    'sellerOrders.periodTotals': '{orders} orders · {units} units',
+    'sellerOrders.title': 'Incoming Orders',
+    'sellerOrders.allStatuses': 'All statuses',
+    'sellerOrders.none': 'No orders yet.',
+    'sellerOrders.deliverTo': 'Deliver to {name}, {address} · {phone}',
+    'sellerOrders.mark': 'Mark {status}',
+    'sellerOrders.cancel': 'Cancel',
+    'sellerOrders.confirmCancel': 'Cancel your items in this order? They will be returned to stock.',
+    'sellerOrders.updateFailed': 'Failed to update the order. Please try again.',
+
+    'diagnoses.title': 'My Diagnoses',
+    'diagnoses.loginToView': 'Please log in to see your saved diagnoses.',
+    'diagnoses.searchPlaceholder': 'Search plants or diseases',
+    'diagnoses.allPlants': 'All plants',
+    'diagnoses.allDiseases': 'All diseases',
+    'diagnoses.allFields': 'All fields',
+    'diagnoses.none': 'No diagnoses yet',
+    'diagnoses.noMatches': 'No diagnoses match your filters',
+
+    'analyzer.upload': 'Upload Plant Image',
+    'analyzer.clickToUpload': 'Click to upload',
+    'analyzer.previewAlt': 'Plant preview',
+    'analyzer.model': 'Analysis model',
+    'analyzer.compare': 'Compare Gemini and ViT side by side',
+    'analyzer.analyzing': 'Analyzing...',
+    'analyzer.analyze': 'Analyze',
+    'analyzer.results': 'Analysis Results',
+    'analyzer.savedFrom': 'Saved diagnosis from {date}. Upload a new image to run another analysis.',
+    'analyzer.saving': 'Saving to My Diagnoses...',
+    'analyzer.saved': 'Saved to My Diagnoses.',
+    'analyzer.saveFailed': 'This result could not be saved to My Diagnoses.',
+    'analyzer.empty': 'Upload an image and click analyze to see results here.',
+    'analyzer.uploadFirst': 'Please upload an image first.',
+    'analyzer.failed': 'Analysis failed: {message}',
+    'analyzer.analyzeLater': 'Save and analyze when online',
+    'analyzer.chooseAnother': 'Choose another photo',
+    'analyzer.resetCrop': 'Reset crop',
+    'analyzer.cropHint': 'Drag the box over the affected leaf; drag its corner to resize.',
+    'analyzer.unsupportedFormat': "This file type can't be opened in this browser. Please choose a JPEG or PNG photo, or take one with the camera.",
+    'analyzer.unreadable': 'The selected file could not be read as an image.',
+    'analyzer.analyzeAnyway': 'Analyze anyway',
+    'analyzer.batchLink': 'Analyze many photos',
+    'analyzer.quality.dark': 'This photo looks too dark.',
+    'analyzer.quality.blurry': 'This photo looks blurry.',
+    'analyzer.quality.hint': 'Results are more reliable with a sharp, well-lit photo. Retake it in daylight while holding the camera steady, or analyze it anyway.',
+    'cache.reused': 'Showing the result saved when this exact photo was analyzed on {date}.',
+    'cache.reanalyze': 'Analyze again',
+    'cache.similar': 'This looks like a leaf you scanned on {date}.',
+    'cache.viewSimilar': 'View that scan',
+
+    'camera.open': 'Use camera',
+    'camera.capture': 'Take photo',
+    'camera.denied': 'Camera access was denied. Allow it in your browser settings or upload a photo instead.',
+    'camera.unavailable': 'The camera could not be started. Upload a photo instead.',
+
+    'batch.title': 'Batch analysis',
+    'batch.singleLink': 'Analyze a single photo',
+    'batch.dropzone': 'Drop leaf photos here or click to choose several',
+    'batch.dropzoneHint': 'Up to {max} images per batch',
+    'batch.skippedNonImages': '{count} file(s) were skipped because they are not images.',
+    'batch.limitReached': 'Only the first {max} images were added.',
+    'batch.dailyQuotaReached': 'Your daily Gemini limit is used up, so the batch was stopped. The remaining photos stay queued; start the batch again after the limit resets at midnight UTC.',
+    'batch.saveToHistory': 'Save results to My Diagnoses',
+    'batch.start': 'Analyze {count} image(s)',
+    'batch.stop': 'Stop',
+    'batch.retryFailed': 'Retry {count} failed',
+    'batch.clear': 'Clear all',
+    'batch.progress': '{done} of {total} processed',
+    'batch.failedCount': '{count} failed',
+    'batch.summary': 'Summary',
+    'batch.exportCsv': 'Export CSV',
+    'batch.exportJson': 'Export JSON',
+    'batch.analyzed': 'Analyzed',
+    'batch.diseaseBreakdown': 'Diseases found',
+    'batch.images': 'Images ({count})',
+    'batch.reused': 'Result from an earlier analysis of this photo on {date}',
+    'batch.stage.preparing': 'Preparing',
+    'batch.stage.analyzing': 'Analyzing',
+    'batch.stage.saving': 'Saving',
+    'batch.stage.waitingToRetry': 'Waiting to retry',
+    'batch.stage.waitingForQuota': 'Waiting for the Gemini rate limit',
+    'batch.status.queued': 'Queued',
+    'batch.status.running': 'Running',
+    'batch.status.done': 'Done',
+    'batch.status.failed': 'Failed',
+
+    'offline.banner': "You're offline. The shop shows the listings you viewed recently, and photos you analyze are queued until you reconnect.",
+
+    'queue.title': 'Queued analyses',
+    'queue.offlineHint': 'These photos will be analyzed automatically when you are back online.',
+    'queue.onlineHint': 'Queued photos are analyzed one at a time while you are online.',
+    'queue.added': "You're offline, so this photo was added to the queue. It will be analyzed automatically when you reconnect.",
+    'queue.addFailed': 'This photo could not be saved to the offline queue.',
+    'queue.noProvider': 'The selected analysis model is no longer available.',
+    'queue.pendingCount': '{count} photo(s) waiting for analysis',
+    'queue.clearCompleted': 'Clear completed',
+    'queue.view': 'View',
+    'queue.remove': 'Remove',
+    'queue.notifyDone': 'Plant analysis complete',
+    'queue.notifyFailed': 'Plant analysis failed',
+    'queue.status.pending': 'Waiting',
+    'queue.status.running': 'Analyzing',
+    'queue.status.done': 'Done',
+    'queue.status.failed': 'Failed',
+
+    'backend.unreachable': 'The analysis server at {url} is unreachable. Disease predictions from the ViT classifier are unavailable right now.',
+
+    'result.plantId': 'Plant ID:',
+    'result.confidence': 'Confidence: {value}',
+    'result.health': 'Health:',
+    'result.healthy': 'Healthy',
+    'result.diseaseDetected': 'Disease Detected',
+    'result.uncertain': 'Uncertain - please retake the photo',
+    'result.uncertainHint': 'The model is not confident about this result. Take a closer, well-lit photo of a single affected leaf and analyze again.',
+    'result.topPredictions': 'Top Predictions',
+    'result.readMore': 'Read more about {name} in the disease guide',
+    'result.cure': 'Cure',
+    'result.products': 'Products',
+    'result.inMarketplace': 'Available in the Marketplace',
+    'result.seeAll': 'See all in Shop',
+
+    'report.title': 'AgroScan Diagnosis Report',
+    'report.download': 'Download report',
+    'report.print': 'Print / Save as PDF',
+    'report.analyzedAt': 'Analyzed: {date}',
+    'report.generatedAt': 'Report generated: {date}',
+    'report.model': 'Model: {model}',
+    'report.disclaimer': 'This diagnosis was generated automatically from a photo and may be wrong. Please confirm it with an agricultural extension officer before applying any treatment.',
+    'report.failed': 'The report could not be created. Please try again.',
+    'chat.open': 'Ask a follow-up question',
+    'chat.title': 'Ask the AI about this diagnosis',
+    'chat.placeholder': 'Type your question...',
+    'chat.send': 'Send',
+    'chat.stop': 'Stop',
+    'chat.clear': 'Clear conversation',
+    'chat.thinking': 'Thinking...',
+    'chat.failed': 'The AI could not answer. Please try again.',
+    'chat.unavailable': 'Follow-up questions need Gemini AI. Sign in to ask them.',
+    'chat.suggest.safeBeforeHarvest': 'Is this treatment safe to use before harvest?',
+    'chat.suggest.organic': 'Is there an organic alternative?',
+    'chat.suggest.spread': 'Will it spread to my other plants?',
+    'chat.suggest.prevent': 'How can I prevent it next season?',
+    'chat.suggest.keepHealthy': 'How do I keep this plant healthy?',
+    'chat.suggest.fertilizer': 'Which fertilizer should I use now?',
+    'chat.suggest.watchFor': 'Which diseases should I watch for?',
+    'encyclopedia.title': 'Disease Guide',
+    'encyclopedia.subtitle': 'Symptoms, causes, treatments and prevention for the diseases our classifier detects. Knowledge base v{version}.',
+    'encyclopedia.searchPlaceholder': 'Search by disease, crop or symptom...',
+    'encyclopedia.allCrops': 'All crops',
+    'encyclopedia.noMatches': 'No diseases match your search.',
+    'encyclopedia.back': '← Disease guide',
+    'encyclopedia.alsoKnownAs': 'Also known as: {names}',
+    'encyclopedia.symptoms': 'Symptoms',
+    'encyclopedia.causes': 'Causes',
+    'encyclopedia.organic': 'Organic Treatments',
+    'encyclopedia.chemical': 'Chemical Treatments',
+    'encyclopedia.prevention': 'Prevention',
+    'encyclopedia.labelWarning': 'Always follow the product label for dose, protective equipment and the waiting period before harvest.',
+    'encyclopedia.pathogen.fungus': 'Fungus',
+    'encyclopedia.pathogen.oomycete': 'Water mould (oomycete)',
+    'fields.title': 'My Fields',
+    'fields.add': 'Add Field',
+    'fields.save': 'Save Changes',
+    'fields.saving': 'Saving...',
+    'fields.saveFailed': 'The field could not be saved. Please try again.',
+    'fields.name': 'Field name (e.g. North plot)',
+    'fields.crop': 'Crop (e.g. Tomato)',
+    'fields.area': 'Area (optional)',
+    'fields.units.acre': 'acres',
+    'fields.units.hectare': 'hectares',
+    'fields.sowingDate': 'Sowing date (optional)',
+    'fields.useLocation': 'Use my location',
+    'fields.locating': 'Getting location...',
+    'fields.locationFailed': 'Your location could not be read. Check that location access is allowed.',
+    'fields.clearLocation': 'Remove location',
+    'fields.viewOnMap': 'View on map',
+    'fields.errors.name': 'Enter a name for the field.',
+    'fields.errors.crop': 'Enter the crop grown in this field.',
+    'fields.errors.area': 'Area must be a positive number.',
+    'fields.errors.sowingDate': 'Enter a valid sowing date.',
+    'fields.errors.sowingDateFuture': 'The sowing date cannot be in the future.',
+    'fields.empty': 'You have not added any fields yet.',
+    'fields.emptyHint': 'Add a field to track the health of its crop through the season.',
+    'fields.noChecks': 'No leaf checks yet.',
+    'fields.latest': 'Latest: {status} ({date})',
+    'fields.daysSinceSowing': '{days} days since sowing',
+    'fields.sownOn': 'Sown on {date}',
+    'fields.back': '← All fields',
+    'fields.edit': 'Edit',
+    'fields.delete': 'Delete',
+    'fields.confirmDelete': 'Delete "{name}"? Its past diagnoses are kept.',
+    'fields.analyzeHere': 'Analyze a leaf in this field',
+    'fields.season': 'Season Timeline',
+    'fields.sowing': 'Sowing',
+    'fields.today': 'Today',
+    'fields.checks': 'Leaf checks ({count})',
+    'fields.day': 'Day {day}',
+    'fields.diseaseSummary': 'Diseases Found',
+    'fields.healthSplit': '{healthy} healthy, {diseased} with disease',
+    'fields.noDiseases': 'No diseases found in this field so far.',
+    'fields.timesSeen': 'seen {count} time(s)',
+    'fields.seenBetween': 'First seen {first}, last seen {last}',
+    'fields.select': 'Field',
+    'fields.none': 'No field',
+    'fields.deleted': 'Deleted field',
+    'fields.fieldLabel': 'Field: {name}',
+    'fields.assigned': 'Field updated.',
+    'fields.assignFailed': 'The field could not be changed. Please try again.',
+
+    'notFound.title': 'Page not found',
+    'notFound.message': "The page you are looking for doesn't exist or has been moved.",
+
+    'footer.rights': '© 2025 AgroScan. All rights reserved.',
+    'footer.tagline': 'A modern solution for a healthier planet.',
+};
+
+export default en;
@@ -0,0 +1,473 @@
+// Hindi UI messages. Keys missing here fall back to English.
+
+const hi = {
+    'common.loading': 'लोड हो रहा है...',
+    'common.retry': 'फिर से कोशिश करें',
+    'common.cancel': 'रद्द करें',
+    'common.goHome': 'होम पर जाएँ',
+    'common.goToShop': 'दुकान पर जाएँ',
+    'common.goToLogin': 'लॉगिन पर जाएँ',
+    'common.notLoggedIn': 'आप लॉग इन नहीं हैं',
+    'common.errorTryAgain': 'कोई त्रुटि हुई। कृपया फिर से कोशिश करें।',
+
+    'nav.home': 'होम',
+    'nav.shop': 'दुकान',
+    'nav.analyzer': 'एआई विश्लेषक',
+    'nav.encyclopedia': 'रोग मार्गदर्शिका',
+    'nav.diagnoses': 'मेरे निदान',
+    'nav.fields': 'मेरे खेत',
+    'nav.sellerDashboard': 'विक्रेता डैशबोर्ड',
+    'nav.admin': 'एडमिन',
+    'nav.cart': 'कार्ट',
+    'nav.orders': 'ऑर्डर',
+    'nav.profile': 'प्रोफ़ाइल',
+    'nav.login': 'लॉगिन / साइन अप',
+    'nav.language': 'भाषा',
+
+    'guard.accessDenied': 'पहुँच अस्वीकृत',
+    'guard.onlyFor.seller': 'यह पेज केवल विक्रेताओं के लिए है।',
+    'guard.onlyFor.admin': 'यह पेज केवल एडमिन के लिए है।',
+
+    'home.titleLine1': 'समझदार पौध देखभाल,',
+    'home.titleLine2': 'स्वस्थ फसल',
+    'home.tagline': 'हमारे एआई से पौधों के रोग तुरंत पहचानें। हमारे भरोसेमंद बाज़ार में कृषि उत्पाद खरीदें और बेचें। खेती के भविष्य से जुड़ें।',
+    'home.analyze': 'पौधे की जाँच करें',
+    'home.imageAlt': 'स्वस्थ पौधे',
+
+    'shop.title': 'बाज़ार',
+    'shop.recommendedFor': 'इसके लिए सुझाए गए उत्पाद दिखाए जा रहे हैं:',
+    'shop.showAll': 'सभी उत्पाद दिखाएँ',
+    'shop.noProducts': 'कोई उत्पाद उपलब्ध नहीं',
+    'shop.checkBackLater': 'नए उत्पादों के लिए बाद में देखें!',
+    'shop.recommendedUnavailable': 'सुझाए गए उत्पाद अब सूचीबद्ध नहीं हैं।',
+    'shop.searchPlaceholder': 'नाम या श्रेणी से खोजें',
+    'shop.search': 'खोजें',
+    'shop.sortLabel': 'उत्पाद क्रमबद्ध करें',
+    'shop.sort.newest': 'नवीनतम',
+    'shop.sort.price_asc': 'कीमत: कम से ज़्यादा',
+    'shop.sort.price_desc': 'कीमत: ज़्यादा से कम',
+    'shop.category': 'श्रेणी',
+    'shop.allCategories': 'सभी श्रेणियाँ',
+    'shop.price': 'कीमत',
+    'shop.min': 'न्यूनतम',
+    'shop.max': 'अधिकतम',
+    'shop.apply': 'लागू करें',
+    'shop.clearFilters': 'फ़िल्टर हटाएँ',
+    'shop.noMatches': 'कोई मेल खाता उत्पाद नहीं',
+    'shop.noMatchesHint': 'कुछ और खोजें या फ़िल्टर हटाएँ।',
+    'shop.loadMore': 'और दिखाएँ',
+    'shop.loadFailed': 'उत्पाद लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+    'shop.loadMoreFailed': 'और उत्पाद लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+
+    'category.Seeds': 'बीज',
+    'category.Fertilizers': 'उर्वरक',
+    'category.Pesticides': 'कीटनाशक',
+    'category.Tools': 'औज़ार',
+    'category.Produce': 'उपज',
+    'category.Other': 'अन्य',
+
+    'product.view': 'देखें',
+    'product.cropHealth': 'फसल स्वास्थ्य: {prediction}',
+    'product.noDisease': 'कोई रोग नहीं मिला',
+    'product.notFound': 'उत्पाद नहीं मिला',
+    'product.notFoundHint': 'यह उत्पाद हटा दिया गया है या स्वीकृति की प्रतीक्षा में है।',
+    'product.backToShop': 'दुकान पर वापस जाएँ',
+    'product.inStock': '{count} स्टॉक में',
+    'product.outOfStock': 'स्टॉक में नहीं',
+    'product.quantity': 'मात्रा',
+    'product.addToCart': 'कार्ट में डालें',
+    'product.viewCart': 'कार्ट देखें',
+    'product.added': '{quantity} आपके कार्ट में जोड़ा गया।',
+    'product.addFailed': 'कार्ट में नहीं जोड़ा जा सका। कृपया फिर से कोशिश करें।',
+    'product.noDescription': 'कोई विवरण नहीं दिया गया।',
+    'product.seller': 'विक्रेता',
+    'product.verifiedSeller': 'सत्यापित AgroScan विक्रेता',
+    'product.share': 'साझा करें',
+    'product.linkCopied': 'लिंक कॉपी हो गया!',
+    'product.related': 'संबंधित उत्पाद',
+
+    'cart.empty': 'आपका कार्ट खाली है',
+    'cart.emptyHint': 'अपनी फसलों के लिए उत्पाद खोजने हेतु बाज़ार देखें।',
+    'cart.title': 'शॉपिंग कार्ट',
+    'cart.each': '{price} प्रति नग',
+    'cart.quantityOf': '{name} की मात्रा',
+    'cart.remove': 'हटाएँ',
+    'cart.summary': 'सारांश',
+    'cart.subtotal': 'उप-योग',
+    'cart.confirmedAtCheckout': 'अंतिम कीमत और स्टॉक चेकआउट पर पक्के होते हैं।',
+    'cart.checkout': 'चेकआउट करें',
+
+    'checkout.address': 'डिलीवरी का पता',
+    'checkout.fullName': 'पूरा नाम',
+    'checkout.phone': 'फ़ोन नंबर',
+    'checkout.line1': 'पता पंक्ति 1',
+    'checkout.line2': 'पता पंक्ति 2 (वैकल्पिक)',
+    'checkout.city': 'शहर / गाँव',
+    'checkout.state': 'राज्य',
+    'checkout.postalCode': 'पिन कोड',
+    'checkout.payment': 'भुगतान',
+    'checkout.summary': 'ऑर्डर सारांश',
+    'checkout.delivery': 'डिलीवरी',
+    'checkout.free': 'मुफ़्त',
+    'checkout.total': 'कुल',
+    'checkout.placing': 'ऑर्डर हो रहा है...',
+    'checkout.place': 'ऑर्डर करें',
+    'checkout.failed': 'आपका ऑर्डर नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+    'payment.cod.label': 'डिलीवरी पर नकद भुगतान',
+    'payment.cod.description': 'ऑर्डर पहुँचने पर डिलीवरी एजेंट को भुगतान करें।',
+    'payment.mock.label': 'टेस्ट भुगतान (नकली)',
+    'payment.mock.description': 'तुरंत ऑनलाइन भुगतान का अभ्यास। कोई पैसा नहीं कटता।',
+
+    'order.status.new': 'नया',
+    'order.status.accepted': 'स्वीकृत',
+    'order.status.shipped': 'भेजा गया',
+    'order.status.delivered': 'पहुँचाया गया',
+    'order.status.cancelled': 'रद्द',
+
+    'orders.title': 'मेरे ऑर्डर',
+    'orders.placed': 'धन्यवाद! आपका ऑर्डर हो गया है।',
+    'orders.none': 'आपने अभी तक कोई ऑर्डर नहीं किया है',
+    'orders.number': 'ऑर्डर #{number}',
+    'orders.deliverTo': '{name}, {city} को डिलीवरी',
+    'orders.payment': 'भुगतान: {provider} ({status})',
+    'orders.errors.emptyCart': 'आपकी कार्ट खाली है।',
+    'orders.errors.unavailable': '"{name}" अब उपलब्ध नहीं है।',
+    'orders.errors.lowStock': '"{name}" के केवल {stock} स्टॉक में बचे हैं।',
+    'orders.errors.outOfStock': '"{name}" स्टॉक में नहीं है।',
+    'orders.errors.mixedCurrencies': 'अलग-अलग मुद्राओं में कीमत वाले उत्पाद अलग-अलग ऑर्डर करें।',
+    'orders.errors.paymentFailed': 'भुगतान नहीं हो सका। आपका ऑर्डर रद्द कर दिया गया; कृपया फिर से प्रयास करें।',
+    'orders.errors.notFound': 'यह ऑर्डर अब मौजूद नहीं है।',
+    'orders.errors.notSeller': 'इस ऑर्डर को केवल वही विक्रेता बदल सकते हैं जिनके उत्पाद इसमें हैं।',
+    'orders.errors.statusChanged': 'इस ऑर्डर की स्थिति बदल गई है। कृपया जाँचें और फिर से प्रयास करें।',
+
+    'login.createAccount': 'खाता बनाएँ',
+    'login.welcomeBack': 'फिर से स्वागत है!',
+    'login.email': 'ईमेल',
+    'login.password': 'पासवर्ड',
+    'login.signUp': 'साइन अप',
+    'login.login': 'लॉगिन',
+    'login.haveAccount': 'पहले से खाता है?',
+    'login.noAccount': 'खाता नहीं है?',
+    'login.notReady': 'लॉगिन सेवा तैयार नहीं है। कृपया फिर से कोशिश करें।',
+    'login.failed': 'लॉगिन के दौरान त्रुटि हुई। कृपया फिर से कोशिश करें।',
+
+    'profile.title': 'मेरी प्रोफ़ाइल',
+    'profile.loginToView': 'अपनी प्रोफ़ाइल देखने के लिए लॉग इन करें।',
+    'profile.email': 'ईमेल:',
+    'profile.role': 'उपयोगकर्ता भूमिका:',
+    'profile.becomeSeller': 'विक्रेता बनें',
+    'profile.logout': 'लॉगआउट',
+
+    'role.buyer': 'खरीदार',
+    'role.seller': 'विक्रेता',
+    'role.admin': 'एडमिन',
+
+    'becomeSeller.title': 'विक्रेता बनें',
+    'becomeSeller.intro': 'हमारे बाज़ार से जुड़कर अपने उत्पाद ज़्यादा लोगों तक बेचें। अनुरोध भेजें, हमारी एडमिन टीम सत्यापन के लिए आपकी प्रोफ़ाइल की जाँच करेगी।',
+    'becomeSeller.submit': 'विक्रेता अनुरोध भेजें',
+    'becomeSeller.mustLogIn': 'अनुरोध भेजने के लिए लॉग इन करना ज़रूरी है।',
+    'becomeSeller.alreadyRequested': 'आप पहले ही विक्रेता अनुरोध भेज चुके हैं।',
+    'becomeSeller.submitted': 'विक्रेता बनने का आपका अनुरोध भेज दिया गया है! एडमिन जल्द ही इसकी जाँच करेंगे।',
+    'becomeSeller.authRequired': 'लॉग इन ज़रूरी है',
+    'becomeSeller.loginToApply': 'विक्रेता बनने के लिए कृपया लॉग इन करें।',
+    'becomeSeller.alreadySeller': 'आप पहले से विक्रेता हैं!',
+    'becomeSeller.startListing': 'आप विक्रेता डैशबोर्ड से अपने उत्पाद सूचीबद्ध कर सकते हैं।',
+    'becomeSeller.goToDashboard': 'डैशबोर्ड पर जाएँ',
+
+    'price.errors.invalid': 'कीमत एक धनात्मक संख्या होनी चाहिए।',
+    'price.errors.decimals': 'कीमत में अधिकतम {digits} दशमलव स्थान हो सकते हैं।',
+    'price.errors.zero': 'कीमत शून्य से अधिक होनी चाहिए।',
+
+    'admin.title': 'एडमिन कंसोल',
+    'admin.onlyAdmins': 'केवल एडमिन ही विक्रेता अनुरोधों और उत्पादों की समीक्षा कर सकते हैं।',
+    'admin.sellerRequests': 'लंबित विक्रेता अनुरोध',
+    'admin.noSellerRequests': 'कोई लंबित विक्रेता अनुरोध नहीं।',
+    'admin.requestedAt': '{date} को अनुरोध किया',
+    'admin.approve': 'स्वीकृत करें',
+    'admin.reject': 'अस्वीकार करें',
+    'admin.sellerApproved': '{email} का विक्रेता अनुरोध स्वीकृत किया गया।',
+    'admin.sellerRejected': '{email} का विक्रेता अनुरोध अस्वीकार किया गया।',
+    'admin.sellerFailed': 'विक्रेता अनुरोध अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+    'admin.pendingProducts': 'स्वीकृति की प्रतीक्षा में उत्पाद',
+    'admin.noPendingProducts': 'कोई उत्पाद स्वीकृति की प्रतीक्षा में नहीं है।',
+    'admin.productApproved': 'उत्पाद "{name}" स्वीकृत किया गया।',
+    'admin.productRejected': 'उत्पाद "{name}" अस्वीकार किया गया।',
+    'admin.productFailed': 'उत्पाद अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+    'admin.backfillTitle': 'पुरानी लिस्टिंग',
+    'admin.backfillHint': 'दुकान खोज और सटीक कीमतों से पहले बनी लिस्टिंग खोज परिणामों और कीमत के क्रम वाले पेजों में नहीं दिखतीं। छूटे हुए फ़ील्ड जोड़ने के लिए इसे एक बार चलाएँ; इसे दोबारा चलाना सुरक्षित है।',
+    'admin.backfillRun': 'पुरानी लिस्टिंग अपडेट करें',
+    'admin.backfillRunning': 'लिस्टिंग अपडेट हो रही हैं...',
+    'admin.backfillDone': '{count} लिस्टिंग अपडेट की गईं।',
+    'admin.backfillFailed': 'पुरानी लिस्टिंग अपडेट नहीं हो सकीं। कृपया फिर से प्रयास करें।',
+
+    'seller.tab.products': 'उत्पाद',
+    'seller.tab.orders': 'ऑर्डर',
+    'seller.mustLogIn': 'अपना डैशबोर्ड देखने के लिए कृपया लॉग इन करें।',
+    'seller.addProduct': 'नया उत्पाद जोड़ें',
+    'seller.productName': 'उत्पाद का नाम',
+    'seller.price': 'कीमत (₹)',
+    'seller.selectCategory': 'श्रेणी चुनें',
+    'seller.stock': 'स्टॉक मात्रा',
+    'seller.description': 'विवरण',
+    'seller.productImage': 'उत्पाद की तस्वीर',
+    'seller.preview': 'पूर्वावलोकन',
+    'seller.analyzing': 'विश्लेषण हो रहा है...',
+    'seller.analyzeDiseases': 'रोगों के लिए जाँचें',
+    'seller.analyzingImage': 'तस्वीर का विश्लेषण हो रहा है...',
+    'seller.analysisComplete': 'विश्लेषण पूरा हुआ!',
+    'seller.analysisFailed': 'तस्वीर का विश्लेषण नहीं हो सका: {message}',
+    'seller.additionalImages': 'अतिरिक्त तस्वीरें (वैकल्पिक)',
+    'seller.uploading': 'अपलोड हो रहा है... {progress}%',
+    'seller.submitProduct': 'उत्पाद जोड़ें',
+    'seller.fillRequired': 'कृपया सभी आवश्यक फ़ील्ड भरें और एक तस्वीर चुनें।',
+    'seller.invalidStock': 'स्टॉक मात्रा 0 या अधिक होनी चाहिए।',
+    'seller.productAdded': 'उत्पाद जोड़ दिया गया! एडमिन की स्वीकृति के बाद यह दुकान में दिखेगा।',
+    'seller.addFailed': 'उत्पाद नहीं जोड़ा जा सका।',
+    'seller.yourProducts': 'आपके उत्पाद',
+    'seller.lowStockWarning': '{count} उत्पाद का स्टॉक कम है या खत्म हो गया है। स्टॉक में न होने वाले उत्पाद दुकान में नहीं दिखते।',
+    'seller.loadingProducts': 'उत्पाद लोड हो रहे हैं...',
+    'seller.noProducts': 'आपने अभी तक कोई उत्पाद नहीं जोड़ा है।',
+    'seller.status.archived': 'संग्रहीत',
+    'seller.status.approved': 'स्वीकृत',
+    'seller.status.rejected': 'अस्वीकृत',
+    'seller.status.pending': 'लंबित',
+    'seller.lowStock': 'कम स्टॉक: {count}',
+    'seller.fillEdit': 'कृपया नाम, कीमत, श्रेणी और 0 या अधिक स्टॉक मात्रा भरें।',
+    'seller.replaceImages': 'तस्वीरें बदलें (वैकल्पिक)',
+    'seller.reapprovalHint': 'नाम, श्रेणी या तस्वीरें बदलने पर यह लिस्टिंग फिर से एडमिन की स्वीकृति के लिए जाएगी।',
+    'seller.save': 'सहेजें',
+    'seller.saving': 'सहेजा जा रहा है...',
+    'seller.saved': 'सहेज लिया गया।',
+    'seller.savedPendingReview': 'सहेज लिया गया। एडमिन के बदलाव स्वीकृत करने तक यह लिस्टिंग दुकान में नहीं दिखेगी।',
+    'seller.saveFailed': 'बदलाव सहेजे नहीं जा सके।',
+    'seller.edit': 'बदलें',
+    'seller.archive': 'संग्रहीत करें',
+    'seller.restore': 'वापस लाएँ',
+    'seller.delete': 'हटाएँ',
+    'seller.archiveFailed': 'उत्पाद संग्रहीत नहीं हो सका।',
+    'seller.restoreFailed': 'उत्पाद वापस नहीं लाया जा सका।',
+    'seller.confirmDelete': '"{name}" को हमेशा के लिए हटाएँ? इसे वापस नहीं किया जा सकता।',
+    'seller.deleteFailed': 'उत्पाद हटाया नहीं जा सका।',
+
+    'sellerOrders.period.today': 'आज',
+    'sellerOrders.period.last7Days': 'पिछले 7 दिन',
+    'sellerOrders.period.last30Days': 'पिछले 30 दिन',
+    'sellerOrders.period.allTime': 'अब तक',
+    'sellerOrders.periodTotals': '{orders} ऑर्डर · {units} इकाइयाँ',
+    'sellerOrders.title': 'आने वाले ऑर्डर',
+    'sellerOrders.allStatuses': 'सभी स्थितियाँ',
+    'sellerOrders.none': 'अभी तक कोई ऑर्डर नहीं।',
+    'sellerOrders.deliverTo': '{name}, {address} को डिलीवरी · {phone}',
+    'sellerOrders.mark': '{status} चिह्नित करें',
+    'sellerOrders.cancel': 'रद्द करें',
+    'sellerOrders.confirmCancel': 'इस ऑर्डर में अपनी वस्तुएँ रद्द करें? उन्हें वापस स्टॉक में जोड़ दिया जाएगा।',
+    'sellerOrders.updateFailed': 'ऑर्डर अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+
+    'diagnoses.title': 'मेरे निदान',
+    'diagnoses.loginToView': 'अपने सहेजे गए निदान देखने के लिए लॉग इन करें।',
+    'diagnoses.searchPlaceholder': 'पौधे या रोग खोजें',
+    'diagnoses.allPlants': 'सभी पौधे',
+    'diagnoses.allDiseases': 'सभी रोग',
+    'diagnoses.allFields': 'सभी खेत',
+    'diagnoses.none': 'अभी तक कोई निदान नहीं',
+    'diagnoses.noMatches': 'आपके फ़िल्टर से कोई निदान मेल नहीं खाता',
+
+    'analyzer.upload': 'पौधे की फ़ोटो अपलोड करें',
+    'analyzer.clickToUpload': 'अपलोड करने के लिए क्लिक करें',
+    'analyzer.previewAlt': 'पौधे का पूर्वावलोकन',
+    'analyzer.model': 'विश्लेषण मॉडल',
+    'analyzer.compare': 'Gemini और ViT की साथ-साथ तुलना करें',
+    'analyzer.analyzing': 'विश्लेषण हो रहा है...',
+    'analyzer.analyze': 'विश्लेषण करें',
+    'analyzer.results': 'विश्लेषण परिणाम',
+    'analyzer.savedFrom': '{date} का सहेजा गया निदान। दोबारा विश्लेषण के लिए नई फ़ोटो अपलोड करें।',
+    'analyzer.saving': 'मेरे निदान में सहेजा जा रहा है...',
+    'analyzer.saved': 'मेरे निदान में सहेजा गया।',
+    'analyzer.saveFailed': 'यह परिणाम मेरे निदान में सहेजा नहीं जा सका।',
+    'analyzer.empty': 'फ़ोटो अपलोड करें और परिणाम देखने के लिए विश्लेषण पर क्लिक करें।',
+    'analyzer.uploadFirst': 'कृपया पहले एक फ़ोटो अपलोड करें।',
+    'analyzer.failed': 'विश्लेषण विफल: {message}',
+    'analyzer.analyzeLater': 'सहेजें और ऑनलाइन होने पर विश्लेषण करें',
+    'analyzer.chooseAnother': 'दूसरी फ़ोटो चुनें',
+    'analyzer.resetCrop': 'क्रॉप हटाएँ',
+    'analyzer.cropHint': 'बॉक्स को प्रभावित पत्ती पर खींचें; आकार बदलने के लिए उसका कोना खींचें।',
+    'analyzer.unsupportedFormat': 'यह फ़ाइल प्रकार इस ब्राउज़र में नहीं खुल सकता। कृपया JPEG या PNG फ़ोटो चुनें, या कैमरे से फ़ोटो लें।',
+    'analyzer.unreadable': 'चुनी गई फ़ाइल को फ़ोटो के रूप में पढ़ा नहीं जा सका।',
+    'analyzer.analyzeAnyway': 'फिर भी विश्लेषण करें',
+    'analyzer.batchLink': 'कई फ़ोटो का विश्लेषण करें',
+    'analyzer.quality.dark': 'यह फ़ोटो बहुत अंधेरी लग रही है।',
+    'analyzer.quality.blurry': 'यह फ़ोटो धुंधली लग रही है।',
+    'analyzer.quality.hint': 'साफ़ और अच्छी रोशनी वाली फ़ोटो से परिणाम ज़्यादा भरोसेमंद होते हैं। दिन की रोशनी में कैमरा स्थिर रखकर दोबारा फ़ोटो लें, या फिर भी विश्लेषण करें।',
+    'cache.reused': 'यही फ़ोटो {date} को जाँची गई थी, उस समय का परिणाम दिखाया जा रहा है।',
+    'cache.reanalyze': 'फिर से जाँचें',
+    'cache.similar': 'यह {date} को स्कैन की गई पत्ती जैसी दिखती है।',
+    'cache.viewSimilar': 'वह स्कैन देखें',
+
+    'camera.open': 'कैमरा इस्तेमाल करें',
+    'camera.capture': 'फ़ोटो लें',
+    'camera.denied': 'कैमरे की अनुमति नहीं मिली। ब्राउज़र सेटिंग में अनुमति दें या फ़ोटो अपलोड करें।',
+    'camera.unavailable': 'कैमरा शुरू नहीं हो सका। कृपया फ़ोटो अपलोड करें।',
+
+    'batch.title': 'बैच विश्लेषण',
+    'batch.singleLink': 'एक फ़ोटो का विश्लेषण करें',
+    'batch.dropzone': 'पत्तियों की फ़ोटो यहाँ छोड़ें या कई फ़ोटो चुनने के लिए क्लिक करें',
+    'batch.dropzoneHint': 'एक बैच में अधिकतम {max} फ़ोटो',
+    'batch.skippedNonImages': '{count} फ़ाइलें छोड़ दी गईं क्योंकि वे फ़ोटो नहीं हैं।',
+    'batch.limitReached': 'केवल पहली {max} फ़ोटो जोड़ी गईं।',
+    'batch.dailyQuotaReached': 'आपकी दैनिक Gemini सीमा समाप्त हो गई है, इसलिए बैच रोक दिया गया। बाकी फ़ोटो कतार में रहेंगी; मध्यरात्रि UTC पर सीमा रीसेट होने के बाद बैच फिर से शुरू करें।',
+    'batch.saveToHistory': 'परिणाम मेरे निदान में सहेजें',
+    'batch.start': '{count} फ़ोटो का विश्लेषण करें',
+    'batch.stop': 'रोकें',
+    'batch.retryFailed': '{count} विफल फिर से आज़माएँ',
+    'batch.clear': 'सब हटाएँ',
+    'batch.progress': '{total} में से {done} पूरे',
+    'batch.failedCount': '{count} विफल',
+    'batch.summary': 'सारांश',
+    'batch.exportCsv': 'CSV निर्यात करें',
+    'batch.exportJson': 'JSON निर्यात करें',
+    'batch.analyzed': 'विश्लेषित',
+    'batch.diseaseBreakdown': 'पाए गए रोग',
+    'batch.images': 'फ़ोटो ({count})',
+    'batch.reused': 'इसी फ़ोटो की {date} की पिछली जाँच का परिणाम',
+    'batch.stage.preparing': 'तैयार हो रहा है',
+    'batch.stage.analyzing': 'विश्लेषण हो रहा है',
+    'batch.stage.saving': 'सहेजा जा रहा है',
+    'batch.stage.waitingToRetry': 'दोबारा प्रयास की प्रतीक्षा',
+    'batch.stage.waitingForQuota': 'Gemini दर सीमा की प्रतीक्षा',
+    'batch.status.queued': 'कतार में',
+    'batch.status.running': 'चल रहा है',
+    'batch.status.done': 'पूरा हुआ',
+    'batch.status.failed': 'विफल',
+
+    'offline.banner': 'आप ऑफ़लाइन हैं। दुकान में हाल ही में देखे गए उत्पाद दिखते हैं, और जिन फ़ोटो का आप विश्लेषण करते हैं वे दोबारा कनेक्ट होने तक कतार में रहती हैं।',
+
+    'queue.title': 'कतार में विश्लेषण',
+    'queue.offlineHint': 'ऑनलाइन होते ही इन फ़ोटो का अपने आप विश्लेषण होगा।',
+    'queue.onlineHint': 'ऑनलाइन रहते हुए कतार की फ़ोटो का एक-एक करके विश्लेषण होता है।',
+    'queue.added': 'आप ऑफ़लाइन हैं, इसलिए यह फ़ोटो कतार में जोड़ दी गई है। दोबारा कनेक्ट होने पर इसका अपने आप विश्लेषण होगा।',
+    'queue.addFailed': 'यह फ़ोटो ऑफ़लाइन कतार में सहेजी नहीं जा सकी।',
+    'queue.noProvider': 'चुना गया विश्लेषण मॉडल अब उपलब्ध नहीं है।',
+    'queue.pendingCount': '{count} फ़ोटो विश्लेषण की प्रतीक्षा में',
+    'queue.clearCompleted': 'पूरे हुए हटाएँ',
+    'queue.view': 'देखें',
+    'queue.remove': 'हटाएँ',
+    'queue.notifyDone': 'पौधे का विश्लेषण पूरा हुआ',
+    'queue.notifyFailed': 'पौधे का विश्लेषण विफल रहा',
+    'queue.status.pending': 'प्रतीक्षा में',
+    'queue.status.running': 'विश्लेषण हो रहा है',
+    'queue.status.done': 'पूरा हुआ',
+    'queue.status.failed': 'विफल',
+
+    'backend.unreachable': '{url} पर विश्लेषण सर्वर से संपर्क नहीं हो पा रहा है। ViT क्लासिफ़ायर से रोग की पहचान अभी उपलब्ध नहीं है।',
+
+    'result.plantId': 'पौधे की पहचान:',
+    'result.confidence': 'विश्वास स्तर: {value}',
+    'result.health': 'स्वास्थ्य:',
+    'result.healthy': 'स्वस्थ',
+    'result.diseaseDetected': 'रोग मिला',
+    'result.uncertain': 'अनिश्चित - कृपया फ़ोटो दोबारा लें',
+    'result.uncertainHint': 'मॉडल इस परिणाम को लेकर आश्वस्त नहीं है। एक प्रभावित पत्ती की नज़दीक से, अच्छी रोशनी में फ़ोटो लेकर फिर से विश्लेषण करें।',
+    'result.topPredictions': 'शीर्ष अनुमान',
+    'result.readMore': 'रोग मार्गदर्शिका में {name} के बारे में और पढ़ें',
+    'result.cure': 'उपचार',
+    'result.products': 'उत्पाद',
+    'result.inMarketplace': 'बाज़ार में उपलब्ध',
+    'result.seeAll': 'दुकान में सभी देखें',
+
+    'report.title': 'एग्रोस्कैन निदान रिपोर्ट',
+    'report.download': 'रिपोर्ट डाउनलोड करें',
+    'report.print': 'प्रिंट करें / PDF के रूप में सहेजें',
+    'report.analyzedAt': 'विश्लेषण: {date}',
+    'report.generatedAt': 'रिपोर्ट बनाई गई: {date}',
+    'report.model': 'मॉडल: {model}',
+    'report.disclaimer': 'यह निदान एक फ़ोटो से स्वचालित रूप से बनाया गया है और गलत हो सकता है। कोई भी उपचार करने से पहले कृपया कृषि विस्तार अधिकारी से इसकी पुष्टि करें।',
+    'report.failed': 'रिपोर्ट नहीं बनाई जा सकी। कृपया फिर से कोशिश करें।',
+    'chat.open': 'आगे का प्रश्न पूछें',
+    'chat.title': 'इस निदान के बारे में AI से पूछें',
+    'chat.placeholder': 'अपना प्रश्न लिखें...',
+    'chat.send': 'भेजें',
+    'chat.stop': 'रोकें',
+    'chat.clear': 'बातचीत साफ़ करें',
+    'chat.thinking': 'सोच रहा है...',
+    'chat.failed': 'AI उत्तर नहीं दे सका। कृपया फिर से प्रयास करें।',
+    'chat.unavailable': 'आगे के प्रश्नों के लिए Gemini AI चाहिए। प्रश्न पूछने के लिए साइन इन करें।',
+    'chat.suggest.safeBeforeHarvest': 'क्या यह उपचार कटाई से पहले उपयोग करना सुरक्षित है?',
+    'chat.suggest.organic': 'क्या कोई जैविक विकल्प है?',
+    'chat.suggest.spread': 'क्या यह मेरे दूसरे पौधों में फैलेगा?',
+    'chat.suggest.prevent': 'अगले मौसम में इसे कैसे रोकूं?',
+    'chat.suggest.keepHealthy': 'इस पौधे को स्वस्थ कैसे रखूं?',
+    'chat.suggest.fertilizer': 'अभी कौन सा उर्वरक उपयोग करूं?',
+    'chat.suggest.watchFor': 'मुझे किन रोगों पर ध्यान देना चाहिए?',
+    'encyclopedia.title': 'रोग मार्गदर्शिका',
+    'encyclopedia.subtitle': 'हमारे क्लासिफ़ायर द्वारा पहचाने जाने वाले रोगों के लक्षण, कारण, उपचार और रोकथाम। रोग विवरण अंग्रेज़ी में हैं। ज्ञानकोष v{version}।',
+    'encyclopedia.searchPlaceholder': 'रोग, फसल या लक्षण से खोजें...',
+    'encyclopedia.allCrops': 'सभी फसलें',
+    'encyclopedia.noMatches': 'आपकी खोज से कोई रोग मेल नहीं खाता।',
+    'encyclopedia.back': '← रोग मार्गदर्शिका',
+    'encyclopedia.alsoKnownAs': 'अन्य नाम: {names}',
+    'encyclopedia.symptoms': 'लक्षण',
+    'encyclopedia.causes': 'कारण',
+    'encyclopedia.organic': 'जैविक उपचार',
+    'encyclopedia.chemical': 'रासायनिक उपचार',
+    'encyclopedia.prevention': 'रोकथाम',
+    'encyclopedia.labelWarning': 'खुराक, सुरक्षा उपकरण और कटाई से पहले की प्रतीक्षा अवधि के लिए हमेशा उत्पाद लेबल का पालन करें।',
+    'encyclopedia.pathogen.fungus': 'कवक',
+    'encyclopedia.pathogen.oomycete': 'जल फफूंद (ऊमाइसीट)',
+    'fields.title': 'मेरे खेत',
+    'fields.add': 'खेत जोड़ें',
+    'fields.save': 'बदलाव सहेजें',
+    'fields.saving': 'सहेजा जा रहा है...',
+    'fields.saveFailed': 'खेत सहेजा नहीं जा सका। कृपया फिर से प्रयास करें।',
+    'fields.name': 'खेत का नाम (जैसे उत्तरी प्लॉट)',
+    'fields.crop': 'फसल (जैसे टमाटर)',
+    'fields.area': 'क्षेत्रफल (वैकल्पिक)',
+    'fields.units.acre': 'एकड़',
+    'fields.units.hectare': 'हेक्टेयर',
+    'fields.sowingDate': 'बुवाई की तारीख (वैकल्पिक)',
+    'fields.useLocation': 'मेरा स्थान उपयोग करें',
+    'fields.locating': 'स्थान प्राप्त किया जा रहा है...',
+    'fields.locationFailed': 'आपका स्थान नहीं पढ़ा जा सका। जांचें कि स्थान की अनुमति दी गई है।',
+    'fields.clearLocation': 'स्थान हटाएं',
+    'fields.viewOnMap': 'मानचित्र पर देखें',
+    'fields.errors.name': 'खेत का नाम दर्ज करें।',
+    'fields.errors.crop': 'इस खेत में उगाई गई फसल दर्ज करें।',
+    'fields.errors.area': 'क्षेत्रफल एक धनात्मक संख्या होनी चाहिए।',
+    'fields.errors.sowingDate': 'मान्य बुवाई तारीख दर्ज करें।',
+    'fields.errors.sowingDateFuture': 'बुवाई की तारीख भविष्य में नहीं हो सकती।',
+    'fields.empty': 'आपने अभी तक कोई खेत नहीं जोड़ा है।',
+    'fields.emptyHint': 'पूरे मौसम में फसल के स्वास्थ्य पर नज़र रखने के लिए एक खेत जोड़ें।',
+    'fields.noChecks': 'अभी तक कोई पत्ती जांच नहीं।',
+    'fields.latest': 'नवीनतम: {status} ({date})',
+    'fields.daysSinceSowing': 'बुवाई के {days} दिन बाद',
+    'fields.sownOn': '{date} को बोया गया',
+    'fields.back': '← सभी खेत',
+    'fields.edit': 'संपादित करें',
+    'fields.delete': 'हटाएं',
+    'fields.confirmDelete': '"{name}" हटाएं? इसके पुराने निदान बने रहेंगे।',
+    'fields.analyzeHere': 'इस खेत की पत्ती का विश्लेषण करें',
+    'fields.season': 'मौसम समयरेखा',
+    'fields.sowing': 'बुवाई',
+    'fields.today': 'आज',
+    'fields.checks': 'पत्ती जांच ({count})',
+    'fields.day': 'दिन {day}',
+    'fields.diseaseSummary': 'पाए गए रोग',
+    'fields.healthSplit': '{healthy} स्वस्थ, {diseased} रोगग्रस्त',
+    'fields.noDiseases': 'इस खेत में अब तक कोई रोग नहीं मिला।',
+    'fields.timesSeen': '{count} बार देखा गया',
+    'fields.seenBetween': 'पहली बार {first}, आखिरी बार {last}',
+    'fields.select': 'खेत',
+    'fields.none': 'कोई खेत नहीं',
+    'fields.deleted': 'हटाया गया खेत',
+    'fields.fieldLabel': 'खेत: {name}',
+    'fields.assigned': 'खेत अपडेट किया गया।',
+    'fields.assignFailed': 'खेत बदला नहीं जा सका। कृपया फिर से प्रयास करें।',
+
+    'notFound.title': 'पेज नहीं मिला',
+    'notFound.message': 'आप जो पेज ढूँढ रहे हैं वह मौजूद नहीं है या हटा दिया गया है।',
+
+    'footer.rights': '© 2025 AgroScan. सर्वाधिकार सुरक्षित।',
+    'footer.tagline': 'स्वस्थ धरती के लिए एक आधुनिक समाधान।',
+};
+
+export default hi;
@@ -0,0 +1,473 @@
+// Telugu UI messages. Keys missing here fall back to English.
+
+const te = {
+    'common.loading': 'లోడ్ అవుతోంది...',
+    'common.retry': 'మళ్ళీ ప్రయత్నించండి',
+    'common.cancel': 'రద్దు చేయండి',
+    'common.goHome': 'హోమ్‌కి వెళ్ళండి',
+    'common.goToShop': 'దుకాణానికి వెళ్ళండి',
+    'common.goToLogin': 'లాగిన్‌కి వెళ్ళండి',
+    'common.notLoggedIn': 'మీరు లాగిన్ కాలేదు',
+    'common.errorTryAgain': 'లోపం జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+    'nav.home': 'హోమ్',
+    'nav.shop': 'దుకాణం',
+    'nav.analyzer': 'AI విశ్లేషణ',
+    'nav.encyclopedia': 'వ్యాధి మార్గదర్శి',
+    'nav.diagnoses': 'నా నిర్ధారణలు',
+    'nav.fields': 'నా పొలాలు',
+    'nav.sellerDashboard': 'విక్రేత డాష్‌బోర్డ్',
+    'nav.admin': 'అడ్మిన్',
+    'nav.cart': 'కార్ట్',
+    'nav.orders': 'ఆర్డర్లు',
+    'nav.profile': 'ప్రొఫైల్',
+    'nav.login': 'లాగిన్ / సైన్ అప్',
+    'nav.language': 'భాష',
+
+    'guard.accessDenied': 'ప్రవేశం నిరాకరించబడింది',
+    'guard.onlyFor.seller': 'ఈ పేజీ విక్రేతలకు మాత్రమే.',
+    'guard.onlyFor.admin': 'ఈ పేజీ అడ్మిన్‌లకు మాత్రమే.',
+
+    'home.titleLine1': 'తెలివైన మొక్కల సంరక్షణ,',
+    'home.titleLine2': 'ఆరోగ్యకరమైన పంట',
+    'home.tagline': 'మా AI తో మొక్కల వ్యాధులను వెంటనే గుర్తించండి. మా నమ్మకమైన మార్కెట్‌లో వ్యవసాయ ఉత్పత్తులను కొనండి, అమ్మండి. వ్యవసాయ భవిష్యత్తులో భాగం అవ్వండి.',
+    'home.analyze': 'మొక్కను పరీక్షించండి',
+    'home.imageAlt': 'ఆరోగ్యకరమైన మొక్కలు',
+
+    'shop.title': 'మార్కెట్',
+    'shop.recommendedFor': 'దీని కోసం సూచించిన ఉత్పత్తులు:',
+    'shop.showAll': 'అన్ని ఉత్పత్తులు చూపించు',
+    'shop.noProducts': 'ఉత్పత్తులు అందుబాటులో లేవు',
+    'shop.checkBackLater': 'కొత్త ఉత్పత్తుల కోసం తర్వాత చూడండి!',
+    'shop.recommendedUnavailable': 'సూచించిన ఉత్పత్తులు ఇప్పుడు జాబితాలో లేవు.',
+    'shop.searchPlaceholder': 'పేరు లేదా వర్గం ద్వారా వెతకండి',
+    'shop.search': 'వెతకండి',
+    'shop.sortLabel': 'ఉత్పత్తులను క్రమపరచండి',
+    'shop.sort.newest': 'కొత్తవి',
+    'shop.sort.price_asc': 'ధర: తక్కువ నుండి ఎక్కువ',
+    'shop.sort.price_desc': 'ధర: ఎక్కువ నుండి తక్కువ',
+    'shop.category': 'వర్గం',
+    'shop.allCategories': 'అన్ని వర్గాలు',
+    'shop.price': 'ధర',
+    'shop.min': 'కనిష్ఠ',
+    'shop.max': 'గరిష్ఠ',
+    'shop.apply': 'వర్తింపజేయి',
+    'shop.clearFilters': 'ఫిల్టర్లు తీసివేయి',
+    'shop.noMatches': 'సరిపోయే ఉత్పత్తులు లేవు',
+    'shop.noMatchesHint': 'వేరే పదంతో వెతకండి లేదా ఫిల్టర్లు తీసివేయండి.',
+    'shop.loadMore': 'మరిన్ని చూపించు',
+    'shop.loadFailed': 'ఉత్పత్తులు లోడ్ కాలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+    'shop.loadMoreFailed': 'మరిన్ని ఉత్పత్తులు లోడ్ కాలేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+    'category.Seeds': 'విత్తనాలు',
+    'category.Fertilizers': 'ఎరువులు',
+    'category.Pesticides': 'పురుగుమందులు',
+    'category.Tools': 'పనిముట్లు',
+    'category.Produce': 'పంట ఉత్పత్తులు',
+    'category.Other': 'ఇతరాలు',
+
+    'product.view': 'చూడండి',
+    'product.cropHealth': 'పంట ఆరోగ్యం: {prediction}',
+    'product.noDisease': 'వ్యాధి కనబడలేదు',
+    'product.notFound': 'ఉత్పత్తి కనబడలేదు',
+    'product.notFoundHint': 'ఈ ఉత్పత్తి తీసివేయబడి ఉండవచ్చు లేదా ఆమోదం కోసం వేచి ఉంది.',
+    'product.backToShop': 'దుకాణానికి తిరిగి వెళ్ళండి',
+    'product.inStock': '{count} స్టాక్‌లో ఉన్నాయి',
+    'product.outOfStock': 'స్టాక్ లేదు',
+    'product.quantity': 'పరిమాణం',
+    'product.addToCart': 'కార్ట్‌లో వేయండి',
+    'product.viewCart': 'కార్ట్ చూడండి',
+    'product.added': '{quantity} మీ కార్ట్‌లో చేర్చబడింది.',
+    'product.addFailed': 'కార్ట్‌లో చేర్చలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+    'product.noDescription': 'వివరణ ఇవ్వలేదు.',
+    'product.seller': 'విక్రేత',
+    'product.verifiedSeller': 'ధృవీకరించిన AgroScan విక్రేత',
+    'product.share': 'షేర్ చేయండి',
+    'product.linkCopied': 'లింక్ కాపీ అయింది!',
+    'product.related': 'సంబంధిత ఉత్పత్తులు',
+
+    'cart.empty': 'మీ కార్ట్ ఖాళీగా ఉంది',
+    'cart.emptyHint': 'మీ పంటలకు కావలసిన ఉత్పత్తుల కోసం మార్కెట్ చూడండి.',
+    'cart.title': 'షాపింగ్ కార్ట్',
+    'cart.each': 'ఒక్కొక్కటి {price}',
+    'cart.quantityOf': '{name} పరిమాణం',
+    'cart.remove': 'తీసివేయి',
+    'cart.summary': 'సారాంశం',
+    'cart.subtotal': 'ఉప మొత్తం',
+    'cart.confirmedAtCheckout': 'చివరి ధరలు, స్టాక్ చెక్అవుట్ సమయంలో నిర్ధారించబడతాయి.',
+    'cart.checkout': 'చెక్అవుట్‌కి వెళ్ళండి',
+
+    'checkout.address': 'డెలివరీ చిరునామా',
+    'checkout.fullName': 'పూర్తి పేరు',
+    'checkout.phone': 'ఫోన్ నంబర్',
+    'checkout.line1': 'చిరునామా పంక్తి 1',
+    'checkout.line2': 'చిరునామా పంక్తి 2 (ఐచ్ఛికం)',
+    'checkout.city': 'నగరం / గ్రామం',
+    'checkout.state': 'రాష్ట్రం',
+    'checkout.postalCode': 'పిన్ కోడ్',
+    'checkout.payment': 'చెల్లింపు',
+    'checkout.summary': 'ఆర్డర్ సారాంశం',
+    'checkout.delivery': 'డెలివరీ',
+    'checkout.free': 'ఉచితం',
+    'checkout.total': 'మొత్తం',
+    'checkout.placing': 'ఆర్డర్ చేస్తున్నాం...',
+    'checkout.place': 'ఆర్డర్ చేయండి',
+    'checkout.failed': 'మీ ఆర్డర్ చేయలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+    'payment.cod.label': 'క్యాష్ ఆన్ డెలివరీ',
+    'payment.cod.description': 'ఆర్డర్ వచ్చినప్పుడు డెలివరీ ఏజెంట్‌కు చెల్లించండి.',
+    'payment.mock.label': 'టెస్ట్ చెల్లింపు (నకిలీ)',
+    'payment.mock.description': 'తక్షణ ఆన్‌లైన్ చెల్లింపు అనుకరణ. డబ్బు తీసుకోబడదు.',
+
+    'order.status.new': 'కొత్తది',
+    'order.status.accepted': 'అంగీకరించబడింది',
+    'order.status.shipped': 'పంపబడింది',
+    'order.status.delivered': 'అందజేయబడింది',
+    'order.status.cancelled': 'రద్దు చేయబడింది',
+
+    'orders.title': 'నా ఆర్డర్లు',
+    'orders.placed': 'ధన్యవాదాలు! మీ ఆర్డర్ నమోదైంది.',
+    'orders.none': 'మీరు ఇంకా ఏ ఆర్డర్ చేయలేదు',
+    'orders.number': 'ఆర్డర్ #{number}',
+    'orders.deliverTo': '{name}, {city} కి డెలివరీ',
+    'orders.payment': 'చెల్లింపు: {provider} ({status})',
+    'orders.errors.emptyCart': 'మీ కార్ట్ ఖాళీగా ఉంది.',
+    'orders.errors.unavailable': '"{name}" ఇప్పుడు అందుబాటులో లేదు.',
+    'orders.errors.lowStock': '"{name}" స్టాక్‌లో {stock} మాత్రమే మిగిలి ఉన్నాయి.',
+    'orders.errors.outOfStock': '"{name}" స్టాక్‌లో లేదు.',
+    'orders.errors.mixedCurrencies': 'వేర్వేరు కరెన్సీలలో ధర ఉన్న ఉత్పత్తులను విడిగా ఆర్డర్ చేయాలి.',
+    'orders.errors.paymentFailed': 'చెల్లింపు జరగలేదు. మీ ఆర్డర్ రద్దు చేయబడింది; దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'orders.errors.notFound': 'ఈ ఆర్డర్ ఇప్పుడు లేదు.',
+    'orders.errors.notSeller': 'ఈ ఆర్డర్‌లో ఉత్పత్తులు ఉన్న విక్రేతలు మాత్రమే దీన్ని మార్చగలరు.',
+    'orders.errors.statusChanged': 'ఈ ఆర్డర్ స్థితి మారింది. దయచేసి చూసి మళ్లీ ప్రయత్నించండి.',
+
+    'login.createAccount': 'ఖాతా సృష్టించండి',
+    'login.welcomeBack': 'మళ్ళీ స్వాగతం!',
+    'login.email': 'ఇమెయిల్',
+    'login.password': 'పాస్‌వర్డ్',
+    'login.signUp': 'సైన్ అప్',
+    'login.login': 'లాగిన్',
+    'login.haveAccount': 'ఇప్పటికే ఖాతా ఉందా?',
+    'login.noAccount': 'ఖాతా లేదా?',
+    'login.notReady': 'లాగిన్ సేవ సిద్ధంగా లేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+    'login.failed': 'లాగిన్ సమయంలో లోపం జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+    'profile.title': 'నా ప్రొఫైల్',
+    'profile.loginToView': 'మీ ప్రొఫైల్ చూడటానికి లాగిన్ అవ్వండి.',
+    'profile.email': 'ఇమెయిల్:',
+    'profile.role': 'వినియోగదారు పాత్ర:',
+    'profile.becomeSeller': 'విక్రేతగా మారండి',
+    'profile.logout': 'లాగౌట్',
+
+    'role.buyer': 'కొనుగోలుదారు',
+    'role.seller': 'విక్రేత',
+    'role.admin': 'అడ్మిన్',
+
+    'becomeSeller.title': 'విక్రేతగా మారండి',
+    'becomeSeller.intro': 'మా మార్కెట్‌లో చేరి మీ ఉత్పత్తులను ఎక్కువ మందికి అమ్మండి. అభ్యర్థన పంపండి, మా అడ్మిన్ బృందం ధృవీకరణ కోసం మీ ప్రొఫైల్‌ను పరిశీలిస్తుంది.',
+    'becomeSeller.submit': 'విక్రేత అభ్యర్థన పంపండి',
+    'becomeSeller.mustLogIn': 'అభ్యర్థన పంపడానికి లాగిన్ అవ్వాలి.',
+    'becomeSeller.alreadyRequested': 'మీరు ఇప్పటికే విక్రేత అభ్యర్థన పంపారు.',
+    'becomeSeller.submitted': 'విక్రేతగా మారాలనే మీ అభ్యర్థన పంపబడింది! అడ్మిన్ త్వరలో పరిశీలిస్తారు.',
+    'becomeSeller.authRequired': 'లాగిన్ అవసరం',
+    'becomeSeller.loginToApply': 'విక్రేతగా దరఖాస్తు చేయడానికి దయచేసి లాగిన్ అవ్వండి.',
+    'becomeSeller.alreadySeller': 'మీరు ఇప్పటికే విక్రేత!',
+    'becomeSeller.startListing': 'మీ విక్రేత డాష్‌బోర్డ్ నుండి ఉత్పత్తులను జాబితా చేయవచ్చు.',
+    'becomeSeller.goToDashboard': 'డాష్‌బోర్డ్‌కి వెళ్ళండి',
+
+    'price.errors.invalid': 'ధర ధనాత్మక సంఖ్య అయి ఉండాలి.',
+    'price.errors.decimals': 'ధరలో గరిష్టంగా {digits} దశాంశ స్థానాలు ఉండవచ్చు.',
+    'price.errors.zero': 'ధర సున్నా కంటే ఎక్కువగా ఉండాలి.',
+
+    'admin.title': 'అడ్మిన్ కన్సోల్',
+    'admin.onlyAdmins': 'విక్రేత అభ్యర్థనలు మరియు ఉత్పత్తులను అడ్మిన్‌లు మాత్రమే సమీక్షించగలరు.',
+    'admin.sellerRequests': 'పెండింగ్ విక్రేత అభ్యర్థనలు',
+    'admin.noSellerRequests': 'పెండింగ్ విక్రేత అభ్యర్థనలు లేవు.',
+    'admin.requestedAt': '{date} న అభ్యర్థించారు',
+    'admin.approve': 'ఆమోదించండి',
+    'admin.reject': 'తిరస్కరించండి',
+    'admin.sellerApproved': '{email} నుండి వచ్చిన విక్రేత అభ్యర్థన ఆమోదించబడింది.',
+    'admin.sellerRejected': '{email} నుండి వచ్చిన విక్రేత అభ్యర్థన తిరస్కరించబడింది.',
+    'admin.sellerFailed': 'విక్రేత అభ్యర్థనను నవీకరించడం విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'admin.pendingProducts': 'ఆమోదం కోసం వేచి ఉన్న ఉత్పత్తులు',
+    'admin.noPendingProducts': 'ఆమోదం కోసం వేచి ఉన్న ఉత్పత్తులు లేవు.',
+    'admin.productApproved': 'ఉత్పత్తి "{name}" ఆమోదించబడింది.',
+    'admin.productRejected': 'ఉత్పత్తి "{name}" తిరస్కరించబడింది.',
+    'admin.productFailed': 'ఉత్పత్తిని నవీకరించడం విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'admin.backfillTitle': 'పాత లిస్టింగ్‌లు',
+    'admin.backfillHint': 'షాప్ శోధన మరియు ఖచ్చితమైన ధరలకు ముందు సృష్టించిన లిస్టింగ్‌లు శోధన ఫలితాల్లో మరియు ధర క్రమంలోని పేజీల్లో కనిపించవు. లేని ఫీల్డ్‌లను జోడించడానికి దీన్ని ఒకసారి అమలు చేయండి; మళ్లీ అమలు చేయడం సురక్షితం.',
+    'admin.backfillRun': 'పాత లిస్టింగ్‌లను నవీకరించండి',
+    'admin.backfillRunning': 'లిస్టింగ్‌లు నవీకరించబడుతున్నాయి...',
+    'admin.backfillDone': '{count} లిస్టింగ్(లు) నవీకరించబడ్డాయి.',
+    'admin.backfillFailed': 'పాత లిస్టింగ్‌లను నవీకరించడం విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+
+    'seller.tab.products': 'ఉత్పత్తులు',
+    'seller.tab.orders': 'ఆర్డర్‌లు',
+    'seller.mustLogIn': 'మీ డాష్‌బోర్డ్ చూడటానికి దయచేసి లాగిన్ అవ్వండి.',
+    'seller.addProduct': 'కొత్త ఉత్పత్తిని జోడించండి',
+    'seller.productName': 'ఉత్పత్తి పేరు',
+    'seller.price': 'ధర (₹)',
+    'seller.selectCategory': 'వర్గాన్ని ఎంచుకోండి',
+    'seller.stock': 'స్టాక్ పరిమాణం',
+    'seller.description': 'వివరణ',
+    'seller.productImage': 'ఉత్పత్తి చిత్రం',
+    'seller.preview': 'ప్రివ్యూ',
+    'seller.analyzing': 'విశ్లేషిస్తోంది...',
+    'seller.analyzeDiseases': 'వ్యాధుల కోసం విశ్లేషించండి',
+    'seller.analyzingImage': 'చిత్రాన్ని విశ్లేషిస్తోంది...',
+    'seller.analysisComplete': 'విశ్లేషణ పూర్తయింది!',
+    'seller.analysisFailed': 'చిత్రాన్ని విశ్లేషించడం విఫలమైంది: {message}',
+    'seller.additionalImages': 'అదనపు చిత్రాలు (ఐచ్ఛికం)',
+    'seller.uploading': 'అప్‌లోడ్ అవుతోంది... {progress}%',
+    'seller.submitProduct': 'ఉత్పత్తిని జోడించండి',
+    'seller.fillRequired': 'దయచేసి అవసరమైన అన్ని ఫీల్డ్‌లను నింపి ఒక చిత్రాన్ని ఎంచుకోండి.',
+    'seller.invalidStock': 'స్టాక్ పరిమాణం 0 లేదా అంతకంటే ఎక్కువ ఉండాలి.',
+    'seller.productAdded': 'ఉత్పత్తి జోడించబడింది! అడ్మిన్ ఆమోదం తర్వాత ఇది షాప్‌లో కనిపిస్తుంది.',
+    'seller.addFailed': 'ఉత్పత్తిని జోడించడం విఫలమైంది.',
+    'seller.yourProducts': 'మీ ఉత్పత్తులు',
+    'seller.lowStockWarning': '{count} ఉత్పత్తి(లు) స్టాక్ తక్కువగా ఉంది లేదా అమ్ముడైపోయింది. స్టాక్‌లో లేని ఉత్పత్తులు షాప్‌లో కనిపించవు.',
+    'seller.loadingProducts': 'ఉత్పత్తులు లోడ్ అవుతున్నాయి...',
+    'seller.noProducts': 'మీరు ఇంకా ఏ ఉత్పత్తినీ జోడించలేదు.',
+    'seller.status.archived': 'ఆర్కైవ్ చేయబడింది',
+    'seller.status.approved': 'ఆమోదించబడింది',
+    'seller.status.rejected': 'తిరస్కరించబడింది',
+    'seller.status.pending': 'పెండింగ్',
+    'seller.lowStock': 'తక్కువ స్టాక్: {count}',
+    'seller.fillEdit': 'దయచేసి పేరు, ధర, వర్గం మరియు 0 లేదా అంతకంటే ఎక్కువ స్టాక్ పరిమాణాన్ని నింపండి.',
+    'seller.replaceImages': 'చిత్రాలను మార్చండి (ఐచ్ఛికం)',
+    'seller.reapprovalHint': 'పేరు, వర్గం లేదా చిత్రాలను మార్చితే ఈ లిస్టింగ్ మళ్లీ అడ్మిన్ ఆమోదానికి వెళ్తుంది.',
+    'seller.save': 'సేవ్ చేయండి',
+    'seller.saving': 'సేవ్ చేస్తోంది...',
+    'seller.saved': 'సేవ్ చేయబడింది.',
+    'seller.savedPendingReview': 'సేవ్ చేయబడింది. అడ్మిన్ మార్పులను ఆమోదించే వరకు ఈ లిస్టింగ్ షాప్‌లో కనిపించదు.',
+    'seller.saveFailed': 'మార్పులను సేవ్ చేయడం విఫలమైంది.',
+    'seller.edit': 'మార్చండి',
+    'seller.archive': 'ఆర్కైవ్ చేయండి',
+    'seller.restore': 'పునరుద్ధరించండి',
+    'seller.delete': 'తొలగించండి',
+    'seller.archiveFailed': 'ఉత్పత్తిని ఆర్కైవ్ చేయడం విఫలమైంది.',
+    'seller.restoreFailed': 'ఉత్పత్తిని పునరుద్ధరించడం విఫలమైంది.',
+    'seller.confirmDelete': '"{name}" ను శాశ్వతంగా తొలగించాలా? దీన్ని రద్దు చేయలేరు.',
+    'seller.deleteFailed': 'ఉత్పత్తిని తొలగించడం విఫలమైంది.',
+
+    'sellerOrders.period.today': 'ఈరోజు',
+    'sellerOrders.period.last7Days': 'గత 7 రోజులు',
+    'sellerOrders.period.last30Days': 'గత 30 రోజులు',
+    'sellerOrders.period.allTime': 'ఇప్పటివరకు',
+    'sellerOrders.periodTotals': '{orders} ఆర్డర్‌లు · {units} యూనిట్లు',
+    'sellerOrders.title': 'వచ్చిన ఆర్డర్‌లు',
+    'sellerOrders.allStatuses': 'అన్ని స్థితులు',
+    'sellerOrders.none': 'ఇంకా ఆర్డర్‌లు లేవు.',
+    'sellerOrders.deliverTo': '{name}, {address} కి డెలివరీ · {phone}',
+    'sellerOrders.mark': '{status}గా గుర్తించండి',
+    'sellerOrders.cancel': 'రద్దు చేయండి',
+    'sellerOrders.confirmCancel': 'ఈ ఆర్డర్‌లో మీ వస్తువులను రద్దు చేయాలా? అవి మళ్లీ స్టాక్‌లో చేర్చబడతాయి.',
+    'sellerOrders.updateFailed': 'ఆర్డర్‌ను నవీకరించడం విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+
+    'diagnoses.title': 'నా నిర్ధారణలు',
+    'diagnoses.loginToView': 'మీ సేవ్ చేసిన నిర్ధారణలు చూడటానికి లాగిన్ అవ్వండి.',
+    'diagnoses.searchPlaceholder': 'మొక్కలు లేదా వ్యాధులు వెతకండి',
+    'diagnoses.allPlants': 'అన్ని మొక్కలు',
+    'diagnoses.allDiseases': 'అన్ని వ్యాధులు',
+    'diagnoses.allFields': 'అన్ని పొలాలు',
+    'diagnoses.none': 'ఇంకా నిర్ధారణలు లేవు',
+    'diagnoses.noMatches': 'మీ ఫిల్టర్లకు సరిపోయే నిర్ధారణలు లేవు',
+
+    'analyzer.upload': 'మొక్క ఫోటో అప్‌లోడ్ చేయండి',
+    'analyzer.clickToUpload': 'అప్‌లోడ్ చేయడానికి క్లిక్ చేయండి',
+    'analyzer.previewAlt': 'మొక్క ప్రివ్యూ',
+    'analyzer.model': 'విశ్లేషణ మోడల్',
+    'analyzer.compare': 'Gemini మరియు ViT ను పక్కపక్కన పోల్చండి',
+    'analyzer.analyzing': 'విశ్లేషిస్తోంది...',
+    'analyzer.analyze': 'విశ్లేషించండి',
+    'analyzer.results': 'విశ్లేషణ ఫలితాలు',
+    'analyzer.savedFrom': '{date} నాటి సేవ్ చేసిన నిర్ధారణ. మళ్ళీ విశ్లేషించడానికి కొత్త ఫోటో అప్‌లోడ్ చేయండి.',
+    'analyzer.saving': 'నా నిర్ధారణలలో సేవ్ చేస్తోంది...',
+    'analyzer.saved': 'నా నిర్ధారణలలో సేవ్ అయింది.',
+    'analyzer.saveFailed': 'ఈ ఫలితాన్ని నా నిర్ధారణలలో సేవ్ చేయలేకపోయాం.',
+    'analyzer.empty': 'ఫోటో అప్‌లోడ్ చేసి, ఫలితాల కోసం విశ్లేషించండి నొక్కండి.',
+    'analyzer.uploadFirst': 'దయచేసి ముందుగా ఒక ఫోటో అప్‌లోడ్ చేయండి.',
+    'analyzer.failed': 'విశ్లేషణ విఫలమైంది: {message}',
+    'analyzer.analyzeLater': 'సేవ్ చేసి ఆన్‌లైన్‌లో ఉన్నప్పుడు విశ్లేషించండి',
+    'analyzer.chooseAnother': 'వేరే ఫోటో ఎంచుకోండి',
+    'analyzer.resetCrop': 'క్రాప్ తొలగించండి',
+    'analyzer.cropHint': 'బాక్స్‌ను ప్రభావిత ఆకుపైకి లాగండి; పరిమాణం మార్చడానికి దాని మూలను లాగండి.',
+    'analyzer.unsupportedFormat': 'ఈ ఫైల్ రకం ఈ బ్రౌజర్‌లో తెరవబడదు. దయచేసి JPEG లేదా PNG ఫోటోను ఎంచుకోండి, లేదా కెమెరాతో ఫోటో తీయండి.',
+    'analyzer.unreadable': 'ఎంచుకున్న ఫైల్‌ను చిత్రంగా చదవడం సాధ్యం కాలేదు.',
+    'analyzer.analyzeAnyway': 'అయినా విశ్లేషించండి',
+    'analyzer.batchLink': 'చాలా ఫోటోలను విశ్లేషించండి',
+    'analyzer.quality.dark': 'ఈ ఫోటో చాలా చీకటిగా ఉంది.',
+    'analyzer.quality.blurry': 'ఈ ఫోటో అస్పష్టంగా ఉంది.',
+    'analyzer.quality.hint': 'స్పష్టమైన, మంచి వెలుతురు ఉన్న ఫోటోతో ఫలితాలు మరింత నమ్మదగినవి. పగటి వెలుతురులో కెమెరాను స్థిరంగా పట్టుకుని మళ్లీ తీయండి, లేదా అయినా విశ్లేషించండి.',
+    'cache.reused': 'ఇదే ఫోటోను {date} న విశ్లేషించినప్పటి ఫలితం చూపబడుతోంది.',
+    'cache.reanalyze': 'మళ్ళీ విశ్లేషించండి',
+    'cache.similar': 'ఇది మీరు {date} న స్కాన్ చేసిన ఆకులా కనిపిస్తోంది.',
+    'cache.viewSimilar': 'ఆ స్కాన్ చూడండి',
+
+    'camera.open': 'కెమెరా ఉపయోగించండి',
+    'camera.capture': 'ఫోటో తీయండి',
+    'camera.denied': 'కెమెరా అనుమతి నిరాకరించబడింది. బ్రౌజర్ సెట్టింగ్‌లలో అనుమతించండి లేదా ఫోటోను అప్‌లోడ్ చేయండి.',
+    'camera.unavailable': 'కెమెరాను ప్రారంభించడం సాధ్యం కాలేదు. దయచేసి ఫోటోను అప్‌లోడ్ చేయండి.',
+
+    'batch.title': 'బ్యాచ్ విశ్లేషణ',
+    'batch.singleLink': 'ఒక ఫోటోను విశ్లేషించండి',
+    'batch.dropzone': 'ఆకుల ఫోటోలను ఇక్కడ వదలండి లేదా చాలా ఫోటోలను ఎంచుకోవడానికి క్లిక్ చేయండి',
+    'batch.dropzoneHint': 'ఒక బ్యాచ్‌కు గరిష్టంగా {max} చిత్రాలు',
+    'batch.skippedNonImages': '{count} ఫైల్(లు) చిత్రాలు కానందున వదిలివేయబడ్డాయి.',
+    'batch.limitReached': 'మొదటి {max} చిత్రాలు మాత్రమే జోడించబడ్డాయి.',
+    'batch.dailyQuotaReached': 'మీ రోజువారీ Gemini పరిమితి పూర్తయింది, కాబట్టి బ్యాచ్ ఆపివేయబడింది. మిగిలిన ఫోటోలు క్యూలోనే ఉంటాయి; అర్ధరాత్రి UTCకి పరిమితి రీసెట్ అయిన తర్వాత బ్యాచ్‌ను మళ్లీ ప్రారంభించండి.',
+    'batch.saveToHistory': 'ఫలితాలను నా నిర్ధారణలలో సేవ్ చేయండి',
+    'batch.start': '{count} చిత్రం(లు) విశ్లేషించండి',
+    'batch.stop': 'ఆపండి',
+    'batch.retryFailed': 'విఫలమైన {count} మళ్లీ ప్రయత్నించండి',
+    'batch.clear': 'అన్నీ తొలగించండి',
+    'batch.progress': '{total}లో {done} పూర్తయ్యాయి',
+    'batch.failedCount': '{count} విఫలమయ్యాయి',
+    'batch.summary': 'సారాంశం',
+    'batch.exportCsv': 'CSV ఎగుమతి',
+    'batch.exportJson': 'JSON ఎగుమతి',
+    'batch.analyzed': 'విశ్లేషించినవి',
+    'batch.diseaseBreakdown': 'కనుగొన్న వ్యాధులు',
+    'batch.images': 'చిత్రాలు ({count})',
+    'batch.reused': 'ఇదే ఫోటోను {date} న విశ్లేషించినప్పటి ఫలితం',
+    'batch.stage.preparing': 'సిద్ధం చేస్తోంది',
+    'batch.stage.analyzing': 'విశ్లేషిస్తోంది',
+    'batch.stage.saving': 'సేవ్ చేస్తోంది',
+    'batch.stage.waitingToRetry': 'మళ్లీ ప్రయత్నించడానికి వేచి ఉంది',
+    'batch.stage.waitingForQuota': 'Gemini రేట్ పరిమితి కోసం వేచి ఉంది',
+    'batch.status.queued': 'క్యూలో ఉంది',
+    'batch.status.running': 'నడుస్తోంది',
+    'batch.status.done': 'పూర్తయింది',
+    'batch.status.failed': 'విఫలమైంది',
+
+    'offline.banner': 'మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. దుకాణంలో మీరు ఇటీవల చూసిన ఉత్పత్తులు కనిపిస్తాయి, మీరు విశ్లేషించే ఫోటోలు మళ్లీ కనెక్ట్ అయ్యే వరకు క్యూలో ఉంటాయి.',
+
+    'queue.title': 'క్యూలో ఉన్న విశ్లేషణలు',
+    'queue.offlineHint': 'మీరు మళ్లీ ఆన్‌లైన్‌కి వచ్చినప్పుడు ఈ ఫోటోలు ఆటోమేటిక్‌గా విశ్లేషించబడతాయి.',
+    'queue.onlineHint': 'మీరు ఆన్‌లైన్‌లో ఉన్నప్పుడు క్యూలోని ఫోటోలు ఒక్కొక్కటిగా విశ్లేషించబడతాయి.',
+    'queue.added': 'మీరు ఆఫ్‌లైన్‌లో ఉన్నందున ఈ ఫోటో క్యూలో చేర్చబడింది. మళ్లీ కనెక్ట్ అయినప్పుడు ఇది ఆటోమేటిక్‌గా విశ్లేషించబడుతుంది.',
+    'queue.addFailed': 'ఈ ఫోటోను ఆఫ్‌లైన్ క్యూలో సేవ్ చేయడం సాధ్యం కాలేదు.',
+    'queue.noProvider': 'ఎంచుకున్న విశ్లేషణ మోడల్ ఇప్పుడు అందుబాటులో లేదు.',
+    'queue.pendingCount': '{count} ఫోటో(లు) విశ్లేషణ కోసం వేచి ఉన్నాయి',
+    'queue.clearCompleted': 'పూర్తయినవి తొలగించండి',
+    'queue.view': 'చూడండి',
+    'queue.remove': 'తొలగించండి',
+    'queue.notifyDone': 'మొక్క విశ్లేషణ పూర్తయింది',
+    'queue.notifyFailed': 'మొక్క విశ్లేషణ విఫలమైంది',
+    'queue.status.pending': 'వేచి ఉంది',
+    'queue.status.running': 'విశ్లేషిస్తోంది',
+    'queue.status.done': 'పూర్తయింది',
+    'queue.status.failed': 'విఫలమైంది',
+
+    'backend.unreachable': '{url} లోని విశ్లేషణ సర్వర్ అందుబాటులో లేదు. ViT క్లాసిఫైయర్ వ్యాధి అంచనాలు ప్రస్తుతం అందుబాటులో లేవు.',
+
+    'result.plantId': 'మొక్క గుర్తింపు:',
+    'result.confidence': 'నమ్మకం: {value}',
+    'result.health': 'ఆరోగ్యం:',
+    'result.healthy': 'ఆరోగ్యంగా ఉంది',
+    'result.diseaseDetected': 'వ్యాధి కనబడింది',
+    'result.uncertain': 'అనిశ్చితం - దయచేసి ఫోటో మళ్లీ తీయండి',
+    'result.uncertainHint': 'ఈ ఫలితంపై మోడల్‌కు నమ్మకం లేదు. ప్రభావితమైన ఒకే ఆకును దగ్గరగా, మంచి వెలుతురులో ఫోటో తీసి మళ్లీ విశ్లేషించండి.',
+    'result.topPredictions': 'అగ్ర అంచనాలు',
+    'result.readMore': 'వ్యాధి మార్గదర్శిలో {name} గురించి మరింత చదవండి',
+    'result.cure': 'చికిత్స',
+    'result.products': 'ఉత్పత్తులు',
+    'result.inMarketplace': 'మార్కెట్‌లో అందుబాటులో ఉన్నవి',
+    'result.seeAll': 'దుకాణంలో అన్నీ చూడండి',
+
+    'report.title': 'అగ్రోస్కాన్ నిర్ధారణ నివేదిక',
+    'report.download': 'నివేదికను డౌన్‌లోడ్ చేయండి',
+    'report.print': 'ప్రింట్ / PDFగా సేవ్ చేయండి',
+    'report.analyzedAt': 'విశ్లేషించిన సమయం: {date}',
+    'report.generatedAt': 'నివేదిక రూపొందించిన సమయం: {date}',
+    'report.model': 'మోడల్: {model}',
+    'report.disclaimer': 'ఈ నిర్ధారణ ఫోటో నుండి ఆటోమేటిక్‌గా రూపొందించబడింది మరియు తప్పు కావచ్చు. ఏదైనా చికిత్స చేసే ముందు దయచేసి వ్యవసాయ విస్తరణ అధికారితో నిర్ధారించుకోండి.',
+    'report.failed': 'నివేదికను రూపొందించడం సాధ్యం కాలేదు. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'chat.open': 'మరో ప్రశ్న అడగండి',
+    'chat.title': 'ఈ నిర్ధారణ గురించి AIని అడగండి',
+    'chat.placeholder': 'మీ ప్రశ్నను టైప్ చేయండి...',
+    'chat.send': 'పంపండి',
+    'chat.stop': 'ఆపండి',
+    'chat.clear': 'సంభాషణను తుడిచివేయండి',
+    'chat.thinking': 'ఆలోచిస్తోంది...',
+    'chat.failed': 'AI సమాధానం ఇవ్వలేకపోయింది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'chat.unavailable': 'తదుపరి ప్రశ్నలకు Gemini AI అవసరం. అడగడానికి సైన్ ఇన్ చేయండి.',
+    'chat.suggest.safeBeforeHarvest': 'ఈ చికిత్స కోతకు ముందు వాడటం సురక్షితమేనా?',
+    'chat.suggest.organic': 'సేంద్రీయ ప్రత్యామ్నాయం ఉందా?',
+    'chat.suggest.spread': 'ఇది నా ఇతర మొక్కలకు వ్యాపిస్తుందా?',
+    'chat.suggest.prevent': 'వచ్చే సీజన్‌లో దీన్ని ఎలా నివారించాలి?',
+    'chat.suggest.keepHealthy': 'ఈ మొక్కను ఆరోగ్యంగా ఎలా ఉంచాలి?',
+    'chat.suggest.fertilizer': 'ఇప్పుడు ఏ ఎరువు వాడాలి?',
+    'chat.suggest.watchFor': 'ఏ వ్యాధుల కోసం గమనించాలి?',
+    'encyclopedia.title': 'వ్యాధి మార్గదర్శి',
+    'encyclopedia.subtitle': 'మా క్లాసిఫైయర్ గుర్తించే వ్యాధుల లక్షణాలు, కారణాలు, చికిత్సలు మరియు నివారణ. వ్యాధి వివరాలు ఆంగ్లంలో ఉన్నాయి. జ్ఞానకోశం v{version}.',
+    'encyclopedia.searchPlaceholder': 'వ్యాధి, పంట లేదా లక్షణంతో వెతకండి...',
+    'encyclopedia.allCrops': 'అన్ని పంటలు',
+    'encyclopedia.noMatches': 'మీ శోధనకు సరిపోయే వ్యాధులు లేవు.',
+    'encyclopedia.back': '← వ్యాధి మార్గదర్శి',
+    'encyclopedia.alsoKnownAs': 'ఇతర పేర్లు: {names}',
+    'encyclopedia.symptoms': 'లక్షణాలు',
+    'encyclopedia.causes': 'కారణాలు',
+    'encyclopedia.organic': 'సేంద్రీయ చికిత్సలు',
+    'encyclopedia.chemical': 'రసాయన చికిత్సలు',
+    'encyclopedia.prevention': 'నివారణ',
+    'encyclopedia.labelWarning': 'మోతాదు, రక్షణ పరికరాలు మరియు కోతకు ముందు వేచి ఉండే సమయం కోసం ఎల్లప్పుడూ ఉత్పత్తి లేబుల్‌ను పాటించండి.',
+    'encyclopedia.pathogen.fungus': 'శిలీంధ్రం',
+    'encyclopedia.pathogen.oomycete': 'నీటి బూజు (ఊమైసీట్)',
+    'fields.title': 'నా పొలాలు',
+    'fields.add': 'పొలం జోడించండి',
+    'fields.save': 'మార్పులు సేవ్ చేయండి',
+    'fields.saving': 'సేవ్ చేస్తోంది...',
+    'fields.saveFailed': 'పొలం సేవ్ కాలేదు. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    'fields.name': 'పొలం పేరు (ఉదా. ఉత్తర ప్లాట్)',
+    'fields.crop': 'పంట (ఉదా. టమాటా)',
+    'fields.area': 'విస్తీర్ణం (ఐచ్ఛికం)',
+    'fields.units.acre': 'ఎకరాలు',
+    'fields.units.hectare': 'హెక్టార్లు',
+    'fields.sowingDate': 'విత్తిన తేదీ (ఐచ్ఛికం)',
+    'fields.useLocation': 'నా స్థానాన్ని ఉపయోగించండి',
+    'fields.locating': 'స్థానం పొందుతోంది...',
+    'fields.locationFailed': 'మీ స్థానం చదవలేకపోయాము. స్థాన అనుమతి ఇచ్చారో లేదో చూడండి.',
+    'fields.clearLocation': 'స్థానం తొలగించండి',
+    'fields.viewOnMap': 'మ్యాప్‌లో చూడండి',
+    'fields.errors.name': 'పొలానికి పేరు నమోదు చేయండి.',
+    'fields.errors.crop': 'ఈ పొలంలో పండించే పంటను నమోదు చేయండి.',
+    'fields.errors.area': 'విస్తీర్ణం ధన సంఖ్య అయి ఉండాలి.',
+    'fields.errors.sowingDate': 'సరైన విత్తిన తేదీని నమోదు చేయండి.',
+    'fields.errors.sowingDateFuture': 'విత్తిన తేదీ భవిష్యత్తులో ఉండకూడదు.',
+    'fields.empty': 'మీరు ఇంకా ఏ పొలాన్నీ జోడించలేదు.',
+    'fields.emptyHint': 'సీజన్ అంతా పంట ఆరోగ్యాన్ని గమనించడానికి ఒక పొలాన్ని జోడించండి.',
+    'fields.noChecks': 'ఇంకా ఆకు పరీక్షలు లేవు.',
+    'fields.latest': 'తాజా: {status} ({date})',
+    'fields.daysSinceSowing': 'విత్తి {days} రోజులు',
+    'fields.sownOn': '{date}న విత్తారు',
+    'fields.back': '← అన్ని పొలాలు',
+    'fields.edit': 'సవరించండి',
+    'fields.delete': 'తొలగించండి',
+    'fields.confirmDelete': '"{name}" తొలగించాలా? దాని పాత నిర్ధారణలు అలాగే ఉంటాయి.',
+    'fields.analyzeHere': 'ఈ పొలంలోని ఆకును విశ్లేషించండి',
+    'fields.season': 'సీజన్ కాలక్రమం',
+    'fields.sowing': 'విత్తడం',
+    'fields.today': 'ఈరోజు',
+    'fields.checks': 'ఆకు పరీక్షలు ({count})',
+    'fields.day': 'రోజు {day}',
+    'fields.diseaseSummary': 'కనుగొన్న వ్యాధులు',
+    'fields.healthSplit': '{healthy} ఆరోగ్యకరం, {diseased} వ్యాధితో',
+    'fields.noDiseases': 'ఈ పొలంలో ఇప్పటివరకు వ్యాధులు కనబడలేదు.',
+    'fields.timesSeen': '{count} సార్లు కనిపించింది',
+    'fields.seenBetween': 'మొదట {first}, చివరగా {last}',
+    'fields.select': 'పొలం',
+    'fields.none': 'పొలం లేదు',
+    'fields.deleted': 'తొలగించిన పొలం',
+    'fields.fieldLabel': 'పొలం: {name}',
+    'fields.assigned': 'పొలం నవీకరించబడింది.',
+    'fields.assignFailed': 'పొలం మార్చలేకపోయాము. దయచేసి మళ్లీ ప్రయత్నించండి.',
+
+    'notFound.title': 'పేజీ కనబడలేదు',
+    'notFound.message': 'మీరు వెతుకుతున్న పేజీ లేదు లేదా తరలించబడింది.',
+
+    'footer.rights': '© 2025 AgroScan. సర్వహక్కులు కలవు.',
+    'footer.tagline': 'ఆరోగ్యకరమైన భూమి కోసం ఆధునిక పరిష్కారం.',
+};
+
+export default te;
@@ -0,0 +1,75 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (workbox InjectManifest) when this file
+// exists. It precaches the app shell so AgroScan opens without a connection and
+// caches product and diagnosis images for browsing the shop offline. Shop data
+// itself comes from Firestore's IndexedDB cache (see enableMultiTabIndexedDbPersistence
+// in App.js); queued analyses live in IndexedDB too (see services/analysisQueue).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for client-side routes such as /shop/<id>, but not for
+// files (anything with an extension) or the backend proxy under /api
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) =>
+        request.mode === 'navigate' &&
+        !url.pathname.startsWith('/api/') &&
+        !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Product photos, thumbnails and saved diagnosis images from Firebase Storage
+registerRoute(
+    ({ url }) => url.hostname === 'firebasestorage.googleapis.com',
+    new CacheFirst({
+        cacheName: 'storage-images',
+        plugins: [
+            // Opaque responses (status 0) come from <img> requests without CORS
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+        ],
+    })
+);
+
+// Placeholder and home page images
+registerRoute(
+    ({ url }) => ['placehold.co', 'images.unsplash.com'].includes(url.hostname),
+    new StaleWhileRevalidate({
+        cacheName: 'external-images',
+        plugins: [
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 50, purgeOnQuotaError: true }),
+        ],
+    })
+);
+
+// Lets the page activate an updated worker straight away
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Notifications for completed queued analyses open (or focus) the analyzer
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = new URL(event.notification.data?.url || '/analyze', self.location.origin).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const existing = windows.find(client => client.url.startsWith(self.location.origin));
+            if (existing) {
+                existing.focus();
+                return existing.navigate(target);
+            }
+            return self.clients.openWindow(target);
+        })
+    );
+});
@@ -0,0 +1,35 @@
+// Registers the service worker built from src/service-worker.js.
+//
+// Only production builds register it, because the development server doesn't
+// emit one. A new worker installed while the app is open is activated on the
+// next navigation via `SKIP_WAITING`, which keeps cached assets consistent.
+
+export function register() {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    // The worker can only control pages on its own origin
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                installing?.addEventListener('statechange', () => {
+                    if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                        installing.postMessage({ type: 'SKIP_WAITING' });
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+        }
+    });
+}
+
+export async function unregister() {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+}
@@ -0,0 +1,83 @@
+// Reuse of earlier analyses for identical and similar photos.
+//
+// Finished analyses are kept on the device in IndexedDB (the `analysisCache`
+// store in localDatabase.js), keyed by the image's content hash, provider and
+// answer language. Signed-in users also find them in their Firestore history,
+// where saveDiagnosis stores the same hashes, so a photo analyzed on another
+// device is reused too. Entries look like:
+//   { key, contentHash, perceptualHash, providerId, language, userId, result,
+//     diagnosisId, createdAt }
+
+import { STORES, isLocalDatabaseSupported, withStore } from './localDatabase';
+import { diagnosisToResult, findDiagnosesByContentHash } from './diagnosisHistory';
+import { isSimilarHash } from './imageHashing';
+
+// Oldest entries are dropped past this
+const MAX_CACHE_ENTRIES = 200;
+
+const cacheKey = (contentHash, providerId, language) => `${contentHash}:${providerId}:${language}`;
+
+const listCacheEntries = async () => (await withStore(STORES.ANALYSIS_CACHE, 'readonly', store => store.getAll())) || [];
+
+// Resolves with { result, diagnosisId, analyzedAt } of an earlier analysis of the
+// identical image by the same provider and in the same language, or null
+export async function getCachedAnalysis({ contentHash, providerId, language, db = null, userId = null }) {
+    if (!contentHash) return null;
+
+    if (isLocalDatabaseSupported()) {
+        const entry = await withStore(STORES.ANALYSIS_CACHE, 'readonly', store => store.get(cacheKey(contentHash, providerId, language)));
+        // Diagnosis ids belong to whoever was signed in, so entries aren't shared between accounts
+        if (entry && entry.userId === userId) {
+            return { result: entry.result, diagnosisId: entry.diagnosisId, analyzedAt: new Date(entry.createdAt) };
+        }
+    }
+
+    if (db && userId) {
+        const diagnosis = (await findDiagnosesByContentHash(db, userId, contentHash))
+            .find(d => d.provider === providerId && (d.language || null) === language);
+        if (diagnosis) {
+            const cached = {
+                result: diagnosisToResult(diagnosis),
+                diagnosisId: diagnosis.id,
+                analyzedAt: diagnosis.createdAt?.toDate ? diagnosis.createdAt.toDate() : new Date(),
+            };
+            await cacheAnalysis({ contentHash, perceptualHash: diagnosis.perceptualHash, providerId, language, userId, ...cached })
+                .catch(error => console.warn('Could not cache analysis from history:', error));
+            return cached;
+        }
+    }
+    return null;
+}
+
+export async function cacheAnalysis({ contentHash, perceptualHash = null, providerId, language, userId = null, result, diagnosisId = null, analyzedAt = new Date() }) {
+    if (!contentHash || !isLocalDatabaseSupported()) return;
+    await withStore(STORES.ANALYSIS_CACHE, 'readwrite', store => store.put({
+        key: cacheKey(contentHash, providerId, language),
+        contentHash,
+        perceptualHash,
+        providerId,
+        language,
+        userId,
+        result,
+        diagnosisId,
+        createdAt: analyzedAt.getTime(),
+    }));
+
+    const entries = await listCacheEntries();
+    if (entries.length > MAX_CACHE_ENTRIES) {
+        const oldest = entries.sort((a, b) => a.createdAt - b.createdAt).slice(0, entries.length - MAX_CACHE_ENTRIES);
+        await withStore(STORES.ANALYSIS_CACHE, 'readwrite', (store) => {
+            oldest.forEach(entry => store.delete(entry.key));
+        });
+    }
+}
+
+// The most recent earlier scan by the same user that looks like the same leaf
+// but isn't the identical image; resolves with { diagnosisId, analyzedAt } or null
+export async function findSimilarScan({ contentHash, perceptualHash, userId = null }) {
+    if (!perceptualHash || !isLocalDatabaseSupported()) return null;
+    const match = (await listCacheEntries())
+        .filter(entry => entry.userId === userId && entry.contentHash !== contentHash && isSimilarHash(entry.perceptualHash, perceptualHash))
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return match ? { diagnosisId: match.diagnosisId, analyzedAt: new Date(match.createdAt) } : null;
+}
@@ -0,0 +1,114 @@
+import { cacheAnalysis, findSimilarScan, getCachedAnalysis } from './analysisCache';
+import { findDiagnosesByContentHash } from './diagnosisHistory';
+
+// jsdom has no IndexedDB, so the cache store is a Map keyed like the real one
+const mockEntries = new Map();
+
+jest.mock('./localDatabase', () => ({
+    STORES: { ANALYSIS_CACHE: 'analysisCache' },
+    isLocalDatabaseSupported: () => true,
+    withStore: async (storeName, mode, operation) => operation({
+        get: key => ({ result: mockEntries.get(key) }),
+        getAll: () => ({ result: [...mockEntries.values()] }),
+        put: (entry) => {
+            mockEntries.set(entry.key, entry);
+            return { result: entry.key };
+        },
+        delete: (key) => {
+            mockEntries.delete(key);
+            return { result: undefined };
+        },
+    })?.result,
+}));
+
+jest.mock('./diagnosisHistory', () => ({
+    findDiagnosesByContentHash: jest.fn(),
+    diagnosisToResult: diagnosis => ({ provider: diagnosis.provider, fromHistory: true }),
+}));
+
+const analysis = (overrides = {}) => ({
+    contentHash: 'abc',
+    perceptualHash: '0000000000000000',
+    providerId: 'gemini',
+    language: 'en',
+    userId: 'user-1',
+    result: { provider: 'gemini' },
+    diagnosisId: 'diagnosis-1',
+    analyzedAt: new Date(2025, 5, 1),
+    ...overrides,
+});
+
+beforeEach(() => {
+    mockEntries.clear();
+    findDiagnosesByContentHash.mockReset().mockResolvedValue([]);
+});
+
+describe('getCachedAnalysis', () => {
+    it('returns an earlier analysis of the identical image', async () => {
+        await cacheAnalysis(analysis());
+        await expect(getCachedAnalysis({ contentHash: 'abc', providerId: 'gemini', language: 'en', userId: 'user-1' })).resolves.toEqual({
+            result: { provider: 'gemini' },
+            diagnosisId: 'diagnosis-1',
+            analyzedAt: new Date(2025, 5, 1),
+        });
+    });
+
+    it('keeps providers, languages and accounts apart', async () => {
+        await cacheAnalysis(analysis());
+        await expect(getCachedAnalysis({ contentHash: 'abc', providerId: 'vit', language: 'en', userId: 'user-1' })).resolves.toBeNull();
+        await expect(getCachedAnalysis({ contentHash: 'abc', providerId: 'gemini', language: 'hi', userId: 'user-1' })).resolves.toBeNull();
+        await expect(getCachedAnalysis({ contentHash: 'abc', providerId: 'gemini', language: 'en', userId: null })).resolves.toBeNull();
+    });
+
+    it('ignores images without a content hash', async () => {
+        await cacheAnalysis(analysis({ contentHash: null }));
+        expect(mockEntries.size).toBe(0);
+        await expect(getCachedAnalysis({ contentHash: null, providerId: 'gemini', language: 'en' })).resolves.toBeNull();
+    });
+
+    it("falls back to the user's history and caches what it finds", async () => {
+        const createdAt = new Date(2025, 4, 1);
+        findDiagnosesByContentHash.mockResolvedValue([
+            { id: 'other-provider', provider: 'vit', language: 'en', createdAt: { toDate: () => createdAt } },
+            { id: 'history-1', provider: 'gemini', language: 'en', perceptualHash: 'ff00000000000000', createdAt: { toDate: () => createdAt } },
+        ]);
+        const lookup = { contentHash: 'abc', providerId: 'gemini', language: 'en', db: {}, userId: 'user-1' };
+
+        await expect(getCachedAnalysis(lookup)).resolves.toEqual({
+            result: { provider: 'gemini', fromHistory: true },
+            diagnosisId: 'history-1',
+            analyzedAt: createdAt,
+        });
+        expect(findDiagnosesByContentHash).toHaveBeenCalledWith({}, 'user-1', 'abc');
+        expect(mockEntries.get('abc:gemini:en')).toMatchObject({ perceptualHash: 'ff00000000000000', diagnosisId: 'history-1' });
+
+        await getCachedAnalysis(lookup);
+        expect(findDiagnosesByContentHash).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('cacheAnalysis', () => {
+    it('drops the oldest entries past 200', async () => {
+        for (let i = 0; i < 201; i++) {
+            await cacheAnalysis(analysis({ contentHash: `hash-${i}`, analyzedAt: new Date(2025, 0, 1, 0, i) }));
+        }
+        expect(mockEntries.size).toBe(200);
+        expect(mockEntries.has('hash-0:gemini:en')).toBe(false);
+        expect(mockEntries.has('hash-200:gemini:en')).toBe(true);
+    });
+});
+
+describe('findSimilarScan', () => {
+    it("finds the user's most recent scan of a similar but not identical image", async () => {
+        await cacheAnalysis(analysis({ contentHash: 'older', diagnosisId: 'older', analyzedAt: new Date(2025, 0, 1) }));
+        await cacheAnalysis(analysis({ contentHash: 'newer', perceptualHash: '0000000000000003', diagnosisId: 'newer', analyzedAt: new Date(2025, 0, 2) }));
+        await cacheAnalysis(analysis({ contentHash: 'different', perceptualHash: 'ffffffffffffffff', diagnosisId: 'different', analyzedAt: new Date(2025, 0, 3) }));
+        await cacheAnalysis(analysis({ contentHash: 'someone-else', userId: 'user-2', diagnosisId: 'someone-else', analyzedAt: new Date(2025, 0, 4) }));
+
+        await expect(findSimilarScan({ contentHash: 'new-photo', perceptualHash: '0000000000000001', userId: 'user-1' }))
+            .resolves.toEqual({ diagnosisId: 'newer', analyzedAt: new Date(2025, 0, 2) });
+        // The identical image is getCachedAnalysis's job
+        await expect(findSimilarScan({ contentHash: 'someone-else', perceptualHash: '0000000000000000', userId: 'user-2' })).resolves.toBeNull();
+        await expect(findSimilarScan({ contentHash: 'new-photo', perceptualHash: null, userId: 'user-1' })).resolves.toBeNull();
+    });
+});
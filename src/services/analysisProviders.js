@@ -0,0 +1,202 @@
+// Pluggable plant analysis providers.
+//
+// Every provider exposes the same interface:
+//   { id, label, isAvailable(), unavailableReason(), analyze(input) }
+// where `input` is { file, base64Data, mimeType, language, signal } and `analyze`
+// resolves to the normalized result shape rendered by PlantAnalyzerPage (see
+// normalizeResult). `language` is a UI language code such as 'hi'; providers that
+// generate free text answer in it.
+
+import { backendClient } from './backendClient';
+import { validateAnalysisResult } from './analysisSchema';
+import { detectMimeTypeFromBase64 } from './imagePreprocessing';
+import { getDiseaseByLabel, knowledgeToResultFields } from './diseaseKnowledge';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+export const PROVIDER_IDS = {
+    GEMINI: 'gemini',
+    VIT: 'vit',
+    MOCK: 'mock',
+};
+
+// How many ranked labels the ViT classifier is asked for
+const VIT_TOP_K = 5;
+
+const parseThreshold = (value, fallback) => {
+    const number = Number.parseFloat(value);
+    return Number.isFinite(number) && number > 0 && number < 1 ? number : fallback;
+};
+
+// Results whose health confidence is below this are shown as uncertain, asking
+// for a better photo. Set REACT_APP_UNCERTAINTY_THRESHOLD (0-1) to change it.
+export const UNCERTAINTY_THRESHOLD = parseThreshold(process.env.REACT_APP_UNCERTAINTY_THRESHOLD, 0.6);
+
+// --- Result normalization ---
+
+// Fills defaults and coerces types so the results panel never sees missing fields.
+// `predictions` is the classifier's ranked labels, empty for other providers.
+export function normalizeResult(raw, provider) {
+    return {
+        provider,
+        raw_label: raw?.raw_label || null,
+        predictions: Array.isArray(raw?.predictions) ? raw.predictions : [],
+        ...validateAnalysisResult(raw).value,
+    };
+}
+
+// True when the provider reported a health confidence below the threshold
+export const isUncertain = (result, threshold = UNCERTAINTY_THRESHOLD) =>
+    typeof result.health_status.confidence === 'number' && result.health_status.confidence < threshold;
+
+// One-line summary of a normalized result, e.g. "Corn - Common Rust"
+export function summarizeResult(result) {
+    const plantName = result.plant_identification.plant_name;
+    const health = result.health_status.is_healthy ? 'Healthy' : result.health_status.disease_detected;
+    return `${plantName} - ${health}${isUncertain(result) ? ' (uncertain)' : ''}`;
+}
+
+// Ranked { label, crop, disease, isHealthy, probability } entries from /predict;
+// falls back to the single top label (without a probability) on older backends
+export function rankClassifierPredictions({ prediction, confidence, predictions }) {
+    const ranked = Array.isArray(predictions) && predictions.length > 0
+        ? predictions
+        : [{ label: prediction, probability: typeof confidence === 'number' ? confidence : null }];
+    return ranked
+        .filter(p => p?.label)
+        .map(p => ({
+            label: p.label,
+            ...parseClassifierLabel(p.label),
+            probability: typeof p.probability === 'number' ? p.probability : null,
+        }))
+        .sort((a, b) => (b.probability ?? 0) - (a.probability ?? 0));
+}
+
+// Classifier labels look like "Corn___Common_Rust" or "Potato___Healthy"
+export function parseClassifierLabel(label) {
+    const humanize = (part) => part.replace(/_+/g, ' ').trim();
+    const [cropPart, ...diseaseParts] = String(label).split(/_{2,}/);
+    const crop = humanize(cropPart);
+    const disease = humanize(diseaseParts.join(' '));
+
+    if (!disease) {
+        // Labels without a crop prefix (e.g. "Invalid") are not leaf predictions
+        return { crop: null, disease: crop, isHealthy: false };
+    }
+    return { crop, disease, isHealthy: /healthy/i.test(disease) };
+}
+
+// --- Providers ---
+
+// Gemini is only reached through the backend (backend/gemini_proxy.py), which
+// holds the API key, builds the prompt and enforces per-user quotas.
+// `getIdToken` resolves with the signed-in user's Firebase ID token, or null.
+export function createGeminiProvider({ client = backendClient, getIdToken, isInitialized, error }) {
+    return {
+        id: PROVIDER_IDS.GEMINI,
+        label: 'Gemini AI',
+        isAvailable: () => Boolean(isInitialized && client.baseUrl),
+        unavailableReason: () => error || 'Gemini AI is still initializing. Please try again in a moment.',
+        analyze: async ({ base64Data, mimeType, language, signal }) => {
+            if (!base64Data) throw new Error('Please upload an image first.');
+
+            // Clean the base64 data if it has a data URL prefix
+            const imageData = base64Data.includes('base64,')
+                ? base64Data.split(',')[1]
+                : base64Data;
+
+            const idToken = await getIdToken();
+            if (!idToken) throw new Error('Please sign in to analyze with Gemini AI.');
+
+            const response = await client.analyzeWithGemini({
+                image: imageData,
+                mimeType: mimeType || detectMimeTypeFromBase64(imageData) || 'image/jpeg',
+                language,
+            }, { signal, idToken });
+            return normalizeResult(response, PROVIDER_IDS.GEMINI);
+        },
+    };
+}
+
+export function createBackendProvider({ client = backendClient } = {}) {
+    return {
+        id: PROVIDER_IDS.VIT,
+        label: 'AgroScan ViT Classifier',
+        isAvailable: () => Boolean(client.baseUrl),
+        unavailableReason: () => 'Backend URL is not configured. Please set REACT_APP_BACKEND_URL in your .env file',
+        analyze: async ({ file, language = DEFAULT_LANGUAGE, signal }) => {
+            if (!file) throw new Error('Please upload an image first.');
+
+            const response = await client.predict(file, { signal, topK: VIT_TOP_K });
+            const predictions = rankClassifierPredictions(response);
+            if (predictions.length === 0) throw new Error('The classifier returned no prediction.');
+            const [{ label, crop, disease, isHealthy, probability }] = predictions;
+            // Readable names and advice from the local knowledge base, when it knows the label
+            const knowledge = getDiseaseByLabel(label);
+            const advice = knowledge ? knowledgeToResultFields(knowledge, (key) => translate(language, key)) : null;
+            // The crop is at least as likely as its top label: add up every ranked label for it
+            const cropProbability = probability === null ? null : predictions
+                .filter(p => p.crop === crop)
+                .reduce((sum, p) => sum + (p.probability ?? 0), 0);
+            return normalizeResult({
+                raw_label: label,
+                predictions: predictions.map(p => ({ label: p.label, probability: p.probability })),
+                plant_identification: { plant_name: knowledge?.crop || crop || 'Unknown plant', confidence: crop && cropProbability !== null ? Math.min(1, cropProbability) : null },
+                health_status: {
+                    is_healthy: isHealthy,
+                    disease_detected: isHealthy ? 'None' : knowledge?.name || disease,
+                    disease_description: advice?.disease_description || (crop
+                        ? `Predicted by the ViT crop leaf disease classifier (label: ${label}).`
+                        : 'The classifier could not recognise a supported crop leaf in this image.'),
+                    confidence: probability,
+                },
+                care_recommendations: advice ? {
+                    suggested_cure: advice.suggested_cure,
+                    recommended_products: advice.recommended_products,
+                } : undefined,
+            }, PROVIDER_IDS.VIT);
+        },
+    };
+}
+
+// Deterministic provider for tests and offline development
+export function createMockProvider({ delayMs = 300, result } = {}) {
+    return {
+        id: PROVIDER_IDS.MOCK,
+        label: 'Mock (offline)',
+        isAvailable: () => true,
+        unavailableReason: () => '',
+        analyze: async () => {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            return normalizeResult(result || {
+                plant_identification: { plant_name: 'Tomato', confidence: 0.9 },
+                health_status: {
+                    is_healthy: false,
+                    disease_detected: 'Early Blight',
+                    disease_description: 'Mock result: concentric brown lesions on older leaves.',
+                    confidence: 0.8,
+                },
+                care_recommendations: {
+                    suggested_cure: 'Mock result: remove affected leaves and apply a copper-based fungicide.',
+                    recommended_products: [{ product_name: 'Copper Fungicide', product_type: 'Fungicide' }],
+                },
+            }, PROVIDER_IDS.MOCK);
+        },
+    };
+}
+
+export function createAnalysisProviders({ gemini, client, includeMock = process.env.NODE_ENV !== 'production' }) {
+    const providers = [
+        createGeminiProvider({ client, ...gemini }),
+        createBackendProvider({ client }),
+    ];
+    if (includeMock) providers.push(createMockProvider());
+    return providers;
+}
+
+// Runs an analysis against a provider, converting unavailability into an error
+export async function runAnalysis(provider, input) {
+    if (!provider.isAvailable()) {
+        throw new Error(provider.unavailableReason());
+    }
+    return provider.analyze(input);
+}
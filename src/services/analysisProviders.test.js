@@ -0,0 +1,46 @@
+import { parseClassifierLabel, rankClassifierPredictions } from './analysisProviders';
+
+describe('rankClassifierPredictions', () => {
+    it('sorts the ranked labels by probability and parses each one', () => {
+        const ranked = rankClassifierPredictions({
+            prediction: 'Corn___Common_Rust',
+            confidence: 0.7,
+            predictions: [
+                { label: 'Corn___Northern_Leaf_Blight', probability: 0.2 },
+                { label: 'Corn___Common_Rust', probability: 0.7 },
+                { label: 'Corn___Healthy', probability: 0.1 },
+            ],
+        });
+        expect(ranked).toEqual([
+            { label: 'Corn___Common_Rust', crop: 'Corn', disease: 'Common Rust', isHealthy: false, probability: 0.7 },
+            { label: 'Corn___Northern_Leaf_Blight', crop: 'Corn', disease: 'Northern Leaf Blight', isHealthy: false, probability: 0.2 },
+            { label: 'Corn___Healthy', crop: 'Corn', disease: 'Healthy', isHealthy: true, probability: 0.1 },
+        ]);
+    });
+
+    it('falls back to the single prediction from older backends', () => {
+        expect(rankClassifierPredictions({ prediction: 'Potato___Early_Blight', confidence: 0.93 })).toEqual([
+            { label: 'Potato___Early_Blight', crop: 'Potato', disease: 'Early Blight', isHealthy: false, probability: 0.93 },
+        ]);
+        expect(rankClassifierPredictions({ prediction: 'Potato___Healthy', predictions: [] })[0].probability).toBeNull();
+    });
+
+    it('drops entries without a label and sorts missing probabilities last', () => {
+        const ranked = rankClassifierPredictions({
+            predictions: [{ label: 'Rice___Leaf_Blast' }, null, { probability: 0.5 }, { label: 'Rice___Brown_Spot', probability: 0.4 }],
+        });
+        expect(ranked.map(p => [p.label, p.probability])).toEqual([['Rice___Brown_Spot', 0.4], ['Rice___Leaf_Blast', null]]);
+        expect(rankClassifierPredictions({})).toEqual([]);
+    });
+});
+
+describe('parseClassifierLabel', () => {
+    it('splits the crop from the disease', () => {
+        expect(parseClassifierLabel('Tomato___Tomato_Yellow_Leaf_Curl_Virus')).toEqual({ crop: 'Tomato', disease: 'Tomato Yellow Leaf Curl Virus', isHealthy: false });
+        expect(parseClassifierLabel('Wheat___healthy')).toEqual({ crop: 'Wheat', disease: 'healthy', isHealthy: true });
+    });
+
+    it('treats labels without a crop as non-leaf predictions', () => {
+        expect(parseClassifierLabel('Invalid')).toEqual({ crop: null, disease: 'Invalid', isHealthy: false });
+    });
+});
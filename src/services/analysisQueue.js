@@ -0,0 +1,84 @@
+// Analyses captured while offline.
+//
+// Photos taken without a connection are stored with the chosen providers in the
+// browser's IndexedDB (the `analysisQueue` store in localDatabase.js) so they
+// survive reloads, and are analyzed by AnalysisQueueProvider once the device is
+// back online. Entries look like:
+//   { id, createdAt, userId, field, file, hashes, providerIds, language, status,
+//     attempts, outcomes: [{ providerId, result, error }], diagnosisIds, error }
+// where `field` is the { id, name } the results are attached to, or null, and
+// `hashes` the photo's { contentHash, perceptualHash } (null for entries queued
+// before they were recorded).
+
+import { BackendNetworkError, BackendTimeoutError } from './backendClient';
+import { STORES, isLocalDatabaseSupported, withStore as withLocalStore } from './localDatabase';
+
+export const QUEUE_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+export const isQueueSupported = isLocalDatabaseSupported;
+
+const withStore = (mode, operation) => withLocalStore(STORES.ANALYSIS_QUEUE, mode, operation);
+
+const newEntryId = () =>
+    window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Oldest first, which is also the order they are processed in
+export async function listQueuedAnalyses() {
+    const entries = await withStore('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function enqueueAnalysis({ file, hashes = null, providerIds, language, userId = null, field = null }) {
+    const entry = {
+        id: newEntryId(),
+        createdAt: Date.now(),
+        userId,
+        field: field ? { id: field.id, name: field.name } : null,
+        file,
+        hashes,
+        providerIds,
+        language,
+        status: QUEUE_STATUS.PENDING,
+        attempts: 0,
+        outcomes: [],
+        diagnosisIds: [],
+        error: '',
+    };
+    await withStore('readwrite', store => store.put(entry));
+    return entry;
+}
+
+export async function updateQueuedAnalysis(id, changes) {
+    return withStore('readwrite', (store) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, ...changes });
+        };
+        return request;
+    });
+}
+
+export async function removeQueuedAnalysis(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+export async function clearCompletedAnalyses() {
+    const entries = await listQueuedAnalyses();
+    const completed = entries.filter(entry => entry.status === QUEUE_STATUS.DONE);
+    await withStore('readwrite', (store) => {
+        completed.forEach(entry => store.delete(entry.id));
+    });
+}
+
+// True when an analysis failed because the device (or the backend) can't be
+// reached, as opposed to the provider rejecting the image
+export const isConnectivityError = (error) =>
+    !navigator.onLine ||
+    error instanceof BackendNetworkError ||
+    error instanceof BackendTimeoutError ||
+    /failed to fetch|network ?error|load failed/i.test(error?.message || '');
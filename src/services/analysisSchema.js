@@ -0,0 +1,99 @@
+// Schema for the plant analysis result, shared by every provider.
+//
+// validateAnalysisResult() checks a raw (model-produced) object against it,
+// fills in optional fields and coerces loosely typed values, e.g. confidences
+// such as "85%" or 85 become 0.85. The backend asks Gemini for the same shape
+// (ANALYSIS_RESPONSE_SCHEMA in backend/gemini_proxy.py).
+
+// --- Coercion helpers ---
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toText = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'string' ? value.trim() : String(value);
+};
+
+// Accepts 0.85, 85, "85%", "0.85" or "85"; anything else (e.g. "high") becomes null
+export function coerceConfidence(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number'
+        ? value
+        : Number.parseFloat(String(value).replace('%', '').trim());
+    if (!Number.isFinite(number) || number < 0) return null;
+    const fraction = number > 1 || String(value).includes('%') ? number / 100 : number;
+    return fraction > 1 ? null : fraction;
+}
+
+const coerceBoolean = (value) => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && /^(true|yes)$/i.test(value.trim())) return true;
+    if (typeof value === 'string' && /^(false|no)$/i.test(value.trim())) return false;
+    return null;
+};
+
+const coerceProducts = (value) => {
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(item => typeof item === 'string' ? { product_name: item } : item)
+        .filter(item => isObject(item) && toText(item.product_name))
+        .map(item => ({
+            product_name: toText(item.product_name),
+            product_type: toText(item.product_type),
+        }));
+};
+
+// --- Validation ---
+
+// Returns { valid, errors, value }: `value` is always a complete, defaulted
+// result; `errors` lists what was missing or unusable in the raw object.
+export function validateAnalysisResult(raw) {
+    const errors = [];
+    if (!isObject(raw)) {
+        errors.push('response is not a JSON object');
+    }
+    const plant = isObject(raw?.plant_identification) ? raw.plant_identification : {};
+    const health = isObject(raw?.health_status) ? raw.health_status : {};
+    const care = isObject(raw?.care_recommendations) ? raw.care_recommendations : {};
+
+    if (isObject(raw) && !isObject(raw.plant_identification)) errors.push('plant_identification is missing');
+    if (isObject(raw) && !isObject(raw.health_status)) errors.push('health_status is missing');
+
+    const plantName = toText(plant.plant_name);
+    if (!plantName) errors.push('plant_identification.plant_name is missing');
+
+    const isHealthy = coerceBoolean(health.is_healthy);
+    if (isHealthy === null) errors.push('health_status.is_healthy must be true or false');
+
+    const diseaseDetected = toText(health.disease_detected);
+    if (isHealthy === false && !diseaseDetected) errors.push('health_status.disease_detected is missing for an unhealthy plant');
+
+    if (care.recommended_products !== undefined && !Array.isArray(care.recommended_products)) {
+        errors.push('care_recommendations.recommended_products must be an array');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        value: {
+            plant_identification: {
+                plant_name: plantName || 'Unknown plant',
+                confidence: coerceConfidence(plant.confidence),
+            },
+            health_status: {
+                is_healthy: Boolean(isHealthy),
+                disease_detected: diseaseDetected || (isHealthy ? 'None' : 'Unknown'),
+                disease_description: toText(health.disease_description),
+                confidence: coerceConfidence(health.confidence),
+            },
+            care_recommendations: {
+                suggested_cure: toText(care.suggested_cure),
+                recommended_products: coerceProducts(care.recommended_products),
+            },
+        },
+    };
+}
+
+// Formats a 0-1 confidence for display, e.g. 0.853 -> "85%"
+export const formatConfidence = (confidence) =>
+    typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '';
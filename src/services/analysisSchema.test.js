@@ -0,0 +1,76 @@
+import { coerceConfidence, formatConfidence, validateAnalysisResult } from './analysisSchema';
+
+const raw = (overrides = {}) => ({
+    plant_identification: { plant_name: 'Tomato', confidence: 0.9 },
+    health_status: { is_healthy: false, disease_detected: 'Early Blight', disease_description: 'Brown rings', confidence: '80%' },
+    care_recommendations: { suggested_cure: 'Remove leaves', recommended_products: [{ product_name: 'Copper Fungicide', product_type: 'Fungicide' }] },
+    ...overrides,
+});
+
+describe('coerceConfidence', () => {
+    it('reads fractions, percentages and numeric strings', () => {
+        expect(coerceConfidence(0.85)).toBe(0.85);
+        expect(coerceConfidence(85)).toBe(0.85);
+        expect(coerceConfidence('85%')).toBe(0.85);
+        expect(coerceConfidence(' 0.85 ')).toBe(0.85);
+        expect(coerceConfidence('85')).toBe(0.85);
+    });
+
+    it('treats a percent sign as a percentage even below 1', () => {
+        expect(coerceConfidence('0.5%')).toBe(0.005);
+        expect(coerceConfidence(1)).toBe(1);
+    });
+
+    it('returns null for values that are not a confidence', () => {
+        [null, undefined, '', 'high', -0.2, 150, '250%', NaN].forEach((value) => {
+            expect(coerceConfidence(value)).toBeNull();
+        });
+    });
+});
+
+describe('validateAnalysisResult', () => {
+    it('accepts a complete result and coerces its values', () => {
+        const { valid, errors, value } = validateAnalysisResult(raw());
+        expect(valid).toBe(true);
+        expect(errors).toEqual([]);
+        expect(value.health_status.confidence).toBe(0.8);
+        expect(value.care_recommendations.recommended_products).toEqual([{ product_name: 'Copper Fungicide', product_type: 'Fungicide' }]);
+    });
+
+    it('reads yes/no strings and plain product names', () => {
+        const { valid, value } = validateAnalysisResult(raw({
+            health_status: { is_healthy: 'Yes' },
+            care_recommendations: { recommended_products: ['Neem Oil', '', { product_type: 'Fertilizer' }] },
+        }));
+        expect(valid).toBe(true);
+        expect(value.health_status).toEqual({ is_healthy: true, disease_detected: 'None', disease_description: '', confidence: null });
+        expect(value.care_recommendations).toEqual({ suggested_cure: '', recommended_products: [{ product_name: 'Neem Oil', product_type: '' }] });
+    });
+
+    it('lists what is missing and still returns a defaulted result', () => {
+        const { valid, errors, value } = validateAnalysisResult({ health_status: { is_healthy: false } });
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            'plant_identification is missing',
+            'plant_identification.plant_name is missing',
+            'health_status.disease_detected is missing for an unhealthy plant',
+        ]);
+        expect(value.plant_identification).toEqual({ plant_name: 'Unknown plant', confidence: null });
+        expect(value.health_status.disease_detected).toBe('Unknown');
+    });
+
+    it('rejects values that are not an object or have the wrong types', () => {
+        expect(validateAnalysisResult('not json').errors).toContain('response is not a JSON object');
+        expect(validateAnalysisResult(raw({ health_status: { is_healthy: 'maybe' } })).errors)
+            .toContain('health_status.is_healthy must be true or false');
+        expect(validateAnalysisResult(raw({ care_recommendations: { recommended_products: 'Neem Oil' } })).errors)
+            .toContain('care_recommendations.recommended_products must be an array');
+    });
+});
+
+describe('formatConfidence', () => {
+    it('rounds to a whole percentage and leaves missing values blank', () => {
+        expect(formatConfidence(0.853)).toBe('85%');
+        expect(formatConfidence(null)).toBe('');
+    });
+});
@@ -0,0 +1,240 @@
+// Single client for every call to the FastAPI backend (backend/main.py).
+//
+// Handles the base URL, per-request timeouts, retries with exponential backoff
+// for network failures and 5xx responses, caller-driven aborts (e.g. on unmount)
+// and converts FastAPI's `{ "detail": ... }` error bodies into typed errors.
+// Gemini goes through the backend too (backend/gemini_proxy.py), authenticated
+// with the signed-in user's Firebase ID token.
+
+export const DEFAULT_BACKEND_URL = 'http://localhost:8000';
+
+// --- Error types ---
+
+export class BackendError extends Error {
+    constructor(message, { status = null, detail = null } = {}) {
+        super(message);
+        this.name = 'BackendError';
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+// 4xx responses, e.g. "File provided is not an image"
+export class BackendRequestError extends BackendError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'BackendRequestError';
+    }
+}
+
+// 5xx responses, e.g. a model failure inside /predict
+export class BackendServerError extends BackendError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'BackendServerError';
+    }
+}
+
+// The backend could not be reached at all
+export class BackendNetworkError extends BackendError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'BackendNetworkError';
+    }
+}
+
+export class BackendTimeoutError extends BackendError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'BackendTimeoutError';
+    }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// FastAPI returns { detail: "message" } or, for validation errors, { detail: [{ msg, loc }] };
+// the Gemini proxy's 429s send { detail: { message, quota, retryAfter } }
+const formatDetail = (detail) => {
+    if (Array.isArray(detail)) return detail.map(d => d.msg || JSON.stringify(d)).join('; ');
+    if (typeof detail === 'string') return detail;
+    if (typeof detail?.message === 'string') return detail.message;
+    return detail ? JSON.stringify(detail) : '';
+};
+
+// For a Gemini proxy 429, which quota ran out ('minute' or 'daily') and how long
+// until it resets; null for any other error. 429s without a structured detail
+// (older backends) are treated as the daily quota.
+export const quotaExceeded = (error) => {
+    if (!(error instanceof BackendRequestError) || error.status !== 429) return null;
+    const { quota = 'daily', retryAfter = null } = (error.detail && typeof error.detail === 'object') ? error.detail : {};
+    return { quota, retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null };
+};
+
+const toResponseError = async (response) => {
+    let detail = null;
+    try {
+        detail = (await response.json()).detail ?? null;
+    } catch (e) {
+        // Non-JSON error body (e.g. from a proxy); fall back to the status text
+    }
+    const message = formatDetail(detail) || response.statusText || `Request failed with status ${response.status}`;
+    const ErrorType = response.status >= 500 ? BackendServerError : BackendRequestError;
+    return new ErrorType(message, { status: response.status, detail });
+};
+
+const isRetryable = (error) =>
+    error instanceof BackendNetworkError ||
+    error instanceof BackendTimeoutError ||
+    error instanceof BackendServerError;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+});
+
+// --- Client factory ---
+
+export function createBackendClient({
+    baseUrl = process.env.REACT_APP_BACKEND_URL || DEFAULT_BACKEND_URL,
+    timeoutMs = 30000,
+    retries = 2,
+    backoffMs = 500,
+} = {}) {
+    const normalizedBaseUrl = baseUrl.replace(/\/+$/, '');
+
+    const attempt = async (path, { method, body, headers, signal, timeoutMs: attemptTimeout }) => {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, attemptTimeout);
+        const abortFromCaller = () => controller.abort();
+        signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+        try {
+            const response = await fetch(`${normalizedBaseUrl}${path}`, {
+                method,
+                body,
+                headers,
+                signal: controller.signal,
+            });
+            if (!response.ok) throw await toResponseError(response);
+            return await response.json();
+        } catch (error) {
+            if (error instanceof BackendError) throw error;
+            if (isAbortError(error) && timedOut) {
+                throw new BackendTimeoutError(`The backend did not respond within ${attemptTimeout / 1000}s`);
+            }
+            if (isAbortError(error)) throw error;
+            throw new BackendNetworkError(`Could not reach the backend at ${normalizedBaseUrl}`, { detail: error.message });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abortFromCaller);
+        }
+    };
+
+    // Resolves with the parsed JSON body; rejects with a BackendError subclass or an AbortError
+    const request = async (path, options = {}) => {
+        const {
+            method = 'GET',
+            body,
+            headers,
+            signal,
+            timeoutMs: requestTimeout = timeoutMs,
+            retries: requestRetries = retries,
+        } = options;
+
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                return await attempt(path, { method, body, headers, signal, timeoutMs: requestTimeout });
+            } catch (error) {
+                if (attemptNumber >= requestRetries || !isRetryable(error) || signal?.aborted) throw error;
+                await wait(backoffMs * 2 ** attemptNumber, signal);
+            }
+        }
+    };
+
+    // POST /predict with a single image file; resolves with
+    // { prediction, confidence, predictions: [{ label, probability }] } ranked by
+    // probability (older backends only send `prediction`)
+    const predict = (file, { signal, topK } = {}) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        const path = topK ? `/predict?top_k=${topK}` : '/predict';
+        return request(path, { method: 'POST', body: formData, signal });
+    };
+
+    // Streams a POST's plain-text body, calling onText(textSoFar) as it arrives;
+    // resolves with the whole text. Not retried or timed out, since part of the
+    // answer may already be on screen; the caller's signal stops it.
+    const streamText = async (path, { body, headers, signal, onText }) => {
+        try {
+            const response = await fetch(`${normalizedBaseUrl}${path}`, { method: 'POST', body, headers, signal });
+            if (!response.ok) throw await toResponseError(response);
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let text = '';
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                text += decoder.decode(value, { stream: true });
+                onText?.(text);
+            }
+            return text + decoder.decode();
+        } catch (error) {
+            if (error instanceof BackendError || isAbortError(error)) throw error;
+            throw new BackendNetworkError(`Could not reach the backend at ${normalizedBaseUrl}`, { detail: error.message });
+        }
+    };
+
+    const geminiHeaders = (idToken) => ({
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+    });
+
+    // POST /gemini/analyze with { image, mimeType, language }, `image` being
+    // base64 without a data URL prefix; resolves with the raw analysis result
+    // (see validateAnalysisResult). 429 responses mean one of the user's quotas is
+    // used up; see quotaExceeded.
+    const analyzeWithGemini = (payload, { signal, idToken }) =>
+        request('/gemini/analyze', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+            headers: geminiHeaders(idToken),
+            signal,
+            // A malformed answer is repaired with a second Gemini call
+            timeoutMs: Math.max(timeoutMs, 60000),
+            // Every attempt counts against the user's quota
+            retries: 0,
+        });
+
+    // POST /gemini/chat with { result, image, language, messages, question };
+    // streams the answer like streamText
+    const streamGeminiChat = (payload, { signal, idToken, onText }) =>
+        streamText('/gemini/chat', {
+            body: JSON.stringify(payload),
+            headers: geminiHeaders(idToken),
+            signal,
+            onText,
+        });
+
+    // GET / - resolves to true when the backend answers, false otherwise
+    const checkHealth = async ({ signal } = {}) => {
+        try {
+            await request('/', { signal, timeoutMs: 5000, retries: 0 });
+            return true;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            return false;
+        }
+    };
+
+    return { baseUrl: normalizedBaseUrl, request, predict, analyzeWithGemini, streamGeminiChat, checkHealth };
+}
+
+export const backendClient = createBackendClient();
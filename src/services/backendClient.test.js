@@ -0,0 +1,39 @@
+import { BackendRequestError, BackendServerError, createBackendClient, quotaExceeded } from './backendClient';
+
+const quotaError = (detail) => new BackendRequestError('Too many requests', { status: 429, detail });
+
+describe('quotaExceeded', () => {
+    it("reads the quota and reset time from the proxy's 429 detail", () => {
+        expect(quotaExceeded(quotaError({ message: 'Slow down', quota: 'minute', retryAfter: 42 }))).toEqual({ quota: 'minute', retryAfterMs: 42000 });
+        expect(quotaExceeded(quotaError({ message: 'Used up', quota: 'daily', retryAfter: 3600 }))).toEqual({ quota: 'daily', retryAfterMs: 3600000 });
+    });
+
+    it('treats 429s from older backends as the daily quota', () => {
+        expect(quotaExceeded(quotaError('Daily limit of 50 Gemini requests reached.'))).toEqual({ quota: 'daily', retryAfterMs: null });
+    });
+
+    it('ignores other errors', () => {
+        expect(quotaExceeded(new BackendRequestError('Bad image', { status: 400 }))).toBeNull();
+        expect(quotaExceeded(new BackendServerError('Gemini request failed', { status: 502 }))).toBeNull();
+        expect(quotaExceeded(new Error('Failed to fetch'))).toBeNull();
+    });
+});
+
+describe('analyzeWithGemini', () => {
+    const originalFetch = global.fetch;
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('rejects a 429 with the message from its detail, without retrying', async () => {
+        const detail = { message: 'Too many Gemini requests. Please wait a minute and try again.', quota: 'minute', retryAfter: 30 };
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429, statusText: 'Too Many Requests', json: async () => ({ detail }) });
+        const client = createBackendClient({ baseUrl: 'http://backend.test' });
+
+        const error = await client.analyzeWithGemini({ image: 'abc' }, { idToken: 'token' }).catch(err => err);
+        expect(error).toBeInstanceOf(BackendRequestError);
+        expect(error.message).toBe(detail.message);
+        expect(quotaExceeded(error)).toEqual({ quota: 'minute', retryAfterMs: 30000 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,172 @@
+// Batch analysis of many leaf photos against one provider.
+//
+// Jobs run through a small worker pool so a field walk's worth of photos doesn't
+// flood Gemini or the backend with parallel requests. The helpers below turn the
+// finished jobs into the summary shown on BatchAnalyzerPage and into CSV/JSON
+// exports. A job looks like:
+//   { id, file, status, stage, attempts, result, quality, diagnosisId, reusedFrom, error }
+
+export const DEFAULT_BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_FILES = 100;
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+let nextJobId = 0;
+
+export const createBatchJob = (file) => ({
+    id: `job-${Date.now()}-${nextJobId++}`,
+    file,
+    status: JOB_STATUS.QUEUED,
+    stage: null, // 'preparing', 'analyzing', 'saving', 'waitingToRetry' or 'waitingForQuota' while running
+    attempts: 0,
+    result: null,
+    quality: null,
+    diagnosisId: null,
+    reusedFrom: null, // when the result was reused from an earlier analysis of the same photo
+    error: '',
+});
+
+// Jobs that fail because the device or backend can't be reached are tried up
+// to this many times in all, waiting twice as long before each new attempt
+export const MAX_BATCH_ATTEMPTS = 3;
+export const BATCH_RETRY_DELAY_MS = 2000;
+
+// Gemini's per-minute limit is shared by the whole pool, so jobs that hit it
+// wait until the proxy says it resets (this long if it doesn't say) and try again
+// without using up an attempt
+export const QUOTA_RETRY_DELAY_MS = 60000;
+
+// Resolves after `ms`, or straight away once `signal` aborts
+export const waitUnlessAborted = (ms, signal) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+// Resolves after the backoff for a job that has made `attempts` attempts, or
+// straight away once `signal` aborts
+export const waitBeforeRetry = (attempts, signal) =>
+    waitUnlessAborted(BATCH_RETRY_DELAY_MS * 2 ** (attempts - 1), signal);
+
+// HEIC photos often arrive without a MIME type, so their extension counts too
+export const isImageFile = (file) =>
+    file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name);
+
+// Calls `worker(job)` for every job with at most `concurrency` running at once.
+// The worker handles its own errors; an aborted signal stops new jobs starting.
+export async function runJobQueue(jobs, { worker, concurrency = DEFAULT_BATCH_CONCURRENCY, signal }) {
+    let next = 0;
+    const runNext = async () => {
+        while (next < jobs.length && !signal?.aborted) {
+            const job = jobs[next++];
+            await worker(job);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, runNext));
+}
+
+const diseaseOf = (result) => (result.health_status.is_healthy ? null : result.health_status.disease_detected);
+
+// Counts for the summary panel; diseases are sorted by how often they were found
+export function summarizeBatch(jobs) {
+    const finished = jobs.filter(job => job.status === JOB_STATUS.DONE);
+    const counts = new Map();
+    finished.forEach((job) => {
+        const disease = diseaseOf(job.result);
+        if (disease) counts.set(disease, (counts.get(disease) || 0) + 1);
+    });
+
+    return {
+        total: jobs.length,
+        completed: finished.length,
+        failed: jobs.filter(job => job.status === JOB_STATUS.FAILED).length,
+        pending: jobs.filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING).length,
+        healthy: finished.filter(job => job.result.health_status.is_healthy).length,
+        diseased: finished.filter(job => !job.result.health_status.is_healthy).length,
+        diseases: [...counts.entries()]
+            .map(([disease, count]) => ({ disease, count }))
+            .sort((a, b) => b.count - a.count || a.disease.localeCompare(b.disease)),
+    };
+}
+
+// --- Export ---
+
+export const BATCH_EXPORT_COLUMNS = [
+    'file',
+    'status',
+    'provider',
+    'plant',
+    'plant_confidence',
+    'healthy',
+    'disease',
+    'disease_confidence',
+    'disease_description',
+    'suggested_cure',
+    'recommended_products',
+    'image_warnings',
+    'diagnosis_id',
+    'error',
+];
+
+const imageWarnings = (quality) =>
+    [quality?.isDark && 'dark', quality?.isBlurry && 'blurry'].filter(Boolean).join('; ');
+
+// One flat record per job, keyed by BATCH_EXPORT_COLUMNS
+export function batchJobToRow(job) {
+    const result = job.result;
+    return {
+        file: job.file.name,
+        status: job.status,
+        provider: result?.provider ?? '',
+        plant: result?.plant_identification.plant_name ?? '',
+        plant_confidence: result?.plant_identification.confidence ?? '',
+        healthy: result ? result.health_status.is_healthy : '',
+        disease: result ? (diseaseOf(result) ?? '') : '',
+        disease_confidence: result?.health_status.confidence ?? '',
+        disease_description: result?.health_status.disease_description ?? '',
+        suggested_cure: result?.care_recommendations.suggested_cure ?? '',
+        recommended_products: result?.care_recommendations.recommended_products.map(p => p.product_name).join('; ') ?? '',
+        image_warnings: imageWarnings(job.quality),
+        diagnosis_id: job.diagnosisId ?? '',
+        error: job.error,
+    };
+}
+
+// Quotes every field, and neutralises values a spreadsheet would run as a formula
+const csvField = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+export function batchToCsv(jobs) {
+    const lines = [
+        BATCH_EXPORT_COLUMNS.join(','),
+        ...jobs.map(batchJobToRow).map(row => BATCH_EXPORT_COLUMNS.map(column => csvField(row[column])).join(',')),
+    ];
+    // CRLF line endings and a BOM so Excel opens non-English text correctly
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export function batchToJson(jobs, { provider, exportedAt = new Date() } = {}) {
+    return JSON.stringify({
+        exportedAt: exportedAt.toISOString(),
+        provider,
+        summary: summarizeBatch(jobs),
+        results: jobs.map(job => ({
+            file: job.file.name,
+            status: job.status,
+            result: job.result,
+            imageWarnings: imageWarnings(job.quality) || null,
+            diagnosisId: job.diagnosisId,
+            error: job.error || null,
+        })),
+    }, null, 2);
+}
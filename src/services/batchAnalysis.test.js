@@ -0,0 +1,58 @@
+import { BATCH_EXPORT_COLUMNS, JOB_STATUS, batchToCsv, createBatchJob } from './batchAnalysis';
+
+const result = (overrides = {}) => ({
+    provider: 'gemini',
+    plant_identification: { plant_name: 'Tomato', confidence: 0.9 },
+    health_status: { is_healthy: false, disease_detected: 'Early Blight', disease_description: 'Brown rings', confidence: 0.8 },
+    care_recommendations: { suggested_cure: 'Remove leaves', recommended_products: [{ product_name: 'Copper Fungicide' }] },
+    ...overrides,
+});
+
+const doneJob = (name, jobResult = result()) => ({
+    ...createBatchJob({ name, type: 'image/jpeg' }),
+    status: JOB_STATUS.DONE,
+    result: jobResult,
+});
+
+// Splits the CSV into rows of unquoted fields; fields never contain commas here
+const parseCsv = (csv) => csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n')
+    .map(line => line.split(',').map(field => field.replace(/^"|"$/g, '').replace(/""/g, '"')));
+
+describe('batchToCsv', () => {
+    it('writes a BOM, a header row and CRLF line endings', () => {
+        const csv = batchToCsv([doneJob('leaf.jpg')]);
+        expect(csv.startsWith(`\uFEFF${BATCH_EXPORT_COLUMNS.join(',')}\r\n`)).toBe(true);
+        expect(csv.endsWith('\r\n')).toBe(true);
+        const [, row] = parseCsv(csv);
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('disease')]).toBe('Early Blight');
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('recommended_products')]).toBe('Copper Fungicide');
+    });
+
+    it('neutralises values a spreadsheet would run as a formula', () => {
+        const formulas = ['=HYPERLINK("http://example.com")', '+1', '-2', '@SUM(A1)', '\tTab', '\rReturn'];
+        formulas.forEach((formula) => {
+            const [, row] = parseCsv(batchToCsv([doneJob(formula)]));
+            expect(row[BATCH_EXPORT_COLUMNS.indexOf('file')]).toBe(`'${formula}`);
+        });
+    });
+
+    it('checks fields from the analysis result too', () => {
+        const jobResult = result({ health_status: { ...result().health_status, disease_detected: '=cmd|"/c calc"!A0' } });
+        const [, row] = parseCsv(batchToCsv([doneJob('leaf.jpg', jobResult)]));
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('disease')]).toBe('\'=cmd|"/c calc"!A0');
+    });
+
+    it('leaves ordinary values alone and escapes quotes', () => {
+        const [, row] = parseCsv(batchToCsv([doneJob('my "best" leaf.jpg')]));
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('file')]).toBe('my "best" leaf.jpg');
+        expect(batchToCsv([doneJob('my "best" leaf.jpg')])).toContain('"my ""best"" leaf.jpg"');
+    });
+
+    it('writes empty fields for failed jobs', () => {
+        const failed = { ...createBatchJob({ name: 'blurry.jpg', type: 'image/jpeg' }), status: JOB_STATUS.FAILED, error: 'Analysis failed' };
+        const [, row] = parseCsv(batchToCsv([failed]));
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('status')]).toBe('failed');
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('disease')]).toBe('');
+        expect(row[BATCH_EXPORT_COLUMNS.indexOf('error')]).toBe('Analysis failed');
+    });
+});
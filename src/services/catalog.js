@@ -0,0 +1,184 @@
+// Marketplace catalog queries over artifacts/{appId}/public/data/products.
+//
+// Search uses a denormalised `searchKeywords` array holding every word prefix of
+// the product name and category, so a single `array-contains` clause can match
+// partial words. Pages are fetched with Firestore cursors (`startAfter`); rules
+// that can't be expressed in the query (stock, archive state, extra search terms)
+// are applied to each fetched page.
+
+import {
+    collection,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    getDocs,
+    documentId,
+    writeBatch
+} from 'firebase/firestore';
+import { isListed } from './inventory';
+import { DEFAULT_CURRENCY, amountMinor, currencyOf, toMinorUnits } from './currency';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+export const PRODUCT_CATEGORIES = ['Seeds', 'Fertilizers', 'Pesticides', 'Tools', 'Produce', 'Other'];
+
+export const SHOP_PAGE_SIZE = 12;
+
+// Shown with the `shop.sort.<id>` messages
+export const SHOP_SORTS = {
+    newest: { field: 'createdAt', direction: 'desc' },
+    price_asc: { field: 'priceMinor', direction: 'asc' },
+    price_desc: { field: 'priceMinor', direction: 'desc' },
+};
+
+export const DEFAULT_SHOP_SORT = 'newest';
+
+// Firestore caps `in` queries at 30 values and write batches at 500 writes
+const MAX_IDS_PER_QUERY = 30;
+const MAX_BATCH_WRITES = 500;
+const MIN_PREFIX_LENGTH = 2;
+// Extra pages fetched when filtering leaves a page empty
+const MAX_PAGE_FETCHES = 3;
+const MAX_CANDIDATE_PRODUCTS = 100;
+
+const productsCollection = (db) => collection(db, `/artifacts/${appId}/public/data/products`);
+
+export const tokenize = (text) =>
+    String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Stored on every product so the shop can search it; regenerate whenever the
+// name or category changes
+export function buildSearchKeywords({ name, category }) {
+    const keywords = new Set();
+    for (const word of tokenize(`${name} ${category}`)) {
+        for (let length = Math.min(MIN_PREFIX_LENGTH, word.length); length <= word.length; length++) {
+            keywords.add(word.slice(0, length));
+        }
+    }
+    return [...keywords];
+}
+
+const parsePrice = (value) => {
+    const price = parseFloat(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+// Reads the shop filters from the URL query string (?q=&category=&minPrice=&maxPrice=&sort=).
+// Price bounds are in major units of the default currency, as typed by the buyer.
+export function parseShopFilters(searchParams) {
+    const sort = searchParams.get('sort');
+    return {
+        search: searchParams.get('q') || '',
+        category: searchParams.get('category') || '',
+        minPrice: parsePrice(searchParams.get('minPrice')),
+        maxPrice: parsePrice(searchParams.get('maxPrice')),
+        sort: SHOP_SORTS[sort] ? sort : DEFAULT_SHOP_SORT,
+    };
+}
+
+// Inverse of parseShopFilters; empty and default values are left out of the URL
+export function shopFiltersToParams(filters) {
+    const params = {};
+    if (filters.search?.trim()) params.q = filters.search.trim();
+    if (filters.category) params.category = filters.category;
+    if (filters.minPrice != null) params.minPrice = String(filters.minPrice);
+    if (filters.maxPrice != null) params.maxPrice = String(filters.maxPrice);
+    if (filters.sort && filters.sort !== DEFAULT_SHOP_SORT) params.sort = filters.sort;
+    return params;
+}
+
+export function buildShopQuery(db, filters, cursor = null) {
+    const { field, direction } = SHOP_SORTS[filters.sort] || SHOP_SORTS[DEFAULT_SHOP_SORT];
+    // The longest term is the most selective one to send to Firestore
+    const [searchTerm] = tokenize(filters.search).sort((a, b) => b.length - a.length);
+
+    const constraints = [where('isApproved', '==', true)];
+    if (filters.category) constraints.push(where('category', '==', filters.category));
+    if (searchTerm) constraints.push(where('searchKeywords', 'array-contains', searchTerm));
+    // A range filter must be on the first orderBy field, so price bounds only go
+    // into the query when sorting by price (matchesShopFilters covers the rest)
+    if (field === 'priceMinor') {
+        if (filters.minPrice != null) constraints.push(where('priceMinor', '>=', toMinorUnits(filters.minPrice, DEFAULT_CURRENCY)));
+        if (filters.maxPrice != null) constraints.push(where('priceMinor', '<=', toMinorUnits(filters.maxPrice, DEFAULT_CURRENCY)));
+    }
+    constraints.push(orderBy(field, direction));
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(SHOP_PAGE_SIZE));
+
+    return query(productsCollection(db), ...constraints);
+}
+
+export function matchesShopFilters(product, filters) {
+    if (!isListed(product)) return false;
+    const priceMinor = amountMinor(product, 'price');
+    if (filters.minPrice != null && priceMinor < toMinorUnits(filters.minPrice, DEFAULT_CURRENCY)) return false;
+    if (filters.maxPrice != null && priceMinor > toMinorUnits(filters.maxPrice, DEFAULT_CURRENCY)) return false;
+    const words = tokenize(`${product.name} ${product.category}`);
+    return tokenize(filters.search).every(term => words.some(word => word.startsWith(term)));
+}
+
+// Resolves with `{ products, cursor, hasMore }`; pass the returned cursor back in
+// to fetch the next page
+export async function fetchShopPage(db, filters, cursor = null) {
+    const products = [];
+    let hasMore = true;
+    for (let fetches = 0; fetches < MAX_PAGE_FETCHES && hasMore && products.length === 0; fetches++) {
+        const snapshot = await getDocs(buildShopQuery(db, filters, cursor));
+        products.push(...snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(product => matchesShopFilters(product, filters)));
+        hasMore = snapshot.docs.length === SHOP_PAGE_SIZE;
+        cursor = snapshot.docs[snapshot.docs.length - 1] || cursor;
+    }
+    return { products, cursor, hasMore };
+}
+
+// Listed products with the given ids, in the order the ids were passed
+export async function fetchProductsByIds(db, ids) {
+    const wanted = ids.slice(0, MAX_IDS_PER_QUERY);
+    if (wanted.length === 0) return [];
+    const snapshot = await getDocs(query(productsCollection(db), where(documentId(), 'in', wanted)));
+    const products = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isListed);
+    return wanted.map(id => products.find(p => p.id === id)).filter(Boolean);
+}
+
+// Listed products with any of `terms` among their search keywords, e.g. the
+// candidates for matching AI recommendations (recommendationSearchTerms)
+export async function fetchProductsWithKeywords(db, terms) {
+    if (terms.length === 0) return [];
+    const snapshot = await getDocs(query(
+        productsCollection(db),
+        where('isApproved', '==', true),
+        where('searchKeywords', 'array-contains-any', terms),
+        limit(MAX_CANDIDATE_PRODUCTS)
+    ));
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isListed);
+}
+
+// The fields the shop queries on that listings created before search and
+// minor-unit prices lack (without them a listing drops out of keyword searches
+// and price-sorted pages); empty when nothing is missing
+export function missingListingFields(product) {
+    const changes = {};
+    if (!Array.isArray(product.searchKeywords)) changes.searchKeywords = buildSearchKeywords(product);
+    if (!Number.isInteger(product.priceMinor)) changes.priceMinor = amountMinor(product, 'price');
+    if (!product.currency) changes.currency = currencyOf(product);
+    return changes;
+}
+
+// One-off migration run from the admin console: fills in missingListingFields on
+// every product and resolves with the number of products updated
+export async function backfillListingFields(db) {
+    const snapshot = await getDocs(productsCollection(db));
+    const updates = snapshot.docs
+        .map(doc => ({ ref: doc.ref, changes: missingListingFields(doc.data()) }))
+        .filter(({ changes }) => Object.keys(changes).length > 0);
+    for (let start = 0; start < updates.length; start += MAX_BATCH_WRITES) {
+        const batch = writeBatch(db);
+        updates.slice(start, start + MAX_BATCH_WRITES).forEach(({ ref, changes }) => batch.update(ref, changes));
+        await batch.commit();
+    }
+    return updates.length;
+}
@@ -0,0 +1,89 @@
+import { buildSearchKeywords, matchesShopFilters, missingListingFields, parseShopFilters, shopFiltersToParams } from './catalog';
+
+const product = (overrides = {}) => ({
+    name: 'Neem Oil Spray',
+    category: 'Pesticides',
+    priceMinor: 25000,
+    currency: 'INR',
+    stock: 10,
+    isApproved: true,
+    archived: false,
+    ...overrides,
+});
+
+const filters = (overrides = {}) => ({ search: '', category: '', minPrice: null, maxPrice: null, sort: 'newest', ...overrides });
+
+describe('buildSearchKeywords', () => {
+    it('indexes prefixes of every word in the name and category', () => {
+        expect(buildSearchKeywords({ name: 'Neem Oil', category: 'Pesticides' })).toEqual([
+            'ne', 'nee', 'neem',
+            'oi', 'oil',
+            'pe', 'pes', 'pest', 'pesti', 'pestic', 'pestici', 'pesticid', 'pesticide', 'pesticides',
+        ]);
+    });
+
+    it('lowercases, splits on punctuation and drops duplicates', () => {
+        expect(buildSearchKeywords({ name: 'NPK-19:19:19', category: 'Fertilizers' })).toEqual(expect.arrayContaining(['np', 'npk', '19']));
+        const keywords = buildSearchKeywords({ name: 'Seed seeds', category: 'Seeds' });
+        expect(new Set(keywords).size).toBe(keywords.length);
+    });
+
+    it('keeps single-character words', () => {
+        expect(buildSearchKeywords({ name: 'A', category: '' })).toEqual(['a']);
+    });
+});
+
+describe('matchesShopFilters', () => {
+    it('matches every search term against word prefixes', () => {
+        expect(matchesShopFilters(product(), filters({ search: 'neem spr' }))).toBe(true);
+        expect(matchesShopFilters(product(), filters({ search: 'pest' }))).toBe(true);
+        expect(matchesShopFilters(product(), filters({ search: 'oil fungicide' }))).toBe(false);
+        expect(matchesShopFilters(product(), filters({ search: 'eem' }))).toBe(false);
+    });
+
+    it('applies price bounds in major units', () => {
+        expect(matchesShopFilters(product(), filters({ minPrice: 250, maxPrice: 250 }))).toBe(true);
+        expect(matchesShopFilters(product(), filters({ minPrice: 250.01 }))).toBe(false);
+        expect(matchesShopFilters(product(), filters({ maxPrice: 249.99 }))).toBe(false);
+    });
+
+    it('reads legacy major-unit prices', () => {
+        const legacy = product({ priceMinor: undefined, price: 99.5 });
+        expect(matchesShopFilters(legacy, filters({ minPrice: 99, maxPrice: 100 }))).toBe(true);
+        expect(matchesShopFilters(legacy, filters({ minPrice: 100 }))).toBe(false);
+    });
+
+    it('leaves out unapproved, archived and sold-out products', () => {
+        expect(matchesShopFilters(product({ isApproved: false }), filters())).toBe(false);
+        expect(matchesShopFilters(product({ archived: true }), filters())).toBe(false);
+        expect(matchesShopFilters(product({ stock: 0 }), filters())).toBe(false);
+        expect(matchesShopFilters(product({ stock: undefined }), filters())).toBe(true);
+    });
+});
+
+describe('parseShopFilters', () => {
+    it('falls back to defaults for missing and invalid values', () => {
+        expect(parseShopFilters(new URLSearchParams('minPrice=-5&maxPrice=abc&sort=cheapest'))).toEqual(filters());
+    });
+
+    it('round-trips through shopFiltersToParams', () => {
+        const parsed = filters({ search: 'neem', category: 'Pesticides', minPrice: 10, maxPrice: 500.5, sort: 'price_asc' });
+        expect(parseShopFilters(new URLSearchParams(shopFiltersToParams(parsed)))).toEqual(parsed);
+        expect(shopFiltersToParams(filters())).toEqual({});
+    });
+});
+
+describe('missingListingFields', () => {
+    it('fills in search keywords, the minor-unit price and the currency on legacy listings', () => {
+        expect(missingListingFields({ name: 'Neem', category: 'Pesticides', price: 99.5 })).toEqual({
+            searchKeywords: buildSearchKeywords({ name: 'Neem', category: 'Pesticides' }),
+            priceMinor: 9950,
+            currency: 'INR',
+        });
+    });
+
+    it('leaves current listings alone', () => {
+        expect(missingListingFields(product({ searchKeywords: ['ne'] }))).toEqual({});
+        expect(missingListingFields(product({ searchKeywords: [], priceMinor: undefined, price: 12 }))).toEqual({ priceMinor: 1200 });
+    });
+});
@@ -0,0 +1,57 @@
+// Money amounts are stored as integers in the currency's minor unit (paise for
+// INR) in a `<field>Minor` field, next to an ISO 4217 `currency` code, e.g.
+// `{ priceMinor: 12550, currency: 'INR' }` for ₹125.50.
+//
+// Records written before this change hold a bare major-unit Number in `<field>`
+// (e.g. `price: 125.5`); amountMinor reads both shapes.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Fraction digits of the currency's minor unit, e.g. 2 for INR, 0 for JPY
+export const minorUnitDigits = (currency = DEFAULT_CURRENCY) =>
+    new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) =>
+    Math.round(amount * 10 ** minorUnitDigits(currency));
+
+export const fromMinorUnits = (amountMinor, currency = DEFAULT_CURRENCY) =>
+    amountMinor / 10 ** minorUnitDigits(currency);
+
+export const currencyOf = (record) => record?.currency || DEFAULT_CURRENCY;
+
+export function amountMinor(record, field) {
+    const minor = record?.[`${field}Minor`];
+    if (typeof minor === 'number') return minor;
+    const major = record?.[field];
+    return typeof major === 'number' ? toMinorUnits(major, currencyOf(record)) : 0;
+}
+
+// Formats for `locale`, e.g. "₹1,250.50"; the UI passes its current language, and
+// without one the browser's locale is used
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = undefined) =>
+    new Intl.NumberFormat(locale, { style: 'currency', currency }).format(fromMinorUnits(amount, currency));
+
+export const formatPrice = (record, field = 'price', locale = undefined) =>
+    formatMoney(amountMinor(record, field), currencyOf(record), locale);
+
+// Parses a price typed by a seller into `{ amountMinor, error, errorParams }`, where
+// `error` is an i18n key. Negative, zero, non-numeric and over-precise values are rejected.
+export function parsePriceInput(input, currency = DEFAULT_CURRENCY) {
+    const text = String(input ?? '').trim();
+    const digits = minorUnitDigits(currency);
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+        return { amountMinor: null, error: 'price.errors.invalid' };
+    }
+    if ((text.split('.')[1] || '').length > digits) {
+        return { amountMinor: null, error: 'price.errors.decimals', errorParams: { digits } };
+    }
+    const minor = toMinorUnits(Number(text), currency);
+    if (minor <= 0) {
+        return { amountMinor: null, error: 'price.errors.zero' };
+    }
+    return { amountMinor: minor, error: null };
+}
+
+// Turns a stored amount back into the text shown in a price input
+export const toPriceInput = (record, field = 'price') =>
+    String(fromMinorUnits(amountMinor(record, field), currencyOf(record)));
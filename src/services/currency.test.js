@@ -0,0 +1,66 @@
+import { amountMinor, formatMoney, formatPrice, parsePriceInput, toPriceInput } from './currency';
+
+describe('parsePriceInput', () => {
+    it('converts a price to minor units', () => {
+        expect(parsePriceInput('125.5')).toEqual({ amountMinor: 12550, error: null });
+        expect(parsePriceInput(' 40 ')).toEqual({ amountMinor: 4000, error: null });
+    });
+
+    it('avoids floating point drift', () => {
+        expect(parsePriceInput('19.99').amountMinor).toBe(1999);
+        expect(parsePriceInput('0.29').amountMinor).toBe(29);
+    });
+
+    it('rejects values that are not positive numbers', () => {
+        ['', 'abc', '-5', '1e3', '12.', null, undefined].forEach((input) => {
+            expect(parsePriceInput(input)).toEqual({ amountMinor: null, error: 'price.errors.invalid' });
+        });
+    });
+
+    it('rejects zero', () => {
+        expect(parsePriceInput('0.00')).toEqual({ amountMinor: null, error: 'price.errors.zero' });
+    });
+
+    it("rejects more decimal places than the currency's minor unit", () => {
+        expect(parsePriceInput('1.234')).toEqual({ amountMinor: null, error: 'price.errors.decimals', errorParams: { digits: 2 } });
+        expect(parsePriceInput('100.5', 'JPY')).toEqual({ amountMinor: null, error: 'price.errors.decimals', errorParams: { digits: 0 } });
+        expect(parsePriceInput('100', 'JPY')).toEqual({ amountMinor: 100, error: null });
+    });
+});
+
+describe('amountMinor', () => {
+    it('reads the minor-unit field', () => {
+        expect(amountMinor({ priceMinor: 12550, currency: 'INR' }, 'price')).toBe(12550);
+    });
+
+    it('prefers the minor-unit field over a legacy one', () => {
+        expect(amountMinor({ priceMinor: 12550, price: 1 }, 'price')).toBe(12550);
+    });
+
+    it('converts legacy major-unit prices', () => {
+        expect(amountMinor({ price: 125.5 }, 'price')).toBe(12550);
+        expect(amountMinor({ lineTotal: 19.99 }, 'lineTotal')).toBe(1999);
+        expect(amountMinor({ price: 300, currency: 'JPY' }, 'price')).toBe(300);
+    });
+
+    it('treats a missing amount as zero', () => {
+        expect(amountMinor({}, 'price')).toBe(0);
+        expect(amountMinor(null, 'price')).toBe(0);
+    });
+});
+
+describe('toPriceInput', () => {
+    it('round-trips through parsePriceInput', () => {
+        expect(toPriceInput({ priceMinor: 12550 })).toBe('125.5');
+        expect(toPriceInput({ price: 19.99 })).toBe('19.99');
+        expect(parsePriceInput(toPriceInput({ priceMinor: 1999 })).amountMinor).toBe(1999);
+    });
+});
+
+describe('formatMoney', () => {
+    it('formats for the given UI language', () => {
+        expect(formatMoney(125000000, 'INR', 'en')).toBe('₹1,250,000.00');
+        expect(formatMoney(125000000, 'INR', 'hi')).toBe('₹12,50,000.00');
+        expect(formatPrice({ priceMinor: 300, currency: 'JPY' }, 'price', 'en')).toBe('¥300');
+    });
+});
@@ -0,0 +1,78 @@
+// Follow-up questions about a diagnosis.
+//
+// Each conversation is a Gemini chat, run by the backend's /gemini/chat
+// endpoint, seeded with the analysed photo and the parsed result so answers
+// stay about this plant and this disease. Replies are streamed into the UI as
+// they arrive, and the conversation is stored on the diagnosis document as
+// `chat: [{ role: 'user' | 'model', text, createdAt }]` so it reopens with the
+// saved diagnosis.
+
+import { collection, doc, updateDoc } from 'firebase/firestore';
+import { backendClient } from './backendClient';
+import { detectMimeTypeFromBase64 } from './imagePreprocessing';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+// Older turns are dropped from storage (and from the prompt) past this
+export const MAX_CHAT_MESSAGES = 40;
+
+export const CHAT_ROLES = {
+    USER: 'user',
+    MODEL: 'model',
+};
+
+const diagnosesCollection = (db, userId) =>
+    collection(db, `/artifacts/${appId}/users/${userId}/diagnoses`);
+
+// { data, mimeType } for Gemini from a data URL; null for remote URLs or no image
+export function chatImageFromDataUrl(src) {
+    if (!src?.startsWith('data:')) return null;
+    const [header, data] = src.split('base64,');
+    const mimeType = header.slice('data:'.length).replace(/;$/, '') || detectMimeTypeFromBase64(data) || 'image/jpeg';
+    return data ? { data, mimeType } : null;
+}
+
+// Sends `question` and calls `onText(textSoFar)` as the reply streams in;
+// resolves with the full reply. `messages` must alternate user/model turns.
+export async function streamChatReply(getIdToken, { result, image, language, messages, question, signal, onText }) {
+    const idToken = await getIdToken();
+    if (!idToken) throw new Error('Please sign in to ask Gemini AI.');
+
+    const reply = await backendClient.streamGeminiChat({
+        result: {
+            plant_identification: result.plant_identification,
+            health_status: result.health_status,
+            care_recommendations: result.care_recommendations,
+        },
+        image,
+        language,
+        messages: messages.slice(-MAX_CHAT_MESSAGES).map(message => ({ role: message.role, text: message.text })),
+        question,
+    }, { signal, idToken, onText });
+    if (!reply.trim()) throw new Error('The AI returned an empty answer. Please try again.');
+    return reply;
+}
+
+export const createChatMessage = (role, text) => ({ role, text, createdAt: new Date() });
+
+// Replaces the stored conversation on a saved diagnosis
+export const saveChatHistory = (db, userId, diagnosisId, messages) =>
+    updateDoc(doc(diagnosesCollection(db, userId), diagnosisId), {
+        chat: messages.slice(-MAX_CHAT_MESSAGES),
+        chatUpdatedAt: new Date(),
+    });
+
+// Firestore returns Timestamps; the chat panel works with Dates
+export const chatFromDiagnosis = (diagnosis) =>
+    (diagnosis?.chat || []).map(message => ({
+        ...message,
+        createdAt: message.createdAt?.toDate ? message.createdAt.toDate() : message.createdAt,
+    }));
+
+// i18n keys of starter questions that fit the result
+export function suggestedQuestionKeys(result) {
+    if (result.health_status.is_healthy) {
+        return ['chat.suggest.keepHealthy', 'chat.suggest.fertilizer', 'chat.suggest.watchFor'];
+    }
+    return ['chat.suggest.safeBeforeHarvest', 'chat.suggest.organic', 'chat.suggest.spread', 'chat.suggest.prevent'];
+}
@@ -0,0 +1,83 @@
+// Per-user diagnosis history, stored under the user's profile doc at
+// artifacts/{appId}/users/{uid}/diagnoses with the analysed image in Storage.
+
+import {
+    collection,
+    doc,
+    getDoc,
+    addDoc,
+    query,
+    where,
+    orderBy,
+    getDocs,
+    onSnapshot
+} from 'firebase/firestore';
+import { resizeImage, uploadBlob } from './productImages';
+import { normalizeResult } from './analysisProviders';
+import { fieldLink } from './fields';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+const DIAGNOSIS_IMAGE_OPTIONS = { maxDimension: 1024, quality: 0.8 };
+
+const diagnosesCollection = (db, userId) =>
+    collection(db, `/artifacts/${appId}/users/${userId}/diagnoses`);
+
+// Saves one normalized analysis result, optionally attached to one of the
+// user's fields; resolves with the new diagnosis id. `hashes` ({ contentHash,
+// perceptualHash } from imageHashing) and `language` let identical photos reuse it.
+export async function saveDiagnosis(db, storage, { userId, file, result, field = null, hashes = null, language = null }) {
+    let imageUrl = null;
+    let imagePath = null;
+    if (file) {
+        imagePath = `artifacts/${appId}/diagnoses/${userId}/${Date.now()}-${result.provider}.jpg`;
+        const image = await resizeImage(file, DIAGNOSIS_IMAGE_OPTIONS);
+        imageUrl = await uploadBlob(storage, imagePath, image);
+    }
+
+    const docRef = await addDoc(diagnosesCollection(db, userId), {
+        imageUrl,
+        imagePath,
+        provider: result.provider,
+        plant_identification: result.plant_identification,
+        health_status: result.health_status,
+        care_recommendations: result.care_recommendations,
+        raw_label: result.raw_label,
+        // Entries queued offline before ranked predictions existed have none
+        predictions: result.predictions || [],
+        // Flattened copies used by the search and filters on MyDiagnosesPage
+        plantName: result.plant_identification.plant_name,
+        disease: result.health_status.is_healthy ? 'Healthy' : result.health_status.disease_detected,
+        ...fieldLink(field),
+        contentHash: hashes?.contentHash || null,
+        perceptualHash: hashes?.perceptualHash || null,
+        language,
+        createdAt: new Date(),
+    });
+    return docRef.id;
+}
+
+// Subscribes to a user's diagnoses, newest first; returns the unsubscribe function
+export function subscribeToDiagnoses(db, userId, onChange, onError) {
+    const q = query(diagnosesCollection(db, userId), orderBy('createdAt', 'desc'));
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, onError);
+}
+
+// Resolves with the user's diagnoses of the identical image, newest first
+export async function findDiagnosesByContentHash(db, userId, contentHash) {
+    const querySnapshot = await getDocs(query(diagnosesCollection(db, userId), where('contentHash', '==', contentHash)));
+    return querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0));
+}
+
+// Resolves with a single diagnosis, or null when it doesn't exist
+export async function getDiagnosis(db, userId, diagnosisId) {
+    const docSnap = await getDoc(doc(diagnosesCollection(db, userId), diagnosisId));
+    return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+}
+
+// Converts a stored diagnosis back into the normalized result shape
+export const diagnosisToResult = (diagnosis) => normalizeResult(diagnosis, diagnosis.provider);
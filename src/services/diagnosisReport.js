@@ -0,0 +1,145 @@
+// Shareable diagnosis reports.
+//
+// A report is a single self-contained HTML page (styles inline, photo embedded
+// as a data URL) so it can be downloaded and sent over WhatsApp or email, opened
+// offline, or printed / saved as PDF from the browser's print dialog.
+
+import { formatConfidence } from './analysisSchema';
+import { isUncertain, parseClassifierLabel } from './analysisProviders';
+import { getDiseaseByLabel } from './diseaseKnowledge';
+import { blobToBase64 } from './imagePreprocessing';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Keeps line breaks from the model's free-text answers
+const paragraphs = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, "Noto Sans", sans-serif; color: #1f2937; margin: 0; background: #f3f4f6; }
+    main { max-width: 760px; margin: 24px auto; padding: 32px; background: #fff; border-radius: 12px; }
+    header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 3px solid #16a34a; padding-bottom: 12px; margin-bottom: 24px; }
+    h1 { margin: 0; font-size: 24px; color: #15803d; }
+    h2 { font-size: 16px; margin: 0 0 8px; }
+    section { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; break-inside: avoid; }
+    .meta { font-size: 12px; color: #6b7280; }
+    .photo { display: block; max-width: 100%; max-height: 360px; margin: 0 auto 16px; border-radius: 8px; }
+    .healthy { color: #16a34a; font-weight: 600; }
+    .diseased { color: #dc2626; font-weight: 600; }
+    .uncertain { border-color: #fcd34d; background: #fef9c3; color: #713f12; }
+    .print { display: inline-block; padding: 6px 14px; border: 0; border-radius: 6px; background: #16a34a; color: #fff; font-size: 14px; cursor: pointer; }
+    footer { font-size: 11px; color: #6b7280; margin-top: 24px; }
+    @media print {
+        body { background: #fff; }
+        main { margin: 0; padding: 0; max-width: none; }
+        .print { display: none; }
+    }
+`;
+
+// Returns the report's HTML. `t` is the UI translator, so the report is
+// written in the language the analysis was requested in.
+export function buildDiagnosisReport({ result, providerLabel, imageSrc, analyzedAt, generatedAt = new Date(), language, t }) {
+    const { plant_identification: plant, health_status: health, care_recommendations: care } = result;
+    const formatDate = (date) => (date ? date.toLocaleString(language) : '');
+    const confidence = (value) => (typeof value === 'number'
+        ? `<p class="meta">${escapeHtml(t('result.confidence', { value: formatConfidence(value) }))}</p>`
+        : '');
+
+    const products = care.recommended_products.length > 0
+        ? `<section><h2>${escapeHtml(t('result.products'))}</h2><ul>${care.recommended_products
+            .map(p => `<li>${escapeHtml(p.product_name)}${p.product_type ? ` <span class="meta">(${escapeHtml(p.product_type)})</span>` : ''}</li>`)
+            .join('')}</ul></section>`
+        : '';
+
+    const predictions = result.predictions.length > 1
+        ? `<section><h2>${escapeHtml(t('result.topPredictions'))}</h2><ol>${result.predictions
+            .map(({ label, probability }) => {
+                const { crop, disease } = parseClassifierLabel(label);
+                const name = getDiseaseByLabel(label)?.name || disease;
+                return `<li>${escapeHtml(crop ? `${crop} - ${name}` : name)} <span class="meta">${escapeHtml(formatConfidence(probability))}</span></li>`;
+            })
+            .join('')}</ol></section>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(t('report.title'))} - ${escapeHtml(plant.plant_name)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+    <header>
+        <h1>${escapeHtml(t('report.title'))}</h1>
+        <button class="print" onclick="window.print()">${escapeHtml(t('report.print'))}</button>
+    </header>
+    <p class="meta">${escapeHtml(t('report.analyzedAt', { date: formatDate(analyzedAt) }))}<br>
+    ${escapeHtml(t('report.model', { model: providerLabel }))}<br>
+    ${escapeHtml(t('report.generatedAt', { date: formatDate(generatedAt) }))}</p>
+    ${isUncertain(result) ? `<section class="uncertain"><strong>${escapeHtml(t('result.uncertain'))}</strong><br>${escapeHtml(t('result.uncertainHint'))}</section>` : ''}
+    ${imageSrc ? `<img class="photo" src="${escapeHtml(imageSrc)}" alt="${escapeHtml(t('analyzer.previewAlt'))}">` : ''}
+    <section>
+        <h2>${escapeHtml(t('result.plantId'))} ${escapeHtml(plant.plant_name)}</h2>
+        ${confidence(plant.confidence)}
+    </section>
+    <section>
+        <h2>${escapeHtml(t('result.health'))} <span class="${health.is_healthy ? 'healthy' : 'diseased'}">${escapeHtml(health.is_healthy ? t('result.healthy') : t('result.diseaseDetected'))}</span></h2>
+        ${health.is_healthy ? '' : `<p><strong>${escapeHtml(health.disease_detected)}</strong></p>`}
+        ${health.disease_description ? `<p>${paragraphs(health.disease_description)}</p>` : ''}
+        ${confidence(health.confidence)}
+    </section>
+    ${predictions}
+    ${care.suggested_cure ? `<section><h2>${escapeHtml(t('result.cure'))}</h2><p>${paragraphs(care.suggested_cure)}</p></section>` : ''}
+    ${products}
+    <footer>${escapeHtml(t('report.disclaimer'))}</footer>
+</main>
+</body>
+</html>`;
+}
+
+// e.g. "agroscan-report-tomato-early-blight-2025-06-01.html"
+export function reportFileName(result, date = new Date()) {
+    const subject = [
+        result.plant_identification.plant_name,
+        result.health_status.is_healthy ? 'healthy' : result.health_status.disease_detected,
+    ].join(' ');
+    const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'diagnosis';
+    return `agroscan-report-${slug}-${date.toISOString().slice(0, 10)}.html`;
+}
+
+// Embeds a remote photo (e.g. a saved diagnosis in Storage) as a data URL so
+// the downloaded report works offline; keeps the URL if it can't be fetched
+export async function imageToDataUrl(src) {
+    if (!src || src.startsWith('data:')) return src;
+    try {
+        const response = await fetch(src);
+        if (!response.ok) return src;
+        const blob = await response.blob();
+        return `data:${blob.type};base64,${await blobToBase64(blob)}`;
+    } catch (error) {
+        console.warn('Could not embed report image, linking it instead:', error);
+        return src;
+    }
+}
+
+// Opens the browser's print dialog (where "Save as PDF" is offered) for the
+// report without navigating away from the app
+export function printReport(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    Object.assign(frame.style, { position: 'fixed', right: '0', bottom: '0', width: '0', height: '0', border: '0' });
+    frame.onload = () => {
+        const frameWindow = frame.contentWindow;
+        frameWindow.addEventListener('afterprint', () => frame.remove());
+        frameWindow.focus();
+        frameWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
@@ -0,0 +1,97 @@
+// Lookups over the local disease knowledge base (src/data/diseaseKnowledgeBase.js).
+//
+// Used to turn raw classifier labels into readable names with advice, to link
+// any analysis result to its encyclopedia page, and to search the encyclopedia.
+
+import { DISEASES, KNOWLEDGE_BASE_VERSION } from '../data/diseaseKnowledgeBase';
+
+export { KNOWLEDGE_BASE_VERSION };
+
+// "Corn___Common_Rust" and "corn common rust" both become "corn_common_rust"
+const normalizeKey = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+export const DISEASE_ENTRIES = DISEASES.map(entry => ({
+    ...entry,
+    slug: normalizeKey(entry.label).replace(/_/g, '-'),
+    isHealthy: /healthy/i.test(entry.label),
+}));
+
+// Other names Gemini uses for the classifier's crops
+const CROP_ALIASES = {
+    Corn: ['maize'],
+    Rice: ['paddy'],
+};
+
+const cropNames = (crop) => [crop, ...(CROP_ALIASES[crop] || [])].map(normalizeKey);
+
+const diseaseNames = (entry) => [entry.name, ...(entry.aliases || [])].map(normalizeKey);
+
+const byLabel = new Map(DISEASE_ENTRIES.map(entry => [normalizeKey(entry.label), entry]));
+
+// Entries shown in the encyclopedia: actual diseases, not "Healthy" or "Invalid"
+export const ENCYCLOPEDIA_ENTRIES = DISEASE_ENTRIES.filter(entry => entry.crop && !entry.isHealthy);
+
+export const ENCYCLOPEDIA_CROPS = [...new Set(ENCYCLOPEDIA_ENTRIES.map(entry => entry.crop))];
+
+export const getDiseaseByLabel = (label) => byLabel.get(normalizeKey(label)) || null;
+
+export const getDiseaseBySlug = (slug) => DISEASE_ENTRIES.find(entry => entry.slug === slug) || null;
+
+// The entry for an analysis result from any provider: by classifier label when
+// there is one, otherwise by matching the crop and disease names (e.g. Gemini's
+// "Tomato" results simply have none)
+export function findDiseaseForResult(result) {
+    const fromLabel = result.raw_label && getDiseaseByLabel(result.raw_label);
+    if (fromLabel) return fromLabel;
+
+    const plant = normalizeKey(result.plant_identification.plant_name);
+    const disease = normalizeKey(result.health_status.is_healthy ? 'healthy' : result.health_status.disease_detected);
+    if (!plant || !disease) return null;
+    return DISEASE_ENTRIES.find(entry =>
+        entry.crop &&
+        cropNames(entry.crop).some(name => plant.includes(name)) &&
+        diseaseNames(entry).some(name => disease.includes(name))
+    ) || null;
+}
+
+const searchableText = (entry) => normalizeKey([
+    entry.crop,
+    entry.name,
+    ...(entry.aliases || []),
+    ...(CROP_ALIASES[entry.crop] || []),
+    entry.scientificName,
+    entry.summary,
+    ...entry.symptoms,
+].join(' '));
+
+// Encyclopedia entries matching every word of `text`, optionally for one crop
+export function searchDiseases(text, { crop } = {}) {
+    const words = normalizeKey(text).split('_').filter(Boolean);
+    return ENCYCLOPEDIA_ENTRIES.filter(entry =>
+        (!crop || entry.crop === crop) &&
+        words.every(word => searchableText(entry).includes(word))
+    );
+}
+
+const bullets = (items) => items.map(item => `• ${item}`).join('\n');
+
+// Description, cure and products for a classifier result, in the shape of the
+// normalized result's health_status / care_recommendations text fields.
+// `t` translates the section headings; the entries themselves are English.
+export function knowledgeToResultFields(entry, t) {
+    const cure = entry.isHealthy || !entry.crop
+        ? bullets(entry.prevention)
+        : [
+            entry.organicTreatments.length > 0 && `${t('encyclopedia.organic')}:\n${bullets(entry.organicTreatments)}`,
+            entry.chemicalTreatments.length > 0 && `${t('encyclopedia.chemical')}:\n${bullets(entry.chemicalTreatments)}`,
+            entry.prevention.length > 0 && `${t('encyclopedia.prevention')}:\n${bullets(entry.prevention)}`,
+        ].filter(Boolean).join('\n\n');
+
+    return {
+        disease_description: entry.symptoms.length > 0
+            ? `${entry.summary}\n\n${t('encyclopedia.symptoms')}:\n${bullets(entry.symptoms)}`
+            : entry.summary,
+        suggested_cure: cure,
+        recommended_products: entry.products,
+    };
+}
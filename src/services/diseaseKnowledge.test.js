@@ -0,0 +1,87 @@
+import {
+    ENCYCLOPEDIA_ENTRIES,
+    findDiseaseForResult,
+    getDiseaseByLabel,
+    getDiseaseBySlug,
+    knowledgeToResultFields,
+    searchDiseases
+} from './diseaseKnowledge';
+
+const result = (plantName, disease, overrides = {}) => ({
+    plant_identification: { plant_name: plantName },
+    health_status: { is_healthy: disease === null, disease_detected: disease ?? 'None' },
+    ...overrides,
+});
+
+describe('getDiseaseByLabel', () => {
+    it('finds entries by classifier label, ignoring case and separators', () => {
+        expect(getDiseaseByLabel('Corn___Common_Rust')).toMatchObject({ crop: 'Corn', name: 'Common Rust', slug: 'corn-common-rust', isHealthy: false });
+        expect(getDiseaseByLabel('corn common rust')).toBe(getDiseaseByLabel('Corn___Common_Rust'));
+        expect(getDiseaseByLabel('Potato___Healthy').isHealthy).toBe(true);
+    });
+
+    it('returns null for unknown labels', () => {
+        expect(getDiseaseByLabel('Tomato___Leaf_Mold')).toBeNull();
+        expect(getDiseaseByLabel(undefined)).toBeNull();
+    });
+});
+
+describe('getDiseaseBySlug', () => {
+    it('finds the encyclopedia page of an entry', () => {
+        expect(getDiseaseBySlug('wheat-yellow-rust').label).toBe('Wheat___Yellow_Rust');
+        expect(getDiseaseBySlug('no-such-disease')).toBeNull();
+    });
+});
+
+describe('findDiseaseForResult', () => {
+    it('prefers the classifier label', () => {
+        expect(findDiseaseForResult(result('Rice', 'Brown Spot', { raw_label: 'Rice___Leaf_Blast' })).label).toBe('Rice___Leaf_Blast');
+    });
+
+    it('matches the crop and disease names of other providers, aliases included', () => {
+        expect(findDiseaseForResult(result('Potato plant', 'Late Blight (Phytophthora infestans)')).label).toBe('Potato___Late_Blight');
+        expect(findDiseaseForResult(result('Maize', 'Maize Rust')).label).toBe('Corn___Common_Rust');
+        expect(findDiseaseForResult(result('Paddy', null)).label).toBe('Rice___Healthy');
+    });
+
+    it('returns null for crops and diseases it does not know', () => {
+        expect(findDiseaseForResult(result('Tomato', 'Early Blight'))).toBeNull();
+        expect(findDiseaseForResult(result('Wheat', 'Powdery Mildew'))).toBeNull();
+        expect(findDiseaseForResult(result('', 'Brown Rust'))).toBeNull();
+    });
+});
+
+describe('searchDiseases', () => {
+    it('matches every word against names, aliases and symptoms', () => {
+        const labels = searchDiseases('blight').map(entry => entry.label);
+        expect(labels).toEqual(expect.arrayContaining(['Corn___Northern_Leaf_Blight', 'Potato___Early_Blight', 'Potato___Late_Blight']));
+        expect(searchDiseases('maize rust').map(entry => entry.label)).toContain('Corn___Common_Rust');
+        expect(searchDiseases('rust xyzzy')).toEqual([]);
+    });
+
+    it('filters by crop and leaves out healthy and non-leaf entries', () => {
+        expect(searchDiseases('rust', { crop: 'Wheat' }).map(entry => entry.label)).toEqual(['Wheat___Brown_Rust', 'Wheat___Yellow_Rust']);
+        expect(ENCYCLOPEDIA_ENTRIES.some(entry => entry.isHealthy || !entry.crop)).toBe(false);
+        expect(searchDiseases('')).toEqual(ENCYCLOPEDIA_ENTRIES);
+    });
+});
+
+describe('knowledgeToResultFields', () => {
+    const t = (key) => key;
+
+    it('turns a disease entry into the result text fields', () => {
+        const entry = getDiseaseByLabel('Potato___Early_Blight');
+        const fields = knowledgeToResultFields(entry, t);
+        expect(fields.disease_description.startsWith(`${entry.summary}\n\nencyclopedia.symptoms:\n• `)).toBe(true);
+        expect(fields.suggested_cure).toContain('encyclopedia.organic:\n• ');
+        expect(fields.suggested_cure).toContain('encyclopedia.prevention:\n• ');
+        expect(fields.recommended_products).toBe(entry.products);
+    });
+
+    it('gives only the prevention advice for healthy and non-leaf entries', () => {
+        ['Wheat___Healthy', 'Invalid'].forEach((label) => {
+            const entry = getDiseaseByLabel(label);
+            expect(knowledgeToResultFields(entry, t).suggested_cure).toBe(entry.prevention.map(item => `• ${item}`).join('\n'));
+        });
+    });
+});
@@ -0,0 +1,18 @@
+// Saves generated content (exports, reports) as a file on the user's device.
+
+export function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked on the next tick; some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// e.g. "agroscan-batch-2025-06-01.csv"
+export const datedFileName = (prefix, extension, date = new Date()) =>
+    `${prefix}-${date.toISOString().slice(0, 10)}.${extension}`;
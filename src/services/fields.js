@@ -0,0 +1,191 @@
+// Farms and fields a user tracks over the season.
+//
+// Fields live under the user's profile at artifacts/{appId}/users/{uid}/fields.
+// Diagnoses are attached to a field through their `fieldId` (with a copy of the
+// field's name for display) so each field gets a timeline of health checks.
+
+import {
+    collection,
+    doc,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    orderBy,
+    onSnapshot
+} from 'firebase/firestore';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+export const AREA_UNITS = ['acre', 'hectare'];
+export const DEFAULT_AREA_UNIT = 'acre';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fieldsCollection = (db, userId) =>
+    collection(db, `/artifacts/${appId}/users/${userId}/fields`);
+
+const diagnosesCollection = (db, userId) =>
+    collection(db, `/artifacts/${appId}/users/${userId}/diagnoses`);
+
+// --- Validation ---
+
+const isValidDateInput = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Checks the add/edit form. `value` holds the fields to store; `errors` maps a
+// form field to an i18n key.
+export function validateField({ name, crop, area, areaUnit, sowingDate, location }) {
+    const errors = {};
+    const trimmedName = String(name || '').trim();
+    const trimmedCrop = String(crop || '').trim();
+    if (!trimmedName) errors.name = 'fields.errors.name';
+    if (!trimmedCrop) errors.crop = 'fields.errors.crop';
+
+    let areaValue = null;
+    if (String(area ?? '').trim() !== '') {
+        areaValue = Number(area);
+        if (!Number.isFinite(areaValue) || areaValue <= 0) errors.area = 'fields.errors.area';
+    }
+    if (!AREA_UNITS.includes(areaUnit)) errors.area = 'fields.errors.area';
+
+    if (sowingDate && !isValidDateInput(sowingDate)) errors.sowingDate = 'fields.errors.sowingDate';
+    if (sowingDate && Date.parse(sowingDate) > Date.now()) errors.sowingDate = 'fields.errors.sowingDateFuture';
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors,
+        value: {
+            name: trimmedName,
+            crop: trimmedCrop,
+            area: areaValue,
+            areaUnit,
+            // Kept as the date input's YYYY-MM-DD so it doesn't shift with time zones
+            sowingDate: sowingDate || null,
+            location: location || null,
+        },
+    };
+}
+
+// --- Firestore ---
+
+export function subscribeToFields(db, userId, onChange, onError) {
+    const q = query(fieldsCollection(db, userId), orderBy('createdAt', 'desc'));
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, onError);
+}
+
+// Resolves with the new field's id
+export async function createField(db, userId, value) {
+    const now = new Date();
+    const docRef = await addDoc(fieldsCollection(db, userId), { ...value, createdAt: now, updatedAt: now });
+    return docRef.id;
+}
+
+export const updateField = (db, userId, fieldId, value) =>
+    updateDoc(doc(fieldsCollection(db, userId), fieldId), { ...value, updatedAt: new Date() });
+
+// Diagnoses keep their fieldId and fieldName, so past checks still show where they were taken
+export const deleteField = (db, userId, fieldId) =>
+    deleteDoc(doc(fieldsCollection(db, userId), fieldId));
+
+// A field's diagnoses, oldest first
+export function subscribeToFieldDiagnoses(db, userId, fieldId, onChange, onError) {
+    const q = query(diagnosesCollection(db, userId), where('fieldId', '==', fieldId), orderBy('createdAt', 'asc'));
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, onError);
+}
+
+// Attaches (or with `field` null, detaches) an existing diagnosis
+export const assignDiagnosisField = (db, userId, diagnosisId, field) =>
+    updateDoc(doc(diagnosesCollection(db, userId), diagnosisId), fieldLink(field));
+
+// The fields stored on a diagnosis to link it to `field`
+export const fieldLink = (field) => ({
+    fieldId: field?.id || null,
+    fieldName: field?.name || null,
+});
+
+// --- Location ---
+
+// Resolves with { latitude, longitude, accuracy } from the device's GPS
+export const getCurrentLocation = () => new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+        reject(new Error('Geolocation is not supported by this browser.'));
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        ({ coords }) => resolve({
+            latitude: Number(coords.latitude.toFixed(6)),
+            longitude: Number(coords.longitude.toFixed(6)),
+            accuracy: Math.round(coords.accuracy),
+        }),
+        reject,
+        { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+});
+
+export const mapsUrl = ({ latitude, longitude }) =>
+    `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`;
+
+// --- Season timeline ---
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value instanceof Date ? value : value ? new Date(value) : null);
+
+const sowingTime = (field) => (field?.sowingDate ? Date.parse(`${field.sowingDate}T00:00:00`) : null);
+
+// Whole days since sowing at `date`, or null when the sowing date is unknown
+export function daysSinceSowing(field, date = new Date()) {
+    const sowedAt = sowingTime(field);
+    return sowedAt === null ? null : Math.max(0, Math.floor((toDate(date).getTime() - sowedAt) / DAY_MS));
+}
+
+const isHealthyDiagnosis = (diagnosis) => diagnosis.health_status?.is_healthy ?? diagnosis.disease === 'Healthy';
+
+// Points for the season strip and list on the field page, oldest first. `position`
+// (0-1) places each check between sowing (or the first check) and today.
+export function buildFieldTimeline(field, diagnoses, now = new Date()) {
+    const entries = diagnoses
+        .map(diagnosis => ({
+            id: diagnosis.id,
+            date: toDate(diagnosis.createdAt),
+            day: daysSinceSowing(field, toDate(diagnosis.createdAt)),
+            isHealthy: isHealthyDiagnosis(diagnosis),
+            disease: isHealthyDiagnosis(diagnosis) ? null : diagnosis.disease,
+            plantName: diagnosis.plantName,
+            provider: diagnosis.provider,
+        }))
+        .filter(entry => entry.date)
+        .sort((a, b) => a.date - b.date);
+
+    const start = sowingTime(field) ?? entries[0]?.date.getTime() ?? now.getTime();
+    const span = Math.max(DAY_MS, now.getTime() - start);
+    return entries.map(entry => ({
+        ...entry,
+        position: Math.min(1, Math.max(0, (entry.date.getTime() - start) / span)),
+    }));
+}
+
+// Latest status and a per-disease breakdown for a field's timeline
+export function summarizeFieldHealth(timeline) {
+    const diseases = new Map();
+    timeline.filter(entry => entry.disease).forEach((entry) => {
+        const current = diseases.get(entry.disease);
+        diseases.set(entry.disease, {
+            disease: entry.disease,
+            count: (current?.count || 0) + 1,
+            firstSeen: current?.firstSeen || entry.date,
+            lastSeen: entry.date,
+        });
+    });
+
+    return {
+        checks: timeline.length,
+        healthy: timeline.filter(entry => entry.isHealthy).length,
+        diseased: timeline.filter(entry => !entry.isHealthy).length,
+        latest: timeline[timeline.length - 1] || null,
+        diseases: [...diseases.values()].sort((a, b) => b.count - a.count),
+    };
+}
@@ -0,0 +1,69 @@
+// Fingerprints for leaf photos, used to reuse earlier analyses.
+//
+// The content hash (SHA-256 of the exact JPEG sent for analysis) identifies an
+// identical image; the perceptual hash (a 64-bit difference hash of the cropped
+// photo) stays nearly the same when the same leaf is photographed again or the
+// photo is resized or recompressed, so near-duplicates can be spotted.
+
+import { FULL_CROP, cropAndScale } from './imagePreprocessing';
+
+// Perceptual hashes at most this many bits apart (of 64) count as similar
+export const SIMILARITY_MAX_DISTANCE = 10;
+
+const toHex = (bytes) => [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Hex SHA-256 of the file's bytes, or null where Web Crypto is unavailable
+// (it is only exposed on https and localhost)
+export async function contentHash(blob) {
+    if (!window.crypto?.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return toHex(new Uint8Array(digest));
+}
+
+// dHash: shrink to 9x8 greyscale and record whether each pixel is brighter
+// than its right-hand neighbour. Returns 16 hex characters.
+export function perceptualHash(source, crop = FULL_CROP) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    // Scaling in one step from a large photo aliases badly; go through a small copy first
+    context.drawImage(cropAndScale(source, crop, 64), 0, 0, 9, 8);
+    const { data } = context.getImageData(0, 0, 9, 8);
+
+    const bytes = new Uint8Array(8);
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const left = (y * 9 + x) * 4;
+            const right = left + 4;
+            const brightness = (i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            if (brightness(left) > brightness(right)) bytes[y] |= 1 << x;
+        }
+    }
+    return toHex(bytes);
+}
+
+// Number of differing bits between two perceptual hashes
+export function hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 2) {
+        let diff = Number.parseInt(a.slice(i, i + 2), 16) ^ Number.parseInt(b.slice(i, i + 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+export const isSimilarHash = (a, b) => hashDistance(a, b) <= SIMILARITY_MAX_DISTANCE;
+
+// Both hashes for the image about to be analyzed: `file` is the exported JPEG,
+// `source` and `crop` the canvas and crop it was made from
+export async function hashImage(file, source, crop = FULL_CROP) {
+    return {
+        contentHash: await contentHash(file),
+        perceptualHash: perceptualHash(source, crop),
+    };
+}
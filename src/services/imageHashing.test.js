@@ -0,0 +1,43 @@
+import { webcrypto } from 'crypto';
+import { SIMILARITY_MAX_DISTANCE, contentHash, hashDistance, isSimilarHash } from './imageHashing';
+
+// Node's Web Crypto only accepts buffers from its own realm, not jsdom's
+const blobOf = (text) => ({ arrayBuffer: async () => Buffer.from(text) });
+
+describe('contentHash', () => {
+    const originalCrypto = window.crypto;
+    const setCrypto = (value) => Object.defineProperty(window, 'crypto', { value, configurable: true });
+    afterEach(() => setCrypto(originalCrypto));
+
+    it('is the hex SHA-256 of the bytes', async () => {
+        setCrypto(webcrypto);
+        await expect(contentHash(blobOf('abc'))).resolves.toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('is null where Web Crypto is unavailable', async () => {
+        setCrypto({});
+        await expect(contentHash(blobOf('abc'))).resolves.toBeNull();
+    });
+});
+
+describe('hashDistance', () => {
+    it('counts the differing bits', () => {
+        expect(hashDistance('00000000000000ff', '00000000000000ff')).toBe(0);
+        expect(hashDistance('0000000000000000', '00000000000000ff')).toBe(8);
+        expect(hashDistance('8000000000000001', '0000000000000000')).toBe(2);
+        expect(hashDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+
+    it('treats missing or mismatched hashes as infinitely far apart', () => {
+        expect(hashDistance(null, '0000000000000000')).toBe(Infinity);
+        expect(hashDistance('00', '0000000000000000')).toBe(Infinity);
+    });
+});
+
+describe('isSimilarHash', () => {
+    it(`allows up to ${SIMILARITY_MAX_DISTANCE} differing bits`, () => {
+        expect(isSimilarHash('0000000000000000', '00000000000003ff')).toBe(true);
+        expect(isSimilarHash('0000000000000000', '00000000000007ff')).toBe(false);
+        expect(isSimilarHash(null, null)).toBe(false);
+    });
+});
@@ -0,0 +1,328 @@
+// In-browser preparation of leaf photos before analysis.
+//
+// Photos are decoded with their EXIF orientation applied, optionally cropped to
+// the leaf, downscaled and re-encoded as JPEG within a size budget, so every
+// provider receives the same upright, reasonably sized image with a correct
+// MIME type. A quick brightness/sharpness check flags photos that are too dark
+// or blurry to be worth an analysis call.
+
+export const ANALYSIS_IMAGE_OPTIONS = {
+    maxDimension: 1280,
+    maxBytes: 800 * 1024,
+    quality: 0.9,
+    minQuality: 0.6,
+};
+
+// Mean luminance (0-255) and variance of the Laplacian measured on a copy whose
+// longest side is QUALITY_SAMPLE_SIZE; tuned on phone photos of single leaves
+export const QUALITY_THRESHOLDS = { minBrightness: 45, minSharpness: 40 };
+const QUALITY_SAMPLE_SIZE = 512;
+
+// Largest side decoded photos are kept at; bigger camera images are scaled down
+// first so cropping a 48 MP photo doesn't exhaust memory on phones
+const MAX_SOURCE_DIMENSION = 3072;
+const MIN_EXPORT_DIMENSION = 320;
+
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+export class ImagePreprocessingError extends Error {
+    // code: 'unsupported_format' (e.g. HEIC outside Safari) or 'unreadable'
+    constructor(message, { code = 'unreadable' } = {}) {
+        super(message);
+        this.name = 'ImagePreprocessingError';
+        this.code = code;
+    }
+}
+
+// --- MIME type detection ---
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+const isoBrand = (bytes) => (ascii(bytes, 4, 8) === 'ftyp' ? ascii(bytes, 8, 12) : '');
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', matches: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+    { mimeType: 'image/png', matches: bytes => bytes[0] === 0x89 && ascii(bytes, 1, 4) === 'PNG' },
+    { mimeType: 'image/gif', matches: bytes => ascii(bytes, 0, 3) === 'GIF' },
+    { mimeType: 'image/webp', matches: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' },
+    { mimeType: 'image/bmp', matches: bytes => ascii(bytes, 0, 2) === 'BM' },
+    { mimeType: 'image/heic', matches: bytes => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(isoBrand(bytes)) },
+    { mimeType: 'image/heif', matches: bytes => ['mif1', 'msf1', 'heif'].includes(isoBrand(bytes)) },
+    { mimeType: 'image/avif', matches: bytes => ['avif', 'avis'].includes(isoBrand(bytes)) },
+];
+
+// Identifies an image from its first 12+ bytes, or returns null
+export const detectMimeTypeFromBytes = (bytes) =>
+    SIGNATURES.find(signature => signature.matches(bytes))?.mimeType || null;
+
+export const detectMimeTypeFromBase64 = (base64Data) => {
+    try {
+        const binary = window.atob(base64Data.slice(0, 24));
+        return detectMimeTypeFromBytes(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Sniffs the file's contents; the browser-reported type is often empty or wrong for camera uploads
+export async function detectImageMimeType(file) {
+    const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    return detectMimeTypeFromBytes(bytes) || (file.type?.startsWith('image/') ? file.type : null);
+}
+
+// --- EXIF orientation ---
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+const orientationFromTiff = (view, tiffStart) => {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    const entryCount = view.getUint16(ifdStart, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifdStart + 2 + i * 12;
+        if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+            const orientation = view.getUint16(entry + 8, littleEndian);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+};
+
+// Orientation (1-8) from a JPEG's Exif APP1 segment; 1 when absent or unreadable
+export function readExifOrientation(buffer) {
+    const view = new DataView(buffer);
+    try {
+        if (view.getUint16(0) !== 0xFFD8) return 1;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            // Metadata segments all come before the start of scan
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+            if (marker === 0xFFE1 && ascii(new Uint8Array(buffer, offset + 4, 4), 0, 4) === 'Exif') {
+                return orientationFromTiff(view, offset + 10);
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (error) {
+        // RangeError from a truncated or malformed segment
+    }
+    return 1;
+}
+
+// A minimal Exif APP1 segment holding only the orientation tag
+const exifOrientationSegment = (orientation) => new Uint8Array([
+    0xFF, 0xE1, 0x00, 0x22,
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header, IFD at 8
+    0x00, 0x01, // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00, // no next IFD
+]);
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new ImagePreprocessingError('Failed to encode image.')),
+        type,
+        quality
+    );
+});
+
+const decodeImage = (blob) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new ImagePreprocessingError('The selected file could not be read as an image.'));
+    };
+    img.src = url;
+});
+
+let appliesExifOrientation = null;
+
+// Browsers since 2020 rotate images by their EXIF orientation while decoding;
+// older ones don't. Checked once by decoding a 2x1 JPEG tagged as rotated 90°.
+const browserAppliesExifOrientation = () => {
+    if (!appliesExifOrientation) {
+        appliesExifOrientation = (async () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = 2;
+                canvas.height = 1;
+                const bytes = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 1)).arrayBuffer());
+                const tagged = new Blob([bytes.slice(0, 2), exifOrientationSegment(6), bytes.slice(2)], { type: 'image/jpeg' });
+                const img = await decodeImage(tagged);
+                return img.naturalWidth === 1 && img.naturalHeight === 2;
+            } catch (error) {
+                return true;
+            }
+        })();
+    }
+    return appliesExifOrientation;
+};
+
+// Draws `img` upright onto a new canvas no larger than maxDimension
+const drawOriented = (img, orientation, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+    const swapsSides = orientation >= 5;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swapsSides ? height : width;
+    canvas.height = swapsSides ? width : height;
+    const context = canvas.getContext('2d');
+    switch (orientation) {
+        case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: context.transform(-1, 0, 0, -1, width, height); break;
+        case 4: context.transform(1, 0, 0, -1, 0, height); break;
+        case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: context.transform(0, 1, -1, 0, height, 0); break;
+        case 7: context.transform(0, -1, -1, 0, height, width); break;
+        case 8: context.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
+    context.drawImage(img, 0, 0, width, height);
+    return canvas;
+};
+
+// Decodes a photo upright. Resolves with { canvas, mimeType } where mimeType is
+// the original file's detected type.
+export async function loadImageForAnalysis(file) {
+    const mimeType = await detectImageMimeType(file);
+    if (!mimeType) {
+        throw new ImagePreprocessingError('The selected file is not an image.', { code: 'unsupported_format' });
+    }
+
+    let img;
+    try {
+        img = await decodeImage(file);
+    } catch (error) {
+        // Only Safari decodes HEIC/HEIF, the default format of iPhone cameras
+        const isHeif = mimeType === 'image/heic' || mimeType === 'image/heif';
+        throw new ImagePreprocessingError(
+            isHeif ? 'HEIC photos cannot be opened in this browser.' : error.message,
+            { code: isHeif ? 'unsupported_format' : 'unreadable' }
+        );
+    }
+
+    let orientation = 1;
+    if (mimeType === 'image/jpeg' && !(await browserAppliesExifOrientation())) {
+        orientation = readExifOrientation(await file.slice(0, 128 * 1024).arrayBuffer());
+    }
+    return { canvas: drawOriented(img, orientation, MAX_SOURCE_DIMENSION), mimeType };
+}
+
+// --- Crop geometry ---
+
+// Smallest crop side, as a fraction of the photo, so the box stays grabbable
+const MIN_CROP_SIZE = 0.1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const isFullCrop = (crop) =>
+    crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1;
+
+// Moves the crop by (dx, dy) fractions of the photo, keeping it inside the photo
+export const moveCrop = (crop, dx, dy) => ({
+    ...crop,
+    x: clamp(crop.x + dx, 0, 1 - crop.width),
+    y: clamp(crop.y + dy, 0, 1 - crop.height),
+});
+
+// Resizes the crop from its bottom-right corner
+export const resizeCrop = (crop, dx, dy) => ({
+    ...crop,
+    width: clamp(crop.width + dx, MIN_CROP_SIZE, 1 - crop.x),
+    height: clamp(crop.height + dy, MIN_CROP_SIZE, 1 - crop.y),
+});
+
+// --- Cropping, downscaling and encoding ---
+
+// Copies the crop (fractions of the source's width and height) scaled to fit maxDimension
+export function cropAndScale(source, crop = FULL_CROP, maxDimension = Infinity) {
+    const sx = Math.round(crop.x * source.width);
+    const sy = Math.round(crop.y * source.height);
+    const sw = Math.max(1, Math.round(crop.width * source.width));
+    const sh = Math.max(1, Math.round(crop.height * source.height));
+    const scale = Math.min(1, maxDimension / Math.max(sw, sh));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(sw * scale));
+    canvas.height = Math.max(1, Math.round(sh * scale));
+    const context = canvas.getContext('2d');
+    // JPEG has no alpha channel; paint transparent PNG areas white instead of black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+// Base64 contents of a file without the data URL prefix, as Gemini expects
+export const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Encodes the cropped photo as JPEG, lowering the quality and then the size
+// until it fits maxBytes. Resolves with a File named after the original.
+export async function exportForAnalysis(source, { crop = FULL_CROP, fileName = 'leaf.jpg', ...options } = {}) {
+    const { maxDimension, maxBytes, quality, minQuality } = { ...ANALYSIS_IMAGE_OPTIONS, ...options };
+    const name = `${fileName.replace(/\.[^.]*$/, '') || 'leaf'}.jpg`;
+
+    let dimension = maxDimension;
+    let blob;
+    for (;;) {
+        const canvas = cropAndScale(source, crop, dimension);
+        for (let q = quality; q >= minQuality - 0.001; q -= 0.1) {
+            blob = await canvasToBlob(canvas, 'image/jpeg', q);
+            if (blob.size <= maxBytes) return new File([blob], name, { type: 'image/jpeg' });
+        }
+        // Give up shrinking at a size the classifiers can still work with
+        if (dimension <= MIN_EXPORT_DIMENSION) return new File([blob], name, { type: 'image/jpeg' });
+        dimension = Math.max(MIN_EXPORT_DIMENSION, Math.round(dimension * 0.8));
+    }
+}
+
+// --- Quality check ---
+
+// Returns { brightness, sharpness, isDark, isBlurry } for the cropped region
+export function assessImageQuality(source, crop = FULL_CROP, thresholds = QUALITY_THRESHOLDS) {
+    const canvas = cropAndScale(source, crop, QUALITY_SAMPLE_SIZE);
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+    const gray = new Float32Array(width * height);
+    let total = 0;
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        total += gray[i];
+    }
+    const brightness = total / gray.length;
+
+    // Variance of the 4-neighbour Laplacian: low when there are few sharp edges
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const sharpness = count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+
+    return {
+        brightness,
+        sharpness,
+        isDark: brightness < thresholds.minBrightness,
+        isBlurry: sharpness < thresholds.minSharpness,
+    };
+}
@@ -0,0 +1,20 @@
+// Listing and stock rules for marketplace products.
+
+export const LOW_STOCK_THRESHOLD = 5;
+
+// Fields whose change sends an approved listing back to the admin review queue
+export const REAPPROVAL_FIELDS = ['name', 'category'];
+
+// Products created before stock tracking have no `stock` field and are treated as available
+export const isOutOfStock = (product) => typeof product.stock === 'number' && product.stock <= 0;
+
+export const isLowStock = (product) =>
+    typeof product.stock === 'number' && product.stock > 0 && product.stock <= LOW_STOCK_THRESHOLD;
+
+// Whether buyers can see and order the product in the shop
+export const isListed = (product) => Boolean(product.isApproved) && !product.archived && !isOutOfStock(product);
+
+// An approved product must be re-reviewed when its name, category or images change
+export const requiresReapproval = (product, changes, { imagesReplaced = false } = {}) =>
+    Boolean(product.isApproved) && (imagesReplaced || REAPPROVAL_FIELDS.some(field =>
+        field in changes && String(changes[field]).trim() !== String(product[field] ?? '').trim()));
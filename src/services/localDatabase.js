@@ -0,0 +1,62 @@
+// The app's IndexedDB database (`agroscan`) shared by the offline analysis
+// queue and the analysis result cache. Bump DB_VERSION when adding a store and
+// create it in `upgrade`.
+
+const DB_NAME = 'agroscan';
+const DB_VERSION = 2;
+
+export const STORES = {
+    ANALYSIS_QUEUE: 'analysisQueue',
+    ANALYSIS_CACHE: 'analysisCache',
+};
+
+export const isLocalDatabaseSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+// Creates whichever stores are missing, so every older version upgrades in one step
+const upgrade = (database) => {
+    if (!database.objectStoreNames.contains(STORES.ANALYSIS_QUEUE)) {
+        const queue = database.createObjectStore(STORES.ANALYSIS_QUEUE, { keyPath: 'id' });
+        queue.createIndex('createdAt', 'createdAt');
+    }
+    if (!database.objectStoreNames.contains(STORES.ANALYSIS_CACHE)) {
+        const cache = database.createObjectStore(STORES.ANALYSIS_CACHE, { keyPath: 'key' });
+        cache.createIndex('contentHash', 'contentHash');
+        cache.createIndex('createdAt', 'createdAt');
+    }
+};
+
+let dbPromise = null;
+
+const openLocalDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => {
+                // Another tab is upgrading: close so it isn't blocked, and reopen next time
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    dbPromise = null;
+                };
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `operation(store)` in a transaction and resolves with its request's result
+export const withStore = async (storeName, mode, operation) => {
+    const database = await openLocalDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
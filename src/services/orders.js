@@ -0,0 +1,276 @@
+// Orders placed from the cart, stored at artifacts/{appId}/public/data/orders.
+//
+// Each order keeps its line items with the price paid, the totals (in minor units,
+// see services/currency), the delivery address and `sellerIds` so sellers can query the orders containing their products.
+// Every seller moves their own part of the order through `sellerStatus[sellerId]`;
+// `status` is the overall status derived from those. Status changes are appended
+// to `statusHistory` (with the seller's id) to form the order's timeline.
+// Checkout and buyer cancellations also move stock on other sellers' products;
+// those writes carry `stockChange: { orderId, line }`, the order item they are
+// for, which firestore.rules checks against the order written alongside them.
+
+import {
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    onSnapshot,
+    runTransaction,
+    updateDoc,
+    increment
+} from 'firebase/firestore';
+import { amountMinor, currencyOf } from './currency';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+export const DELIVERY_FEE_MINOR = 0;
+
+export const ORDER_STATUSES = ['new', 'accepted', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses for each status; delivered and cancelled are final
+export const ORDER_STATUS_TRANSITIONS = {
+    new: ['accepted', 'cancelled'],
+    accepted: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+
+const ordersCollection = (db) => collection(db, `/artifacts/${appId}/public/data/orders`);
+const productRef = (db, productId) => doc(db, `/artifacts/${appId}/public/data/products`, productId);
+
+// Orders placed before per-seller statuses have one status for everyone
+export const sellerStatusOf = (order, sellerId) => order.sellerStatus?.[sellerId] ?? order.status;
+
+// The least advanced status among the sellers that haven't cancelled; cancelled
+// only once every seller has
+export function overallStatus(sellerStatus) {
+    const active = Object.values(sellerStatus).filter(status => status !== 'cancelled');
+    if (active.length === 0) return 'cancelled';
+    return ORDER_STATUSES.find(status => active.includes(status));
+}
+
+// `key` is the i18n key of the message shown to the user and `params` its placeholders
+export class OrderError extends Error {
+    constructor(key, params = {}) {
+        super(key);
+        this.name = 'OrderError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+// Creates the order and decrements stock atomically, using the current product
+// prices rather than the ones cached in the cart, then takes the payment.
+// Resolves with the new order; if the payment fails the order is cancelled and
+// restocked before rejecting, so placing it again doesn't take the stock twice.
+export async function placeOrder(db, { user, items, deliveryAddress, paymentProvider }) {
+    if (items.length === 0) throw new OrderError('orders.errors.emptyCart');
+
+    const orderRef = doc(ordersCollection(db));
+
+    const order = await runTransaction(db, async (transaction) => {
+        const snapshots = await Promise.all(items.map(item => transaction.get(productRef(db, item.productId))));
+
+        const lineItems = items.map((item, i) => {
+            const snapshot = snapshots[i];
+            const product = snapshot.exists() ? snapshot.data() : null;
+            if (!product || !product.isApproved || product.archived) {
+                throw new OrderError('orders.errors.unavailable', { name: item.name });
+            }
+            if (typeof product.stock === 'number' && product.stock < item.quantity) {
+                throw new OrderError(product.stock > 0 ? 'orders.errors.lowStock' : 'orders.errors.outOfStock', { name: product.name, stock: product.stock });
+            }
+            const priceMinor = amountMinor(product, 'price');
+            return {
+                productId: item.productId,
+                name: product.name,
+                priceMinor,
+                currency: currencyOf(product),
+                quantity: item.quantity,
+                sellerId: product.sellerId,
+                imageUrl: product.thumbnailUrl || product.imageUrl || null,
+                lineTotalMinor: priceMinor * item.quantity,
+            };
+        });
+
+        const currency = lineItems[0].currency;
+        if (lineItems.some(line => line.currency !== currency)) {
+            throw new OrderError('orders.errors.mixedCurrencies');
+        }
+
+        lineItems.forEach((line, i) => {
+            const product = snapshots[i].data();
+            if (typeof product.stock === 'number') {
+                transaction.update(productRef(db, line.productId), {
+                    stock: product.stock - line.quantity,
+                    stockChange: { orderId: orderRef.id, line: i },
+                });
+            }
+        });
+
+        const subtotalMinor = lineItems.reduce((sum, line) => sum + line.lineTotalMinor, 0);
+        const sellerIds = [...new Set(lineItems.map(line => line.sellerId))];
+        const newOrder = {
+            buyerId: user.uid,
+            buyerEmail: user.email,
+            items: lineItems,
+            sellerIds,
+            sellerStatus: Object.fromEntries(sellerIds.map(sellerId => [sellerId, 'new'])),
+            currency,
+            subtotalMinor,
+            deliveryFeeMinor: DELIVERY_FEE_MINOR,
+            totalMinor: subtotalMinor + DELIVERY_FEE_MINOR,
+            deliveryAddress,
+            payment: { provider: paymentProvider.id, status: 'pending', reference: null },
+            status: 'new',
+            statusHistory: [{ status: 'new', changedBy: user.uid, changedAt: new Date() }],
+            createdAt: new Date(),
+        };
+        transaction.set(orderRef, newOrder);
+        return { id: orderRef.id, ...newOrder };
+    });
+
+    let payment = null;
+    try {
+        payment = await paymentProvider.processPayment(order);
+        if (payment.status === 'failed') throw new OrderError('orders.errors.paymentFailed');
+        await updateDoc(orderRef, { payment });
+    } catch (error) {
+        await cancelUnpaidOrder(db, { orderId: orderRef.id, user, payment: payment || { ...order.payment, status: 'failed' } })
+            .catch(cancelError => console.error('Error cancelling unpaid order:', cancelError));
+        throw error;
+    }
+    return { ...order, payment };
+}
+
+// Cancels a just-placed order whose payment failed and puts its stock back.
+// A payment that went through but couldn't be recorded is kept on the order so
+// it can be refunded.
+async function cancelUnpaidOrder(db, { orderId, user, payment }) {
+    const orderRef = doc(ordersCollection(db), orderId);
+    await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(orderRef);
+        if (!snapshot.exists() || snapshot.data().status !== 'new') return;
+        const order = snapshot.data();
+
+        const products = await Promise.all(order.items.map(line => transaction.get(productRef(db, line.productId))));
+        order.items.forEach((line, i) => {
+            if (products[i].exists() && typeof products[i].data().stock === 'number') {
+                transaction.update(productRef(db, line.productId), {
+                    stock: increment(line.quantity),
+                    stockChange: { orderId, line: i },
+                });
+            }
+        });
+
+        transaction.update(orderRef, {
+            payment,
+            sellerStatus: Object.fromEntries(order.sellerIds.map(sellerId => [sellerId, 'cancelled'])),
+            status: 'cancelled',
+            statusHistory: [...(order.statusHistory || []), { status: 'cancelled', reason: 'paymentFailed', changedBy: user.uid, changedAt: new Date() }],
+            updatedAt: new Date(),
+        });
+    });
+}
+
+// Subscribes to a buyer's orders, newest first; returns the unsubscribe function
+export function subscribeToBuyerOrders(db, buyerId, onChange, onError) {
+    const q = query(ordersCollection(db), where('buyerId', '==', buyerId), orderBy('createdAt', 'desc'));
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, onError);
+}
+
+// Subscribes to orders containing any of a seller's products, newest first
+export function subscribeToSellerOrders(db, sellerId, onChange, onError) {
+    const q = query(ordersCollection(db), where('sellerIds', 'array-contains', sellerId), orderBy('createdAt', 'desc'));
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, onError);
+}
+
+// Moves the signed-in seller's part of an order to its next status and records
+// the change in its timeline. Cancelling puts that seller's quantities back into stock.
+export async function updateOrderStatus(db, { orderId, nextStatus, user }) {
+    const orderRef = doc(ordersCollection(db), orderId);
+    await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(orderRef);
+        if (!snapshot.exists()) throw new OrderError('orders.errors.notFound');
+        const order = snapshot.data();
+        if (!(order.sellerIds || []).includes(user.uid)) {
+            throw new OrderError('orders.errors.notSeller');
+        }
+
+        const currentStatus = sellerStatusOf(order, user.uid);
+        if (!(ORDER_STATUS_TRANSITIONS[currentStatus] || []).includes(nextStatus)) {
+            throw new OrderError('orders.errors.statusChanged');
+        }
+
+        if (nextStatus === 'cancelled') {
+            // Only restock products that track stock; reads must precede all writes
+            const lines = sellerLineItems(order, user.uid);
+            const products = await Promise.all(lines.map(line => transaction.get(productRef(db, line.productId))));
+            lines.forEach((line, i) => {
+                if (products[i].exists() && typeof products[i].data().stock === 'number') {
+                    transaction.update(productRef(db, line.productId), { stock: increment(line.quantity) });
+                }
+            });
+        }
+
+        const sellerStatus = {
+            ...Object.fromEntries(order.sellerIds.map(sellerId => [sellerId, sellerStatusOf(order, sellerId)])),
+            [user.uid]: nextStatus,
+        };
+        transaction.update(orderRef, {
+            sellerStatus,
+            status: overallStatus(sellerStatus),
+            statusHistory: [...(order.statusHistory || []), { status: nextStatus, sellerId: user.uid, changedBy: user.uid, changedAt: new Date() }],
+            updatedAt: new Date(),
+        });
+    });
+}
+
+// Timeline entries for one seller's part of an order: the order-wide ones
+// (placement) plus that seller's own changes
+export const sellerStatusHistory = (order, sellerId) =>
+    (order.statusHistory || []).filter(entry => !entry.sellerId || entry.sellerId === sellerId);
+
+// The part of an order that belongs to one seller
+export const sellerLineItems = (order, sellerId) => order.items.filter(line => line.sellerId === sellerId);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales totals for a seller over rolling periods, excluding orders that seller cancelled.
+// Revenue is kept per currency, in minor units: `revenueByCurrency: { INR: 125050 }`.
+export function computeSalesTotals(orders, sellerId, now = new Date()) {
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const periods = {
+        today: startOfToday,
+        last7Days: now.getTime() - 7 * DAY_MS,
+        last30Days: now.getTime() - 30 * DAY_MS,
+        allTime: 0,
+    };
+    const totals = Object.fromEntries(Object.keys(periods).map(key => [key, { revenueByCurrency: {}, orders: 0, units: 0 }]));
+
+    orders
+        .filter(order => sellerStatusOf(order, sellerId) !== 'cancelled')
+        .forEach(order => {
+            const createdAt = order.createdAt?.toDate ? order.createdAt.toDate().getTime() : new Date(order.createdAt).getTime();
+            const lines = sellerLineItems(order, sellerId);
+            const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+            Object.entries(periods).forEach(([key, since]) => {
+                if (createdAt >= since) {
+                    const revenue = totals[key].revenueByCurrency;
+                    lines.forEach(line => {
+                        const currency = line.currency || currencyOf(order);
+                        revenue[currency] = (revenue[currency] || 0) + amountMinor(line, 'lineTotal');
+                    });
+                    totals[key].orders += 1;
+                    totals[key].units += units;
+                }
+            });
+        });
+    return totals;
+}
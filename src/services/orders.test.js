@@ -0,0 +1,203 @@
+import { OrderError, computeSalesTotals, overallStatus, placeOrder, sellerStatusHistory } from './orders';
+import { createCashOnDeliveryProvider, createMockPaymentProvider } from './payments';
+
+// In-memory stand-in for the Firestore documents placeOrder touches, keyed by
+// document id. Transactions apply their writes only if the callback succeeds.
+const mockDocs = new Map();
+
+jest.mock('firebase/firestore', () => {
+    const applyWrite = (id, changes) => {
+        const current = mockDocs.get(id) || {};
+        const next = { ...current };
+        Object.entries(changes).forEach(([field, value]) => {
+            next[field] = value?.mockIncrement !== undefined ? (current[field] || 0) + value.mockIncrement : value;
+        });
+        mockDocs.set(id, next);
+    };
+    const snapshot = (id) => ({
+        exists: () => mockDocs.has(id),
+        data: () => (mockDocs.has(id) ? { ...mockDocs.get(id) } : undefined),
+    });
+    return {
+        collection: (db, path) => ({ path }),
+        doc: (parent, ...segments) => ({ id: segments.length > 0 ? segments[segments.length - 1] : 'order-1' }),
+        query: jest.fn(),
+        where: jest.fn(),
+        orderBy: jest.fn(),
+        onSnapshot: jest.fn(),
+        increment: (n) => ({ mockIncrement: n }),
+        updateDoc: async (ref, changes) => applyWrite(ref.id, changes),
+        runTransaction: async (db, callback) => {
+            const writes = [];
+            const result = await callback({
+                get: async (ref) => snapshot(ref.id),
+                set: (ref, data) => writes.push(() => mockDocs.set(ref.id, { ...data })),
+                update: (ref, changes) => writes.push(() => applyWrite(ref.id, changes)),
+            });
+            writes.forEach(write => write());
+            return result;
+        },
+    };
+});
+
+const NOW = new Date(2025, 5, 15, 12, 0);
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+const line = (sellerId, quantity, lineTotalMinor) => ({ productId: `${sellerId}-${quantity}`, sellerId, quantity, lineTotalMinor });
+
+const order = (overrides = {}) => ({
+    items: [line('alice', 2, 5000), line('bob', 1, 3000)],
+    sellerIds: ['alice', 'bob'],
+    sellerStatus: { alice: 'new', bob: 'new' },
+    status: 'new',
+    createdAt: NOW,
+    ...overrides,
+});
+
+describe('computeSalesTotals', () => {
+    it("counts only the seller's own line items", () => {
+        const totals = computeSalesTotals([order()], 'alice', NOW);
+        expect(totals.today).toEqual({ revenueByCurrency: { INR: 5000 }, orders: 1, units: 2 });
+        expect(computeSalesTotals([order()], 'bob', NOW).today).toEqual({ revenueByCurrency: { INR: 3000 }, orders: 1, units: 1 });
+    });
+
+    it('groups orders into rolling periods', () => {
+        const orders = [
+            order({ createdAt: NOW }),
+            order({ createdAt: daysAgo(3) }),
+            order({ createdAt: daysAgo(20) }),
+            order({ createdAt: daysAgo(400) }),
+        ];
+        const totals = computeSalesTotals(orders, 'alice', NOW);
+        expect(totals.today.orders).toBe(1);
+        expect(totals.last7Days.orders).toBe(2);
+        expect(totals.last30Days.orders).toBe(3);
+        expect(totals.allTime).toEqual({ revenueByCurrency: { INR: 20000 }, orders: 4, units: 8 });
+    });
+
+    it('reads Firestore timestamps', () => {
+        const totals = computeSalesTotals([order({ createdAt: { toDate: () => daysAgo(2) } })], 'alice', NOW);
+        expect(totals.today.orders).toBe(0);
+        expect(totals.last7Days.orders).toBe(1);
+    });
+
+    it("leaves out orders the seller cancelled but not other sellers' cancellations", () => {
+        const partlyCancelled = order({ sellerStatus: { alice: 'cancelled', bob: 'accepted' }, status: 'accepted' });
+        expect(computeSalesTotals([partlyCancelled], 'alice', NOW).allTime).toEqual({ revenueByCurrency: {}, orders: 0, units: 0 });
+        expect(computeSalesTotals([partlyCancelled], 'bob', NOW).allTime).toEqual({ revenueByCurrency: { INR: 3000 }, orders: 1, units: 1 });
+    });
+
+    it('falls back to the order status for orders without per-seller statuses', () => {
+        const legacy = order({ sellerStatus: undefined, status: 'cancelled' });
+        expect(computeSalesTotals([legacy], 'alice', NOW).allTime.orders).toBe(0);
+        expect(computeSalesTotals([{ ...legacy, status: 'delivered' }], 'alice', NOW).allTime.orders).toBe(1);
+    });
+
+    it('keeps revenue in different currencies apart', () => {
+        const usd = order({ currency: 'USD', items: [{ ...line('alice', 1, 1999), currency: 'USD' }] });
+        expect(computeSalesTotals([order(), usd], 'alice', NOW).today.revenueByCurrency).toEqual({ INR: 5000, USD: 1999 });
+    });
+
+    it('converts legacy major-unit line totals', () => {
+        const legacy = order({ items: [{ productId: 'p1', sellerId: 'alice', quantity: 3, lineTotal: 12.5 }] });
+        expect(computeSalesTotals([legacy], 'alice', NOW).today).toEqual({ revenueByCurrency: { INR: 1250 }, orders: 1, units: 3 });
+    });
+});
+
+describe('overallStatus', () => {
+    it('is the least advanced status of the sellers still fulfilling the order', () => {
+        expect(overallStatus({ alice: 'shipped', bob: 'accepted' })).toBe('accepted');
+        expect(overallStatus({ alice: 'cancelled', bob: 'delivered' })).toBe('delivered');
+    });
+
+    it('is cancelled once every seller has cancelled', () => {
+        expect(overallStatus({ alice: 'cancelled', bob: 'cancelled' })).toBe('cancelled');
+    });
+});
+
+describe('sellerStatusHistory', () => {
+    it("keeps order-wide entries and the seller's own changes", () => {
+        const history = [
+            { status: 'new', changedBy: 'buyer' },
+            { status: 'accepted', sellerId: 'alice' },
+            { status: 'cancelled', sellerId: 'bob' },
+        ];
+        expect(sellerStatusHistory({ statusHistory: history }, 'alice')).toEqual([history[0], history[1]]);
+        expect(sellerStatusHistory({}, 'alice')).toEqual([]);
+    });
+});
+
+describe('placeOrder', () => {
+    const buyer = { uid: 'buyer-1', email: 'buyer@example.com' };
+    const listing = (overrides = {}) => ({ name: 'Neem Oil', priceMinor: 25000, currency: 'INR', sellerId: 'alice', stock: 5, isApproved: true, ...overrides });
+    const cartItem = (productId, quantity) => ({ productId, name: `Cart ${productId}`, priceMinor: 1, quantity });
+    const place = (items, paymentProvider = createCashOnDeliveryProvider()) =>
+        placeOrder({}, { user: buyer, items, deliveryAddress: { line1: 'Farm Road' }, paymentProvider });
+
+    beforeEach(() => {
+        mockDocs.clear();
+        mockDocs.set('neem', listing());
+        mockDocs.set('seeds', listing({ name: 'Tomato Seeds', priceMinor: 5000, sellerId: 'bob', stock: undefined }));
+    });
+
+    it('takes the stock and charges the current prices', async () => {
+        const order = await place([cartItem('neem', 2), cartItem('seeds', 3)]);
+
+        expect(order).toMatchObject({
+            id: 'order-1',
+            status: 'new',
+            sellerIds: ['alice', 'bob'],
+            sellerStatus: { alice: 'new', bob: 'new' },
+            subtotalMinor: 65000,
+            totalMinor: 65000,
+            currency: 'INR',
+            payment: { provider: 'cod', status: 'pending' },
+        });
+        expect(order.items.map(line => line.lineTotalMinor)).toEqual([50000, 15000]);
+        expect(mockDocs.get('neem')).toMatchObject({ stock: 3, stockChange: { orderId: 'order-1', line: 0 } });
+        // Products without stock tracking are left alone
+        expect(mockDocs.get('seeds')).not.toHaveProperty('stockChange');
+        expect(mockDocs.get('order-1').payment).toEqual({ provider: 'cod', status: 'pending', reference: null });
+    });
+
+    it('rejects quantities above the stock without writing anything', async () => {
+        await expect(place([cartItem('neem', 6)])).rejects.toMatchObject({ key: 'orders.errors.lowStock', params: { name: 'Neem Oil', stock: 5 } });
+        mockDocs.set('neem', listing({ stock: 0 }));
+        await expect(place([cartItem('neem', 1)])).rejects.toMatchObject({ key: 'orders.errors.outOfStock' });
+        expect(mockDocs.has('order-1')).toBe(false);
+        expect(mockDocs.get('neem').stock).toBe(0);
+    });
+
+    it('rejects products that are gone, unapproved or archived', async () => {
+        mockDocs.set('pending', listing({ isApproved: false }));
+        mockDocs.set('archived', listing({ archived: true }));
+        for (const productId of ['missing', 'pending', 'archived']) {
+            await expect(place([cartItem(productId, 1)])).rejects.toMatchObject({ key: 'orders.errors.unavailable', params: { name: `Cart ${productId}` } });
+        }
+    });
+
+    it('rejects carts mixing currencies and empty carts', async () => {
+        mockDocs.set('imported', listing({ currency: 'USD', priceMinor: 999 }));
+        await expect(place([cartItem('neem', 1), cartItem('imported', 1)])).rejects.toMatchObject({ key: 'orders.errors.mixedCurrencies' });
+        await expect(place([])).rejects.toBeInstanceOf(OrderError);
+    });
+
+    it('records a successful payment', async () => {
+        const order = await place([cartItem('neem', 1)], createMockPaymentProvider({ delayMs: 0 }));
+        expect(order.payment).toEqual({ provider: 'mock', status: 'paid', reference: 'MOCK-order-1' });
+        expect(mockDocs.get('order-1').payment.status).toBe('paid');
+    });
+
+    it('cancels and restocks the order when the payment fails', async () => {
+        await expect(place([cartItem('neem', 2)], createMockPaymentProvider({ delayMs: 0, shouldFail: true })))
+            .rejects.toMatchObject({ key: 'orders.errors.paymentFailed' });
+
+        expect(mockDocs.get('neem').stock).toBe(5);
+        expect(mockDocs.get('order-1')).toMatchObject({
+            status: 'cancelled',
+            sellerStatus: { alice: 'cancelled' },
+            payment: { provider: 'mock', status: 'failed' },
+        });
+        expect(mockDocs.get('order-1').statusHistory.map(entry => entry.status)).toEqual(['new', 'cancelled']);
+    });
+});
@@ -0,0 +1,47 @@
+// Pluggable payment providers used at checkout.
+//
+// Every provider exposes { id, label, description, processPayment(order) } where
+// processPayment resolves to the payment fields stored on the order:
+//   { provider, status: 'pending' | 'paid' | 'failed', reference }
+
+export const PAYMENT_PROVIDER_IDS = {
+    CASH_ON_DELIVERY: 'cod',
+    MOCK: 'mock',
+};
+
+export function createCashOnDeliveryProvider() {
+    return {
+        id: PAYMENT_PROVIDER_IDS.CASH_ON_DELIVERY,
+        label: 'Cash on Delivery',
+        description: 'Pay the delivery agent when your order arrives.',
+        // Nothing to charge now; the order is collected on delivery
+        processPayment: async () => ({
+            provider: PAYMENT_PROVIDER_IDS.CASH_ON_DELIVERY,
+            status: 'pending',
+            reference: null,
+        }),
+    };
+}
+
+// Simulated card payment for development and tests
+export function createMockPaymentProvider({ delayMs = 500, shouldFail = false } = {}) {
+    return {
+        id: PAYMENT_PROVIDER_IDS.MOCK,
+        label: 'Test Payment (mock)',
+        description: 'Simulates an instant online payment. No money is charged.',
+        processPayment: async (order) => {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            return {
+                provider: PAYMENT_PROVIDER_IDS.MOCK,
+                status: shouldFail ? 'failed' : 'paid',
+                reference: `MOCK-${order.id}`,
+            };
+        },
+    };
+}
+
+export function createPaymentProviders({ includeMock = process.env.NODE_ENV !== 'production' } = {}) {
+    const providers = [createCashOnDeliveryProvider()];
+    if (includeMock) providers.push(createMockPaymentProvider());
+    return providers;
+}
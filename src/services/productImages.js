@@ -0,0 +1,147 @@
+// Product image handling: client-side resizing/compression, thumbnail generation
+// and upload to Firebase Storage under a per-seller path.
+//
+// Files live at artifacts/{appId}/products/{sellerId}/{imageId}.jpg with the
+// thumbnail at .../{sellerId}/thumbs/{imageId}.jpg (see storage.rules).
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+
+const appId = process.env.REACT_APP_FIREBASE_APP_ID;
+
+export const IMAGE_OPTIONS = { maxDimension: 1600, quality: 0.85 };
+export const THUMBNAIL_OPTIONS = { maxDimension: 400, quality: 0.75 };
+
+const loadImage = async (file) => {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file);
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The selected file could not be read as an image.'));
+        };
+        img.src = url;
+    });
+};
+
+// Downscales an image so its longest side fits maxDimension and re-encodes it as JPEG
+export async function resizeImage(file, { maxDimension, quality }) {
+    const image = await loadImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // JPEG has no alpha channel; paint transparent PNG areas white instead of black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    if (image.close) image.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => blob ? resolve(blob) : reject(new Error('Failed to compress image.')),
+            'image/jpeg',
+            quality
+        );
+    });
+}
+
+export const productImagePaths = (sellerId, imageId) => ({
+    imagePath: `artifacts/${appId}/products/${sellerId}/${imageId}.jpg`,
+    thumbnailPath: `artifacts/${appId}/products/${sellerId}/thumbs/${imageId}.jpg`,
+});
+
+// Uploads a JPEG blob, reporting bytes transferred, and resolves with its download URL
+export const uploadBlob = (storage, path, blob, onProgress = () => {}) => new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, path), blob, { contentType: 'image/jpeg' });
+    task.on('state_changed',
+        snapshot => onProgress(snapshot.bytesTransferred),
+        reject,
+        () => getDownloadURL(task.snapshot.ref).then(resolve, reject)
+    );
+});
+
+// Resizes, uploads the image and its thumbnail, and reports combined progress (0-100).
+// Resolves with the fields to store on the product document.
+export async function uploadProductImage(storage, { sellerId, file, onProgress = () => {} }) {
+    const [image, thumbnail] = await Promise.all([
+        resizeImage(file, IMAGE_OPTIONS),
+        resizeImage(file, THUMBNAIL_OPTIONS),
+    ]);
+
+    const imageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const { imagePath, thumbnailPath } = productImagePaths(sellerId, imageId);
+
+    const totalBytes = image.size + thumbnail.size;
+    const transferred = { image: 0, thumbnail: 0 };
+    const report = (key) => (bytes) => {
+        transferred[key] = bytes;
+        onProgress(Math.round(((transferred.image + transferred.thumbnail) / totalBytes) * 100));
+    };
+
+    try {
+        const [imageUrl, thumbnailUrl] = await Promise.all([
+            uploadBlob(storage, imagePath, image, report('image')),
+            uploadBlob(storage, thumbnailPath, thumbnail, report('thumbnail')),
+        ]);
+        return { imageUrl, imagePath, thumbnailUrl, thumbnailPath };
+    } catch (error) {
+        // Don't leave half an upload behind
+        await deleteProductImages(storage, { imagePath, thumbnailPath });
+        throw error;
+    }
+}
+
+// Removes a product's stored image files; missing files are ignored
+export async function deleteProductImages(storage, { imagePath, thumbnailPath }) {
+    const paths = [imagePath, thumbnailPath].filter(Boolean);
+    await Promise.all(paths.map(async (path) => {
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') {
+                console.error(`Error deleting ${path}:`, error);
+            }
+        }
+    }));
+}
+
+// Uploads several images one after another with overall progress (0-100).
+// Resolves with one entry per file; if any upload fails, the ones already
+// uploaded are deleted again.
+export async function uploadProductImages(storage, { sellerId, files, onProgress = () => {} }) {
+    const uploaded = [];
+    try {
+        for (const [index, file] of files.entries()) {
+            uploaded.push(await uploadProductImage(storage, {
+                sellerId,
+                file,
+                onProgress: (percent) => onProgress(Math.round((index * 100 + percent) / files.length)),
+            }));
+        }
+        return uploaded;
+    } catch (error) {
+        await Promise.all(uploaded.map(image => deleteProductImages(storage, image)));
+        throw error;
+    }
+}
+
+// Removes every stored image of a product, including the primary image fields
+// and the images replaced by earlier edits (`retiredImages`)
+export async function deleteAllProductImages(storage, product) {
+    const images = [product, ...(product.images || []), ...(product.retiredImages || [])];
+    const seen = new Set();
+    await Promise.all(images
+        .filter(image => image.imagePath && !seen.has(image.imagePath) && seen.add(image.imagePath))
+        .map(image => deleteProductImages(storage, image)));
+}
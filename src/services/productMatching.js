@@ -0,0 +1,90 @@
+// Fuzzy matching of AI "recommended_products" against marketplace listings.
+//
+// Recommendations only carry free text ({ product_name, product_type }), so each
+// one is compared token by token against a product's name and category using
+// bigram (Dice) similarity, which tolerates plurals, typos and word order.
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'with', 'or', 'to', 'in', 'based', 'product', 'products']);
+
+export const MATCH_THRESHOLD = 0.5;
+
+// Firestore caps `array-contains-any` at 30 values
+const MAX_SEARCH_TERMS = 30;
+// Only the start of each word is looked up, so plurals and other endings still
+// find the listing; scoring sorts out the rest
+const SEARCH_PREFIX_LENGTH = 4;
+
+const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9ऀ-ൿ\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+const bigrams = (token) => {
+    const grams = [];
+    for (let i = 0; i < token.length - 1; i++) grams.push(token.slice(i, i + 2));
+    return grams;
+};
+
+// Dice coefficient over character bigrams, 0 (nothing shared) to 1 (identical)
+export function diceSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    const counts = new Map();
+    gramsA.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+    let shared = 0;
+    gramsB.forEach(g => {
+        if (counts.get(g) > 0) {
+            shared++;
+            counts.set(g, counts.get(g) - 1);
+        }
+    });
+    return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+// Average, over the query's tokens, of each token's best match in the target text
+export function textSimilarity(query, target) {
+    const queryTokens = tokenize(query);
+    const targetTokens = tokenize(target);
+    if (queryTokens.length === 0 || targetTokens.length === 0) return 0;
+    const total = queryTokens.reduce((sum, q) =>
+        sum + Math.max(...targetTokens.map(t => diceSimilarity(q, t))), 0);
+    return total / queryTokens.length;
+}
+
+export function scoreProduct(recommendation, product) {
+    const nameScore = textSimilarity(recommendation.product_name, product.name);
+    const typeScore = recommendation.product_type
+        ? textSimilarity(recommendation.product_type, `${product.category || ''} ${product.name || ''}`)
+        : 0;
+    const categoryScore = textSimilarity(recommendation.product_name, product.category);
+    // A near-exact name match stands on its own; otherwise name and type/category share the weight
+    return Math.max(nameScore >= 0.8 ? nameScore : 0, 0.6 * nameScore + 0.4 * Math.max(typeScore, categoryScore));
+}
+
+// Returns [{ product, score, recommendation }], best first, one entry per product
+export function matchRecommendedProducts(recommendations, products, { threshold = MATCH_THRESHOLD, limit } = {}) {
+    const best = new Map();
+    recommendations.forEach(recommendation => {
+        products.forEach(product => {
+            const score = scoreProduct(recommendation, product);
+            if (score >= threshold && score > (best.get(product.id)?.score || 0)) {
+                best.set(product.id, { product, score, recommendation });
+            }
+        });
+    });
+    const matches = [...best.values()].sort((a, b) => b.score - a.score);
+    return limit ? matches.slice(0, limit) : matches;
+}
+
+// Word prefixes to look up in the products' `searchKeywords` (see services/catalog)
+// to find the listings worth scoring against these recommendations
+export function recommendationSearchTerms(recommendations) {
+    const terms = new Set();
+    recommendations.forEach(({ product_name: name, product_type: type }) => {
+        tokenize(`${name || ''} ${type || ''}`).forEach(token => terms.add(token.slice(0, SEARCH_PREFIX_LENGTH)));
+    });
+    return [...terms].slice(0, MAX_SEARCH_TERMS);
+}
@@ -0,0 +1,66 @@
+import { diceSimilarity, matchRecommendedProducts, recommendationSearchTerms, textSimilarity } from './productMatching';
+
+const products = [
+    { id: 'copper', name: 'Copper Oxychloride Fungicide', category: 'Pesticides' },
+    { id: 'neem', name: 'Neem Oil Spray', category: 'Pesticides' },
+    { id: 'urea', name: 'Urea 46% Nitrogen', category: 'Fertilizers' },
+    { id: 'pruner', name: 'Pruning Shears', category: 'Tools' },
+];
+
+describe('diceSimilarity', () => {
+    it('scores shared character bigrams from 0 to 1', () => {
+        expect(diceSimilarity('neem', 'neem')).toBe(1);
+        expect(diceSimilarity('fungicide', 'fungicides')).toBeGreaterThan(0.9);
+        expect(diceSimilarity('neem', 'urea')).toBe(0);
+        expect(diceSimilarity('a', 'ab')).toBe(0);
+    });
+});
+
+describe('textSimilarity', () => {
+    it('ignores case, punctuation, word order and stopwords', () => {
+        expect(textSimilarity('Spray of NEEM-oil', 'Neem Oil Spray')).toBe(1);
+        expect(textSimilarity('the and for', 'Neem Oil Spray')).toBe(0);
+    });
+});
+
+describe('matchRecommendedProducts', () => {
+    it('finds listings despite plurals and typos', () => {
+        const matches = matchRecommendedProducts([{ product_name: 'Neem oil sprays' }, { product_name: 'Coper fungicide' }], products);
+        expect(matches.map(m => m.product.id)).toEqual(expect.arrayContaining(['neem', 'copper']));
+        expect(matches.map(m => m.product.id)).not.toContain('pruner');
+    });
+
+    it('uses the product type and category when the name alone is not enough', () => {
+        const [match] = matchRecommendedProducts([{ product_name: 'Nitrogen fertilizer', product_type: 'Fertilizer' }], products);
+        expect(match.product.id).toBe('urea');
+    });
+
+    it('keeps each product once, with its best recommendation, best first', () => {
+        const recommendations = [{ product_name: 'Neem powder' }, { product_name: 'Neem Oil Spray' }];
+        const matches = matchRecommendedProducts(recommendations, products);
+        expect(matches.filter(m => m.product.id === 'neem')).toHaveLength(1);
+        expect(matches[0]).toMatchObject({ product: { id: 'neem' }, score: 1, recommendation: recommendations[1] });
+        expect(matches.map(m => m.score)).toEqual([...matches.map(m => m.score)].sort((a, b) => b - a));
+    });
+
+    it('applies the threshold and limit', () => {
+        const recommendations = [{ product_name: 'Fungicide', product_type: 'Pesticide' }];
+        expect(matchRecommendedProducts(recommendations, products, { threshold: 1.01 })).toEqual([]);
+        expect(matchRecommendedProducts(recommendations, products, { threshold: 0, limit: 2 })).toHaveLength(2);
+    });
+});
+
+describe('recommendationSearchTerms', () => {
+    it('looks up the start of every meaningful word once', () => {
+        expect(recommendationSearchTerms([
+            { product_name: 'Neem oil based fungicides', product_type: 'Fungicide' },
+            { product_name: 'Neem cake' },
+        ])).toEqual(['neem', 'oil', 'fung', 'cake']);
+    });
+
+    it("stays within Firestore's limit of 30 values", () => {
+        const recommendations = Array.from({ length: 40 }, (_, i) => ({ product_name: `${i}abc` }));
+        expect(recommendationSearchTerms(recommendations)).toHaveLength(30);
+        expect(recommendationSearchTerms([])).toEqual([]);
+    });
+});